@@ -0,0 +1,162 @@
+const request = require('supertest');
+const User = require('../src/models/User');
+const Post = require('../src/models/Post');
+const Event = require('../src/models/Event');
+const Like = require('../src/models/Like');
+const TokenBlacklist = require('../src/models/TokenBlackList');
+const userRoutes = require('../src/routes/users');
+const postRoutes = require('../src/routes/posts');
+const eventRoutes = require('../src/routes/events');
+const { createApp, authHeader } = require('./helpers/app');
+const { useDocs } = require('./helpers/memoryDb');
+const { makeUser, makePost, follow } = require('./helpers/factories');
+
+// ========================================
+// 🧪 Bloqueios: invisibilidade nos dois sentidos
+// ========================================
+
+const app = createApp({
+  '/api/users': userRoutes,
+  '/api/posts': postRoutes,
+  '/api/events': eventRoutes
+});
+
+const namesOf = (users) => users.map(user => user.name).sort();
+
+describe('Bloqueios', () => {
+  let viewer;
+  let blocker;
+  let artist;
+  let hub;
+  let blockedFan;
+
+  beforeEach(() => {
+    viewer = makeUser({ name: 'Leitor' });
+    blocker = makeUser({ name: 'Bloqueador' });
+    artist = makeUser({ name: 'Artista', userType: 'artist' });
+    hub = makeUser({ name: 'Central' });
+    blockedFan = makeUser({ name: 'Fã bloqueado' });
+    const friend = makeUser({ name: 'Amigo' });
+
+    // blocker bloqueou o leitor; o leitor bloqueou blockedFan
+    blocker.blockedUsers.push(viewer._id);
+    viewer.blockedUsers.push(blockedFan._id);
+
+    follow(friend, blocker);
+    [friend, blockedFan].forEach(user => follow(user, hub));
+    [friend, blockedFan].forEach(user => follow(hub, user));
+
+    useDocs(User, [viewer, blocker, artist, hub, blockedFan, friend]);
+    useDocs(Like, []);
+    useDocs(TokenBlacklist, []);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /api/users/:id/followers e /following', () => {
+    it.each(['followers', 'following'])('%s de quem bloqueou o leitor retorna 404', async (list) => {
+      const res = await request(app)
+        .get(`/api/users/${blocker._id}/${list}`)
+        .set('Authorization', authHeader(viewer));
+
+      expect(res.status).toBe(404);
+    });
+
+    it.each(['followers', 'following'])('%s de quem o leitor bloqueou retorna 404', async (list) => {
+      const res = await request(app)
+        .get(`/api/users/${viewer._id}/${list}`)
+        .set('Authorization', authHeader(blockedFan));
+
+      expect(res.status).toBe(404);
+    });
+
+    it.each(['followers', 'following'])('%s omite contas com bloqueio com o leitor', async (list) => {
+      const res = await request(app)
+        .get(`/api/users/${hub._id}/${list}`)
+        .set('Authorization', authHeader(viewer));
+
+      expect(res.status).toBe(200);
+      expect(namesOf(res.body[list])).toEqual(['Amigo']);
+    });
+
+    it('sem login a lista vem completa', async () => {
+      const res = await request(app).get(`/api/users/${hub._id}/followers`);
+
+      expect(res.status).toBe(200);
+      expect(namesOf(res.body.followers)).toEqual(['Amigo', 'Fã bloqueado']);
+    });
+  });
+
+  describe('GET /api/events/:id/attendees', () => {
+    let event;
+
+    beforeEach(() => {
+      event = new Event({
+        title: 'Show',
+        artist: artist._id,
+        date: new Date(Date.now() + 24 * 60 * 60 * 1000),
+        attendees: [
+          { user: hub, status: 'going' },
+          { user: blockedFan, status: 'going' }
+        ]
+      });
+      useDocs(Event, [event]);
+    });
+
+    it('retorna 404 quando o artista bloqueou o leitor', async () => {
+      artist.blockedUsers.push(viewer._id);
+
+      const res = await request(app)
+        .get(`/api/events/${event._id}/attendees`)
+        .set('Authorization', authHeader(viewer));
+
+      expect(res.status).toBe(404);
+    });
+
+    it('retorna 404 quando o leitor bloqueou o artista', async () => {
+      viewer.blockedUsers.push(artist._id);
+
+      const res = await request(app)
+        .get(`/api/events/${event._id}/attendees`)
+        .set('Authorization', authHeader(viewer));
+
+      expect(res.status).toBe(404);
+    });
+
+    it('omite participantes com bloqueio com o leitor', async () => {
+      const res = await request(app)
+        .get(`/api/events/${event._id}/attendees`)
+        .set('Authorization', authHeader(viewer));
+
+      expect(res.status).toBe(200);
+      expect(namesOf(res.body.attendees.map(attendee => attendee.user))).toEqual(['Central']);
+      expect(res.body.pagination.total).toBe(1);
+    });
+  });
+
+  describe('GET /api/posts/:id', () => {
+    it('post de quem bloqueou o leitor retorna 404', async () => {
+      const post = makePost(blocker);
+      useDocs(Post, [post]);
+
+      const res = await request(app)
+        .get(`/api/posts/${post._id}`)
+        .set('Authorization', authHeader(viewer));
+
+      expect(res.status).toBe(404);
+    });
+
+    it('post de quem o leitor bloqueou retorna 404', async () => {
+      const post = makePost(blockedFan);
+      useDocs(Post, [post]);
+
+      const res = await request(app)
+        .get(`/api/posts/${post._id}`)
+        .set('Authorization', authHeader(viewer));
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,27 @@
+const express = require('express');
+const { generateAccessToken } = require('../../src/utils/tokenService');
+
+// ========================================
+// 🧪 RockRider - App Express para os testes
+// ========================================
+//
+// Só as rotas testadas, sem conexão com o MongoDB, rate limit ou Socket.IO
+// (o server.js conecta e sobe o servidor ao ser carregado).
+
+const createApp = (routes) => {
+  const app = express();
+  app.use(express.json());
+
+  Object.entries(routes).forEach(([path, router]) => {
+    app.use(path, router);
+  });
+  return app;
+};
+
+// Header Authorization de um usuário (token sem sessão: não consulta Session)
+const authHeader = (user) => `Bearer ${generateAccessToken(user._id.toString())}`;
+
+module.exports = {
+  createApp,
+  authHeader
+};
@@ -0,0 +1,52 @@
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const TimelineEntry = require('../../src/models/TimelineEntry');
+
+// ========================================
+// 🧪 RockRider - Documentos de teste
+// ========================================
+//
+// Documentos Mongoose em memória (nunca salvos). Referências são passadas
+// como documentos para já virem "populadas".
+
+let sequence = 0;
+
+const makeUser = (overrides = {}) => {
+  sequence += 1;
+  return new User({
+    name: `Usuário ${sequence}`,
+    email: `usuario${sequence}@rockrider.test`,
+    password: 'senha-de-teste',
+    userType: 'fan',
+    ...overrides
+  });
+};
+
+// Post criado `minutesAgo` minutos atrás
+const makePost = (author, { minutesAgo = 0, ...overrides } = {}) => new Post({
+  author,
+  content: `Post de ${author.name}`,
+  createdAt: new Date(Date.now() - minutesAgo * 60 * 1000),
+  ...overrides
+});
+
+// Relação de seguir nos dois documentos
+const follow = (follower, followed) => {
+  follower.following.push(followed._id);
+  followed.followers.push(follower._id);
+};
+
+// Entradas de timeline do `owner` para os posts informados
+const timelineFor = (owner, posts) => posts.map(post => new TimelineEntry({
+  owner: owner._id,
+  post: post._id,
+  author: post.author._id,
+  postedAt: post.createdAt
+}));
+
+module.exports = {
+  makeUser,
+  makePost,
+  follow,
+  timelineFor
+};
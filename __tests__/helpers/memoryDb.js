@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// 🧪 RockRider - Banco em memória para os testes
+// ========================================
+//
+// Substitui as leituras dos models (find, findOne, findById, exists,
+// countDocuments, distinct) por consultas sobre arrays de documentos
+// Mongoose criados no teste, sem conexão com o MongoDB.
+//
+// Os filtros usados pelas rotas são avaliados de verdade ($in, $nin, $ne,
+// $lt, $gt, $or, $and...), assim como sort/skip/limit. populate/select/lean
+// não fazem nada: referências já devem vir populadas nos documentos.
+
+const READ_STATICS = ['find', 'findOne', 'findById', 'exists', 'countDocuments', 'distinct'];
+
+// ObjectId, documento populado e Date viram valores comparáveis
+const comparable = (value) => {
+  if (value == null) return null;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'object' && value._id) return comparable(value._id);
+  return value;
+};
+
+const equals = (a, b) => comparable(a) === comparable(b);
+
+const getValue = (doc, path) => (
+  typeof doc.get === 'function'
+    ? doc.get(path)
+    : path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), doc)
+);
+
+const isOperatorObject = (condition) => condition !== null
+  && typeof condition === 'object'
+  && !(condition instanceof mongoose.Types.ObjectId)
+  && !(condition instanceof Date)
+  && !Array.isArray(condition)
+  && Object.keys(condition).some(key => key.startsWith('$'));
+
+const compare = (a, b) => {
+  const x = comparable(a);
+  const y = comparable(b);
+  if (x === y) return 0;
+  if (x === null) return -1;
+  if (y === null) return 1;
+  return x < y ? -1 : 1;
+};
+
+// Campo array: a condição vale se algum elemento satisfizer (como no MongoDB)
+const anyValue = (value, test) => (Array.isArray(value) ? value.some(test) : test(value));
+
+const OPERATORS = {
+  $eq: (value, arg) => anyValue(value, v => equals(v, arg)),
+  $ne: (value, arg) => !anyValue(value, v => equals(v, arg)),
+  $in: (value, arg) => arg.some(item => anyValue(value, v => equals(v, item))),
+  $nin: (value, arg) => !arg.some(item => anyValue(value, v => equals(v, item))),
+  $lt: (value, arg) => value != null && compare(value, arg) < 0,
+  $lte: (value, arg) => value != null && compare(value, arg) <= 0,
+  $gt: (value, arg) => value != null && compare(value, arg) > 0,
+  $gte: (value, arg) => value != null && compare(value, arg) >= 0,
+  $exists: (value, arg) => (value !== undefined) === Boolean(arg)
+};
+
+const matchCondition = (value, condition) => {
+  if (!isOperatorObject(condition)) {
+    if (condition === null) return value == null;
+    return anyValue(value, v => equals(v, condition));
+  }
+
+  return Object.entries(condition).every(([operator, arg]) => {
+    if (!OPERATORS[operator]) throw new Error(`Operador não suportado no banco de teste: ${operator}`);
+    return OPERATORS[operator](value, arg);
+  });
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(sub => matches(doc, sub));
+  if (key === '$and') return condition.every(sub => matches(doc, sub));
+  return matchCondition(getValue(doc, key), condition);
+});
+
+class MemoryQuery {
+  constructor(docs, filter, mode) {
+    this.docs = docs;
+    this.filter = { ...filter };
+    this.mode = mode;
+    this.sortSpec = null;
+    this.skipCount = 0;
+    this.limitCount = 0;
+    this.distinctField = null;
+  }
+
+  populate() { return this; }
+  select() { return this; }
+  lean() { return this; }
+
+  and(conditions) {
+    this.filter.$and = [...(this.filter.$and || []), ...conditions];
+    return this;
+  }
+
+  sort(spec) {
+    this.sortSpec = spec;
+    return this;
+  }
+
+  skip(count) {
+    this.skipCount = count;
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  distinct(field) {
+    this.mode = 'distinct';
+    this.distinctField = field;
+    return this;
+  }
+
+  run() {
+    let results = this.docs.filter(doc => matches(doc, this.filter));
+
+    if (this.sortSpec) {
+      const fields = Object.entries(this.sortSpec);
+      results = [...results].sort((a, b) => {
+        for (const [field, direction] of fields) {
+          const order = compare(getValue(a, field), getValue(b, field)) * direction;
+          if (order !== 0) return order;
+        }
+        return 0;
+      });
+    }
+
+    results = results.slice(this.skipCount, this.limitCount ? this.skipCount + this.limitCount : undefined);
+
+    switch (this.mode) {
+      case 'one':
+        return results[0] || null;
+      case 'exists':
+        return results[0] ? { _id: results[0]._id } : null;
+      case 'count':
+        return results.length;
+      case 'distinct': {
+        const values = results.flatMap(doc => {
+          const value = getValue(doc, this.distinctField);
+          return Array.isArray(value) ? [...value] : [value];
+        });
+        return values.filter((value, i) => values.findIndex(other => equals(other, value)) === i);
+      }
+      default:
+        return results;
+    }
+  }
+
+  exec() {
+    return Promise.resolve().then(() => this.run());
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+
+  catch(reject) {
+    return this.exec().catch(reject);
+  }
+}
+
+// Trocar as leituras do model pelos documentos informados (jest.restoreAllMocks desfaz)
+const useDocs = (Model, docs) => {
+  const query = (filter, mode) => new MemoryQuery(docs, filter || {}, mode);
+  const spies = {
+    find: filter => query(filter, 'many'),
+    findOne: filter => query(filter, 'one'),
+    findById: id => query({ _id: id }, 'one'),
+    exists: filter => query(filter, 'exists'),
+    countDocuments: filter => query(filter, 'count'),
+    distinct: (field, filter) => query(filter, 'many').distinct(field)
+  };
+
+  READ_STATICS.forEach(name => {
+    jest.spyOn(Model, name).mockImplementation(spies[name]);
+  });
+  return docs;
+};
+
+module.exports = {
+  useDocs,
+  matches
+};
@@ -0,0 +1,126 @@
+const request = require('supertest');
+const User = require('../src/models/User');
+const Post = require('../src/models/Post');
+const Like = require('../src/models/Like');
+const TokenBlacklist = require('../src/models/TokenBlackList');
+const userRoutes = require('../src/routes/users');
+const { PaginationError, getPagination, encodeCursor } = require('../src/utils/pagination');
+const { createApp, authHeader } = require('./helpers/app');
+const { useDocs } = require('./helpers/memoryDb');
+const { makeUser, makePost, follow } = require('./helpers/factories');
+
+// ========================================
+// 🧪 Paginação por cursor
+// ========================================
+
+const app = createApp({ '/api/users': userRoutes });
+
+const idsOf = (items) => items.map(item => item._id.toString());
+
+describe('getPagination', () => {
+  it('usa page 1 e o limite padrão sem parâmetros', () => {
+    expect(getPagination({})).toEqual({ cursor: null, page: 1, limit: 20, skip: 0 });
+  });
+
+  it('limita o tamanho da página', () => {
+    expect(getPagination({ limit: '1000' }).limit).toBe(100);
+    expect(getPagination({ limit: '0' }, { defaultLimit: 10 }).limit).toBe(10);
+  });
+
+  it('com cursor ignora page', () => {
+    const pagination = getPagination({ cursor: encodeCursor({ o: 4 }), page: '3' });
+    expect(pagination).toMatchObject({ cursor: { o: 4 }, page: null, skip: 0 });
+  });
+
+  it('rejeita cursor malformado', () => {
+    expect(() => getPagination({ cursor: '%%%' })).toThrow(PaginationError);
+  });
+});
+
+describe('GET /api/users/:id/posts com cursor', () => {
+  let viewer;
+  let author;
+  let posts;
+
+  beforeEach(() => {
+    viewer = makeUser({ name: 'Leitor' });
+    author = makeUser({ name: 'Autor' });
+    posts = [1, 2, 3, 4, 5].map(minutesAgo => makePost(author, { minutesAgo }));
+
+    useDocs(User, [viewer, author]);
+    useDocs(Post, posts);
+    useDocs(Like, []);
+    useDocs(TokenBlacklist, []);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const getPage = (query) => request(app)
+    .get(`/api/users/${author._id}/posts`)
+    .query(query)
+    .set('Authorization', authHeader(viewer));
+
+  it('posts novos no topo não duplicam nem pulam itens das próximas páginas', async () => {
+    const first = await getPage({ limit: 2 });
+    expect(first.status).toBe(200);
+    expect(first.body.pagination).toMatchObject({ page: 1, limit: 2, hasNext: true });
+
+    // Post publicado entre uma página e outra
+    posts.push(makePost(author, { minutesAgo: 0 }));
+
+    const seen = idsOf(first.body.posts);
+    let cursor = first.body.pagination.nextCursor;
+    while (cursor) {
+      const res = await getPage({ limit: 2, cursor });
+      expect(res.status).toBe(200);
+      expect(res.body.pagination.page).toBeNull();
+      seen.push(...idsOf(res.body.posts));
+      cursor = res.body.pagination.nextCursor;
+    }
+
+    expect(seen).toEqual(idsOf(posts.slice(0, 5)));
+  });
+
+  it('post fixado vem primeiro e o cursor continua depois dele', async () => {
+    posts[4].isPinned = true;
+
+    const first = await getPage({ limit: 1 });
+    const second = await getPage({ limit: 4, cursor: first.body.pagination.nextCursor });
+
+    expect(idsOf(first.body.posts)).toEqual([posts[4]._id.toString()]);
+    expect(idsOf(second.body.posts)).toEqual(idsOf(posts.slice(0, 4)));
+    expect(second.body.pagination).toMatchObject({ hasNext: false, nextCursor: null });
+  });
+
+  it('cursor de outra ordenação retorna 400', async () => {
+    const res = await getPage({ cursor: encodeCursor({ s: 'name,_id', k: ['a', null] }) });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_CURSOR');
+  });
+});
+
+describe('GET /api/users/:id/followers com cursor', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('pagina a lista de seguidores pela posição', async () => {
+    const artist = makeUser({ name: 'Artista', userType: 'artist' });
+    const fans = [1, 2, 3].map(n => makeUser({ name: `Fã ${n}` }));
+    fans.forEach(fan => follow(fan, artist));
+    useDocs(User, [artist, ...fans]);
+    useDocs(TokenBlacklist, []);
+
+    const first = await request(app).get(`/api/users/${artist._id}/followers`).query({ limit: 2 });
+    const second = await request(app)
+      .get(`/api/users/${artist._id}/followers`)
+      .query({ limit: 2, cursor: first.body.pagination.nextCursor });
+
+    expect(idsOf(first.body.followers)).toEqual(idsOf(fans.slice(0, 2)));
+    expect(idsOf(second.body.followers)).toEqual(idsOf(fans.slice(2)));
+    expect(second.body.pagination).toMatchObject({ hasNext: false, nextCursor: null, total: 3 });
+  });
+});
@@ -0,0 +1,138 @@
+// Contas com 3+ seguidores são lidas na hora (fan-out-on-read)
+process.env.TIMELINE_FANOUT_MAX_FOLLOWERS = '3';
+
+const request = require('supertest');
+const User = require('../src/models/User');
+const Post = require('../src/models/Post');
+const Like = require('../src/models/Like');
+const TimelineEntry = require('../src/models/TimelineEntry');
+const TokenBlacklist = require('../src/models/TokenBlackList');
+const postRoutes = require('../src/routes/posts');
+const { createApp, authHeader } = require('./helpers/app');
+const { useDocs } = require('./helpers/memoryDb');
+const { makeUser, makePost, follow, timelineFor } = require('./helpers/factories');
+
+// ========================================
+// 🧪 GET /api/posts/feed/following
+// ========================================
+
+const app = createApp({ '/api/posts': postRoutes });
+
+const idsOf = (posts) => posts.map(post => post._id.toString());
+
+describe('GET /api/posts/feed/following', () => {
+  let viewer;
+  let friend;
+  let mega;
+  let expected;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    viewer = makeUser({ name: 'Leitor' });
+    friend = makeUser({ name: 'Amigo' });
+    const blocked = makeUser({ name: 'Bloqueado' });
+    const muted = makeUser({ name: 'Silenciado' });
+    const suspended = makeUser({ name: 'Suspenso' });
+    const stranger = makeUser({ name: 'Desconhecido' });
+    mega = makeUser({ name: 'Contão', userType: 'artist' });
+
+    [friend, blocked, muted, suspended, mega].forEach(user => follow(viewer, user));
+    [makeUser(), makeUser()].forEach(fan => follow(fan, mega));
+    viewer.blockedUsers.push(blocked._id);
+    viewer.mutedUsers.push(muted._id);
+
+    const own = makePost(viewer, { minutesAgo: 1 });
+    const friendPosts = [2, 4, 6].map(minutesAgo => makePost(friend, { minutesAgo }));
+    const megaPosts = [3, 5].map(minutesAgo => makePost(mega, { minutesAgo }));
+    const hiddenPosts = [
+      makePost(blocked, { minutesAgo: 2 }),
+      makePost(muted, { minutesAgo: 3 }),
+      makePost(suspended, { minutesAgo: 4, authorSuspended: true })
+    ];
+    const strangerPost = makePost(stranger, { minutesAgo: 1 });
+
+    // Entrada antiga de um post do Contão (de antes de virar conta grande)
+    const entries = timelineFor(viewer, [own, ...friendPosts, ...hiddenPosts, megaPosts[0]]);
+
+    useDocs(User, [viewer, friend, blocked, muted, suspended, stranger, mega]);
+    useDocs(Post, [own, ...friendPosts, ...megaPosts, ...hiddenPosts, strangerPost]);
+    useDocs(TimelineEntry, entries);
+    useDocs(Like, []);
+    useDocs(TokenBlacklist, []);
+
+    expected = [own, friendPosts[0], megaPosts[0], friendPosts[1], megaPosts[1], friendPosts[2]]
+      .map(post => post._id.toString());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('exige autenticação', async () => {
+    const res = await request(app).get('/api/posts/feed/following');
+    expect(res.status).toBe(401);
+  });
+
+  it('mescla timeline e contas grandes, do mais novo para o mais antigo', async () => {
+    const res = await request(app)
+      .get('/api/posts/feed/following')
+      .set('Authorization', authHeader(viewer));
+
+    expect(res.status).toBe(200);
+    expect(idsOf(res.body.posts)).toEqual(expected);
+    expect(res.body.meta).toMatchObject({ feedType: 'following', readTimeAccounts: 1 });
+    expect(res.body.pagination).toMatchObject({ hasNext: false, nextCursor: null });
+  });
+
+  it('não repete posts de conta grande que também estão na timeline', async () => {
+    const res = await request(app)
+      .get('/api/posts/feed/following')
+      .set('Authorization', authHeader(viewer));
+
+    const ids = idsOf(res.body.posts);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('esconde bloqueados, silenciados, autores suspensos e quem não é seguido', async () => {
+    const res = await request(app)
+      .get('/api/posts/feed/following')
+      .set('Authorization', authHeader(viewer));
+
+    const authors = new Set(res.body.posts.map(post => post.author.name));
+    expect([...authors].sort()).toEqual(['Amigo', 'Contão', 'Leitor']);
+  });
+
+  it('percorre o feed por cursor sem repetir nem pular posts', async () => {
+    const seen = [];
+    let cursor = null;
+    let pages = 0;
+
+    do {
+      const res = await request(app)
+        .get('/api/posts/feed/following')
+        .query(cursor ? { limit: 2, cursor } : { limit: 2 })
+        .set('Authorization', authHeader(viewer));
+
+      expect(res.status).toBe(200);
+      expect(res.body.posts.length).toBeLessThanOrEqual(2);
+      seen.push(...idsOf(res.body.posts));
+      cursor = res.body.pagination.nextCursor;
+      pages += 1;
+    } while (cursor && pages < 10);
+
+    // Páginas podem vir com menos itens (posts ocultos saem depois do corte)
+    expect(cursor).toBeNull();
+    expect(seen).toEqual(expected);
+  });
+
+  it('rejeita cursor inválido', async () => {
+    const res = await request(app)
+      .get('/api/posts/feed/following')
+      .query({ cursor: 'nao-e-um-cursor' })
+      .set('Authorization', authHeader(viewer));
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_CURSOR');
+  });
+});
@@ -0,0 +1,104 @@
+const request = require('supertest');
+const User = require('../src/models/User');
+const Post = require('../src/models/Post');
+const Comment = require('../src/models/Comment');
+const Like = require('../src/models/Like');
+const TokenBlacklist = require('../src/models/TokenBlackList');
+const userRoutes = require('../src/routes/users');
+const postRoutes = require('../src/routes/posts');
+const { createApp, authHeader } = require('./helpers/app');
+const { useDocs } = require('./helpers/memoryDb');
+const { makeUser, makePost } = require('./helpers/factories');
+
+// ========================================
+// 🧪 Autores suspensos ou banidos
+// ========================================
+
+const app = createApp({
+  '/api/users': userRoutes,
+  '/api/posts': postRoutes
+});
+
+describe('Posts de autores suspensos ou banidos', () => {
+  let viewer;
+  let banned;
+  let suspendedPost;
+
+  beforeEach(() => {
+    viewer = makeUser({ name: 'Leitor' });
+    banned = makeUser({ name: 'Banido', accountStatus: 'banned' });
+
+    // Moderação marca os posts do autor restrito com authorSuspended
+    suspendedPost = makePost(banned, { authorSuspended: true, commentsCount: 1 });
+    const comment = new Comment({ post: suspendedPost._id, user: viewer, content: 'Comentário' });
+
+    useDocs(User, [viewer, banned]);
+    useDocs(Post, [suspendedPost]);
+    useDocs(Comment, [comment]);
+    useDocs(Like, []);
+    useDocs(TokenBlacklist, []);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('GET /api/posts/:id retorna 404', async () => {
+    const res = await request(app)
+      .get(`/api/posts/${suspendedPost._id}`)
+      .set('Authorization', authHeader(viewer));
+
+    expect(res.status).toBe(404);
+  });
+
+  it('GET /api/posts/:id/comments retorna 404', async () => {
+    const res = await request(app).get(`/api/posts/${suspendedPost._id}/comments`);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('curtir retorna 404', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${suspendedPost._id}/like`)
+      .set('Authorization', authHeader(viewer));
+
+    expect(res.status).toBe(404);
+  });
+
+  it('GET /api/users/:id/posts de conta banida retorna 404', async () => {
+    const res = await request(app)
+      .get(`/api/users/${banned._id}/posts`)
+      .set('Authorization', authHeader(viewer));
+
+    expect(res.status).toBe(404);
+  });
+
+  it('GET /api/users/:id/posts omite posts ainda marcados após a suspensão', async () => {
+    const author = makeUser({ name: 'Ex-suspenso' });
+    const visible = makePost(author, { minutesAgo: 1 });
+    const flagged = makePost(author, { minutesAgo: 2, authorSuspended: true });
+    useDocs(User, [viewer, banned, author]);
+    useDocs(Post, [visible, flagged]);
+
+    const res = await request(app)
+      .get(`/api/users/${author._id}/posts`)
+      .set('Authorization', authHeader(viewer));
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts.map(post => post._id)).toEqual([visible._id.toString()]);
+  });
+
+  it('o post continua visível sem a marcação', async () => {
+    const author = makeUser({ name: 'Ativo' });
+    const post = makePost(author);
+    useDocs(User, [viewer, author]);
+    useDocs(Post, [post]);
+
+    const res = await request(app)
+      .get(`/api/posts/${post._id}`)
+      .set('Authorization', authHeader(viewer));
+
+    expect(res.status).toBe(200);
+    expect(res.body.post._id).toBe(post._id.toString());
+  });
+});
@@ -0,0 +1,57 @@
+// ========================================
+// 🛡️ RockRider - Conceder papel via linha de comando
+// ========================================
+//
+// Usado para criar o primeiro administrador, já que as rotas de admin
+// exigem a permissão roles:manage.
+//
+// Uso: npm run grant-role -- <email> <user|moderator|admin>
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const AuditLog = require('../src/models/AuditLog');
+const { ROLES } = require('../src/config/permissions');
+
+const [email, role] = process.argv.slice(2);
+
+const run = async () => {
+  if (!email || !Object.values(ROLES).includes(role)) {
+    console.error(`❌ Uso: npm run grant-role -- <email> <${Object.values(ROLES).join('|')}>`);
+    process.exit(1);
+  }
+
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/rockrider';
+  await mongoose.connect(mongoUri);
+
+  try {
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user) {
+      console.error(`❌ Usuário não encontrado: ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+
+    await AuditLog.record(null, {
+      action: 'role.change',
+      targetType: 'user',
+      targetId: user._id,
+      before: { role: previousRole },
+      after: { role },
+      reason: 'Concedido via linha de comando'
+    });
+
+    console.log(`✅ ${user.name} (${user.email}): ${previousRole} -> ${role}`);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run().catch(error => {
+  console.error('❌ Erro ao conceder papel:', error.message);
+  process.exit(1);
+});
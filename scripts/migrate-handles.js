@@ -0,0 +1,67 @@
+// ========================================
+// 🏷️ RockRider - Gerar @handles para contas antigas
+// ========================================
+//
+// Contas criadas antes dos handles recebem um gerado a partir do nome
+// artístico ou do nome (o primeiro livre entre as sugestões). Quem já tem
+// handle não é alterado. O intervalo entre trocas não é afetado: o usuário
+// pode escolher outro handle logo em seguida.
+//
+// Pode ser executado mais de uma vez.
+//
+// Uso: npm run migrate:handles
+
+require('dotenv').config();
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const HandleRedirect = require('../src/models/HandleRedirect');
+const { suggestHandles } = require('../src/utils/handleService');
+
+const assignHandle = async (user) => {
+  const [suggested] = await suggestHandles([user.artistName, user.name], user._id);
+  const handle = suggested || `user_${crypto.randomBytes(4).toString('hex')}`;
+
+  // updateOne direto: não dispara os hooks de save (senha etc.)
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, handle: { $exists: false } },
+    { $set: { handle } }
+  );
+  return modifiedCount > 0;
+};
+
+const run = async () => {
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/rockrider';
+  await mongoose.connect(mongoUri);
+
+  try {
+    // Índice único antes de gerar (evita handles duplicados)
+    await Promise.all([User.init(), HandleRedirect.init()]);
+
+    const cursor = User.find({ handle: { $exists: false } }).select('name artistName').cursor();
+    let assigned = 0;
+
+    for await (const user of cursor) {
+      try {
+        if (await assignHandle(user)) assigned += 1;
+      } catch (error) {
+        // Sugestão tomada por outra conta no meio do caminho: tentar de novo
+        if (error.code !== 11000) throw error;
+        if (await assignHandle(user)) assigned += 1;
+      }
+
+      if (assigned > 0 && assigned % 500 === 0) {
+        console.log(`⏳ ${assigned} handles gerados...`);
+      }
+    }
+
+    console.log(`✅ ${assigned} handles gerados`);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run().catch(error => {
+  console.error('❌ Erro ao gerar handles:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,103 @@
+// ========================================
+// 🚚 RockRider - Migrar curtidas e comentários para coleções próprias
+// ========================================
+//
+// Move Post.likes (array de IDs) e Post.comments (subdocumentos) para as
+// coleções Like e Comment, preenche Post.likesCount/commentsCount e remove
+// os arrays antigos. Comentários mantêm o mesmo _id (denúncias continuam
+// apontando para eles).
+//
+// Pode ser executado mais de uma vez: registros já migrados são ignorados.
+//
+// Uso: npm run migrate:interactions
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('../src/models/Post');
+const Like = require('../src/models/Like');
+const Comment = require('../src/models/Comment');
+
+const migratePost = async (post) => {
+  const likes = Array.isArray(post.likes) ? post.likes : [];
+  const comments = Array.isArray(post.comments) ? post.comments : [];
+
+  // A data de cada curtida não existia: usar a data do post
+  if (likes.length > 0) {
+    await Like.collection.bulkWrite(likes.map(userId => ({
+      updateOne: {
+        filter: { post: post._id, user: userId },
+        update: { $setOnInsert: { createdAt: post.createdAt || new Date() } },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+
+  if (comments.length > 0) {
+    await Comment.collection.bulkWrite(comments.map(comment => ({
+      updateOne: {
+        filter: { _id: comment._id },
+        update: {
+          $setOnInsert: {
+            post: post._id,
+            user: comment.user,
+            text: comment.text,
+            createdAt: comment.createdAt || post.createdAt || new Date(),
+            updatedAt: comment.createdAt || post.createdAt || new Date()
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+
+  // Contadores a partir das coleções (corrige execuções interrompidas)
+  const [likesCount, commentsCount] = await Promise.all([
+    Like.countDocuments({ post: post._id }),
+    Comment.countDocuments({ post: post._id })
+  ]);
+
+  await Post.collection.updateOne(
+    { _id: post._id },
+    { $set: { likesCount, commentsCount }, $unset: { likes: '', comments: '' } }
+  );
+
+  return { likes: likes.length, comments: comments.length };
+};
+
+const run = async () => {
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/rockrider';
+  await mongoose.connect(mongoUri);
+
+  try {
+    // Garantir o índice único antes de migrar (evita curtidas duplicadas)
+    await Promise.all([Like.init(), Comment.init()]);
+
+    // Leitura direta da coleção: os campos antigos não existem mais no schema
+    const cursor = Post.collection.find(
+      { $or: [{ likes: { $exists: true } }, { comments: { $exists: true } }] },
+      { projection: { likes: 1, comments: 1, createdAt: 1 } }
+    );
+
+    const totals = { posts: 0, likes: 0, comments: 0 };
+
+    for await (const post of cursor) {
+      const migrated = await migratePost(post);
+      totals.posts += 1;
+      totals.likes += migrated.likes;
+      totals.comments += migrated.comments;
+
+      if (totals.posts % 500 === 0) {
+        console.log(`⏳ ${totals.posts} posts migrados...`);
+      }
+    }
+
+    console.log(`✅ Migração concluída: ${totals.posts} posts, ${totals.likes} curtidas, ${totals.comments} comentários`);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run().catch(error => {
+  console.error('❌ Erro na migração de curtidas e comentários:', error.message);
+  process.exit(1);
+});
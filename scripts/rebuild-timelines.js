@@ -0,0 +1,57 @@
+// ========================================
+// 📰 RockRider - Reconstruir timelines do feed "Following"
+// ========================================
+//
+// Recria as timelines pré-calculadas a partir dos posts e follows atuais.
+// Usar na primeira implantação das timelines ou após mudar
+// TIMELINE_FANOUT_MAX_FOLLOWERS.
+//
+// Uso: npm run rebuild-timelines             (todos os usuários ativos)
+//      npm run rebuild-timelines -- <email>  (apenas um usuário)
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const TimelineEntry = require('../src/models/TimelineEntry');
+const { rebuildTimeline } = require('../src/utils/timelineService');
+
+const [email] = process.argv.slice(2);
+
+const run = async () => {
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/rockrider';
+  await mongoose.connect(mongoUri);
+
+  try {
+    await TimelineEntry.init();
+
+    const filter = email ? { email: email.toLowerCase() } : { isActive: true };
+    const cursor = User.find(filter).select('name email following').cursor();
+
+    let users = 0;
+    let entries = 0;
+
+    for await (const user of cursor) {
+      entries += await rebuildTimeline(user);
+      users += 1;
+
+      if (users % 100 === 0) {
+        console.log(`⏳ ${users} timelines reconstruídas...`);
+      }
+    }
+
+    if (email && users === 0) {
+      console.error(`❌ Usuário não encontrado: ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`✅ ${users} timelines reconstruídas (${entries} entradas)`);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run().catch(error => {
+  console.error('❌ Erro ao reconstruir timelines:', error.message);
+  process.exit(1);
+});
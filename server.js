@@ -1,4 +1,5 @@
 const express = require('express');
+const path = require('path');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -15,6 +16,11 @@ const {
   timestampMiddleware,
   performanceLogMiddleware
 } = require('./src/middleware/audit');
+const { initSocket, closeSocket } = require('./src/utils/socketService');
+const { startSuspensionSweep, stopSuspensionSweep } = require('./src/utils/accountStatusService');
+const { startEmailWorker, stopEmailWorker } = require('./src/utils/emailQueue');
+const { getEmailTransport } = require('./src/utils/emailTransports');
+const localMediaStorage = require('./src/utils/storage/localStorage');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -28,6 +34,7 @@ console.log('⚙️ Porta:', PORT);
 console.log('🔑 JWT_SECRET:', process.env.JWT_SECRET ? 'Configurado ✅' : 'Usando padrão ⚠️');
 console.log('🗄️ MongoDB URI:', process.env.MONGODB_URI || 'mongodb://localhost:27017/rockrider');
 console.log('📧 Email configurado:', process.env.EMAIL_USER ? 'Sim ✅' : 'Não ⚠️');
+console.log('📮 Transporte de email:', getEmailTransport().name);
 console.log('🎸 ================================\n');
 
 // ========================================
@@ -61,6 +68,8 @@ console.log('✅ Middlewares de segurança configurados');
 // 🚦 RATE LIMITING
 // ========================================
 
+const STREAM_PATH = /^\/api\/tracks\/[a-f\d]{24}\/stream(\?|$)/i;
+
 // Rate limiting global - mais permissivo em desenvolvimento
 const globalLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutos
@@ -78,6 +87,24 @@ const globalLimiter = rateLimit({
       retryAfter: 15 * 60
     });
   },
+  // Players fazem várias requisições Range por faixa - limite próprio abaixo
+  skip: (req) => STREAM_PATH.test(req.originalUrl),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limiting do streaming de áudio (requisições Range ao avançar/retroceder)
+const streamLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: process.env.NODE_ENV === 'production' ? 600 : 3000,
+  handler: (req, res) => {
+    console.log('🚫 Rate limit de streaming atingido para IP:', req.ip);
+    res.status(429).json({
+      error: 'Muitas tentativas',
+      message: 'Tente novamente em 15 minutos',
+      retryAfter: 15 * 60
+    });
+  },
   standardHeaders: true,
   legacyHeaders: false,
 });
@@ -106,9 +133,12 @@ const authLimiter = rateLimit({
 });
 
 app.use('/api/', globalLimiter);
+app.use('/api/tracks/:id/stream', streamLimiter);
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
 app.use('/api/auth/forgot-password', authLimiter);
+app.use('/api/auth/appeal', authLimiter);
+app.use('/api/auth/resend-verification', authLimiter);
 console.log('✅ Rate limiting configurado');
 
 // ========================================
@@ -171,7 +201,7 @@ if (process.env.NODE_ENV !== 'production') {
     if (req.body && Object.keys(req.body).length > 0) {
       // Sanitizar dados sensíveis nos logs
       const sanitizedBody = { ...req.body };
-      const sensitiveFields = ['password', 'newPassword', 'currentPassword'];
+      const sensitiveFields = ['password', 'newPassword', 'currentPassword', 'refreshToken'];
       sensitiveFields.forEach(field => {
         if (sanitizedBody[field]) {
           sanitizedBody[field] = '[HIDDEN]';
@@ -214,6 +244,9 @@ if (process.env.NODE_ENV !== 'production') {
           if (preview.token) {
             preview.token = '[TOKEN_HIDDEN]';
           }
+          if (preview.refreshToken) {
+            preview.refreshToken = '[TOKEN_HIDDEN]';
+          }
           console.log('📊 Preview:', JSON.stringify(preview, null, 2));
         }
       }
@@ -297,6 +330,12 @@ const connectDB = async () => {
       console.log('⚠️ Não foi possível contar documentos:', modelError.message);
     }
     
+    // Reativar suspensões vencidas periodicamente
+    startSuspensionSweep();
+    
+    // Enviar emails pendentes da fila
+    startEmailWorker();
+    
   } catch (error) {
     console.error('\n❌ ================================');
     console.error('💥 ERRO ao conectar MongoDB:');
@@ -338,7 +377,7 @@ mongoose.connection.on('reconnected', () => {
 // 📂 ROTAS
 // ========================================
 
-let authRoutes, userRoutes, postRoutes, eventRoutes;
+let authRoutes, userRoutes, postRoutes, eventRoutes, notificationRoutes, adminRoutes, reportRoutes, moderationRoutes, mediaRoutes, trackRoutes, playlistRoutes, conversationRoutes;
 
 try {
   console.log('📂 Carregando rotas...');
@@ -355,6 +394,30 @@ try {
   eventRoutes = require('./src/routes/events');
   console.log('✅ Rotas de events carregadas');
   
+  notificationRoutes = require('./src/routes/notifications');
+  console.log('✅ Rotas de notifications carregadas');
+  
+  adminRoutes = require('./src/routes/admin');
+  console.log('✅ Rotas de admin carregadas');
+  
+  reportRoutes = require('./src/routes/reports');
+  console.log('✅ Rotas de reports carregadas');
+  
+  moderationRoutes = require('./src/routes/moderation');
+  console.log('✅ Rotas de moderation carregadas');
+  
+  mediaRoutes = require('./src/routes/media');
+  console.log('✅ Rotas de media carregadas');
+  
+  trackRoutes = require('./src/routes/tracks');
+  console.log('✅ Rotas de tracks carregadas');
+  
+  playlistRoutes = require('./src/routes/playlists');
+  console.log('✅ Rotas de playlists carregadas');
+  
+  conversationRoutes = require('./src/routes/conversations');
+  console.log('✅ Rotas de conversations carregadas');
+  
 } catch (error) {
   console.error('\n❌ ================================');
   console.error('💥 ERRO ao carregar rotas:');
@@ -370,12 +433,47 @@ try {
 app.use('/api/posts', userRateLimitMiddleware());
 app.use('/api/users', userRateLimitMiddleware());
 app.use('/api/events', userRateLimitMiddleware());
+app.use('/api/notifications', userRateLimitMiddleware());
+app.use('/api/admin', userRateLimitMiddleware());
+app.use('/api/reports', userRateLimitMiddleware());
+app.use('/api/moderation', userRateLimitMiddleware());
+app.use('/api/media', userRateLimitMiddleware());
+app.use('/api/tracks', userRateLimitMiddleware());
+app.use('/api/playlists', userRateLimitMiddleware());
+app.use('/api/conversations', userRateLimitMiddleware());
 
 // Registrar rotas
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/posts', postRoutes);
 app.use('/api/events', eventRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/tracks', trackRoutes);
+app.use('/api/playlists', playlistRoutes);
+app.use('/api/conversations', conversationRoutes);
+
+// Imagens do driver de armazenamento local (MEDIA_STORAGE_DRIVER=local)
+// Áudio não é servido aqui: só sai por GET /api/tracks/:id/stream
+app.use('/uploads/images', (req, res, next) => {
+  // Permitir exibir as imagens em outras origens (helmet usa same-origin)
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.set('X-Content-Type-Options', 'nosniff');
+  next();
+}, express.static(path.join(localMediaStorage.rootDir(), 'images'), {
+  index: false,
+  dotfiles: 'deny',
+  maxAge: '30d',
+  immutable: true
+}));
+
+// Caixa de emails capturados (EMAIL_TRANSPORT=memory|file) - só com DEV_MAILBOX=1
+if (process.env.NODE_ENV !== 'production' && process.env.DEV_MAILBOX === '1') {
+  app.use('/api/dev/mailbox', require('./src/routes/devMailbox'));
+}
 
 console.log('✅ Todas as rotas registradas com sucesso');
 
@@ -437,15 +535,38 @@ app.get('/api/health', async (req, res) => {
       },
       auth: {
         jwtConfigured: !!process.env.JWT_SECRET,
-        tokenExpiry: '7 days',
+        tokenExpiry: process.env.JWT_EXPIRES_IN || '15m',
+        refreshTokenRotation: true,
+        tokenBlacklist: true,
         rateLimitingActive: true
       },
       features: {
         emailService: !!process.env.EMAIL_USER,
+        emailTransport: getEmailTransport().name,
         passwordReset: true,
         userRegistration: true,
         postManagement: true,
-        eventManagement: true
+        eventManagement: true,
+        notifications: true,
+        realtime: true,
+        rbac: true,
+        moderation: true,
+        accountSuspension: true,
+        emailVerification: true,
+        emailOutbox: true,
+        mediaUploads: true,
+        audioTracks: true,
+        audioStreaming: true,
+        playlists: true,
+        directMessages: true,
+        blockAndMute: true,
+        privateAccounts: true,
+        paginatedComments: true,
+        rankedForYou: true,
+        precomputedTimelines: true,
+        reposts: true,
+        mentions: true,
+        handles: true
       },
       version: '1.0.0'
     };
@@ -473,6 +594,7 @@ if (process.env.NODE_ENV !== 'production') {
     try {
       const User = require('./src/models/User');
       const Post = require('./src/models/Post');
+      const TokenBlacklist = require('./src/models/TokenBlackList');
       
       const userStats = await User.aggregate([
         { $group: { _id: '$userType', count: { $sum: 1 } } }
@@ -482,9 +604,12 @@ if (process.env.NODE_ENV !== 'production') {
         { $group: { _id: '$type', count: { $sum: 1 } } }
       ]);
       
+      const tokenBlacklistStats = await TokenBlacklist.getStats();
+      
       res.json({
         users: userStats,
         posts: postStats,
+        tokenBlacklist: tokenBlacklistStats,
         timestamp: new Date().toISOString()
       });
       
@@ -513,7 +638,8 @@ app.use('*', (req, res) => {
       'GET /api/posts/feed',
       'POST /api/posts',
       'GET /api/users/search',
-      'GET /api/events'
+      'GET /api/events',
+      'GET /api/notifications'
     ]
   });
 });
@@ -631,9 +757,16 @@ const server = app.listen(PORT, () => {
   console.log('   • Rate limiting inteligente');
   console.log('   • Auditoria de segurança');
   console.log('   • Logs detalhados de performance');
-  console.log('   • Middleware de detecção de atividade suspeita\n');
+  console.log('   • Middleware de detecção de atividade suspeita');
+  console.log('   • Push em tempo real via Socket.IO\n');
 });
 
+// ========================================
+// ⚡ SOCKET.IO
+// ========================================
+
+initSocket(server, allowedOrigins);
+
 // ========================================
 // 🛑 GRACEFUL SHUTDOWN
 // ========================================
@@ -641,6 +774,11 @@ const server = app.listen(PORT, () => {
 const gracefulShutdown = (signal) => {
   console.log(`\n🛑 ${signal} recebido. Iniciando shutdown gracioso...`);
   
+  // Conexões WebSocket abertas impedem o fechamento do servidor HTTP
+  closeSocket();
+  stopSuspensionSweep();
+  stopEmailWorker();
+  
   server.close(async (err) => {
     if (err) {
       console.error('❌ Erro ao fechar servidor HTTP:', err);
@@ -0,0 +1,54 @@
+// ========================================
+// 📧 RockRider - Política de verificação de email
+// ========================================
+//
+// Contas com email não verificado podem usar o app normalmente, exceto
+// pelas ações listadas em REQUIRED_FOR. A lista pode ser alterada com a
+// variável EMAIL_VERIFICATION_REQUIRED_FOR (separada por vírgula; vazia
+// desativa as restrições).
+
+const RESTRICTED_ACTIONS = {
+  EVENTS_CREATE: 'events:create',
+  POSTS_CREATE: 'posts:create',
+  COMMENTS_CREATE: 'comments:create',
+  USERS_FOLLOW: 'users:follow'
+};
+
+const DEFAULT_REQUIRED_FOR = [RESTRICTED_ACTIONS.EVENTS_CREATE];
+
+const parseRequiredFor = (value) => {
+  if (value === undefined) return DEFAULT_REQUIRED_FOR;
+
+  const validActions = Object.values(RESTRICTED_ACTIONS);
+  return value
+    .split(',')
+    .map(action => action.trim())
+    .filter(action => {
+      if (!action) return false;
+      if (!validActions.includes(action)) {
+        console.warn(`⚠️ Ação desconhecida em EMAIL_VERIFICATION_REQUIRED_FOR: ${action}`);
+        return false;
+      }
+      return true;
+    });
+};
+
+const EmailVerificationPolicy = {
+  // Validade do link de verificação
+  TOKEN_EXPIRES_HOURS: parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24,
+
+  // Intervalo mínimo entre reenvios para o mesmo usuário
+  RESEND_COOLDOWN_SECONDS: parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN) || 120,
+
+  // Ações bloqueadas até o email ser verificado
+  REQUIRED_FOR: parseRequiredFor(process.env.EMAIL_VERIFICATION_REQUIRED_FOR)
+};
+
+// Verificar se a ação exige email verificado
+const requiresVerifiedEmail = (action) => EmailVerificationPolicy.REQUIRED_FOR.includes(action);
+
+module.exports = {
+  RESTRICTED_ACTIONS,
+  EmailVerificationPolicy,
+  requiresVerifiedEmail
+};
@@ -0,0 +1,43 @@
+// ========================================
+// ✨ RockRider - Ranking do feed "For You"
+// ========================================
+//
+// Pontuação = soma ponderada de sinais entre 0 e 1. Os pesos e janelas podem
+// ser ajustados aqui sem mexer no algoritmo (src/utils/feedRanking.js).
+
+const FeedRanking = {
+  // Janela de candidatos e limite de posts avaliados por requisição
+  CANDIDATE_DAYS: parseInt(process.env.FEED_CANDIDATE_DAYS) || 21,
+  MAX_CANDIDATES: parseInt(process.env.FEED_MAX_CANDIDATES) || 500,
+
+  // Quantas interações recentes do usuário formam a afinidade com autores
+  AFFINITY_HISTORY: 200,
+
+  // Meia-vida da relevância de um post (horas)
+  RECENCY_HALF_LIFE_HOURS: 24,
+
+  // Interações por hora consideradas "em alta" (velocidade = 1)
+  TRENDING_VELOCITY: 5,
+
+  // Pesos de cada sinal
+  WEIGHTS: {
+    genre: 0.3,
+    affinity: 0.25,
+    velocity: 0.25,
+    recency: 0.2,
+    verified: 0.05
+  },
+
+  // Variação determinística pela semente (desempata sem embaralhar tudo)
+  SEED_JITTER: 0.02,
+
+  // Diversidade: o mesmo autor não se repete dentro desta distância e
+  // no máximo MAX_SAME_GENRE_STREAK posts seguidos do mesmo gênero
+  AUTHOR_SPACING: 4,
+  MAX_SAME_GENRE_STREAK: 3,
+
+  // Cursor mais velho que isso expira (o cliente recarrega o feed)
+  CURSOR_TTL_HOURS: 6
+};
+
+module.exports = { FeedRanking };
@@ -0,0 +1,40 @@
+// ========================================
+// 🏷️ RockRider - @handles e menções
+// ========================================
+//
+// Handle: identificador único do usuário (armazenado em minúsculas) usado em
+// menções (@handle), links de perfil e busca. Escolhido no cadastro e
+// alterável após um intervalo; o handle antigo continua redirecionando para o
+// dono por REDIRECT_DAYS (e fica reservado para ele nesse período).
+
+const Handles = {
+  // Letras sem acento, números e _ (3 a 30 caracteres)
+  PATTERN: /^[a-z0-9_]{3,30}$/,
+  MIN_LENGTH: 3,
+  MAX_LENGTH: 30,
+
+  // @handle dentro de um texto: não precedido por letra/número/_/@ (evita emails)
+  MENTION_REGEX: /(?<![\w@])@(\w{3,30})(?!\w)/g,
+
+  // Handles distintos considerados por texto (o resto vira texto comum)
+  MAX_MENTIONS_PER_TEXT: 10,
+
+  // Intervalo mínimo entre trocas de handle
+  CHANGE_COOLDOWN_DAYS: parseInt(process.env.HANDLE_CHANGE_COOLDOWN_DAYS) || 30,
+
+  // Por quanto tempo o handle antigo redireciona para o dono
+  REDIRECT_DAYS: parseInt(process.env.HANDLE_REDIRECT_DAYS) || 90,
+
+  // Sugestões devolvidas quando o handle desejado está em uso
+  SUGGESTIONS: 5,
+
+  // Não podem ser usados (rotas, marca e contas do sistema)
+  RESERVED: [
+    'admin', 'administrator', 'api', 'app', 'discover', 'feed',
+    'followers', 'following', 'help', 'me', 'moderation', 'moderator', 'null',
+    'posts', 'rockrider', 'root', 'search', 'settings', 'staff', 'support',
+    'system', 'tracks', 'undefined'
+  ]
+};
+
+module.exports = { Handles };
@@ -0,0 +1,67 @@
+// ========================================
+// 🖼️ RockRider - Configuração de mídia
+// ========================================
+//
+// O tipo do arquivo é identificado pelos bytes iniciais (não pelo nome ou
+// pelo Content-Type enviado pelo cliente). Cada tipo (kind) define os
+// formatos aceitos e o tamanho máximo.
+
+const megabytes = (value, fallback) => (parseFloat(value) || fallback) * 1024 * 1024;
+
+const MEDIA_KINDS = {
+  IMAGE: 'image',
+  AUDIO: 'audio'
+};
+
+const MediaLimits = {
+  [MEDIA_KINDS.IMAGE]: {
+    maxSize: megabytes(process.env.MEDIA_MAX_IMAGE_MB, 10),
+    // mimeType -> extensão salva
+    formats: {
+      'image/jpeg': 'jpg',
+      'image/png': 'png',
+      'image/gif': 'gif',
+      'image/webp': 'webp'
+    }
+  },
+  [MEDIA_KINDS.AUDIO]: {
+    maxSize: megabytes(process.env.MEDIA_MAX_AUDIO_MB, 50),
+    formats: {
+      'audio/mpeg': 'mp3',
+      'audio/mp4': 'm4a',
+      'audio/wav': 'wav',
+      'audio/flac': 'flac'
+    }
+  }
+};
+
+const MediaStorage = {
+  // local | cloudinary
+  DRIVER: (process.env.MEDIA_STORAGE_DRIVER || 'local').trim().toLowerCase(),
+
+  // Driver local: pasta dos arquivos e URL pública (imagens servidas em /uploads/images)
+  LOCAL_DIR: process.env.MEDIA_LOCAL_DIR || 'uploads',
+  PUBLIC_URL: process.env.MEDIA_PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}/uploads`,
+
+  // Driver Cloudinary: pasta raiz das mídias
+  CLOUDINARY_FOLDER: process.env.CLOUDINARY_FOLDER || 'rockrider'
+};
+
+const Streaming = {
+  // Duração do trecho liberado para não seguidores (quando o artista ativa a prévia)
+  PREVIEW_SECONDS: 30,
+
+  // Reproduções da mesma faixa na mesma sessão dentro desta janela contam uma vez
+  PLAY_DEDUPE_MINUTES: parseInt(process.env.PLAY_DEDUPE_MINUTES) || 30
+};
+
+// Maior limite entre todos os tipos (usado pelo multer antes de saber o tipo)
+const maxUploadSize = () => Math.max(...Object.values(MediaLimits).map(limit => limit.maxSize));
+
+module.exports = {
+  MEDIA_KINDS,
+  MediaLimits,
+  MediaStorage,
+  Streaming,
+  maxUploadSize
+};
@@ -2,12 +2,14 @@
 // 🔔 RockRider - Configuração de Notificações
 // ========================================
 
-export const NotificationConfig = {
+const NotificationConfig = {
   // Tipos de notificação disponíveis
   TYPES: {
     LIKE: 'like',
     COMMENT: 'comment',
     FOLLOW: 'follow',
+    FOLLOW_REQUEST: 'follow_request',
+    FOLLOW_ACCEPTED: 'follow_accepted',
     EVENT: 'event',
     MENTION: 'mention',
     SHARE: 'share',
@@ -66,11 +68,27 @@ export const NotificationConfig = {
       message: (fromUser) => `Agora você tem mais um seguidor!`
     },
     
+    [this?.TYPES?.FOLLOW_REQUEST || 'follow_request']: {
+      icon: 'person-add',
+      color: '#00D4AA',
+      sound: 'follow.mp3',
+      title: (fromUser) => `${fromUser.name} quer te seguir`,
+      message: (fromUser) => `Aprove ou recuse o pedido de ${fromUser.name}`
+    },
+    
+    [this?.TYPES?.FOLLOW_ACCEPTED || 'follow_accepted']: {
+      icon: 'checkmark-circle',
+      color: '#00D4AA',
+      sound: 'follow.mp3',
+      title: (fromUser) => `${fromUser.name} aceitou seu pedido`,
+      message: (fromUser) => `Agora você segue ${fromUser.name}`
+    },
+    
     [this?.TYPES?.EVENT || 'event']: {
       icon: 'calendar',
       color: '#FFD23F',
       sound: 'event.mp3',
-      title: (event) => `Evento: ${event.name}`,
+      title: (event) => `Evento: ${event.title || event.name}`,
       message: (event, type) => {
         const messages = {
           new: 'Novo evento próximo a você!',
@@ -87,7 +105,9 @@ export const NotificationConfig = {
       color: '#8B5CF6',
       sound: 'mention.mp3',
       title: (fromUser) => `${fromUser.name} te mencionou`,
-      message: (fromUser, post) => `${fromUser.name} te mencionou em um post`
+      message: (fromUser, post, comment) => comment
+        ? `${fromUser.name}: "${comment.substring(0, 50)}..."`
+        : `${fromUser.name} te mencionou em um post`
     },
     
     [this?.TYPES?.SHARE || 'share']: {
@@ -95,7 +115,9 @@ export const NotificationConfig = {
       color: '#F59E0B',
       sound: 'share.mp3',
       title: (fromUser) => `${fromUser.name} compartilhou seu post`,
-      message: (fromUser, post) => `Seu post foi compartilhado!`
+      message: (fromUser, post, quote) => quote
+        ? `${fromUser.name} citou: "${quote.substring(0, 50)}..."`
+        : `Seu post foi compartilhado!`
     },
     
     [this?.TYPES?.SYSTEM || 'system']: {
@@ -109,7 +131,7 @@ export const NotificationConfig = {
 };
 
 // Configurações de preferências do usuário
-export const NotificationPreferences = {
+const NotificationPreferences = {
   // Configurações padrão por tipo
   DEFAULT_SETTINGS: {
     likes: {
@@ -192,7 +214,7 @@ export const NotificationPreferences = {
 };
 
 // Configurações de entrega
-export const NotificationDelivery = {
+const NotificationDelivery = {
   // Configurações de retry
   RETRY: {
     maxAttempts: 3,
@@ -227,7 +249,7 @@ export const NotificationDelivery = {
 };
 
 // Configurações de analytics
-export const NotificationAnalytics = {
+const NotificationAnalytics = {
   // Métricas a serem coletadas
   METRICS: {
     DELIVERY_RATE: 'delivery_rate',
@@ -257,7 +279,7 @@ export const NotificationAnalytics = {
 };
 
 // Configurações de segurança
-export const NotificationSecurity = {
+const NotificationSecurity = {
   // Validação de dados
   VALIDATION: {
     maxTitleLength: 100,
@@ -293,7 +315,7 @@ export const NotificationSecurity = {
 };
 
 // Configurações de internacionalização
-export const NotificationI18n = {
+const NotificationI18n = {
   // Idiomas suportados
   SUPPORTED_LOCALES: ['pt-BR', 'en-US', 'es-ES'],
   
@@ -335,7 +357,7 @@ export const NotificationI18n = {
 };
 
 // Configurações de teste
-export const NotificationTesting = {
+const NotificationTesting = {
   // Configurações para ambiente de desenvolvimento
   DEV: {
     enabled: true,
@@ -373,7 +395,7 @@ export const NotificationTesting = {
 };
 
 // Export das configurações
-export default {
+module.exports = {
   NotificationConfig,
   NotificationPreferences,
   NotificationDelivery,
@@ -0,0 +1,54 @@
+// ========================================
+// 🛡️ RockRider - Papéis e Permissões
+// ========================================
+//
+// O papel (role) é independente do userType (artist/fan): um artista pode
+// ser moderador e um fã pode ser admin. Permissões extras podem ser
+// concedidas individualmente além das que o papel já inclui.
+
+const ROLES = {
+  USER: 'user',
+  MODERATOR: 'moderator',
+  ADMIN: 'admin'
+};
+
+const PERMISSIONS = {
+  POSTS_MODERATE: 'posts:moderate',
+  COMMENTS_MODERATE: 'comments:moderate',
+  EVENTS_MODERATE: 'events:moderate',
+  USERS_SUSPEND: 'users:suspend',
+  USERS_BAN: 'users:ban',
+  REPORTS_REVIEW: 'reports:review',
+  ROLES_MANAGE: 'roles:manage',
+  AUDIT_READ: 'audit:read',
+  STATS_READ: 'stats:read',
+  TEMPLATES_PREVIEW: 'templates:preview'
+};
+
+// Permissões incluídas em cada papel
+const ROLE_PERMISSIONS = {
+  [ROLES.USER]: [],
+
+  [ROLES.MODERATOR]: [
+    PERMISSIONS.POSTS_MODERATE,
+    PERMISSIONS.COMMENTS_MODERATE,
+    PERMISSIONS.EVENTS_MODERATE,
+    PERMISSIONS.USERS_SUSPEND,
+    PERMISSIONS.REPORTS_REVIEW
+  ],
+
+  [ROLES.ADMIN]: Object.values(PERMISSIONS)
+};
+
+// Permissões efetivas: as do papel + as concedidas individualmente
+const getEffectivePermissions = (role, extraPermissions = []) => {
+  const rolePermissions = ROLE_PERMISSIONS[role] || [];
+  return [...new Set([...rolePermissions, ...extraPermissions])];
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getEffectivePermissions
+};
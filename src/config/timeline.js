@@ -0,0 +1,26 @@
+// ========================================
+// 📰 RockRider - Timelines pré-calculadas (feed "Following")
+// ========================================
+//
+// Cada post novo é copiado (fan-out) para a timeline de cada seguidor. Contas
+// com muitos seguidores não fazem fan-out: os posts delas entram no feed na
+// leitura, mesclados com a timeline.
+
+const Timeline = {
+  // A partir desse número de seguidores o autor é lido na hora (fan-out-on-read)
+  FANOUT_MAX_FOLLOWERS: parseInt(process.env.TIMELINE_FANOUT_MAX_FOLLOWERS) || 5000,
+
+  // Entradas mais antigas que isso expiram (índice TTL)
+  RETENTION_DAYS: parseInt(process.env.TIMELINE_RETENTION_DAYS) || 60,
+
+  // Posts recentes copiados ao seguir alguém
+  BACKFILL_POSTS: 50,
+
+  // Limite de entradas ao reconstruir a timeline de um usuário
+  REBUILD_MAX_ENTRIES: 1000,
+
+  // Tamanho dos lotes de escrita no fan-out
+  WRITE_BATCH: 1000
+};
+
+module.exports = { Timeline };
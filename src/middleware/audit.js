@@ -28,7 +28,7 @@ const sanitizeBody = (body) => {
   const sanitized = { ...body };
   
   // Remover campos sensíveis
-  const sensitiveFields = ['password', 'newPassword', 'currentPassword', 'token'];
+  const sensitiveFields = ['password', 'newPassword', 'currentPassword', 'token', 'refreshToken'];
   sensitiveFields.forEach(field => {
     if (sanitized[field]) {
       sanitized[field] = '[HIDDEN]';
@@ -1,6 +1,151 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-// const TokenBlacklist = require('../models/TokenBlacklist'); // Implementação futura
+const TokenBlacklist = require('../models/TokenBlackList');
+const Session = require('../models/Session');
+const { ROLES, PERMISSIONS } = require('../config/permissions');
+const { requiresVerifiedEmail } = require('../config/emailVerification');
+
+// Validar token JWT e carregar o usuário dono do token.
+// Compartilhado entre o middleware HTTP e a autenticação do Socket.IO.
+// Retorna { decoded, user } ou { failure } com o corpo de erro a ser enviado.
+// Erros de JWT (malformado, expirado) são lançados para o chamador tratar.
+const verifyAuthToken = async (token, context = {}) => {
+  const ip = context.ip || 'desconhecido';
+
+  // Verificar e decodificar token
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'rockrider_secret_key');
+  
+  // Verificar se token não expirou
+  const currentTime = Math.floor(Date.now() / 1000);
+  if (decoded.exp && decoded.exp < currentTime) {
+    return {
+      failure: {
+        error: 'Token expirado',
+        message: 'Faça login novamente',
+        code: 'TOKEN_EXPIRED'
+      }
+    };
+  }
+
+  // Verificar se token foi revogado (logout). Consulta com cache LRU no model.
+  const isBlacklisted = await TokenBlacklist.isTokenBlacklisted(token);
+  if (isBlacklisted) {
+    console.warn(`🚫 Token blacklisted usado: ${token.substring(0, 20)}... - IP: ${ip}`);
+    return {
+      failure: {
+        error: 'Token inválido',
+        message: 'Token foi invalidado (logout realizado)',
+        code: 'TOKEN_BLACKLISTED'
+      }
+    };
+  }
+
+  // Verificar se a sessão do dispositivo não foi encerrada (tokens sem sid são anteriores às sessões)
+  if (decoded.sid) {
+    const isSessionActive = await Session.isSessionActive(decoded.sid);
+    if (!isSessionActive) {
+      console.warn(`🚫 Token de sessão encerrada: ${decoded.sid} - IP: ${ip}`);
+      return {
+        failure: {
+          error: 'Sessão encerrada',
+          message: 'Esta sessão foi encerrada. Faça login novamente.',
+          code: 'SESSION_REVOKED'
+        }
+      };
+    }
+    Session.touch(decoded.sid, ip);
+  }
+  
+  // Verificar se usuário ainda existe
+  const user = await User.findById(decoded.userId);
+  if (!user) {
+    console.warn(`⚠️ Token para usuário inexistente: ${decoded.userId} - IP: ${ip}`);
+    return {
+      failure: {
+        error: 'Token inválido',
+        message: 'Usuário não encontrado',
+        code: 'USER_NOT_FOUND'
+      }
+    };
+  }
+
+  // Verificar se usuário está ativo
+  if (!user.isActive) {
+    console.warn(`🚫 Token para usuário desativado: ${user.email} - IP: ${ip}`);
+    return {
+      failure: {
+        error: 'Conta desativada',
+        message: 'Sua conta foi desativada',
+        code: 'ACCOUNT_DISABLED'
+      }
+    };
+  }
+
+  // Verificar se usuário não está suspenso ou banido
+  if (user.isRestricted()) {
+    const isBanned = user.accountStatus === 'banned';
+    console.warn(`⛔ Token de conta ${isBanned ? 'banida' : 'suspensa'}: ${user.email} - IP: ${ip}`);
+    return {
+      failure: {
+        error: isBanned ? 'Conta banida' : 'Conta suspensa',
+        message: user.suspension?.reason || 'Sua conta está temporariamente restrita',
+        code: isBanned ? 'ACCOUNT_BANNED' : 'ACCOUNT_SUSPENDED',
+        restriction: user.getRestrictionInfo()
+      }
+    };
+  }
+
+  // Verificar se a senha foi alterada após emissão do token
+  if (user.lastPasswordReset && decoded.iat) {
+    const passwordResetTime = Math.floor(user.lastPasswordReset.getTime() / 1000);
+    if (passwordResetTime > decoded.iat) {
+      console.warn(`🔐 Token inválido após troca de senha: ${user.email} - IP: ${ip}`);
+      return {
+        failure: {
+          error: 'Token inválido',
+          message: 'Faça login novamente após alteração de senha',
+          code: 'PASSWORD_CHANGED'
+        }
+      };
+    }
+  }
+
+  return { decoded, user };
+};
+
+// Traduzir erros lançados pelo jsonwebtoken para o corpo de resposta da API
+const describeAuthError = (error, context = {}) => {
+  if (error.name === 'JsonWebTokenError') {
+    console.warn(`🚫 Token malformado - IP: ${context.ip} - Token: ${context.token?.substring(0, 30)}...`);
+    return {
+      error: 'Token inválido',
+      message: 'Token malformado ou inválido',
+      code: 'INVALID_TOKEN'
+    };
+  }
+
+  if (error.name === 'TokenExpiredError') {
+    console.log(`⏰ Token expirado - IP: ${context.ip}`);
+    return {
+      error: 'Token expirado',
+      message: 'Faça login novamente',
+      code: 'TOKEN_EXPIRED'
+    };
+  }
+
+  if (error.name === 'NotBeforeError') {
+    return {
+      error: 'Token ainda não válido',
+      message: 'Token não pode ser usado ainda',
+      code: 'TOKEN_NOT_ACTIVE'
+    };
+  }
+
+  return {
+    error: 'Erro de autenticação',
+    code: 'AUTH_ERROR'
+  };
+};
 
 const auth = async (req, res, next) => {
   try {
@@ -28,68 +173,16 @@ const auth = async (req, res, next) => {
       });
     }
 
-    // TODO: Verificar se token está na blacklist (implementação futura)
-    // const isBlacklisted = await TokenBlacklist.findOne({ token });
-    // if (isBlacklisted) {
-    //   console.warn(`🚫 Token blacklisted usado: ${token.substring(0, 20)}... - IP: ${req.ip}`);
-    //   return res.status(401).json({
-    //     error: 'Token inválido',
-    //     message: 'Token foi invalidado (logout realizado)',
-    //     code: 'TOKEN_BLACKLISTED'
-    //   });
-    // }
-
-    // Verificar e decodificar token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'rockrider_secret_key');
-    
-    // Verificar se token não expirou
-    const currentTime = Math.floor(Date.now() / 1000);
-    if (decoded.exp && decoded.exp < currentTime) {
-      return res.status(401).json({
-        error: 'Token expirado',
-        message: 'Faça login novamente',
-        code: 'TOKEN_EXPIRED'
-      });
-    }
-    
-    // Verificar se usuário ainda existe
-    const user = await User.findById(decoded.userId);
-    if (!user) {
-      console.warn(`⚠️ Token para usuário inexistente: ${decoded.userId} - IP: ${req.ip}`);
-      return res.status(401).json({
-        error: 'Token inválido',
-        message: 'Usuário não encontrado',
-        code: 'USER_NOT_FOUND'
-      });
-    }
-
-    // Verificar se usuário está ativo
-    if (!user.isActive) {
-      console.warn(`🚫 Token para usuário desativado: ${user.email} - IP: ${req.ip}`);
-      return res.status(401).json({
-        error: 'Conta desativada',
-        message: 'Sua conta foi desativada',
-        code: 'ACCOUNT_DISABLED'
-      });
-    }
-
-    // Verificar se a senha foi alterada após emissão do token
-    if (user.lastPasswordReset && decoded.iat) {
-      const passwordResetTime = Math.floor(user.lastPasswordReset.getTime() / 1000);
-      if (passwordResetTime > decoded.iat) {
-        console.warn(`🔐 Token inválido após troca de senha: ${user.email} - IP: ${req.ip}`);
-        return res.status(401).json({
-          error: 'Token inválido',
-          message: 'Faça login novamente após alteração de senha',
-          code: 'PASSWORD_CHANGED'
-        });
-      }
+    const { decoded, user, failure } = await verifyAuthToken(token, { ip: req.ip });
+    if (failure) {
+      // Conta restrita: o token é válido, mas o acesso é negado
+      return res.status(failure.restriction ? 403 : 401).json(failure);
     }
 
     // Adicionar dados do usuário ao request
     req.user = decoded;
     req.currentUser = user;
-    req.authToken = token; // Para invalidação futura
+    req.authToken = token; // Para invalidação no logout
     req.authTime = new Date(); // Timestamp da autenticação
     
     // Log de acesso (apenas em desenvolvimento ou para ações importantes)
@@ -101,34 +194,10 @@ const auth = async (req, res, next) => {
   } catch (error) {
     console.error('❌ Erro na autenticação:', error);
     
-    let errorResponse = {
-      error: 'Erro de autenticação',
-      code: 'AUTH_ERROR'
-    };
-    
-    if (error.name === 'JsonWebTokenError') {
-      console.warn(`🚫 Token malformado - IP: ${req.ip} - Token: ${req.header('Authorization')?.substring(0, 30)}...`);
-      errorResponse = {
-        error: 'Token inválido',
-        message: 'Token malformado ou inválido',
-        code: 'INVALID_TOKEN'
-      };
-    } else if (error.name === 'TokenExpiredError') {
-      console.log(`⏰ Token expirado - IP: ${req.ip}`);
-      errorResponse = {
-        error: 'Token expirado',
-        message: 'Faça login novamente',
-        code: 'TOKEN_EXPIRED'
-      };
-    } else if (error.name === 'NotBeforeError') {
-      errorResponse = {
-        error: 'Token ainda não válido',
-        message: 'Token não pode ser usado ainda',
-        code: 'TOKEN_NOT_ACTIVE'
-      };
-    }
-    
-    res.status(401).json(errorResponse);
+    res.status(401).json(describeAuthError(error, {
+      ip: req.ip,
+      token: req.header('Authorization')
+    }));
   }
 };
 
@@ -181,29 +250,12 @@ const optionalAuth = async (req, res, next) => {
       return next();
     }
 
-    // TODO: Verificar blacklist aqui também
-    // const isBlacklisted = await TokenBlacklist.findOne({ token });
-    // if (isBlacklisted) {
-    //   return next();
-    // }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'rockrider_secret_key');
-    const user = await User.findById(decoded.userId);
+    const { decoded, user, failure } = await verifyAuthToken(token, { ip: req.ip });
     
-    if (user && user.isActive) {
-      // Verificar se senha foi alterada
-      if (user.lastPasswordReset && decoded.iat) {
-        const passwordResetTime = Math.floor(user.lastPasswordReset.getTime() / 1000);
-        if (passwordResetTime <= decoded.iat) {
-          req.user = decoded;
-          req.currentUser = user;
-          req.authToken = token;
-        }
-      } else {
-        req.user = decoded;
-        req.currentUser = user;
-        req.authToken = token;
-      }
+    if (!failure) {
+      req.user = decoded;
+      req.currentUser = user;
+      req.authToken = token;
     }
     
     next();
@@ -231,10 +283,11 @@ const requireOwnerOrAdmin = (req, res, next) => {
     return next();
   }
   
-  // TODO: Verificar se é admin (implementação futura)
-  // if (req.currentUser?.role === 'admin') {
-  //   return next();
-  // }
+  // Admins podem acessar dados de qualquer usuário
+  if (req.currentUser?.role === ROLES.ADMIN) {
+    console.log(`🛡️ Acesso de admin a dados de outro usuário: ${currentUserId} -> ${targetUserId}`);
+    return next();
+  }
   
   console.warn(`⚠️ Acesso negado - usuário tentando acessar dados de outro: ${currentUserId} -> ${targetUserId}`);
   res.status(403).json({
@@ -244,13 +297,82 @@ const requireOwnerOrAdmin = (req, res, next) => {
   });
 };
 
-// Middleware para verificar permissões de moderação (futuro)
-const requireModerator = (req, res, next) => {
-  // TODO: Implementar sistema de moderação
-  res.status(501).json({
-    error: 'Funcionalidade não implementada',
-    message: 'Sistema de moderação em desenvolvimento'
-  });
+// Middleware para exigir permissões (todas as informadas)
+// Uso: router.post('/rota', auth, requirePermission(PERMISSIONS.POSTS_MODERATE), handler)
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.currentUser) {
+      return res.status(401).json({
+        error: 'Não autenticado',
+        code: 'NOT_AUTHENTICATED'
+      });
+    }
+
+    const missing = permissions.filter(permission => !req.currentUser.hasPermission(permission));
+    if (missing.length === 0) {
+      return next();
+    }
+
+    console.warn(`⚠️ Permissão negada: ${req.currentUser.name} (${req.currentUser.role}) - faltando ${missing.join(', ')} - ${req.originalUrl}`);
+    res.status(403).json({
+      error: 'Acesso negado',
+      message: 'Você não tem permissão para acessar este recurso',
+      code: 'PERMISSION_REQUIRED',
+      required: missing
+    });
+  };
+};
+
+// Middleware para exigir um dos papéis informados
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.currentUser) {
+      return res.status(401).json({
+        error: 'Não autenticado',
+        code: 'NOT_AUTHENTICATED'
+      });
+    }
+
+    if (roles.includes(req.currentUser.role)) {
+      return next();
+    }
+
+    console.warn(`⚠️ Papel insuficiente: ${req.currentUser.name} (${req.currentUser.role}) - ${req.originalUrl}`);
+    res.status(403).json({
+      error: 'Acesso negado',
+      message: 'Você não tem permissão para acessar este recurso',
+      code: 'ROLE_REQUIRED',
+      required: roles,
+      role: req.currentUser.role
+    });
+  };
+};
+
+// Middleware para verificar permissões de moderação
+const requireModerator = requirePermission(PERMISSIONS.REPORTS_REVIEW);
+
+// Middleware para bloquear ações que a política exige email verificado
+// Uso: router.post('/', auth, requireVerifiedEmail(RESTRICTED_ACTIONS.EVENTS_CREATE), handler)
+const requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    if (!req.currentUser) {
+      return res.status(401).json({
+        error: 'Não autenticado',
+        code: 'NOT_AUTHENTICATED'
+      });
+    }
+
+    if (req.currentUser.emailVerified || !requiresVerifiedEmail(action)) {
+      return next();
+    }
+
+    res.status(403).json({
+      error: 'Email não verificado',
+      message: 'Confirme seu email para realizar esta ação',
+      code: 'EMAIL_NOT_VERIFIED',
+      action
+    });
+  };
 };
 
 // Middleware para logging de tentativas de acesso suspeitas
@@ -279,10 +401,15 @@ const suspiciousActivityMiddleware = (req, res, next) => {
 
 module.exports = {
   auth,
+  verifyAuthToken,
+  describeAuthError,
   requireArtist,
   requireFan,
   optionalAuth,
   requireOwnerOrAdmin,
   requireModerator,
+  requirePermission,
+  requireRole,
+  requireVerifiedEmail,
   suspiciousActivityMiddleware
 };
\ No newline at end of file
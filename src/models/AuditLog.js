@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // Quem executou a ação (null = sistema/script)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  targetType: {
+    type: String,
+    enum: ['user', 'post', 'comment', 'event', 'report', 'system'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Estado antes/depois para alterações auditadas
+  changes: {
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Motivo deve ter no máximo 500 caracteres'],
+    default: ''
+  },
+  ip: {
+    type: String,
+    required: false
+  },
+  userAgent: {
+    type: String,
+    required: false
+  },
+  requestId: {
+    type: String,
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para consultas de auditoria
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Middleware para log quando uma ação é auditada
+auditLogSchema.post('save', function() {
+  console.log(`📊 Audit trail: ${this.action} - Actor: ${this.actor || 'system'} - ${this.targetType}:${this.targetId || '-'}`);
+});
+
+// Método estático para registrar ação a partir de uma requisição
+auditLogSchema.statics.record = function(req, { action, targetType, targetId = null, before = null, after = null, reason = '' }) {
+  return this.create({
+    actor: req?.user?.userId || null,
+    action,
+    targetType,
+    targetId,
+    changes: { before, after },
+    reason,
+    ip: req?.ip,
+    userAgent: req?.headers?.['user-agent'],
+    requestId: req?.requestId
+  });
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Comentário em post. O total fica desnormalizado em Post.commentsCount e é
+// mantido pelo interactionService.
+const commentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Comentário não pode estar vazio'],
+    trim: true,
+    maxlength: [500, 'Comentário deve ter no máximo 500 caracteres']
+  },
+  // Menções resolvidas (mesmo formato de Post.mentions)
+  mentions: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    handle: {
+      type: String,
+      required: true
+    },
+    start: {
+      type: Number,
+      required: true
+    },
+    end: {
+      type: Number,
+      required: true
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Índices
+commentSchema.index({ post: 1, createdAt: 1 });
+commentSchema.index({ user: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+const MAX_PARTICIPANTS = 10;
+
+// Estado de cada participante na conversa
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // active: conversa na caixa de entrada
+  // request: pedido de mensagem (artista que não segue o remetente)
+  // declined: pedido recusado - remetente não pode mais enviar
+  // left: saiu do grupo
+  status: {
+    type: String,
+    enum: ['active', 'request', 'declined', 'left'],
+    default: 'active'
+  },
+  // Confirmação de leitura: última mensagem vista
+  lastReadAt: {
+    type: Date,
+    default: null
+  },
+  unreadCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const conversationSchema = new mongoose.Schema({
+  isGroup: {
+    type: Boolean,
+    default: false
+  },
+  // Nome do grupo (conversas 1:1 não têm título)
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Título deve ter no máximo 100 caracteres'],
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: {
+    type: [memberSchema],
+    validate: {
+      validator: (members) => members.length >= 2 && members.length <= MAX_PARTICIPANTS,
+      message: `Conversa deve ter entre 2 e ${MAX_PARTICIPANTS} participantes`
+    }
+  },
+  // Chave única das conversas 1:1 (IDs ordenados) para não duplicar
+  directKey: {
+    type: String,
+    default: null
+  },
+  lastMessage: {
+    text: { type: String, default: null },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    createdAt: { type: Date, default: null }
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices
+conversationSchema.index({ directKey: 1 }, { unique: true, partialFilterExpression: { directKey: { $type: 'string' } } });
+conversationSchema.index({ 'members.user': 1, 'members.status': 1, lastMessageAt: -1 });
+
+conversationSchema.statics.MAX_PARTICIPANTS = MAX_PARTICIPANTS;
+
+// Método estático para gerar a chave de uma conversa 1:1
+conversationSchema.statics.directKeyFor = function(userA, userB) {
+  return [userA.toString(), userB.toString()].sort().join(':');
+};
+
+// Método estático para listar conversas do usuário em um status
+// (a paginação fica com quem chama, usando INBOX_SORT)
+conversationSchema.statics.findForUser = function(userId, status) {
+  return this.find({
+    members: { $elemMatch: { user: userId, status } }
+  })
+    .populate('members.user', 'name handle artistName avatar userType isVerified');
+};
+
+conversationSchema.statics.INBOX_SORT = { lastMessageAt: -1 };
+
+// Método para obter o estado de um participante
+conversationSchema.methods.getMember = function(userId) {
+  return this.members.find(member =>
+    (member.user._id || member.user).toString() === userId.toString()
+  );
+};
+
+// IDs dos demais participantes que ainda estão na conversa
+conversationSchema.methods.otherMemberIds = function(userId) {
+  return this.members
+    .filter(member => member.status !== 'left')
+    .map(member => (member.user._id || member.user).toString())
+    .filter(id => id !== userId.toString());
+};
+
+// Método para montar a visão da conversa para um participante
+conversationSchema.methods.toViewerJSON = function(userId) {
+  const conversationObj = this.toObject();
+  const member = this.getMember(userId);
+
+  conversationObj.status = member?.status || null;
+  conversationObj.unreadCount = member?.unreadCount || 0;
+
+  // Confirmações de leitura dos outros participantes
+  conversationObj.members = conversationObj.members.map(entry => ({
+    user: entry.user,
+    status: entry.status === 'active' || entry.status === 'left' ? entry.status : 'pending',
+    lastReadAt: entry.lastReadAt
+  }));
+
+  delete conversationObj.directKey;
+  delete conversationObj.__v;
+  return conversationObj;
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+
+// Por quanto tempo manter emails enviados/falhos para consulta
+const RETENTION_DAYS = 30;
+
+const emailOutboxSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  locale: {
+    type: String,
+    required: true
+  },
+  // Conteúdo renderizado no momento do enfileiramento
+  subject: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String,
+    default: null
+  },
+  text: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    required: true
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  transport: {
+    type: String,
+    default: null
+  },
+  messageId: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  // Definido ao concluir (enviado ou falha definitiva) - removido pelo TTL
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// TTL index - remove emails concluídos após o período de retenção
+emailOutboxSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Índices para o worker e consultas
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ status: 1, lockedAt: 1 });
+emailOutboxSchema.index({ to: 1, createdAt: -1 });
+
+// Método estático para reservar o próximo email pronto para envio
+emailOutboxSchema.statics.claimNext = function() {
+  return this.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+    { $set: { status: 'sending', lockedAt: new Date() }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Método estático para devolver à fila emails presos em "sending" (ex: processo caiu)
+emailOutboxSchema.statics.releaseStale = function(olderThanMs) {
+  return this.updateMany(
+    { status: 'sending', lockedAt: { $lt: new Date(Date.now() - olderThanMs) } },
+    { $set: { status: 'pending', lockedAt: null, nextAttemptAt: new Date() } }
+  );
+};
+
+// Método para marcar como enviado. O corpo é descartado: pode conter
+// tokens de uso único (reset de senha, verificação de email).
+emailOutboxSchema.methods.markSent = function(info) {
+  this.status = 'sent';
+  this.sentAt = new Date();
+  this.lockedAt = null;
+  this.lastError = null;
+  this.messageId = info.messageId || null;
+  this.transport = info.transport || null;
+  this.html = null;
+  this.text = null;
+  this.expiresAt = new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  return this.save();
+};
+
+// Método para registrar falha e agendar nova tentativa (ou desistir)
+emailOutboxSchema.methods.markFailed = function(error, retryDelayMs) {
+  this.lockedAt = null;
+  this.lastError = error.message;
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'failed';
+    this.html = null;
+    this.text = null;
+    this.expiresAt = new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  } else {
+    this.status = 'pending';
+    this.nextAttemptAt = new Date(Date.now() + retryDelayMs);
+  }
+  return this.save();
+};
+
+// Método estático para contar emails por status
+emailOutboxSchema.statics.getStats = async function() {
+  const counts = await this.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  return counts.reduce((stats, item) => {
+    stats[item._id] = item.count;
+    return stats;
+  }, { pending: 0, sending: 0, sent: 0, failed: 0 });
+};
+
+module.exports = mongoose.model('EmailOutbox', emailOutboxSchema);
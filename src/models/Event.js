@@ -133,6 +133,11 @@ const eventSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Artista suspenso/banido - evento oculto de listagens e buscas até a reativação
+  authorSuspended: {
+    type: Boolean,
+    default: false
+  },
   
   // Capacidade
   capacity: {
@@ -160,6 +165,7 @@ eventSchema.index({ artist: 1, date: 1 });
 eventSchema.index({ date: 1 });
 eventSchema.index({ genre: 1 });
 eventSchema.index({ status: 1 });
+eventSchema.index({ artist: 1, authorSuspended: 1 });
 eventSchema.index({ 'location.city': 1 });
 eventSchema.index({ 'location.coordinates': '2dsphere' });
 
@@ -225,9 +231,10 @@ eventSchema.statics.findNearby = function(longitude, latitude, maxDistance = 500
     date: { $gte: new Date() },
     status: 'scheduled',
     isActive: true,
-    isPublic: true
+    isPublic: true,
+    authorSuspended: { $ne: true }
   })
-  .populate('artist', 'name artistName avatar isVerified')
+  .populate('artist', 'name handle artistName avatar isVerified')
   .sort({ date: 1 });
 };
 
@@ -238,9 +245,10 @@ eventSchema.statics.findByCity = function(city, limit = 20) {
     date: { $gte: new Date() },
     status: 'scheduled',
     isActive: true,
-    isPublic: true
+    isPublic: true,
+    authorSuspended: { $ne: true }
   })
-  .populate('artist', 'name artistName avatar isVerified')
+  .populate('artist', 'name handle artistName avatar isVerified')
   .sort({ date: 1 })
   .limit(limit);
 };
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Pedido para seguir uma conta privada. Aprovado vira follow e o pedido é
+// removido; recusado é apenas removido.
+const followRequestSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Índices
+followRequestSchema.index({ requester: 1, target: 1 }, { unique: true });
+followRequestSchema.index({ target: 1, createdAt: -1 });
+
+// Método estático para verificar pedido pendente
+followRequestSchema.statics.isPending = function(requesterId, targetId) {
+  return this.exists({ requester: requesterId, target: targetId });
+};
+
+module.exports = mongoose.model('FollowRequest', followRequestSchema);
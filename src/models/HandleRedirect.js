@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Handle antigo de um usuário: continua levando ao perfil (e reservado para o
+// dono) até expiresAt. O índice TTL remove o registro depois disso.
+const handleRedirectSchema = new mongoose.Schema({
+  handle: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Índices
+handleRedirectSchema.index({ handle: 1 }, { unique: true });
+handleRedirectSchema.index({ user: 1 });
+handleRedirectSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('HandleRedirect', handleRedirectSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Curtida em post (uma por usuário). O total fica desnormalizado em
+// Post.likesCount e é mantido pelo interactionService.
+const likeSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Índices
+likeSchema.index({ post: 1, user: 1 }, { unique: true });
+likeSchema.index({ user: 1, createdAt: -1 });
+
+// Método estático para saber quais posts de uma lista o usuário curtiu
+likeSchema.statics.findLikedPostIds = async function(userId, posts) {
+  if (!userId || posts.length === 0) return new Set();
+
+  const postIds = posts.map(post => post._id || post);
+  const liked = await this.find({ user: userId, post: { $in: postIds } }).distinct('post');
+  return new Set(liked.map(id => id.toString()));
+};
+
+module.exports = mongoose.model('Like', likeSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { MEDIA_KINDS } = require('../config/media');
+
+const mediaSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: Object.values(MEDIA_KINDS),
+    required: true
+  },
+  // Formato identificado pelos bytes do arquivo
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  width: {
+    type: Number,
+    default: null
+  },
+  height: {
+    type: Number,
+    default: null
+  },
+  // Áudio: duração em segundos e tags lidas do arquivo
+  duration: {
+    type: Number,
+    default: null
+  },
+  audio: {
+    title: String,
+    artist: String,
+    album: String,
+    genre: String,
+    bitrate: Number,
+    sampleRate: Number,
+    channels: Number
+  },
+  originalName: {
+    type: String,
+    trim: true,
+    maxlength: 255,
+    default: null
+  },
+  storage: {
+    driver: {
+      type: String,
+      required: true
+    },
+    key: {
+      type: String,
+      required: true
+    }
+  },
+  url: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+mediaSchema.index({ owner: 1, createdAt: -1 });
+
+// Dados públicos (sem detalhes do armazenamento). A URL de áudio só vai para o
+// dono: os demais ouvem pela faixa, que aplica prévia e ocultação da localização.
+mediaSchema.methods.toPublicJSON = function(viewerId = null) {
+  const canSeeUrl = this.kind !== 'audio' || (viewerId && this.owner.equals(viewerId));
+
+  return {
+    _id: this._id,
+    kind: this.kind,
+    mimeType: this.mimeType,
+    size: this.size,
+    width: this.width,
+    height: this.height,
+    duration: this.duration,
+    audio: this.kind === 'audio' ? this.audio : undefined,
+    url: canSeeUrl ? this.url : undefined,
+    createdAt: this.createdAt
+  };
+};
+
+// Método estático para buscar mídias de um dono por IDs
+mediaSchema.statics.findOwned = function(ids, ownerId, kind) {
+  return this.find({ _id: { $in: ids }, owner: ownerId, kind });
+};
+
+module.exports = mongoose.model('Media', mediaSchema);
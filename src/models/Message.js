@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Mensagem não pode estar vazia'],
+    trim: true,
+    maxlength: [2000, 'Mensagem deve ter no máximo 2000 caracteres']
+  },
+  // Removida pelo remetente (texto apagado, registro mantido na conversa)
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Índices
+messageSchema.index({ conversation: 1, createdAt: -1 });
+
+// Método para transformar em objeto público
+messageSchema.methods.toPublicJSON = function() {
+  const messageObj = this.toObject();
+  if (messageObj.deletedAt) {
+    messageObj.text = null;
+  }
+  delete messageObj.__v;
+  return messageObj;
+};
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const { NotificationConfig } = require('../config/notificationConfig');
+
+const { TYPES, PRIORITIES, STATUS, DEFAULTS } = NotificationConfig;
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: Object.values(TYPES),
+    required: true
+  },
+  priority: {
+    type: String,
+    enum: Object.values(PRIORITIES),
+    default: PRIORITIES.NORMAL
+  },
+  status: {
+    type: String,
+    enum: Object.values(STATUS),
+    default: STATUS.SENT
+  },
+
+  // Conteúdo renderizado a partir dos templates
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [100, 'Título deve ter no máximo 100 caracteres']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Mensagem deve ter no máximo 500 caracteres'],
+    default: ''
+  },
+  icon: String,
+  color: String,
+  sound: String,
+
+  // Referências para o cliente abrir o conteúdo relacionado
+  data: {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      default: null
+    },
+    comment: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      default: null
+    },
+    extra: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  },
+
+  readAt: {
+    type: Date,
+    default: null
+  },
+
+  // Remoção automática após DEFAULTS.autoDeleteAfterDays
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + DEFAULTS.autoDeleteAfterDays * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// TTL index - remove automaticamente notificações antigas
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Índices para listagem e contagem de não lidas
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, status: 1 });
+
+// Status considerados "não lidos"
+const UNREAD_STATUSES = [STATUS.PENDING, STATUS.SENT];
+
+// Virtual para verificar se foi lida
+notificationSchema.virtual('isRead').get(function() {
+  return !UNREAD_STATUSES.includes(this.status);
+});
+
+// Método de instância para marcar como lida
+notificationSchema.methods.markAsRead = function() {
+  if (UNREAD_STATUSES.includes(this.status)) {
+    this.status = STATUS.READ;
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+// Método de instância para dispensar
+notificationSchema.methods.dismiss = function() {
+  this.status = STATUS.DISMISSED;
+  if (!this.readAt) {
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+// Método estático para contar não lidas
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({
+    recipient: userId,
+    status: { $in: UNREAD_STATUSES }
+  });
+};
+
+// Método estático para marcar todas como lidas
+notificationSchema.statics.markAllAsRead = function(userId) {
+  return this.updateMany(
+    { recipient: userId, status: { $in: UNREAD_STATUSES } },
+    { $set: { status: STATUS.READ, readAt: new Date() } }
+  );
+};
+
+// Método estático para limpar notificações expiradas manualmente (backup do TTL)
+notificationSchema.statics.cleanExpired = async function() {
+  try {
+    const result = await this.deleteMany({
+      expiresAt: { $lt: new Date() }
+    });
+
+    console.log(`🧹 Limpeza de notificações expiradas: ${result.deletedCount} removidas`);
+    return result;
+  } catch (error) {
+    console.error('Erro na limpeza de notificações:', error);
+    throw error;
+  }
+};
+
+notificationSchema.statics.UNREAD_STATUSES = UNREAD_STATUSES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
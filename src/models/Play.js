@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Uma reprodução de faixa. Reproduções da mesma sessão dentro da janela de
+// deduplicação (Streaming.PLAY_DEDUPE_MINUTES) não geram novos registros.
+const playSchema = new mongoose.Schema({
+  track: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track',
+    required: true
+  },
+  artist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Ouvinte autenticado (null para anônimos)
+  listener: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Identifica o ouvinte: "user:<id>" ou "anon:<hash de IP + User-Agent>"
+  listenerKey: {
+    type: String,
+    required: true
+  },
+  // Identifica a sessão de escuta (sessão de login ou ouvinte anônimo)
+  sessionKey: {
+    type: String,
+    required: true
+  },
+  // Apenas a prévia foi liberada (ouvinte não segue o artista)
+  preview: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Índices
+playSchema.index({ track: 1, sessionKey: 1, createdAt: -1 });
+playSchema.index({ track: 1, listenerKey: 1 });
+playSchema.index({ track: 1, createdAt: -1 });
+playSchema.index({ artist: 1, createdAt: -1 });
+
+// Método estático para reproduções por dia de uma faixa
+playSchema.statics.getDailyStats = function(trackId, days = 30) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  return this.aggregate([
+    { $match: { track: new mongoose.Types.ObjectId(trackId), createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+        plays: { $sum: 1 },
+        previews: { $sum: { $cond: ['$preview', 1, 0] } },
+        listeners: { $addToSet: '$listenerKey' }
+      }
+    },
+    { $project: { _id: 0, date: '$_id', plays: 1, previews: 1, listeners: { $size: '$listeners' } } },
+    { $sort: { date: 1 } }
+  ]);
+};
+
+module.exports = mongoose.model('Play', playSchema);
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+
+const MAX_ITEMS = 500;
+const MAX_COLLABORATORS = 20;
+
+// Item da coleção: um post ou um evento (a ordem do array é a ordem exibida)
+const playlistItemSchema = new mongoose.Schema({
+  itemType: {
+    type: String,
+    enum: ['post', 'event'],
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [280, 'Nota deve ter no máximo 280 caracteres'],
+    default: ''
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const playlistSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Título da coleção é obrigatório'],
+    trim: true,
+    maxlength: [100, 'Título deve ter no máximo 100 caracteres']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Descrição deve ter no máximo 500 caracteres'],
+    default: ''
+  },
+  cover: {
+    type: String,
+    default: null,
+    validate: {
+      validator: function(v) {
+        return !v || v.match(/^https?:\/\/.+\.(jpg|jpeg|png|gif|webp)$/i);
+      },
+      message: 'URL de capa inválida'
+    }
+  },
+  // public: todos veem, só o dono edita
+  // private: só o dono vê e edita
+  // collaborative: todos veem, dono e colaboradores editam os itens
+  visibility: {
+    type: String,
+    enum: ['public', 'private', 'collaborative'],
+    default: 'public'
+  },
+  collaborators: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    default: [],
+    validate: {
+      validator: (users) => users.length <= MAX_COLLABORATORS,
+      message: `Máximo ${MAX_COLLABORATORS} colaboradores`
+    }
+  },
+  items: {
+    type: [playlistItemSchema],
+    default: [],
+    validate: {
+      validator: (items) => items.length <= MAX_ITEMS,
+      message: `Máximo ${MAX_ITEMS} itens por coleção`
+    }
+  },
+  subscribers: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    default: []
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Dono suspenso/banido - coleção oculta até a reativação
+  authorSuspended: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices
+playlistSchema.index({ owner: 1, updatedAt: -1 });
+playlistSchema.index({ collaborators: 1, updatedAt: -1 });
+playlistSchema.index({ subscribers: 1 });
+playlistSchema.index({ visibility: 1, isActive: 1, updatedAt: -1 });
+
+// Campos virtuais
+playlistSchema.virtual('itemsCount').get(function() {
+  return this.items ? this.items.length : 0;
+});
+
+playlistSchema.virtual('subscribersCount').get(function() {
+  return this.subscribers ? this.subscribers.length : 0;
+});
+
+playlistSchema.statics.MAX_ITEMS = MAX_ITEMS;
+
+// Filtro das coleções que qualquer pessoa pode ver
+playlistSchema.statics.publicFilter = function() {
+  return {
+    isActive: true,
+    authorSuspended: { $ne: true },
+    visibility: { $in: ['public', 'collaborative'] }
+  };
+};
+
+// Dono e colaboradores podem estar populados
+const idOf = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+// Método para verificar se é o dono
+playlistSchema.methods.isOwner = function(userId) {
+  return Boolean(userId) && idOf(this.owner) === userId.toString();
+};
+
+// Método para verificar se pode editar os itens
+playlistSchema.methods.canEditItems = function(userId) {
+  if (!userId) return false;
+  if (this.isOwner(userId)) return true;
+  return this.visibility === 'collaborative' &&
+    this.collaborators.some(collaborator => idOf(collaborator) === userId.toString());
+};
+
+// Método para verificar se o usuário pode ver a coleção
+playlistSchema.methods.isVisibleTo = function(userId) {
+  if (this.isOwner(userId)) return this.isActive;
+  if (!this.isActive || this.authorSuspended) return false;
+  return this.visibility !== 'private';
+};
+
+// Método para verificar se o usuário assina a coleção
+playlistSchema.methods.isSubscribed = function(userId) {
+  return Boolean(userId) && this.subscribers.some(id => id.toString() === userId.toString());
+};
+
+// Método para localizar um item pelo post/evento
+playlistSchema.methods.findItem = function(itemType, refId) {
+  return this.items.find(item =>
+    item.itemType === itemType && item[itemType] && item[itemType].toString() === refId.toString()
+  );
+};
+
+module.exports = mongoose.model('Playlist', playlistSchema);
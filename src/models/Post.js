@@ -1,23 +1,5 @@
 const mongoose = require('mongoose');
 
-const commentSchema = new mongoose.Schema({
-  user: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  text: {
-    type: String,
-    required: [true, 'Comentário não pode estar vazio'],
-    trim: true,
-    maxlength: [500, 'Comentário deve ter no máximo 500 caracteres']
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now
-  }
-});
-
 const postSchema = new mongoose.Schema({
   author: {
     type: mongoose.Schema.Types.ObjectId,
@@ -26,7 +8,9 @@ const postSchema = new mongoose.Schema({
   },
   content: {
     type: String,
-    required: [true, 'Conteúdo do post é obrigatório'],
+    // Repost simples não tem texto próprio (quote tem)
+    required: [function() { return this.type !== 'repost'; }, 'Conteúdo do post é obrigatório'],
+    default: '',
     trim: true,
     maxlength: [2000, 'Post deve ter no máximo 2000 caracteres']
   },
@@ -41,7 +25,7 @@ const postSchema = new mongoose.Schema({
   }],
   type: {
     type: String,
-    enum: ['text', 'event', 'media'],
+    enum: ['text', 'event', 'media', 'audio', 'repost', 'quote'],
     default: 'text'
   },
   eventRef: {
@@ -49,11 +33,41 @@ const postSchema = new mongoose.Schema({
     ref: 'Event',
     default: null
   },
-  likes: [{
+  // Faixa embutida em posts do tipo 'audio'
+  track: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
-  comments: [commentSchema],
+    ref: 'Track',
+    default: null
+  },
+  // Post original de um repost ou quote
+  repostOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+  // Curtidas e comentários ficam nas coleções Like e Comment; aqui só os
+  // totais, atualizados com $inc pelo interactionService
+  likesCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  commentsCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Reposts e quotes deste post (mantidos pelo repostService)
+  repostsCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  quotesCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   
   // Hashtags extraídas do conteúdo
   hashtags: [{
@@ -61,6 +75,29 @@ const postSchema = new mongoose.Schema({
     lowercase: true
   }],
   
+  // Menções resolvidas: posição do @handle no texto (start inclusivo, end
+  // exclusivo, índices de string JS) e o usuário ligado
+  mentions: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    handle: {
+      type: String,
+      required: true
+    },
+    start: {
+      type: Number,
+      required: true
+    },
+    end: {
+      type: Number,
+      required: true
+    }
+  }],
+  
   // Configurações do post
   isActive: {
     type: Boolean,
@@ -69,6 +106,11 @@ const postSchema = new mongoose.Schema({
   isPinned: {
     type: Boolean,
     default: false
+  },
+  // Autor suspenso/banido - post oculto de feeds e buscas até a reativação
+  authorSuspended: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true,
@@ -80,17 +122,36 @@ const postSchema = new mongoose.Schema({
 postSchema.index({ author: 1, createdAt: -1 });
 postSchema.index({ type: 1 });
 postSchema.index({ hashtags: 1 });
+postSchema.index({ 'mentions.user': 1 });
 postSchema.index({ createdAt: -1 });
 postSchema.index({ isActive: 1 });
-postSchema.index({ 'likes': 1 }); // Para queries de curtidas
+postSchema.index({ author: 1, authorSuspended: 1 });
+postSchema.index({ repostOf: 1 });
+// Um repost simples por usuário para cada post
+postSchema.index(
+  { author: 1, repostOf: 1 },
+  { unique: true, partialFilterExpression: { type: 'repost' } }
+);
 
-// Campos virtuais
-postSchema.virtual('likesCount').get(function() {
-  return this.likes ? this.likes.length : 0;
-});
+// Faixa embutida nos posts de áudio (faixas removidas ou ocultas voltam como null)
+postSchema.statics.TRACK_POPULATE = {
+  path: 'track',
+  select: 'title artist duration genre album cover audio.mimeType previewForNonFollowers stats',
+  match: { isActive: true, authorSuspended: { $ne: true } }
+};
+
+// Post original embutido em reposts e quotes (originais apagados ou ocultos voltam como null)
+postSchema.statics.REPOST_POPULATE = {
+  path: 'repostOf',
+  select: 'author content images type eventRef track likesCount commentsCount repostsCount quotesCount createdAt',
+  match: { isActive: true, authorSuspended: { $ne: true } },
+  populate: { path: 'author', select: 'name handle artistName avatar userType isVerified isPrivate' }
+};
 
-postSchema.virtual('commentsCount').get(function() {
-  return this.comments ? this.comments.length : 0;
+// Repost ou quote cujo original não pode mais ser exibido
+postSchema.virtual('originalUnavailable').get(function() {
+  if (this.type !== 'repost' && this.type !== 'quote') return undefined;
+  return !this.repostOf;
 });
 
 // Middleware para extrair hashtags antes de salvar
@@ -109,124 +170,15 @@ postSchema.pre('save', function(next) {
   next();
 });
 
-// Método para curtir post
-postSchema.methods.like = function(userId) {
-  // Garantir que likes seja uma array
-  if (!this.likes) {
-    this.likes = [];
-  }
-  
-  // Converter userId para ObjectId se necessário
-  const userIdObj = mongoose.Types.ObjectId.isValid(userId) 
-    ? new mongoose.Types.ObjectId(userId) 
-    : userId;
-  
-  if (!this.likes.some(id => id.equals(userIdObj))) {
-    this.likes.push(userIdObj);
-  }
-  return this.save();
-};
-
-// Método para descurtir post
-postSchema.methods.unlike = function(userId) {
-  // Garantir que likes seja uma array
-  if (!this.likes) {
-    this.likes = [];
-    return this.save();
-  }
-  
-  // Converter userId para ObjectId se necessário
-  const userIdObj = mongoose.Types.ObjectId.isValid(userId) 
-    ? new mongoose.Types.ObjectId(userId) 
-    : userId;
-  
-  this.likes = this.likes.filter(id => !id.equals(userIdObj));
-  return this.save();
-};
-
-// Método para verificar se usuário curtiu
-postSchema.methods.isLikedBy = function(userId) {
-  if (!this.likes || !userId) {
-    return false;
-  }
-  
-  // Converter userId para ObjectId se necessário
-  const userIdObj = mongoose.Types.ObjectId.isValid(userId) 
-    ? new mongoose.Types.ObjectId(userId) 
-    : userId;
-  
-  return this.likes.some(id => id.equals(userIdObj));
-};
-
-// Método para adicionar comentário
-postSchema.methods.addComment = function(userId, text) {
-  // Garantir que comments seja uma array
-  if (!this.comments) {
-    this.comments = [];
-  }
-  
-  this.comments.push({
-    user: userId,
-    text: text
-  });
-  return this.save();
-};
-
-// Método para remover comentário
-postSchema.methods.removeComment = function(commentId) {
-  if (!this.comments) {
-    return this.save();
-  }
-  
-  this.comments = this.comments.filter(comment => 
-    !comment._id.equals(commentId)
-  );
-  return this.save();
-};
-
-// Static method aprimorado para buscar posts do feed
-postSchema.statics.getFeedPosts = function(userId, followingIds = [], page = 1, limit = 10) {
-  const skip = (page - 1) * limit;
-  
-  // Garantir que followingIds seja uma array válida
-  const validFollowingIds = Array.isArray(followingIds) ? followingIds : [];
-  
-  const filter = {
-    isActive: true
-  };
-  
-  // Se há usuários seguidos, incluir posts deles
-  if (validFollowingIds.length > 0) {
-    filter.$or = [
-      { author: userId }, // Posts próprios
-      { author: { $in: validFollowingIds } } // Posts de quem segue
-    ];
-  } else {
-    // Apenas posts próprios se não segue ninguém
-    filter.author = userId;
-  }
-  
-  return this.find(filter)
-    .populate('author', 'name artistName avatar userType isVerified')
-    .populate('eventRef', 'title date location')
-    .populate('comments.user', 'name artistName avatar')
-    .sort({ isPinned: -1, createdAt: -1 })
-    .skip(skip)
-    .limit(limit)
-    .lean(false); // Garantir que retorna documentos Mongoose
-};
-
 // Método estático para buscar posts populares
 postSchema.statics.getPopularPosts = function(excludeUserId = null, page = 1, limit = 10) {
   const skip = (page - 1) * limit;
   
   const filter = {
     isActive: true,
+    authorSuspended: { $ne: true },
     $expr: {
-      $gte: [
-        { $add: [{ $size: '$likes' }, { $size: '$comments' }] },
-        2 // Posts com pelo menos 2 interações
-      ]
+      $gte: [{ $add: ['$likesCount', '$commentsCount'] }, 2] // Posts com pelo menos 2 interações
     }
   };
   
@@ -236,9 +188,9 @@ postSchema.statics.getPopularPosts = function(excludeUserId = null, page = 1, li
   }
   
   return this.find(filter)
-    .populate('author', 'name artistName avatar userType isVerified')
+    .populate('author', 'name handle artistName avatar userType isVerified')
     .populate('eventRef', 'title date location')
-    .populate('comments.user', 'name artistName avatar')
+    .populate(this.TRACK_POPULATE)
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(limit)
@@ -251,11 +203,12 @@ postSchema.statics.findByHashtag = function(hashtag, page = 1, limit = 10) {
   
   return this.find({
     hashtags: { $in: [hashtag.toLowerCase().replace('#', '')] },
-    isActive: true
+    isActive: true,
+    authorSuspended: { $ne: true }
   })
-  .populate('author', 'name artistName avatar userType isVerified')
+  .populate('author', 'name handle artistName avatar userType isVerified')
   .populate('eventRef', 'title date location')
-  .populate('comments.user', 'name artistName avatar')
+  .populate(this.TRACK_POPULATE)
   .sort({ createdAt: -1 })
   .skip(skip)
   .limit(limit)
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const refreshTokenSchema = new mongoose.Schema({
+  // Apenas o hash SHA-256 é armazenado, nunca o token em si
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Família = cadeia de rotações a partir de um mesmo login (id da Session)
+  family: {
+    type: String,
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true
+  },
+  ip: {
+    type: String,
+    required: false
+  },
+  userAgent: {
+    type: String,
+    required: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'reuse_detected', 'replaced', 'password_change', 'account_suspended', 'manual_revoke', 'security_breach'],
+    default: null
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// TTL index - remove automaticamente tokens expirados
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Índices para revogação em massa
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1, deviceId: 1 });
+
+// Hash usado para armazenar e buscar tokens
+const hashToken = (token) => crypto
+  .createHash('sha256')
+  .update(token)
+  .digest('hex');
+
+// Virtual para verificar se token ainda pode ser usado
+refreshTokenSchema.virtual('isUsable').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Método estático para buscar pelo token em texto puro
+refreshTokenSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+// Método estático para revogar uma família inteira (todas as rotações de um login)
+refreshTokenSchema.statics.revokeFamily = async function(family, reason = 'manual_revoke') {
+  const result = await this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  console.log(`🚫 Família de refresh tokens revogada: ${family} - Razão: ${reason} - ${result.modifiedCount} tokens`);
+  return result;
+};
+
+// Método estático para revogar todos os refresh tokens de um usuário
+refreshTokenSchema.statics.revokeAllForUser = async function(userId, reason = 'manual_revoke') {
+  const result = await this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  console.log(`🚫 Refresh tokens revogados para usuário: ${userId} - Razão: ${reason} - ${result.modifiedCount} tokens`);
+  return result;
+};
+
+refreshTokenSchema.statics.hashToken = hashToken;
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
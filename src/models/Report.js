@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+const TARGET_TYPES = ['post', 'comment', 'event', 'user'];
+
+const REASONS = [
+  'spam',
+  'harassment',
+  'hate_speech',
+  'violence',
+  'nudity',
+  'misinformation',
+  'copyright',
+  'impersonation',
+  'other'
+];
+
+// Ações disponíveis para o moderador ao resolver uma denúncia
+const ACTIONS = {
+  NONE: 'none',
+  HIDE_POST: 'hide_post',
+  REMOVE_COMMENT: 'remove_comment',
+  CANCEL_EVENT: 'cancel_event',
+  SUSPEND_USER: 'suspend_user'
+};
+
+const reportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: TARGET_TYPES,
+    required: [true, 'Tipo do conteúdo denunciado é obrigatório']
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'ID do conteúdo denunciado é obrigatório']
+  },
+  // Post ao qual o comentário pertence (comentários são subdocumentos)
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+  // Autor do conteúdo denunciado (ou o próprio usuário denunciado)
+  targetOwner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    enum: REASONS,
+    required: [true, 'Motivo da denúncia é obrigatório']
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Detalhes devem ter no máximo 1000 caracteres'],
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'resolved', 'dismissed'],
+    default: 'pending'
+  },
+  resolution: {
+    action: {
+      type: String,
+      enum: Object.values(ACTIONS),
+      default: null
+    },
+    moderator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Observação deve ter no máximo 500 caracteres'],
+      default: ''
+    },
+    resolvedAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para a fila de moderação
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ targetType: 1, targetId: 1, status: 1 });
+reportSchema.index({ reporter: 1, createdAt: -1 });
+
+// Uma denúncia pendente por usuário para o mesmo conteúdo
+reportSchema.index(
+  { reporter: 1, targetType: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Método estático para buscar denúncias pendentes do mesmo conteúdo
+reportSchema.statics.findPendingForTarget = function(targetType, targetId) {
+  return this.find({ targetType, targetId, status: 'pending' });
+};
+
+// Método estático para contar denúncias pendentes por conteúdo
+reportSchema.statics.countPendingByTarget = async function(targets) {
+  if (targets.length === 0) return {};
+
+  const counts = await this.aggregate([
+    {
+      $match: {
+        status: 'pending',
+        targetId: { $in: targets.map(t => t.targetId) }
+      }
+    },
+    { $group: { _id: { targetType: '$targetType', targetId: '$targetId' }, count: { $sum: 1 } } }
+  ]);
+
+  return counts.reduce((acc, item) => {
+    acc[`${item._id.targetType}:${item._id.targetId}`] = item.count;
+    return acc;
+  }, {});
+};
+
+reportSchema.statics.TARGET_TYPES = TARGET_TYPES;
+reportSchema.statics.REASONS = REASONS;
+reportSchema.statics.ACTIONS = ACTIONS;
+
+module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const LRUCache = require('../utils/lruCache');
+
+// Cache do status das sessões consultado a cada requisição autenticada.
+// TTL curto para que revogações feitas por outra instância sejam percebidas.
+const SESSION_CACHE_TTL = 30 * 1000; // 30 segundos
+const SESSION_TOUCH_INTERVAL = 60 * 1000; // atualizar lastSeenAt no máximo 1x/minuto
+
+const sessionCache = new LRUCache({ max: 10000, ttl: SESSION_CACHE_TTL });
+const touchCache = new LRUCache({ max: 10000, ttl: SESSION_TOUCH_INTERVAL });
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Nome do dispositivo deve ter no máximo 100 caracteres'],
+    default: null
+  },
+  ip: {
+    type: String,
+    required: false
+  },
+  userAgent: {
+    type: String,
+    required: false
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenIp: {
+    type: String,
+    required: false
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'password_change', 'account_suspended', 'manual_revoke', 'security_breach', 'reuse_detected', 'replaced'],
+    default: null
+  },
+  // Acompanha a validade do refresh token mais recente da sessão
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// TTL index - remove automaticamente sessões expiradas
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Índices para listagem e revogação
+sessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+sessionSchema.index({ user: 1, deviceId: 1 });
+
+// Virtual para verificar se a sessão ainda está ativa
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Método estático para verificar se sessão está ativa (com cache LRU)
+sessionSchema.statics.isSessionActive = async function(sessionId) {
+  const key = sessionId.toString();
+  const cached = sessionCache.get(key);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  const session = await this.findById(sessionId).select('revokedAt expiresAt');
+  const isActive = !!session && !session.revokedAt && session.expiresAt > new Date();
+
+  sessionCache.set(key, isActive);
+  return isActive;
+};
+
+// Método estático para registrar atividade (lastSeenAt) sem custo por requisição
+sessionSchema.statics.touch = function(sessionId, ip) {
+  const key = sessionId.toString();
+  if (touchCache.has(key)) return;
+  touchCache.set(key, true);
+
+  this.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { lastSeenAt: new Date(), lastSeenIp: ip } }
+  ).catch(error => {
+    console.error('Erro ao atualizar atividade da sessão:', error.message);
+  });
+};
+
+// Método estático para revogar uma sessão e os refresh tokens dela
+sessionSchema.statics.revokeSession = async function(sessionId, reason = 'manual_revoke') {
+  const RefreshToken = require('./RefreshToken');
+
+  // Famílias criadas antes das sessões não são ObjectIds
+  let result = null;
+  if (mongoose.Types.ObjectId.isValid(sessionId)) {
+    result = await this.updateOne(
+      { _id: sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+  await RefreshToken.revokeFamily(sessionId.toString(), reason);
+
+  sessionCache.set(sessionId.toString(), false);
+  console.log(`🚫 Sessão revogada: ${sessionId} - Razão: ${reason}`);
+
+  return result;
+};
+
+// Método estático para revogar todas as sessões de um usuário (opcionalmente exceto uma)
+sessionSchema.statics.revokeAllForUser = async function(userId, reason = 'manual_revoke', options = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (options.exceptSessionId) {
+    filter._id = { $ne: options.exceptSessionId };
+  }
+
+  const sessionIds = await this.find(filter).distinct('_id');
+  await Promise.all(sessionIds.map(sessionId => this.revokeSession(sessionId, reason)));
+
+  // Refresh tokens emitidos antes da existência de sessões
+  if (!options.exceptSessionId) {
+    const RefreshToken = require('./RefreshToken');
+    await RefreshToken.revokeAllForUser(userId, reason);
+  }
+
+  console.log(`🚫 ${sessionIds.length} sessões revogadas para usuário: ${userId} - Razão: ${reason}`);
+  return sessionIds;
+};
+
+// Método estático para listar sessões ativas de um usuário
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Método para transformar em objeto público
+sessionSchema.methods.toPublicJSON = function(currentSessionId) {
+  return {
+    id: this._id,
+    deviceId: this.deviceId,
+    deviceName: this.deviceName,
+    userAgent: this.userAgent,
+    ip: this.lastSeenIp || this.ip,
+    createdAt: this.createdAt,
+    lastSeenAt: this.lastSeenAt,
+    isCurrent: !!currentSessionId && this._id.toString() === currentSessionId.toString()
+  };
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { Timeline } = require('../config/timeline');
+
+// Post na timeline "Following" de um usuário (fan-out-on-write). A ordem é a
+// data do post (postedAt), não a da entrada.
+const timelineEntrySchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Post original (o próprio post ou, em reposts, o repostado). Evita o mesmo
+  // conteúdo duas vezes na timeline quando várias pessoas repostam.
+  original: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+  postedAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Índices
+timelineEntrySchema.index({ owner: 1, post: 1 }, { unique: true });
+timelineEntrySchema.index({ owner: 1, postedAt: -1, post: -1 });
+timelineEntrySchema.index({ owner: 1, author: 1 });
+timelineEntrySchema.index({ post: 1 });
+timelineEntrySchema.index({ original: 1, owner: 1 });
+timelineEntrySchema.index(
+  { postedAt: 1 },
+  { expireAfterSeconds: Timeline.RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('TimelineEntry', timelineEntrySchema);
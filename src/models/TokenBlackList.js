@@ -1,4 +1,21 @@
 const mongoose = require('mongoose');
+const LRUCache = require('../utils/lruCache');
+
+// Cache em memória na frente da consulta ao Mongo.
+// Tokens revogados ficam em cache até expirarem; tokens válidos por pouco
+// tempo, para que revogações feitas por outra instância sejam percebidas.
+const BLACKLIST_CACHE_MAX = parseInt(process.env.BLACKLIST_CACHE_MAX) || 10000;
+const NEGATIVE_CACHE_TTL = 60 * 1000; // 1 minuto
+const POSITIVE_CACHE_TTL = 60 * 60 * 1000; // 1 hora
+
+const blacklistCache = new LRUCache({ max: BLACKLIST_CACHE_MAX, ttl: NEGATIVE_CACHE_TTL });
+
+const cacheRevokedToken = (token, expiresAt) => {
+  const remaining = new Date(expiresAt).getTime() - Date.now();
+  if (remaining > 0) {
+    blacklistCache.set(token, true, Math.min(remaining, POSITIVE_CACHE_TTL));
+  }
+};
 
 const tokenBlacklistSchema = new mongoose.Schema({
   token: {
@@ -53,19 +70,12 @@ tokenBlacklistSchema.post('save', function() {
 });
 
 // Método estático para invalidar todos os tokens de um usuário
+// Encerra todas as sessões: access tokens delas passam a ser rejeitados
+// pelo middleware e os refresh tokens são revogados.
 tokenBlacklistSchema.statics.invalidateAllUserTokens = async function(userId, reason = 'manual_revoke') {
   try {
-    const User = require('./User');
-    const user = await User.findById(userId);
-    
-    if (!user) {
-      throw new Error('Usuário não encontrado');
-    }
-    
-    // Em uma implementação real, seria necessário buscar todos os tokens ativos do usuário
-    // Por enquanto, vamos apenas marcar um timestamp para invalidar tokens antigos
-    user.lastPasswordReset = new Date();
-    await user.save();
+    const Session = require('./Session');
+    await Session.revokeAllForUser(userId, reason);
     
     console.log(`🚫 Todos os tokens invalidados para usuário: ${userId} - Razão: ${reason}`);
     
@@ -76,14 +86,25 @@ tokenBlacklistSchema.statics.invalidateAllUserTokens = async function(userId, re
   }
 };
 
-// Método estático para verificar se token está na blacklist
+// Método estático para verificar se token está na blacklist (com cache LRU)
 tokenBlacklistSchema.statics.isTokenBlacklisted = async function(token) {
+  const cached = blacklistCache.get(token);
+  if (cached !== undefined) {
+    return cached;
+  }
+
   try {
     const blacklistedToken = await this.findOne({ 
       token: token,
       expiresAt: { $gt: new Date() } 
     });
     
+    if (blacklistedToken) {
+      cacheRevokedToken(token, blacklistedToken.expiresAt);
+    } else {
+      blacklistCache.set(token, false);
+    }
+    
     return !!blacklistedToken;
   } catch (error) {
     console.error('Erro ao verificar blacklist:', error);
@@ -106,11 +127,13 @@ tokenBlacklistSchema.statics.addTokenToBlacklist = async function(tokenData) {
     });
     
     await blacklistEntry.save();
+    cacheRevokedToken(token, blacklistEntry.expiresAt);
     return blacklistEntry;
   } catch (error) {
     if (error.code === 11000) {
       // Token já está na blacklist
-      console.log(`⚠️ Token já estava na blacklist: ${token.substring(0, 20)}...`);
+      console.log(`⚠️ Token já estava na blacklist: ${tokenData.token.substring(0, 20)}...`);
+      blacklistCache.set(tokenData.token, true);
       return null;
     }
     throw error;
@@ -157,7 +180,8 @@ tokenBlacklistSchema.statics.getStats = async function() {
       total,
       active,
       expired: total - active,
-      byReason: stats
+      byReason: stats,
+      cache: blacklistCache.stats()
     };
   } catch (error) {
     console.error('Erro ao obter estatísticas:', error);
@@ -173,6 +197,7 @@ tokenBlacklistSchema.virtual('isActive').get(function() {
 // Método de instância para revogar (marcar como expirado)
 tokenBlacklistSchema.methods.revoke = function() {
   this.expiresAt = new Date();
+  blacklistCache.delete(this.token);
   return this.save();
 };
 
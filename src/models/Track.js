@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+// URL direta do arquivo não é exposta - ver virtual streamUrl
+function hideAudioLocation(doc, ret) {
+  if (ret.audio) {
+    delete ret.audio.url;
+    delete ret.audio.media;
+  }
+  return ret;
+}
+
+const trackSchema = new mongoose.Schema({
+  artist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Título da faixa é obrigatório'],
+    trim: true,
+    maxlength: [200, 'Título deve ter no máximo 200 caracteres']
+  },
+  // Duração em segundos (lida do arquivo de áudio)
+  duration: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  genre: {
+    type: String,
+    enum: [
+      'Rock', 'Pop', 'Hip Hop', 'Electronic', 'Jazz', 'Blues',
+      'Country', 'Reggae', 'Folk', 'Classical', 'Funk',
+      'Soul', 'R&B', 'Indie', 'Alternative', 'Metal'
+    ]
+  },
+  album: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Álbum deve ter no máximo 200 caracteres']
+  },
+  releaseDate: {
+    type: Date,
+    default: null
+  },
+  cover: {
+    type: String,
+    default: null,
+    validate: {
+      validator: function(v) {
+        return !v || v.match(/^https?:\/\/.+\.(jpg|jpeg|png|gif|webp)$/i);
+      },
+      message: 'URL de capa inválida'
+    }
+  },
+  // Arquivo enviado por POST /api/media
+  audio: {
+    media: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Media',
+      required: true
+    },
+    url: {
+      type: String,
+      required: true
+    },
+    mimeType: {
+      type: String,
+      required: true
+    },
+    size: {
+      type: Number,
+      required: true
+    },
+    bitrate: {
+      type: Number,
+      default: null
+    }
+  },
+  // Não seguidores ouvem apenas os primeiros Streaming.PREVIEW_SECONDS
+  previewForNonFollowers: {
+    type: Boolean,
+    default: false
+  },
+  // Contadores mantidos pelo registro de reproduções (Play)
+  stats: {
+    plays: {
+      type: Number,
+      default: 0
+    },
+    listeners: {
+      type: Number,
+      default: 0
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Artista suspenso/banido - faixa oculta até a reativação
+  authorSuspended: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true, transform: hideAudioLocation },
+  toObject: { virtuals: true, transform: hideAudioLocation }
+});
+
+// Índices
+trackSchema.index({ artist: 1, releaseDate: -1, createdAt: -1 });
+trackSchema.index({ genre: 1 });
+trackSchema.index({ 'audio.media': 1 }, { unique: true });
+
+// O arquivo só é acessado pelo endpoint de streaming (que aplica a prévia)
+trackSchema.virtual('streamUrl').get(function() {
+  return `/api/tracks/${this._id}/stream`;
+});
+
+// Método estático para buscar a discografia de um artista
+// (a paginação fica com quem chama, usando DISCOGRAPHY_SORT)
+trackSchema.statics.findDiscography = function(artistId) {
+  return this.find({ artist: artistId, isActive: true, authorSuspended: { $ne: true } });
+};
+
+trackSchema.statics.DISCOGRAPHY_SORT = { releaseDate: -1, createdAt: -1 };
+
+// Faixa pode ser exibida publicamente?
+trackSchema.methods.isAvailable = function() {
+  return this.isActive && !this.authorSuspended;
+};
+
+module.exports = mongoose.model('Track', trackSchema);
@@ -1,6 +1,10 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const { ROLES, PERMISSIONS, getEffectivePermissions } = require('../config/permissions');
+const { EmailVerificationPolicy } = require('../config/emailVerification');
+const { NotificationI18n } = require('../config/notificationConfig');
+const { Handles } = require('../config/handles');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -9,6 +13,20 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Nome deve ter no máximo 50 caracteres']
   },
+  // @handle único usado em menções (ver src/config/handles.js)
+  handle: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    unique: true,
+    sparse: true,
+    match: [Handles.PATTERN, 'Handle deve ter de 3 a 30 letras, números ou _']
+  },
+  // Última troca de handle (intervalo mínimo em Handles.CHANGE_COOLDOWN_DAYS)
+  handleChangedAt: {
+    type: Date,
+    default: null
+  },
   email: {
     type: String,
     required: [true, 'Email é obrigatório'],
@@ -28,6 +46,20 @@ const userSchema = new mongoose.Schema({
     enum: ['artist', 'fan'],
     required: [true, 'Tipo de usuário é obrigatório']
   },
+  
+  // Controle de acesso (independente do userType)
+  role: {
+    type: String,
+    enum: Object.values(ROLES),
+    default: ROLES.USER
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: Object.values(PERMISSIONS)
+    }],
+    default: []
+  },
   // ✅ GARANTIR QUE ESTE CAMPO ESTÁ DEFINIDO CORRETAMENTE:
   avatar: {
     type: String,
@@ -71,6 +103,19 @@ const userSchema = new mongoose.Schema({
     youtube: { type: String, default: '' },
     soundcloud: { type: String, default: '' }
   },
+
+  // Faixas em destaque no perfil do artista (em ordem de exibição)
+  featuredTracks: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Track'
+    }],
+    default: [],
+    validate: {
+      validator: (tracks) => tracks.length <= 5,
+      message: 'Máximo 5 faixas em destaque'
+    }
+  },
   
   // Relacionamentos - 🔧 CORRIGIDO: Array sempre inicializado
   followers: {
@@ -87,6 +132,22 @@ const userSchema = new mongoose.Schema({
     }],
     default: [] // ✅ Sempre um array vazio por padrão
   },
+  // Usuários bloqueados (invisibilidade mútua - ver utils/visibilityService)
+  blockedUsers: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    default: []
+  },
+  // Usuários silenciados (posts escondidos apenas dos meus feeds)
+  mutedUsers: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    default: []
+  },
   
   // Configurações
   isActive: {
@@ -98,6 +159,87 @@ const userSchema = new mongoose.Schema({
     default: false
   },
   
+  // Conta privada: follows viram pedidos e os posts só aparecem para seguidores
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Quem pode iniciar conversas: todos ou apenas quem o usuário segue
+  dmPolicy: {
+    type: String,
+    enum: ['everyone', 'following'],
+    default: 'everyone'
+  },
+  
+  // Idioma usado nos emails transacionais
+  locale: {
+    type: String,
+    enum: NotificationI18n.SUPPORTED_LOCALES,
+    default: NotificationI18n.DEFAULT_LOCALE
+  },
+  
+  // Suspensão e banimento (isActive continua indicando conta desativada)
+  accountStatus: {
+    type: String,
+    enum: ['active', 'suspended', 'banned'],
+    default: 'active'
+  },
+  suspension: {
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Motivo deve ter no máximo 500 caracteres'],
+      default: null
+    },
+    startedAt: {
+      type: Date,
+      default: null
+    },
+    // null = sem data de término (banimento)
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  appeal: {
+    status: {
+      type: String,
+      enum: ['none', 'pending', 'accepted', 'rejected'],
+      default: 'none'
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Recurso deve ter no máximo 2000 caracteres'],
+      default: null
+    },
+    submittedAt: {
+      type: Date,
+      default: null
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    },
+    response: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Resposta deve ter no máximo 1000 caracteres'],
+      default: null
+    }
+  },
+  
   // Campos para reset de senha
   resetPasswordToken: {
     type: String,
@@ -125,6 +267,14 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  emailVerificationExpires: {
+    type: Date,
+    default: null
+  },
+  emailVerificationSentAt: {
+    type: Date,
+    default: null
+  },
   
   // Estatísticas
   totalPosts: {
@@ -144,10 +294,15 @@ const userSchema = new mongoose.Schema({
 // Índices para performance
 userSchema.index({ email: 1 });
 userSchema.index({ userType: 1 });
+userSchema.index({ role: 1 });
+userSchema.index({ accountStatus: 1, 'suspension.expiresAt': 1 });
+userSchema.index({ 'appeal.status': 1, 'appeal.submittedAt': 1 });
 userSchema.index({ artistName: 1 });
 userSchema.index({ genres: 1 });
 userSchema.index({ resetPasswordToken: 1 });
 userSchema.index({ emailVerificationToken: 1 });
+userSchema.index({ blockedUsers: 1 });
+userSchema.index({ isPrivate: 1 });
 
 // 🔧 CAMPOS VIRTUAIS CORRIGIDOS - com verificação de undefined
 userSchema.virtual('followersCount').get(function() {
@@ -160,6 +315,13 @@ userSchema.virtual('followingCount').get(function() {
   return (this.following && Array.isArray(this.following)) ? this.following.length : 0;
 });
 
+// Faixas em destaque exibidas no perfil (removidas ou ocultas são filtradas)
+userSchema.statics.FEATURED_TRACKS_POPULATE = {
+  path: 'featuredTracks',
+  select: 'title duration genre album cover audio.mimeType previewForNonFollowers stats',
+  match: { isActive: true, authorSuspended: { $ne: true } }
+};
+
 // Middleware para hash da senha antes de salvar
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -242,6 +404,9 @@ userSchema.methods.createEmailVerificationToken = function() {
     .update(verificationToken)
     .digest('hex');
   
+  this.emailVerificationExpires = Date.now() + EmailVerificationPolicy.TOKEN_EXPIRES_HOURS * 60 * 60 * 1000;
+  this.emailVerificationSentAt = new Date();
+  
   return verificationToken;
 };
 
@@ -252,10 +417,13 @@ userSchema.methods.verifyEmail = function(token) {
     .update(token)
     .digest('hex');
   
-  if (this.emailVerificationToken === hashedToken) {
+  const notExpired = !this.emailVerificationExpires || this.emailVerificationExpires > Date.now();
+  
+  if (this.emailVerificationToken === hashedToken && notExpired) {
     this.emailVerified = true;
     this.emailVerifiedAt = new Date();
     this.emailVerificationToken = null;
+    this.emailVerificationExpires = null;
     return true;
   }
   
@@ -303,6 +471,58 @@ userSchema.methods.isFollowing = function(userId) {
   return this.following.includes(userId);
 };
 
+// Método para obter permissões efetivas (papel + permissões extras)
+userSchema.methods.getPermissions = function() {
+  return getEffectivePermissions(this.role, this.permissions || []);
+};
+
+// Método para verificar se bloqueou o usuário
+userSchema.methods.hasBlocked = function(userId) {
+  return (this.blockedUsers || []).some(id => id.toString() === userId.toString());
+};
+
+// Método para verificar se silenciou o usuário
+userSchema.methods.hasMuted = function(userId) {
+  return (this.mutedUsers || []).some(id => id.toString() === userId.toString());
+};
+
+// Método para verificar se o visualizador pode ver os posts deste usuário
+userSchema.methods.canBeSeenBy = function(viewer) {
+  if (!this.isPrivate) return true;
+  if (!viewer) return false;
+  return this._id.equals(viewer._id) || viewer.isFollowing(this._id);
+};
+
+// Método para verificar permissão
+userSchema.methods.hasPermission = function(permission) {
+  return this.getPermissions().includes(permission);
+};
+
+// Método para verificar se a conta está suspensa ou banida
+// (suspensões vencidas contam como ativas até a varredura reativá-las)
+userSchema.methods.isRestricted = function() {
+  if (this.accountStatus === 'banned') return true;
+  if (this.accountStatus !== 'suspended') return false;
+  return !this.suspension?.expiresAt || this.suspension.expiresAt > new Date();
+};
+
+// Método para descrever a restrição da conta ao próprio usuário
+userSchema.methods.getRestrictionInfo = function() {
+  return {
+    status: this.accountStatus,
+    reason: this.suspension?.reason || null,
+    since: this.suspension?.startedAt || null,
+    until: this.accountStatus === 'suspended' ? this.suspension?.expiresAt || null : null,
+    appeal: {
+      status: this.appeal?.status || 'none',
+      submittedAt: this.appeal?.submittedAt || null,
+      response: this.appeal?.response || null
+    },
+    // Um recurso por suspensão/banimento
+    canAppeal: (this.appeal?.status || 'none') === 'none'
+  };
+};
+
 // Método para transformar em objeto público (sem dados sensíveis)
 userSchema.methods.toPublicJSON = function() {
   const userObject = this.toObject();
@@ -322,6 +542,11 @@ userSchema.methods.toPublicJSON = function() {
   delete userObject.resetPasswordToken;
   delete userObject.resetPasswordExpires;
   delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpires;
+  delete userObject.suspension;
+  delete userObject.appeal;
+  delete userObject.blockedUsers;
+  delete userObject.mutedUsers;
   delete userObject.__v;
   
   // ✅ GARANTIR QUE AVATAR PERMANECE NO OBJETO
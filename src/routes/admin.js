@@ -0,0 +1,455 @@
+const express = require('express');
+const { body, validationResult, param, query } = require('express-validator');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const EmailOutbox = require('../models/EmailOutbox');
+const { auth, requirePermission } = require('../middleware/auth');
+const { ROLES, PERMISSIONS } = require('../config/permissions');
+const { TemplateError } = require('../utils/templateEngine');
+const { PaginationError, getPagination, paginate } = require('../utils/pagination');
+const {
+  SUPPORTED_LOCALES,
+  listTemplates,
+  getSampleData,
+  renderEmail
+} = require('../utils/emailTemplates');
+
+const router = express.Router();
+
+// Resumo de acesso de um usuário
+const accessSummary = (user) => ({
+  userId: user._id,
+  name: user.name,
+  email: user.email,
+  userType: user.userType,
+  role: user.role,
+  permissions: user.permissions || [],
+  effectivePermissions: user.getPermissions()
+});
+
+// ========================================
+// 🛡️ ROTAS DE PAPÉIS E PERMISSÕES
+// ========================================
+
+// @route   GET /api/admin/users/:id/access
+// @desc    Ver papel e permissões de um usuário
+// @access  Private (roles:manage)
+router.get('/users/:id/access', auth, requirePermission(PERMISSIONS.ROLES_MANAGE), [
+  param('id').isMongoId().withMessage('ID do usuário inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'ID do usuário inválido' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+
+    res.json({ access: accessSummary(user) });
+
+  } catch (error) {
+    console.error('❌ Erro ao buscar acesso do usuário:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Alterar papel de um usuário
+// @access  Private (roles:manage)
+router.put('/users/:id/role', auth, requirePermission(PERMISSIONS.ROLES_MANAGE), [
+  param('id').isMongoId().withMessage('ID do usuário inválido'),
+  body('role')
+    .isIn(Object.values(ROLES))
+    .withMessage(`Papel deve ser: ${Object.values(ROLES).join(', ')}`),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Motivo deve ter no máximo 500 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { role, reason = '' } = req.body;
+
+    if (req.params.id === req.user.userId) {
+      return res.status(400).json({
+        error: 'Você não pode alterar seu próprio papel'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+
+    if (user.role === role) {
+      return res.json({
+        message: 'Usuário já possui este papel',
+        access: accessSummary(user)
+      });
+    }
+
+    // Não permitir remover o último admin
+    if (user.role === ROLES.ADMIN) {
+      const adminCount = await User.countDocuments({ role: ROLES.ADMIN, isActive: true });
+      if (adminCount <= 1) {
+        return res.status(400).json({
+          error: 'Não é possível remover o último administrador'
+        });
+      }
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+
+    await AuditLog.record(req, {
+      action: 'role.change',
+      targetType: 'user',
+      targetId: user._id,
+      before: { role: previousRole },
+      after: { role },
+      reason
+    });
+
+    console.log(`🛡️ Papel alterado: ${user.name} (${user.email}) ${previousRole} -> ${role} por ${req.currentUser.name}`);
+
+    res.json({
+      message: 'Papel atualizado com sucesso',
+      access: accessSummary(user)
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao alterar papel:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   POST /api/admin/users/:id/permissions
+// @desc    Conceder permissão individual
+// @access  Private (roles:manage)
+router.post('/users/:id/permissions', auth, requirePermission(PERMISSIONS.ROLES_MANAGE), [
+  param('id').isMongoId().withMessage('ID do usuário inválido'),
+  body('permission')
+    .isIn(Object.values(PERMISSIONS))
+    .withMessage('Permissão inválida'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Motivo deve ter no máximo 500 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { permission, reason = '' } = req.body;
+
+    if (req.params.id === req.user.userId) {
+      return res.status(403).json({
+        error: 'Você não pode conceder permissões a si mesmo'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+
+    if (user.permissions.includes(permission)) {
+      return res.json({
+        message: 'Usuário já possui esta permissão',
+        access: accessSummary(user)
+      });
+    }
+
+    const before = [...user.permissions];
+    user.permissions.push(permission);
+    await user.save({ validateBeforeSave: false });
+
+    await AuditLog.record(req, {
+      action: 'permission.grant',
+      targetType: 'user',
+      targetId: user._id,
+      before: { permissions: before },
+      after: { permissions: [...user.permissions] },
+      reason
+    });
+
+    console.log(`🛡️ Permissão concedida: ${permission} -> ${user.name} por ${req.currentUser.name}`);
+
+    res.json({
+      message: 'Permissão concedida com sucesso',
+      access: accessSummary(user)
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao conceder permissão:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/permissions/:permission
+// @desc    Revogar permissão individual
+// @access  Private (roles:manage)
+router.delete('/users/:id/permissions/:permission', auth, requirePermission(PERMISSIONS.ROLES_MANAGE), [
+  param('id').isMongoId().withMessage('ID do usuário inválido'),
+  param('permission')
+    .isIn(Object.values(PERMISSIONS))
+    .withMessage('Permissão inválida'),
+  query('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Motivo deve ter no máximo 500 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { permission } = req.params;
+    const reason = req.query.reason || '';
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+
+    if (!user.permissions.includes(permission)) {
+      return res.status(404).json({
+        error: 'Usuário não possui esta permissão individual',
+        message: 'Permissões incluídas no papel só podem ser removidas alterando o papel',
+        access: accessSummary(user)
+      });
+    }
+
+    const before = [...user.permissions];
+    user.permissions.pull(permission);
+    await user.save({ validateBeforeSave: false });
+
+    await AuditLog.record(req, {
+      action: 'permission.revoke',
+      targetType: 'user',
+      targetId: user._id,
+      before: { permissions: before },
+      after: { permissions: [...user.permissions] },
+      reason
+    });
+
+    console.log(`🛡️ Permissão revogada: ${permission} -> ${user.name} por ${req.currentUser.name}`);
+
+    res.json({
+      message: 'Permissão revogada com sucesso',
+      access: accessSummary(user)
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao revogar permissão:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// ========================================
+// 📊 ROTAS DE AUDITORIA
+// ========================================
+
+// @route   GET /api/admin/audit-logs
+// @desc    Listar trilha de auditoria
+// @access  Private (audit:read)
+router.get('/audit-logs', auth, requirePermission(PERMISSIONS.AUDIT_READ), [
+  query('actor').optional().isMongoId().withMessage('ID do autor inválido'),
+  query('targetId').optional().isMongoId().withMessage('ID do alvo inválido'),
+  query('targetType')
+    .optional()
+    .isIn(AuditLog.schema.path('targetType').enumValues)
+    .withMessage('Tipo de alvo inválido'),
+  query('action')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Ação inválida')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { actor, targetType, targetId, action } = req.query;
+    const pagination = getPagination(req.query, { defaultLimit: 50 });
+
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+    if (action) filter.action = action;
+
+    const { items: logs, pagination: pageInfo } = await paginate(
+      AuditLog.find(filter).populate('actor', 'name email role'),
+      { sort: { createdAt: -1 }, pagination }
+    );
+
+    res.json({
+      logs,
+      pagination: pageInfo
+    });
+
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro ao listar auditoria:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// ========================================
+// 📧 PREVIEW DE TEMPLATES DE EMAIL
+// ========================================
+
+// @route   GET /api/admin/email-templates
+// @desc    Listar templates de email e idiomas disponíveis
+// @access  Private (templates:preview)
+router.get('/email-templates', auth, requirePermission(PERMISSIONS.TEMPLATES_PREVIEW), (req, res) => {
+  try {
+    res.json({
+      templates: listTemplates(),
+      locales: SUPPORTED_LOCALES
+    });
+  } catch (error) {
+    console.error('❌ Erro ao listar templates:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   GET /api/admin/email-templates/:name/preview
+// @desc    Renderizar template com dados de exemplo (?locale=en-US&format=html|text|json)
+// @access  Private (templates:preview)
+router.get('/email-templates/:name/preview', auth, requirePermission(PERMISSIONS.TEMPLATES_PREVIEW), [
+  param('name').matches(/^[a-z0-9-]+$/).withMessage('Nome de template inválido'),
+  query('locale')
+    .optional()
+    .isIn(SUPPORTED_LOCALES)
+    .withMessage(`Idioma deve ser: ${SUPPORTED_LOCALES.join(', ')}`),
+  query('format')
+    .optional()
+    .isIn(['html', 'text', 'json'])
+    .withMessage('Formato deve ser: html, text, json')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { name } = req.params;
+    const { locale, format = 'html' } = req.query;
+
+    if (!listTemplates().includes(name)) {
+      return res.status(404).json({ error: 'Template não encontrado' });
+    }
+
+    const email = renderEmail(name, locale, getSampleData(name));
+
+    if (format === 'json') {
+      return res.json({ template: name, ...email });
+    }
+
+    if (format === 'text') {
+      return res.type('text/plain').send(email.text);
+    }
+
+    res.type('html').send(email.html);
+
+  } catch (error) {
+    if (error instanceof TemplateError) {
+      return res.status(422).json({
+        error: 'Erro no template',
+        message: error.message
+      });
+    }
+    console.error('❌ Erro ao renderizar preview:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// ========================================
+// 📬 FILA DE EMAILS
+// ========================================
+
+// @route   GET /api/admin/email-outbox
+// @desc    Status de entrega dos emails enfileirados
+// @access  Private (stats:read)
+router.get('/email-outbox', auth, requirePermission(PERMISSIONS.STATS_READ), [
+  query('status').optional().isIn(['pending', 'sending', 'sent', 'failed']).withMessage('Status inválido'),
+  query('to').optional().isEmail().withMessage('Email inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { status, to, template } = req.query;
+    const pagination = getPagination(req.query, { defaultLimit: 50 });
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (to) filter.to = to.toLowerCase();
+    if (template) filter.template = template;
+
+    // O corpo do email pode conter tokens - nunca é exposto aqui
+    const [{ items: emails, pagination: pageInfo }, stats] = await Promise.all([
+      paginate(EmailOutbox.find(filter).select('-html -text'), {
+        sort: { createdAt: -1 },
+        pagination
+      }),
+      EmailOutbox.getStats()
+    ]);
+
+    res.json({
+      emails,
+      stats,
+      pagination: pageInfo
+    });
+
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro ao listar fila de emails:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
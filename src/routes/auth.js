@@ -1,20 +1,74 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
+const TokenBlacklist = require('../models/TokenBlackList');
+const Session = require('../models/Session');
 const { auth } = require('../middleware/auth');
-const { sendResetPasswordEmail } = require('../utils/emailService');
+const { sendResetPasswordEmail, sendVerificationEmail } = require('../utils/emailService');
+const { EmailVerificationPolicy } = require('../config/emailVerification');
+const { SUPPORTED_LOCALES, resolveLocale } = require('../utils/emailTemplates');
+const { disconnectToken, disconnectSessions } = require('../utils/socketService');
+const { issueTokens, rotateRefreshToken, revokeRefreshToken } = require('../utils/tokenService');
+const { reinstateAccount } = require('../utils/accountStatusService');
+const { MediaError, resolveMediaUrl, isUrlOrMediaId } = require('../utils/mediaService');
+const { approveAllPending } = require('../utils/followService');
+const {
+  HandleError,
+  normalizeHandle,
+  checkHandleFormat,
+  isHandleAvailable,
+  suggestHandles,
+  pickRegistrationHandle,
+  changeHandle
+} = require('../utils/handleService');
 
 const router = express.Router();
 
-// Função para gerar JWT
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId }, 
-    process.env.JWT_SECRET || 'rockrider_secret_key',
-    { expiresIn: '7d' }
-  );
+// Revogar o token usado na requisição até a expiração natural dele,
+// junto com a sessão (e refresh tokens) do mesmo login
+const revokeRequestToken = async (req, reason = 'logout') => {
+  const expiresAt = req.user?.exp ? new Date(req.user.exp * 1000) : undefined;
+
+  if (req.user?.sid) {
+    await Session.revokeSession(req.user.sid, reason);
+  }
+  if (req.body?.refreshToken) {
+    await revokeRefreshToken(req.body.refreshToken, reason);
+  }
+
+  await TokenBlacklist.addTokenToBlacklist({
+    token: req.authToken,
+    userId: req.currentUser._id,
+    reason,
+    ip: req.ip,
+    userAgent: req.headers['user-agent'],
+    expiresAt
+  });
+
+  await disconnectToken(req.currentUser._id, req.authToken);
+};
+
+// Gerar novo token de verificação e enviar o link por email.
+// Falha no envio não interrompe o fluxo - o usuário pode pedir reenvio.
+const sendVerificationLink = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendVerificationEmail(
+      user.email,
+      user.name,
+      verificationToken,
+      EmailVerificationPolicy.TOKEN_EXPIRES_HOURS,
+      user.locale
+    );
+    return true;
+  } catch (error) {
+    console.error('❌ Falha ao enfileirar verificação de email:', error.message);
+    return false;
+  }
 };
 
 // ========================================
@@ -47,7 +101,18 @@ router.post('/register', [
     .optional()
     .trim()
     .isLength({ max: 100 })
-    .withMessage('Nome artístico deve ter no máximo 100 caracteres')
+    .withMessage('Nome artístico deve ter no máximo 100 caracteres'),
+  
+  // @handle escolhido (opcional: sem ele, um é gerado a partir do nome)
+  body('handle')
+    .optional()
+    .isString()
+    .withMessage('Handle inválido'),
+  
+  body('locale')
+    .optional()
+    .isIn(SUPPORTED_LOCALES)
+    .withMessage(`Idioma deve ser: ${SUPPORTED_LOCALES.join(', ')}`)
 ], async (req, res) => {
   try {
     // Verificar erros de validação
@@ -59,7 +124,7 @@ router.post('/register', [
       });
     }
 
-    const { name, email, password, userType, artistName, genres } = req.body;
+    const { name, email, password, userType, artistName, genres, locale, handle } = req.body;
 
     // Verificar se usuário já existe
     const existingUser = await User.findOne({ email });
@@ -69,12 +134,18 @@ router.post('/register', [
       });
     }
 
+    // Handle em uso: 409 com sugestões livres
+    const userHandle = await pickRegistrationHandle(handle, [artistName, name]);
+
     // Criar novo usuário
     const userData = {
       name,
       email,
       password,
-      userType
+      userType,
+      handle: userHandle,
+      // Idioma dos emails: escolhido no app ou o do cabeçalho Accept-Language
+      locale: locale || resolveLocale(req.acceptsLanguages()[0])
     };
 
     // Adicionar campos específicos para artistas
@@ -86,19 +157,33 @@ router.post('/register', [
     const user = new User(userData);
     await user.save();
 
-    // Gerar token
-    const token = generateToken(user._id);
+    // Enviar link de verificação de email
+    const emailVerificationSent = await sendVerificationLink(user);
+
+    // Gerar access token + refresh token
+    const tokens = await issueTokens(user, req);
 
     // Log de registro
     console.log(`✅ Novo usuário registrado: ${user.name} (${user.email}) - ${userType} - ${new Date().toISOString()}`);
 
     res.status(201).json({
       message: 'Usuário criado com sucesso',
-      token,
+      ...tokens,
+      emailVerificationSent,
       user: user.toPublicJSON()
     });
 
   } catch (error) {
+    if (error instanceof HandleError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, suggestions: error.suggestions });
+    }
+    if (error.code === 11000 && error.keyPattern?.handle) {
+      return res.status(409).json({
+        error: 'Este handle já está em uso',
+        code: 'HANDLE_TAKEN',
+        suggestions: await suggestHandles([req.body.handle, req.body.artistName, req.body.name])
+      });
+    }
     console.error('Erro no registro:', error);
     res.status(500).json({
       error: 'Erro interno do servidor',
@@ -155,15 +240,32 @@ router.post('/login', [
       });
     }
 
-    // Gerar token
-    const token = generateToken(user._id);
+    // Verificar suspensão/banimento (só após a senha, para não expor o status da conta)
+    if (user.accountStatus !== 'active') {
+      if (user.isRestricted()) {
+        const isBanned = user.accountStatus === 'banned';
+        return res.status(403).json({
+          error: isBanned ? 'Conta banida' : 'Conta suspensa',
+          message: user.suspension?.reason || 'Sua conta está temporariamente restrita',
+          code: isBanned ? 'ACCOUNT_BANNED' : 'ACCOUNT_SUSPENDED',
+          restriction: user.getRestrictionInfo()
+        });
+      }
+
+      // Suspensão já expirou e a varredura ainda não passou
+      await reinstateAccount(null, user._id);
+      user.accountStatus = 'active';
+    }
+
+    // Gerar access token + refresh token
+    const tokens = await issueTokens(user, req);
 
     // Log de login
     console.log(`🔑 Login realizado: ${user.name} (${user.email}) - IP: ${req.ip} - ${new Date().toISOString()}`);
 
     res.json({
       message: 'Login realizado com sucesso',
-      token,
+      ...tokens,
       user: user.toPublicJSON()
     });
 
@@ -175,6 +277,81 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/appeal
+// @desc    Recorrer de suspensão ou banimento (conta restrita não consegue fazer login)
+// @access  Public (com credenciais)
+router.post('/appeal', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Email inválido'),
+  
+  body('password')
+    .notEmpty()
+    .withMessage('Senha é obrigatória'),
+  
+  body('message')
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Recurso deve ter entre 10 e 2000 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { email, password, message } = req.body;
+
+    const user = await User.findOne({ email }).select('+password');
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        error: 'Credenciais inválidas'
+      });
+    }
+
+    if (!user.isRestricted()) {
+      return res.status(400).json({
+        error: 'Sua conta não está suspensa ou banida'
+      });
+    }
+
+    if (user.appeal?.status !== 'none') {
+      return res.status(409).json({
+        error: 'Você já enviou um recurso para esta restrição',
+        code: 'APPEAL_ALREADY_SUBMITTED',
+        restriction: user.getRestrictionInfo()
+      });
+    }
+
+    user.appeal = {
+      status: 'pending',
+      message,
+      submittedAt: new Date(),
+      reviewedBy: null,
+      reviewedAt: null,
+      response: null
+    };
+    await user.save({ validateBeforeSave: false });
+
+    console.log(`📨 Recurso enviado: ${user.email} (${user.accountStatus}) - IP: ${req.ip}`);
+
+    res.status(201).json({
+      message: 'Recurso enviado. Nossa equipe de moderação irá analisá-lo.',
+      restriction: user.getRestrictionInfo()
+    });
+
+  } catch (error) {
+    console.error('Erro ao enviar recurso:', error);
+    res.status(500).json({
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
 // @route   POST /api/auth/logout
 // @desc    Logout do usuário (com logs de auditoria)
 // @access  Private
@@ -187,24 +364,10 @@ router.post('/logout', auth, async (req, res) => {
       timestamp: new Date().toISOString()
     };
     
+    // Revogar o token apresentado
+    await revokeRequestToken(req, 'logout');
+
     console.log(`🚪 Logout realizado: ${user.name} (${user.email}) - IP: ${req.ip} - ${new Date().toISOString()}`);
-    
-    // Aqui podemos adicionar logs de auditoria futuramente
-    // await LogModel.create({
-    //   userId: user._id,
-    //   action: 'logout',
-    //   timestamp: new Date(),
-    //   ip: req.ip,
-    //   userAgent: req.headers['user-agent']
-    // });
-
-    // TODO: Implementar blacklist de tokens JWT (opcional)
-    // await TokenBlacklist.create({
-    //   token: req.authToken,
-    //   userId: user._id,
-    //   reason: 'logout',
-    //   expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 dias
-    // });
 
     res.json({
       message: 'Logout realizado com sucesso',
@@ -224,14 +387,52 @@ router.post('/logout', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Trocar refresh token por um novo par de tokens (rotação)
+// @access  Public (requer refresh token)
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token é obrigatório')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { user, tokens, failure } = await rotateRefreshToken(req.body.refreshToken, req);
+    if (failure) {
+      return res.status(401).json(failure);
+    }
+
+    console.log(`🔄 Tokens renovados: ${user.name} (${user.email}) - IP: ${req.ip}`);
+
+    res.json({
+      message: 'Tokens renovados com sucesso',
+      ...tokens
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao renovar tokens:', error);
+    res.status(500).json({
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Obter dados do usuário logado
 // @access  Private
 router.get('/me', auth, async (req, res) => {
   try {
     const user = await User.findById(req.user.userId)
-      .populate('followers', 'name artistName avatar userType')
-      .populate('following', 'name artistName avatar userType');
+      .populate('followers', 'name handle artistName avatar userType')
+      .populate('following', 'name handle artistName avatar userType');
 
     if (!user) {
       return res.status(404).json({
@@ -251,6 +452,104 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// ========================================
+// 📱 ROTAS DE SESSÕES (DISPOSITIVOS)
+// ========================================
+
+// @route   GET /api/auth/sessions
+// @desc    Listar dispositivos com sessão ativa
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user.userId);
+
+    res.json({
+      sessions: sessions.map(session => session.toPublicJSON(req.user.sid)),
+      currentSessionId: req.user.sid || null
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao listar sessões:', error);
+    res.status(500).json({
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/sessions/revoke-others
+// @desc    Encerrar todas as sessões exceto a atual
+// @access  Private
+router.post('/sessions/revoke-others', auth, async (req, res) => {
+  try {
+    if (!req.user.sid) {
+      return res.status(400).json({
+        error: 'Sessão atual desconhecida',
+        message: 'Faça login novamente para gerenciar seus dispositivos',
+        code: 'NO_SESSION'
+      });
+    }
+
+    const revoked = await Session.revokeAllForUser(req.user.userId, 'manual_revoke', {
+      exceptSessionId: req.user.sid
+    });
+    await disconnectSessions(req.user.userId, { exceptSessionId: req.user.sid });
+
+    console.log(`📱 ${revoked.length} outras sessões encerradas: ${req.currentUser.name} (${req.currentUser.email})`);
+
+    res.json({
+      message: 'Outras sessões encerradas com sucesso',
+      revokedCount: revoked.length
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao encerrar outras sessões:', error);
+    res.status(500).json({
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Encerrar sessão de um dispositivo
+// @access  Private
+router.delete('/sessions/:id', auth, [
+  param('id').isMongoId().withMessage('ID da sessão inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'ID da sessão inválido' });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user.userId,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Sessão não encontrada' });
+    }
+
+    await Session.revokeSession(session._id, 'manual_revoke');
+    await disconnectSessions(req.user.userId, { sessionId: session._id });
+
+    const isCurrent = req.user.sid === session._id.toString();
+    console.log(`📱 Sessão encerrada: ${session._id} (${session.deviceName || session.deviceId}) - ${req.currentUser.name}`);
+
+    res.json({
+      message: isCurrent ? 'Sessão atual encerrada. Faça login novamente.' : 'Sessão encerrada com sucesso',
+      isCurrent
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao encerrar sessão:', error);
+    res.status(500).json({
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
 // ========================================
 // 👤 ROTAS DE GERENCIAMENTO DE PERFIL
 // ========================================
@@ -275,7 +574,29 @@ router.put('/profile', auth, [
     .optional()
     .trim()
     .isLength({ max: 100 })
-    .withMessage('Nome artístico deve ter no máximo 100 caracteres')
+    .withMessage('Nome artístico deve ter no máximo 100 caracteres'),
+  
+  body('locale')
+    .optional()
+    .isIn(SUPPORTED_LOCALES)
+    .withMessage(`Idioma deve ser: ${SUPPORTED_LOCALES.join(', ')}`),
+  
+  body('dmPolicy')
+    .optional()
+    .isIn(['everyone', 'following'])
+    .withMessage('dmPolicy deve ser everyone ou following'),
+  
+  body('isPrivate')
+    .optional()
+    .isBoolean()
+    .withMessage('isPrivate deve ser booleano')
+    .toBoolean(),
+  
+  // URL da imagem ou ID retornado por POST /api/media (vazio remove o avatar)
+  body('avatar')
+    .optional({ values: 'null' })
+    .custom(value => value === '' || isUrlOrMediaId(value))
+    .withMessage('Avatar deve ser uma URL ou ID de mídia')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -286,7 +607,8 @@ router.put('/profile', auth, [
       });
     }
 
-    const allowedUpdates = ['name', 'bio', 'artistName', 'genres', 'socialLinks'];
+    // Handle tem rota própria (PUT /api/auth/handle) por causa do intervalo entre trocas
+    const allowedUpdates = ['name', 'bio', 'artistName', 'genres', 'socialLinks', 'locale', 'avatar', 'dmPolicy', 'isPrivate'];
     const updates = {};
 
     // Filtrar apenas campos permitidos
@@ -296,6 +618,12 @@ router.put('/profile', auth, [
       }
     });
 
+    if (updates.avatar) {
+      updates.avatar = await resolveMediaUrl(updates.avatar, req.user.userId);
+    } else if (updates.avatar !== undefined) {
+      updates.avatar = null;
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user.userId,
       updates,
@@ -308,6 +636,11 @@ router.put('/profile', auth, [
       });
     }
 
+    // Conta voltou a ser pública: pedidos pendentes viram follows
+    if (updates.isPrivate === false) {
+      await approveAllPending(user);
+    }
+
     console.log(`📝 Perfil atualizado: ${user.name} (${user.email}) - ${new Date().toISOString()}`);
 
     res.json({
@@ -316,6 +649,9 @@ router.put('/profile', auth, [
     });
 
   } catch (error) {
+    if (error instanceof MediaError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     console.error('Erro ao atualizar perfil:', error);
     res.status(500).json({
       error: 'Erro interno do servidor'
@@ -323,6 +659,54 @@ router.put('/profile', auth, [
   }
 });
 
+// @route   PUT /api/auth/handle
+// @desc    Trocar o @handle (intervalo mínimo entre trocas; o antigo redireciona por um tempo)
+// @access  Private
+router.put('/handle', auth, [
+  body('handle')
+    .isString()
+    .withMessage('Handle é obrigatório')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const user = req.currentUser;
+    const result = await changeHandle(user, req.body.handle);
+
+    if (result.changed) {
+      console.log(`🏷️ Handle alterado: ${user.name} @${result.previousHandle || '-'} -> @${result.handle}`);
+    }
+
+    res.json({
+      message: result.changed ? 'Handle atualizado com sucesso' : 'Handle não foi alterado',
+      handle: result.handle,
+      previousHandle: result.previousHandle || null,
+      redirectExpiresAt: result.redirectExpiresAt || null,
+      user: user.toPublicJSON()
+    });
+
+  } catch (error) {
+    if (error instanceof HandleError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        suggestions: error.suggestions,
+        availableAt: error.availableAt
+      });
+    }
+    console.error('Erro ao trocar handle:', error);
+    res.status(500).json({
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
 // @route   POST /api/auth/change-password
 // @desc    Alterar senha
 // @access  Private
@@ -367,11 +751,10 @@ router.post('/change-password', auth, [
 
     console.log(`🔐 Senha alterada: ${user.name} (${user.email}) - ${new Date().toISOString()}`);
 
-    // TODO: Invalidar todos os tokens existentes do usuário
-    // await TokenBlacklist.updateMany(
-    //   { userId: user._id },
-    //   { reason: 'password_change' }
-    // );
+    // Access tokens antigos já são rejeitados via lastPasswordReset;
+    // sessões e refresh tokens de todos os dispositivos são encerrados aqui
+    await Session.revokeAllForUser(user._id, 'password_change');
+    await disconnectSessions(user._id);
 
     res.json({
       message: 'Senha alterada com sucesso'
@@ -431,6 +814,51 @@ router.post('/check-email', [
   }
 });
 
+// @route   POST /api/auth/check-handle
+// @desc    Verificar se um @handle está disponível (com sugestões se não estiver)
+// @access  Public
+router.post('/check-handle', [
+  body('handle')
+    .isString()
+    .withMessage('Handle é obrigatório')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Handle inválido',
+        details: errors.array()
+      });
+    }
+
+    const handle = normalizeHandle(req.body.handle);
+    checkHandleFormat(handle);
+
+    if (!(await isHandleAvailable(handle))) {
+      return res.status(400).json({
+        error: 'Este handle já está em uso',
+        available: false,
+        suggestions: await suggestHandles([handle, req.body.name])
+      });
+    }
+
+    res.json({
+      message: 'Handle disponível',
+      available: true,
+      handle
+    });
+
+  } catch (error) {
+    if (error instanceof HandleError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, available: false });
+    }
+    console.error('Erro ao verificar handle:', error);
+    res.status(500).json({
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
 // ========================================
 // 🔐 ROTAS DE RESET DE SENHA
 // ========================================
@@ -488,40 +916,25 @@ router.post('/forgot-password', [
     console.log('🔑 Token gerado para:', user.email);
     console.log('⏰ Expira em: 10 minutos');
 
-    try {
-      // 4. Enviar email para O EMAIL DO USUÁRIO que esqueceu a senha
-      await sendResetPasswordEmail(
-        user.email,    // 📧 Email DO USUÁRIO (não email do sistema)
-        user.name,     // 👤 Nome do usuário
-        resetToken     // 🔑 Token único
-      );
-
-      console.log('✅ Email de reset enviado com sucesso para:', user.email);
-
-      res.json({
-        message: 'Instruções para redefinir sua senha foram enviadas para seu email.',
-        success: true,
-        // Informações não-sensíveis para o frontend
-        info: {
-          emailSent: true,
-          expiresInMinutes: 10,
-          sentTo: user.email.replace(/(.{2}).*(@.*)/, '$1***$2') // Mascarar email: jo***@gmail.com
-        }
-      });
-
-    } catch (emailError) {
-      // Se falhar ao enviar email, limpar token
-      user.clearPasswordReset();
-      await user.save({ validateBeforeSave: false });
-
-      console.error('❌ Erro ao enviar email para:', user.email);
-      console.error('❌ Detalhes:', emailError.message);
-      
-      return res.status(500).json({
-        error: 'Erro ao enviar email. Tente novamente mais tarde.',
-        details: process.env.NODE_ENV === 'development' ? emailError.message : undefined
-      });
-    }
+    // 4. Enfileirar email para O EMAIL DO USUÁRIO que esqueceu a senha
+    // O envio acontece em segundo plano, com novas tentativas em caso de falha
+    await sendResetPasswordEmail(
+      user.email,    // 📧 Email DO USUÁRIO (não email do sistema)
+      user.name,     // 👤 Nome do usuário
+      resetToken,    // 🔑 Token único
+      user.locale    // 🌐 Idioma do usuário
+    );
+
+    res.json({
+      message: 'Instruções para redefinir sua senha foram enviadas para seu email.',
+      success: true,
+      // Informações não-sensíveis para o frontend
+      info: {
+        emailQueued: true,
+        expiresInMinutes: 10,
+        sentTo: user.email.replace(/(.{2}).*(@.*)/, '$1***$2') // Mascarar email: jo***@gmail.com
+      }
+    });
 
   } catch (error) {
     console.error('❌ Erro no forgot-password:', error);
@@ -655,15 +1068,17 @@ router.post('/reset-password', [
     user.clearPasswordReset();
     await user.save();
 
-    // Gerar novo token JWT para login automático
-    const jwtToken = generateToken(user._id);
+    // Encerrar logins existentes e gerar novos tokens para login automático
+    await Session.revokeAllForUser(user._id, 'password_change');
+    await disconnectSessions(user._id);
+    const tokens = await issueTokens(user, req);
 
     console.log(`🔐 Senha redefinida via reset: ${user.name} (${user.email}) - ${new Date().toISOString()}`);
 
     res.json({
       message: 'Senha redefinida com sucesso! Você foi logado automaticamente.',
       success: true,
-      token: jwtToken,
+      ...tokens,
       user: user.toPublicJSON()
     });
 
@@ -675,6 +1090,112 @@ router.post('/reset-password', [
   }
 });
 
+// ========================================
+// 📧 ROTAS DE VERIFICAÇÃO DE EMAIL
+// ========================================
+
+// @route   GET /api/auth/verify-email/:token
+// @desc    Confirmar email a partir do link enviado
+// @access  Public
+router.get('/verify-email/:token', [
+  param('token')
+    .isLength({ min: 64, max: 64 })
+    .isHexadecimal()
+    .withMessage('Token de verificação inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Token de verificação inválido',
+        code: 'INVALID_VERIFICATION_TOKEN'
+      });
+    }
+
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({ emailVerificationToken: hashedToken });
+
+    if (!user || !user.verifyEmail(req.params.token)) {
+      return res.status(400).json({
+        error: 'Token inválido ou expirado',
+        message: 'Este link de verificação é inválido ou expirou. Solicite um novo.',
+        code: 'INVALID_VERIFICATION_TOKEN'
+      });
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    console.log(`✅ Email verificado: ${user.email}`);
+
+    res.json({
+      message: 'Email verificado com sucesso',
+      emailVerified: true,
+      emailVerifiedAt: user.emailVerifiedAt
+    });
+
+  } catch (error) {
+    console.error('Erro ao verificar email:', error);
+    res.status(500).json({
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Reenviar email de verificação
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = req.currentUser;
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        error: 'Email já verificado',
+        code: 'EMAIL_ALREADY_VERIFIED'
+      });
+    }
+
+    // Intervalo mínimo entre reenvios
+    if (user.emailVerificationSentAt) {
+      const cooldownMs = EmailVerificationPolicy.RESEND_COOLDOWN_SECONDS * 1000;
+      const elapsed = Date.now() - user.emailVerificationSentAt.getTime();
+      if (elapsed < cooldownMs) {
+        const retryAfter = Math.ceil((cooldownMs - elapsed) / 1000);
+        return res.status(429).json({
+          error: 'Aguarde para reenviar',
+          message: `Tente novamente em ${retryAfter} segundos`,
+          code: 'VERIFICATION_RESEND_COOLDOWN',
+          retryAfter
+        });
+      }
+    }
+
+    const sent = await sendVerificationLink(user);
+    if (!sent) {
+      return res.status(500).json({
+        error: 'Erro ao enviar email',
+        message: 'Não foi possível enviar o email de verificação. Tente novamente mais tarde.'
+      });
+    }
+
+    res.json({
+      message: 'Email de verificação reenviado',
+      sentTo: user.email,
+      expiresInHours: EmailVerificationPolicy.TOKEN_EXPIRES_HOURS
+    });
+
+  } catch (error) {
+    console.error('Erro ao reenviar verificação:', error);
+    res.status(500).json({
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
 // ========================================
 // 🧪 ROTAS DE TESTE
 // ========================================
@@ -721,23 +1242,8 @@ router.post('/logout', auth, async (req, res) => {
     
     console.log(`🚪 Logout iniciado: ${user.name} (${user.email}) - ${user.userType} - IP: ${req.ip} - ${new Date().toISOString()}`);
     
-    // Aqui podemos adicionar logs de auditoria futuramente
-    // await LogModel.create({
-    //   userId: user._id,
-    //   action: 'logout',
-    //   timestamp: new Date(),
-    //   ip: req.ip,
-    //   userAgent: req.headers['user-agent'],
-    //   success: true
-    // });
-
-    // TODO: Implementar blacklist de tokens JWT (opcional para segurança extra)
-    // await TokenBlacklist.create({
-    //   token: req.authToken,
-    //   userId: user._id,
-    //   reason: 'logout',
-    //   expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 dias
-    // });
+    // Revogar o token apresentado
+    await revokeRequestToken(req, 'logout');
 
     console.log(`✅ Logout concluído com sucesso: ${user.name} (${user.email})`);
 
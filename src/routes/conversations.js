@@ -0,0 +1,424 @@
+const express = require('express');
+const { body, validationResult, param, query } = require('express-validator');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const {
+  MessagingError,
+  startConversation,
+  sendMessage,
+  markRead,
+  respondToRequest,
+  getUnreadSummary
+} = require('../utils/messagingService');
+const { emitToUsers } = require('../utils/socketService');
+const { PaginationError, getPagination, paginate } = require('../utils/pagination');
+
+const router = express.Router();
+
+const MEMBER_FIELDS = 'name handle artistName avatar userType isVerified';
+
+// Carregar conversa da qual o usuário participa (ou responder 404)
+const loadConversation = async (req, res) => {
+  const conversation = await Conversation.findOne({
+    _id: req.params.id,
+    'members.user': req.user.userId
+  });
+
+  const member = conversation?.getMember(req.user.userId);
+  if (!conversation || member.status === 'left') {
+    res.status(404).json({ error: 'Conversa não encontrada' });
+    return null;
+  }
+  return conversation;
+};
+
+// @route   GET /api/conversations
+// @desc    Caixa de entrada (conversas ativas, mais recentes primeiro)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const pagination = getPagination(req.query, { maxLimit: 50 });
+
+    const { items: conversations, pagination: pageInfo } = await paginate(
+      Conversation.findForUser(req.user.userId, 'active'),
+      { sort: Conversation.INBOX_SORT, pagination }
+    );
+
+    res.json({
+      conversations: conversations.map(conversation => conversation.toViewerJSON(req.user.userId)),
+      pagination: pageInfo
+    });
+
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro ao listar conversas:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   GET /api/conversations/requests
+// @desc    Pedidos de mensagem (fãs que o artista não segue de volta)
+// @access  Private
+router.get('/requests', auth, async (req, res) => {
+  try {
+    const pagination = getPagination(req.query, { maxLimit: 50 });
+
+    const { items: conversations, pagination: pageInfo } = await paginate(
+      Conversation.findForUser(req.user.userId, 'request'),
+      { sort: Conversation.INBOX_SORT, pagination }
+    );
+
+    res.json({
+      requests: conversations.map(conversation => conversation.toViewerJSON(req.user.userId)),
+      pagination: pageInfo
+    });
+
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro ao listar pedidos de mensagem:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   GET /api/conversations/unread-count
+// @desc    Mensagens não lidas e pedidos pendentes
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    res.json(await getUnreadSummary(req.user.userId));
+  } catch (error) {
+    console.error('❌ Erro ao contar mensagens não lidas:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   POST /api/conversations
+// @desc    Iniciar conversa 1:1 ou em grupo com a primeira mensagem
+//          (1:1 reaproveita a conversa existente entre os dois usuários)
+// @access  Private
+router.post('/', auth, [
+  body('participants')
+    .isArray({ min: 1, max: Conversation.MAX_PARTICIPANTS - 1 })
+    .withMessage(`Informe de 1 a ${Conversation.MAX_PARTICIPANTS - 1} participantes`),
+  body('participants.*')
+    .isMongoId()
+    .withMessage('ID de participante inválido'),
+  body('text')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Mensagem deve ter entre 1 e 2000 caracteres'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Título deve ter no máximo 100 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { conversation, message } = await startConversation(req.user.userId, req.body.participants, {
+      text: req.body.text,
+      title: req.body.title || null
+    });
+
+    const updated = await Conversation.findById(conversation._id)
+      .populate('members.user', MEMBER_FIELDS);
+
+    res.status(201).json({
+      message: 'Mensagem enviada',
+      conversation: updated.toViewerJSON(req.user.userId),
+      sentMessage: message.toPublicJSON()
+    });
+
+  } catch (error) {
+    if (error instanceof MessagingError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro ao iniciar conversa:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   GET /api/conversations/:id
+// @desc    Obter conversa
+// @access  Private (participantes)
+router.get('/:id', auth, [
+  param('id').isMongoId().withMessage('ID da conversa inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'ID da conversa inválido' });
+    }
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    await conversation.populate('members.user', MEMBER_FIELDS);
+
+    res.json({ conversation: conversation.toViewerJSON(req.user.userId) });
+
+  } catch (error) {
+    console.error('❌ Erro ao buscar conversa:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   GET /api/conversations/:id/messages
+// @desc    Mensagens da conversa (mais recentes primeiro)
+// @access  Private (participantes)
+router.get('/:id/messages', auth, [
+  param('id').isMongoId().withMessage('ID da conversa inválido'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limite deve ser entre 1 e 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const pagination = getPagination(req.query, { defaultLimit: 30 });
+
+    const { items: messages, pagination: pageInfo } = await paginate(
+      Message.find({ conversation: conversation._id }).populate('sender', 'name handle artistName avatar'),
+      { sort: { createdAt: -1 }, pagination }
+    );
+
+    res.json({
+      messages: messages.map(message => message.toPublicJSON()),
+      // Confirmações de leitura: mensagens até lastReadAt foram vistas
+      readReceipts: conversation.members
+        .filter(member => member.status === 'active')
+        .map(member => ({ user: member.user, lastReadAt: member.lastReadAt })),
+      pagination: pageInfo
+    });
+
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro ao buscar mensagens:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   POST /api/conversations/:id/messages
+// @desc    Enviar mensagem (responder a um pedido de mensagem o aceita)
+// @access  Private (participantes)
+router.post('/:id/messages', auth, [
+  param('id').isMongoId().withMessage('ID da conversa inválido'),
+  body('text')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Mensagem deve ter entre 1 e 2000 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const sender = await User.findById(req.user.userId);
+    const message = await sendMessage(conversation, sender, req.body.text);
+
+    res.status(201).json({
+      message: 'Mensagem enviada',
+      sentMessage: message.toPublicJSON()
+    });
+
+  } catch (error) {
+    if (error instanceof MessagingError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro ao enviar mensagem:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   POST /api/conversations/:id/read
+// @desc    Marcar conversa como lida (confirmação de leitura)
+// @access  Private (participantes)
+router.post('/:id/read', auth, [
+  param('id').isMongoId().withMessage('ID da conversa inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'ID da conversa inválido' });
+    }
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const readAt = await markRead(conversation, req.user.userId);
+
+    res.json({ message: 'Conversa marcada como lida', readAt });
+
+  } catch (error) {
+    console.error('❌ Erro ao marcar conversa como lida:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   POST /api/conversations/:id/accept
+// @desc    Aceitar pedido de mensagem (move para a caixa de entrada)
+// @access  Private (destinatário do pedido)
+router.post('/:id/accept', auth, [
+  param('id').isMongoId().withMessage('ID da conversa inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'ID da conversa inválido' });
+    }
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    await respondToRequest(conversation, req.user.userId, true);
+
+    res.json({ message: 'Pedido de mensagem aceito', status: 'active' });
+
+  } catch (error) {
+    if (error instanceof MessagingError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro ao aceitar pedido de mensagem:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   POST /api/conversations/:id/decline
+// @desc    Recusar pedido de mensagem (remetente não pode mais escrever)
+// @access  Private (destinatário do pedido)
+router.post('/:id/decline', auth, [
+  param('id').isMongoId().withMessage('ID da conversa inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'ID da conversa inválido' });
+    }
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    await respondToRequest(conversation, req.user.userId, false);
+
+    res.json({ message: 'Pedido de mensagem recusado', status: 'declined' });
+
+  } catch (error) {
+    if (error instanceof MessagingError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro ao recusar pedido de mensagem:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   DELETE /api/conversations/:id/messages/:messageId
+// @desc    Apagar mensagem enviada por mim
+// @access  Private (remetente)
+router.delete('/:id/messages/:messageId', auth, [
+  param('id').isMongoId().withMessage('ID da conversa inválido'),
+  param('messageId').isMongoId().withMessage('ID da mensagem inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const message = await Message.findOne({
+      _id: req.params.messageId,
+      conversation: conversation._id,
+      deletedAt: null
+    });
+
+    if (!message) {
+      return res.status(404).json({ error: 'Mensagem não encontrada' });
+    }
+
+    if (message.sender.toString() !== req.user.userId) {
+      return res.status(403).json({ error: 'Você só pode apagar suas próprias mensagens' });
+    }
+
+    message.deletedAt = new Date();
+    await message.save();
+
+    emitToUsers(conversation.otherMemberIds(req.user.userId), 'dm:deleted', {
+      conversationId: conversation._id,
+      messageId: message._id
+    });
+
+    res.json({ message: 'Mensagem apagada' });
+
+  } catch (error) {
+    console.error('❌ Erro ao apagar mensagem:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   DELETE /api/conversations/:id
+// @desc    Sair da conversa em grupo
+// @access  Private (participantes)
+router.delete('/:id', auth, [
+  param('id').isMongoId().withMessage('ID da conversa inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'ID da conversa inválido' });
+    }
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    if (!conversation.isGroup) {
+      return res.status(400).json({ error: 'Apenas conversas em grupo podem ser deixadas' });
+    }
+
+    const member = conversation.getMember(req.user.userId);
+    member.status = 'left';
+    member.unreadCount = 0;
+    await conversation.save();
+
+    res.json({ message: 'Você saiu da conversa' });
+
+  } catch (error) {
+    console.error('❌ Erro ao sair da conversa:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
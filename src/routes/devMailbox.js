@@ -0,0 +1,121 @@
+const express = require('express');
+const { getEmailTransport } = require('../utils/emailTransports');
+const { processQueue } = require('../utils/emailQueue');
+const { auth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+// ========================================
+// 📭 RockRider - Caixa de emails de desenvolvimento
+// ========================================
+//
+// Montada só fora de produção com DEV_MAILBOX=1, e com EMAIL_TRANSPORT=memory|file.
+// Mostra os emails capturados em vez de enviados pelo Gmail. Os emails trazem
+// tokens de verificação e de redefinição de senha: exige templates:preview.
+
+const router = express.Router();
+
+// Transporte precisa capturar as mensagens para a caixa funcionar
+const requireCapturingTransport = (req, res, next) => {
+  const transport = getEmailTransport();
+  if (typeof transport.list !== 'function') {
+    return res.status(409).json({
+      error: 'Caixa de emails indisponível com o transporte atual',
+      code: 'MAILBOX_UNAVAILABLE',
+      transport: transport.name
+    });
+  }
+  req.mailTransport = transport;
+  next();
+};
+
+router.use(auth, requirePermission(PERMISSIONS.TEMPLATES_PREVIEW), requireCapturingTransport);
+
+// Resumo exibido na listagem (sem o corpo)
+const summarize = (message) => ({
+  id: message.id,
+  to: message.to,
+  subject: message.subject,
+  template: message.headers['X-RockRider-Template'] || null,
+  capturedAt: message.capturedAt
+});
+
+// @route   GET /api/dev/mailbox
+// @desc    Listar emails capturados (mais recentes primeiro)
+// @access  Private (templates:preview, DEV_MAILBOX=1)
+router.get('/', async (req, res) => {
+  try {
+    const { to } = req.query;
+    let messages = await req.mailTransport.list();
+
+    if (to) {
+      messages = messages.filter(message => message.to === to.toLowerCase());
+    }
+
+    res.json({
+      transport: req.mailTransport.name,
+      total: messages.length,
+      messages: messages.map(summarize)
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao listar caixa de emails:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   POST /api/dev/mailbox/flush
+// @desc    Processar a fila de emails imediatamente
+// @access  Private (templates:preview, DEV_MAILBOX=1)
+router.post('/flush', async (req, res) => {
+  try {
+    const processed = await processQueue();
+    res.json({ processed });
+
+  } catch (error) {
+    console.error('❌ Erro ao processar fila de emails:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   GET /api/dev/mailbox/:id
+// @desc    Ver email capturado (?format=html|text|json)
+// @access  Private (templates:preview, DEV_MAILBOX=1)
+router.get('/:id', async (req, res) => {
+  try {
+    const message = await req.mailTransport.get(req.params.id);
+    if (!message) {
+      return res.status(404).json({ error: 'Email não encontrado' });
+    }
+
+    const { format = 'json' } = req.query;
+
+    if (format === 'html' && message.html) {
+      return res.type('html').send(message.html);
+    }
+    if (format === 'text' && message.text) {
+      return res.type('text').send(message.text);
+    }
+
+    res.json({ message });
+
+  } catch (error) {
+    console.error('❌ Erro ao buscar email capturado:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   DELETE /api/dev/mailbox
+// @desc    Esvaziar a caixa de emails
+// @access  Private (templates:preview, DEV_MAILBOX=1)
+router.delete('/', async (req, res) => {
+  try {
+    const deleted = await req.mailTransport.clear();
+    res.json({ message: 'Caixa de emails esvaziada', deleted });
+
+  } catch (error) {
+    console.error('❌ Erro ao esvaziar caixa de emails:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
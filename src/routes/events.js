@@ -2,7 +2,13 @@ const express = require('express');
 const { body, validationResult, param, query } = require('express-validator');
 const Event = require('../models/Event');
 const User = require('../models/User');
-const { auth, requireArtist, optionalAuth } = require('../middleware/auth');
+const { auth, requireArtist, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+const { RESTRICTED_ACTIONS } = require('../config/emailVerification');
+const { notifyEvent } = require('../utils/notificationService');
+const { emitToEvent } = require('../utils/socketService');
+const { MediaError, resolveMediaUrl, isUrlOrMediaId } = require('../utils/mediaService');
+const { getBlockedIds, getViewer, excludeUsers } = require('../utils/visibilityService');
+const { PaginationError, getPagination, paginate, paginateArray } = require('../utils/pagination');
 
 const router = express.Router();
 
@@ -12,8 +18,6 @@ const router = express.Router();
 router.get('/', optionalAuth, async (req, res) => {
   try {
     const { 
-      page = 1, 
-      limit = 20, 
       city, 
       genre, 
       status = 'scheduled',
@@ -21,12 +25,13 @@ router.get('/', optionalAuth, async (req, res) => {
       upcoming = true
     } = req.query;
     
-    const skip = (page - 1) * limit;
+    const pagination = getPagination(req.query);
 
     // Construir filtro
     const filter = {
       isActive: true,
       isPublic: true,
+      authorSuspended: { $ne: true },
       status: status
     };
 
@@ -50,11 +55,10 @@ router.get('/', optionalAuth, async (req, res) => {
       filter.isFeatured = true;
     }
 
-    const events = await Event.find(filter)
-      .populate('artist', 'name artistName avatar userType isVerified')
-      .sort({ isFeatured: -1, date: 1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    const { items: events, pagination: pageInfo } = await paginate(
+      Event.find(filter).populate('artist', 'name handle artistName avatar userType isVerified'),
+      { sort: { isFeatured: -1, date: 1 }, pagination }
+    );
 
     // Adicionar informação de participação do usuário
     const eventsWithUserData = events.map(event => {
@@ -67,14 +71,13 @@ router.get('/', optionalAuth, async (req, res) => {
 
     res.json({
       events: eventsWithUserData,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        hasNext: events.length === parseInt(limit)
-      }
+      pagination: pageInfo
     });
 
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     console.error('Erro ao listar eventos:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
@@ -128,10 +131,10 @@ router.get('/search', [
       });
     }
 
-    const { q, page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
+    const { q } = req.query;
+    const pagination = getPagination(req.query);
 
-    const events = await Event.find({
+    const searchQuery = Event.find({
       $and: [
         {
           $or: [
@@ -145,26 +148,28 @@ router.get('/search', [
         {
           isActive: true,
           isPublic: true,
+          authorSuspended: { $ne: true },
           status: 'scheduled',
           date: { $gte: new Date() }
         }
       ]
     })
-    .populate('artist', 'name artistName avatar userType isVerified')
-    .sort({ date: 1 })
-    .skip(skip)
-    .limit(parseInt(limit));
+    .populate('artist', 'name handle artistName avatar userType isVerified');
+
+    const { items: events, pagination: pageInfo } = await paginate(searchQuery, {
+      sort: { date: 1 },
+      pagination
+    });
 
     res.json({
       events,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        hasNext: events.length === parseInt(limit)
-      }
+      pagination: pageInfo
     });
 
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     console.error('Erro ao buscar eventos:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
@@ -180,10 +185,11 @@ router.get('/stats/popular', async (req, res) => {
     const popularEvents = await Event.find({
       isActive: true,
       isPublic: true,
+      authorSuspended: { $ne: true },
       status: 'scheduled',
       date: { $gte: new Date() }
     })
-    .populate('artist', 'name artistName avatar isVerified')
+    .populate('artist', 'name handle artistName avatar isVerified')
     .sort({ 
       attendeesCount: -1, // Ordenar por número de participantes
       isFeatured: -1,
@@ -202,7 +208,7 @@ router.get('/stats/popular', async (req, res) => {
 // @route   POST /api/events
 // @desc    Criar novo evento
 // @access  Private (apenas artistas)
-router.post('/', auth, requireArtist, [
+router.post('/', auth, requireArtist, requireVerifiedEmail(RESTRICTED_ACTIONS.EVENTS_CREATE), [
   body('title')
     .trim()
     .isLength({ min: 1, max: 200 })
@@ -230,7 +236,13 @@ router.post('/', auth, requireArtist, [
   body('location.city')
     .trim()
     .isLength({ min: 1, max: 100 })
-    .withMessage('Cidade deve ter entre 1 e 100 caracteres')
+    .withMessage('Cidade deve ter entre 1 e 100 caracteres'),
+  
+  // URL da imagem ou ID retornado por POST /api/media
+  body('image')
+    .optional({ values: 'falsy' })
+    .custom(isUrlOrMediaId)
+    .withMessage('Imagem deve ser uma URL ou ID de mídia')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -252,14 +264,18 @@ router.post('/', auth, requireArtist, [
     const eventData = {
       ...req.body,
       artist: req.user.userId,
-      date: eventDate
+      date: eventDate,
+      image: await resolveMediaUrl(req.body.image, req.user.userId)
     };
 
     const event = new Event(eventData);
     await event.save();
 
     // Popular dados do artista
-    await event.populate('artist', 'name artistName avatar isVerified');
+    await event.populate('artist', 'name handle artistName avatar isVerified');
+
+    // Avisar seguidores do artista sobre o novo evento
+    await notifyEvent(event, 'new', req.currentUser.followers || []);
 
     res.status(201).json({
       message: 'Evento criado com sucesso',
@@ -267,6 +283,9 @@ router.post('/', auth, requireArtist, [
     });
 
   } catch (error) {
+    if (error instanceof MediaError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     console.error('Erro ao criar evento:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
@@ -281,7 +300,7 @@ router.get('/attending', auth, async (req, res) => {
   try {
     const events = await Event.find({
       'attendees.user': req.user.userId
-    }).populate('artist', 'name artistName avatar isVerified');
+    }).populate('artist', 'name handle artistName avatar isVerified');
 
     res.json({ events });
   } catch (error) {
@@ -295,7 +314,7 @@ router.get('/my-events', auth, async (req, res) => {
   try {
     const events = await Event.find({ artist: req.user.userId })
       .sort({ date: -1 })
-      .populate('artist', 'name artistName avatar isVerified');
+      .populate('artist', 'name handle artistName avatar isVerified');
 
     res.json({ events });
   } catch (error) {
@@ -314,14 +333,21 @@ router.get('/:id', optionalAuth, [
     }
 
     const event = await Event.findById(req.params.id)
-      .populate('artist', 'name artistName avatar userType isVerified')
-      .populate('attendees.user', 'name artistName avatar');
+      .populate('artist', 'name handle artistName avatar userType isVerified')
+      .populate('attendees.user', 'name handle artistName avatar');
 
     if (!event || !event.isActive) {
       return res.status(404).json({ error: 'Evento não encontrado' });
     }
 
+    // Bloqueio esconde o evento do artista e a presença de usuários bloqueados
+    const blockedIds = await getBlockedIds(await getViewer(req));
+    if (blockedIds.some(id => id.equals(event.artist._id))) {
+      return res.status(404).json({ error: 'Evento não encontrado' });
+    }
+
     const eventObj = event.toObject();
+    eventObj.attendees = excludeUsers(eventObj.attendees || [], blockedIds, attendee => attendee.user);
     if (req.user) {
       eventObj.userAttendance = event.getUserAttendance(req.user.userId);
       eventObj.canEdit = event.artist._id.equals(req.user.userId);
@@ -373,6 +399,14 @@ router.put('/:id', auth, [
       }
     });
 
+    // Imagem pode ser o ID de uma mídia enviada pelo artista
+    if (updates.image) {
+      if (!isUrlOrMediaId(updates.image)) {
+        return res.status(400).json({ error: 'Imagem deve ser uma URL ou ID de mídia' });
+      }
+      updates.image = await resolveMediaUrl(updates.image, req.user.userId);
+    }
+
     // Validar data se estiver sendo atualizada
     if (updates.date) {
       const eventDate = new Date(updates.date);
@@ -388,7 +422,15 @@ router.put('/:id', auth, [
       req.params.id,
       updates,
       { new: true, runValidators: true }
-    ).populate('artist', 'name artistName avatar isVerified');
+    ).populate('artist', 'name handle artistName avatar isVerified');
+
+    // Avisar participantes sobre a alteração
+    const wasCancelled = updates.status === 'cancelled' && event.status !== 'cancelled';
+    await notifyEvent(
+      updatedEvent,
+      wasCancelled ? 'cancelled' : 'update',
+      event.attendees.map(a => a.user)
+    );
 
     res.json({
       message: 'Evento atualizado com sucesso',
@@ -396,6 +438,9 @@ router.put('/:id', auth, [
     });
 
   } catch (error) {
+    if (error instanceof MediaError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     console.error('Erro ao atualizar evento:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
@@ -428,6 +473,9 @@ router.delete('/:id', auth, [
 
     await Event.findByIdAndDelete(req.params.id);
 
+    // Avisar participantes que o evento não acontecerá mais
+    await notifyEvent(event, 'cancelled', event.attendees.map(a => a.user));
+
     // Decrementar contador de eventos do usuário
     await User.findByIdAndUpdate(req.user.userId, {
       $inc: { totalEvents: -1 }
@@ -473,6 +521,14 @@ router.post('/:id/attend', auth, [
       await event.addAttendee(req.user.userId, status);
     }
 
+    // Contadores ao vivo para quem está visualizando o evento
+    emitToEvent(event._id, 'event:attendance_updated', {
+      eventId: event._id,
+      attendeesCount: event.attendeesCount,
+      goingCount: event.goingCount,
+      interestedCount: event.interestedCount
+    });
+
     const statusMessages = {
       going: 'Você confirmou presença no evento',
       interested: 'Você marcou interesse no evento',
@@ -496,7 +552,7 @@ router.post('/:id/attend', auth, [
 // @route   GET /api/events/:id/attendees
 // @desc    Listar participantes do evento
 // @access  Public
-router.get('/:id/attendees', [
+router.get('/:id/attendees', optionalAuth, [
   param('id').isMongoId().withMessage('ID do evento inválido')
 ], async (req, res) => {
   try {
@@ -505,17 +561,24 @@ router.get('/:id/attendees', [
       return res.status(400).json({ error: 'ID do evento inválido' });
     }
 
-    const { status, page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
+    const { status } = req.query;
+    const pagination = getPagination(req.query);
 
     const event = await Event.findById(req.params.id)
-      .populate('attendees.user', 'name artistName avatar userType isVerified');
+      .populate('attendees.user', 'name handle artistName avatar userType isVerified');
 
     if (!event || !event.isActive) {
       return res.status(404).json({ error: 'Evento não encontrado' });
     }
 
-    let attendees = event.attendees;
+    // Bloqueio com o artista esconde o evento; participantes bloqueados
+    // (nos dois sentidos) não aparecem
+    const blockedIds = await getBlockedIds(await getViewer(req));
+    if (blockedIds.some(id => id.equals(event.artist))) {
+      return res.status(404).json({ error: 'Evento não encontrado' });
+    }
+
+    let attendees = excludeUsers(event.attendees, blockedIds, attendee => attendee.user);
 
     // Filtrar por status se especificado
     if (status && ['going', 'interested'].includes(status)) {
@@ -523,8 +586,8 @@ router.get('/:id/attendees', [
     }
 
     // Paginação manual
-    const paginatedAttendees = attendees
-      .slice(skip, skip + parseInt(limit))
+    const { items: pageAttendees, pagination: pageInfo } = paginateArray(attendees, pagination);
+    const paginatedAttendees = pageAttendees
       .map(attendee => ({
         user: attendee.user,
         status: attendee.status,
@@ -534,14 +597,15 @@ router.get('/:id/attendees', [
     res.json({
       attendees: paginatedAttendees,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: attendees.length,
-        hasNext: skip + paginatedAttendees.length < attendees.length
+        ...pageInfo,
+        total: attendees.length
       }
     });
 
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     console.error('Erro ao listar participantes:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
@@ -559,8 +623,8 @@ router.get('/artist/:artistId', optionalAuth, [
       return res.status(400).json({ error: 'ID do artista inválido' });
     }
 
-    const { page = 1, limit = 20, upcoming = true } = req.query;
-    const skip = (page - 1) * limit;
+    const { upcoming = true } = req.query;
+    const pagination = getPagination(req.query);
 
     // Verificar se artista existe
     const artist = await User.findById(req.params.artistId);
@@ -580,11 +644,10 @@ router.get('/artist/:artistId', optionalAuth, [
       filter.status = 'scheduled';
     }
 
-    const events = await Event.find(filter)
-      .populate('artist', 'name artistName avatar isVerified')
-      .sort({ date: upcoming === 'true' ? 1 : -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    const { items: events, pagination: pageInfo } = await paginate(
+      Event.find(filter).populate('artist', 'name handle artistName avatar isVerified'),
+      { sort: { date: upcoming === 'true' ? 1 : -1 }, pagination }
+    );
 
     // Adicionar informação de participação do usuário
     const eventsWithUserData = events.map(event => {
@@ -598,14 +661,13 @@ router.get('/artist/:artistId', optionalAuth, [
     res.json({
       events: eventsWithUserData,
       artist: artist.toPublicJSON(),
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        hasNext: events.length === parseInt(limit)
-      }
+      pagination: pageInfo
     });
 
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     console.error('Erro ao listar eventos do artista:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
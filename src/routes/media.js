@@ -0,0 +1,136 @@
+const express = require('express');
+const multer = require('multer');
+const { param, validationResult } = require('express-validator');
+const Media = require('../models/Media');
+const Track = require('../models/Track');
+const { auth } = require('../middleware/auth');
+const { maxUploadSize } = require('../config/media');
+const { MediaError, storeUpload, deleteMedia } = require('../utils/mediaService');
+
+const router = express.Router();
+
+// Arquivo fica em memória: é validado e limpo antes de ir para o armazenamento
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: maxUploadSize(),
+    files: 1
+  }
+}).single('file');
+
+// Traduzir erros do multer para o formato da API
+const handleUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          error: `Arquivo deve ter no máximo ${Math.round(maxUploadSize() / 1024 / 1024)}MB`,
+          code: 'FILE_TOO_LARGE'
+        });
+      }
+      return res.status(400).json({
+        error: 'Upload inválido. Envie um único arquivo no campo "file"',
+        code: error.code
+      });
+    }
+
+    next(error);
+  });
+};
+
+// @route   POST /api/media
+// @desc    Enviar arquivo de mídia (multipart, campo "file")
+// @access  Private
+router.post('/', auth, handleUpload, async (req, res) => {
+  try {
+    const media = await storeUpload(req.file, req.user.userId);
+
+    console.log(`🖼️ Mídia enviada: ${media._id} (${media.mimeType}, ${media.size} bytes) por ${req.user.userId}`);
+
+    res.status(201).json({
+      message: 'Mídia enviada com sucesso',
+      media: media.toPublicJSON(req.user.userId)
+    });
+
+  } catch (error) {
+    if (error instanceof MediaError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro no upload de mídia:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   GET /api/media/:id
+// @desc    Obter informações de uma mídia
+// @access  Private
+router.get('/:id', auth, [
+  param('id').isMongoId().withMessage('ID da mídia inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const media = await Media.findById(req.params.id);
+    if (!media) {
+      return res.status(404).json({ error: 'Mídia não encontrada' });
+    }
+
+    res.json({ media: media.toPublicJSON(req.user.userId) });
+
+  } catch (error) {
+    console.error('❌ Erro ao buscar mídia:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   DELETE /api/media/:id
+// @desc    Remover mídia enviada (posts que já usam a URL deixam de exibi-la)
+// @access  Private (dono)
+router.delete('/:id', auth, [
+  param('id').isMongoId().withMessage('ID da mídia inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const media = await Media.findById(req.params.id);
+    if (!media) {
+      return res.status(404).json({ error: 'Mídia não encontrada' });
+    }
+
+    if (!media.owner.equals(req.user.userId)) {
+      return res.status(403).json({ error: 'Você só pode remover suas próprias mídias' });
+    }
+
+    // Áudio de uma faixa publicada só sai junto com a faixa
+    if (await Track.exists({ 'audio.media': media._id, isActive: true })) {
+      return res.status(409).json({
+        error: 'Este áudio pertence a uma faixa publicada. Remova a faixa primeiro.',
+        code: 'MEDIA_IN_USE'
+      });
+    }
+
+    await deleteMedia(media);
+
+    res.json({ message: 'Mídia removida com sucesso' });
+
+  } catch (error) {
+    console.error('❌ Erro ao remover mídia:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,499 @@
+const express = require('express');
+const { body, validationResult, param, query } = require('express-validator');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { auth, requireModerator, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+  ACTION_PERMISSIONS,
+  loadTarget,
+  isActionApplicable,
+  resolveReport
+} = require('../utils/moderationService');
+const { canRestrict, restrictAccount, reinstateAccount } = require('../utils/accountStatusService');
+const { PaginationError, getPagination, paginate } = require('../utils/pagination');
+
+const router = express.Router();
+
+// Suspensão máxima: 1 ano (acima disso, banir)
+const MAX_SUSPENSION_HOURS = 365 * 24;
+
+// Carregar usuário alvo e verificar se o moderador pode restringi-lo
+const loadRestrictableUser = async (req, res) => {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    res.status(404).json({ error: 'Usuário não encontrado' });
+    return null;
+  }
+  if (!canRestrict(req.currentUser, user)) {
+    res.status(403).json({
+      error: 'Você não pode alterar o status deste usuário',
+      code: 'CANNOT_RESTRICT_USER'
+    });
+    return null;
+  }
+  return user;
+};
+
+// Status de restrição exibido aos moderadores
+const restrictionSummary = (user) => ({
+  userId: user._id,
+  name: user.name,
+  email: user.email,
+  accountStatus: user.accountStatus,
+  suspension: user.suspension,
+  appeal: user.appeal
+});
+
+// Todas as rotas exigem moderador
+router.use(auth, requireModerator);
+
+// @route   GET /api/moderation/queue
+// @desc    Fila de denúncias pendentes (mais antigas primeiro)
+// @access  Private (reports:review)
+router.get('/queue', [
+  query('targetType')
+    .optional()
+    .isIn(Report.TARGET_TYPES)
+    .withMessage(`Tipo deve ser: ${Report.TARGET_TYPES.join(', ')}`),
+  query('reason')
+    .optional()
+    .isIn(Report.REASONS)
+    .withMessage(`Motivo deve ser: ${Report.REASONS.join(', ')}`),
+  query('status')
+    .optional()
+    .isIn(['pending', 'resolved', 'dismissed'])
+    .withMessage('Status deve ser: pending, resolved, dismissed')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { targetType, reason, status = 'pending' } = req.query;
+    const pagination = getPagination(req.query);
+
+    const filter = { status };
+    if (targetType) filter.targetType = targetType;
+    if (reason) filter.reason = reason;
+
+    const reportsQuery = Report.find(filter)
+      .populate('reporter', 'name handle artistName avatar')
+      .populate('targetOwner', 'name handle artistName avatar email isActive accountStatus')
+      .populate('resolution.moderator', 'name');
+
+    const { items: reports, pagination: pageInfo } = await paginate(reportsQuery, {
+      sort: { createdAt: status === 'pending' ? 1 : -1 },
+      pagination
+    });
+
+    // Quantas denúncias pendentes cada conteúdo acumula
+    const counts = await Report.countPendingByTarget(reports);
+
+    res.json({
+      reports: reports.map(report => ({
+        ...report.toObject(),
+        pendingReportsForTarget: counts[`${report.targetType}:${report.targetId}`] || 0
+      })),
+      pagination: pageInfo
+    });
+
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro ao buscar fila de moderação:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   GET /api/moderation/reports/:id
+// @desc    Detalhes da denúncia com o conteúdo denunciado
+// @access  Private (reports:review)
+router.get('/reports/:id', [
+  param('id').isMongoId().withMessage('ID da denúncia inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'ID da denúncia inválido' });
+    }
+
+    const report = await Report.findById(req.params.id)
+      .populate('reporter', 'name handle artistName avatar')
+      .populate('targetOwner', 'name handle artistName avatar email isActive accountStatus')
+      .populate('resolution.moderator', 'name');
+
+    if (!report) {
+      return res.status(404).json({ error: 'Denúncia não encontrada' });
+    }
+
+    const loaded = await loadTarget(report.targetType, report.targetId, report.post);
+    const otherReports = await Report.countDocuments({
+      targetType: report.targetType,
+      targetId: report.targetId,
+      _id: { $ne: report._id }
+    });
+
+    let target = null;
+    if (loaded) {
+      target = report.targetType === 'user'
+        ? loaded.target.toPublicJSON()
+        : loaded.target.toObject();
+    }
+
+    res.json({
+      report,
+      target,
+      otherReports
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao buscar denúncia:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   POST /api/moderation/reports/:id/resolve
+// @desc    Resolver denúncia aplicando uma ação de moderação
+// @access  Private (reports:review + permissão da ação)
+router.post('/reports/:id/resolve', [
+  param('id').isMongoId().withMessage('ID da denúncia inválido'),
+  body('action')
+    .isIn(Object.values(Report.ACTIONS))
+    .withMessage(`Ação deve ser: ${Object.values(Report.ACTIONS).join(', ')}`),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Observação deve ter no máximo 500 caracteres'),
+  body('durationHours')
+    .optional()
+    .isInt({ min: 1, max: MAX_SUSPENSION_HOURS })
+    .withMessage(`Duração deve ser entre 1 e ${MAX_SUSPENSION_HOURS} horas`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { action, note = '' } = req.body;
+    const durationHours = req.body.durationHours ? parseInt(req.body.durationHours) : null;
+
+    const requiredPermission = ACTION_PERMISSIONS[action];
+    if (!req.currentUser.hasPermission(requiredPermission)) {
+      return res.status(403).json({
+        error: 'Você não tem permissão para esta ação',
+        code: 'PERMISSION_REQUIRED',
+        required: [requiredPermission]
+      });
+    }
+
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: 'Denúncia não encontrada' });
+    }
+
+    if (report.status !== 'pending') {
+      return res.status(409).json({
+        error: 'Denúncia já foi analisada',
+        code: 'REPORT_ALREADY_RESOLVED',
+        status: report.status
+      });
+    }
+
+    if (!isActionApplicable(action, report.targetType)) {
+      return res.status(400).json({
+        error: `Ação ${action} não se aplica a denúncias do tipo ${report.targetType}`
+      });
+    }
+
+    if (action === Report.ACTIONS.SUSPEND_USER) {
+      const owner = await User.findById(report.targetOwner);
+      if (!owner) {
+        return res.status(404).json({ error: 'Usuário não encontrado' });
+      }
+      if (!canRestrict(req.currentUser, owner)) {
+        return res.status(403).json({
+          error: 'Você não pode suspender este usuário',
+          code: 'CANNOT_RESTRICT_USER'
+        });
+      }
+      if (owner.accountStatus === 'banned') {
+        return res.status(409).json({ error: 'Usuário já está banido' });
+      }
+    }
+
+    const result = await resolveReport(req, report, { action, note, durationHours });
+    if (result.failure) {
+      const { status, ...failure } = result.failure;
+      return res.status(status).json(failure);
+    }
+
+    res.json({
+      message: 'Denúncia analisada com sucesso',
+      status: result.status,
+      resolution: result.resolution,
+      resolvedReports: result.resolvedCount
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao resolver denúncia:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// ========================================
+// ⛔ SUSPENSÕES E BANIMENTOS
+// ========================================
+
+// @route   POST /api/moderation/users/:id/suspend
+// @desc    Suspender usuário temporariamente
+// @access  Private (users:suspend)
+router.post('/users/:id/suspend', requirePermission(PERMISSIONS.USERS_SUSPEND), [
+  param('id').isMongoId().withMessage('ID do usuário inválido'),
+  body('durationHours')
+    .isInt({ min: 1, max: MAX_SUSPENSION_HOURS })
+    .withMessage(`Duração deve ser entre 1 e ${MAX_SUSPENSION_HOURS} horas`),
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Motivo deve ter entre 3 e 500 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const user = await loadRestrictableUser(req, res);
+    if (!user) return;
+
+    if (user.accountStatus === 'banned') {
+      return res.status(409).json({ error: 'Usuário já está banido' });
+    }
+
+    const expiresAt = new Date(Date.now() + parseInt(req.body.durationHours) * 60 * 60 * 1000);
+    const updated = await restrictAccount(req, user._id, {
+      status: 'suspended',
+      reason: req.body.reason,
+      expiresAt
+    });
+
+    res.json({
+      message: 'Usuário suspenso com sucesso',
+      user: restrictionSummary(updated)
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao suspender usuário:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   POST /api/moderation/users/:id/ban
+// @desc    Banir usuário permanentemente
+// @access  Private (users:ban)
+router.post('/users/:id/ban', requirePermission(PERMISSIONS.USERS_BAN), [
+  param('id').isMongoId().withMessage('ID do usuário inválido'),
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Motivo deve ter entre 3 e 500 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const user = await loadRestrictableUser(req, res);
+    if (!user) return;
+
+    const updated = await restrictAccount(req, user._id, {
+      status: 'banned',
+      reason: req.body.reason
+    });
+
+    res.json({
+      message: 'Usuário banido com sucesso',
+      user: restrictionSummary(updated)
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao banir usuário:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   POST /api/moderation/users/:id/reinstate
+// @desc    Reativar usuário suspenso ou banido
+// @access  Private (users:suspend; users:ban para banidos)
+router.post('/users/:id/reinstate', requirePermission(PERMISSIONS.USERS_SUSPEND), [
+  param('id').isMongoId().withMessage('ID do usuário inválido'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Motivo deve ter no máximo 500 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const user = await loadRestrictableUser(req, res);
+    if (!user) return;
+
+    if (user.accountStatus === 'active') {
+      return res.status(400).json({ error: 'Usuário não está suspenso ou banido' });
+    }
+
+    if (user.accountStatus === 'banned' && !req.currentUser.hasPermission(PERMISSIONS.USERS_BAN)) {
+      return res.status(403).json({
+        error: 'Você não tem permissão para esta ação',
+        code: 'PERMISSION_REQUIRED',
+        required: [PERMISSIONS.USERS_BAN]
+      });
+    }
+
+    const updated = await reinstateAccount(req, user._id, { reason: req.body.reason });
+
+    res.json({
+      message: 'Usuário reativado com sucesso',
+      user: restrictionSummary(updated)
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao reativar usuário:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// ========================================
+// 📨 RECURSOS (APPEALS)
+// ========================================
+
+// @route   GET /api/moderation/appeals
+// @desc    Listar recursos pendentes (mais antigos primeiro)
+// @access  Private (users:suspend)
+router.get('/appeals', requirePermission(PERMISSIONS.USERS_SUSPEND), async (req, res) => {
+  try {
+    const pagination = getPagination(req.query);
+
+    const usersQuery = User.find({
+      'appeal.status': 'pending',
+      accountStatus: { $in: ['suspended', 'banned'] }
+    })
+      .select('name email artistName avatar role accountStatus suspension appeal')
+      .populate('suspension.by', 'name');
+
+    const { items: users, pagination: pageInfo } = await paginate(usersQuery, {
+      sort: { 'appeal.submittedAt': 1 },
+      pagination
+    });
+
+    res.json({
+      appeals: users.map(restrictionSummary),
+      pagination: pageInfo
+    });
+
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro ao listar recursos:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   POST /api/moderation/appeals/:id/review
+// @desc    Aceitar (reativa a conta) ou rejeitar recurso
+// @access  Private (users:suspend; users:ban para banidos)
+router.post('/appeals/:id/review', requirePermission(PERMISSIONS.USERS_SUSPEND), [
+  param('id').isMongoId().withMessage('ID do usuário inválido'),
+  body('decision')
+    .isIn(['accept', 'reject'])
+    .withMessage('Decisão deve ser: accept, reject'),
+  body('response')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Resposta deve ter no máximo 1000 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { decision, response = '' } = req.body;
+
+    const user = await loadRestrictableUser(req, res);
+    if (!user) return;
+
+    if (user.appeal?.status !== 'pending') {
+      return res.status(404).json({ error: 'Nenhum recurso pendente para este usuário' });
+    }
+
+    if (user.accountStatus === 'banned' && !req.currentUser.hasPermission(PERMISSIONS.USERS_BAN)) {
+      return res.status(403).json({
+        error: 'Você não tem permissão para esta ação',
+        code: 'PERMISSION_REQUIRED',
+        required: [PERMISSIONS.USERS_BAN]
+      });
+    }
+
+    user.appeal.status = decision === 'accept' ? 'accepted' : 'rejected';
+    user.appeal.reviewedBy = req.user.userId;
+    user.appeal.reviewedAt = new Date();
+    user.appeal.response = response || null;
+    await user.save({ validateBeforeSave: false });
+
+    await AuditLog.record(req, {
+      action: `appeal.${decision}`,
+      targetType: 'user',
+      targetId: user._id,
+      before: { appeal: 'pending', accountStatus: user.accountStatus },
+      after: { appeal: user.appeal.status },
+      reason: response
+    });
+
+    const updated = decision === 'accept'
+      ? await reinstateAccount(req, user._id, { reason: 'Recurso aceito' })
+      : user;
+
+    res.json({
+      message: decision === 'accept' ? 'Recurso aceito e conta reativada' : 'Recurso rejeitado',
+      user: restrictionSummary(updated)
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao analisar recurso:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,174 @@
+const express = require('express');
+const { validationResult, param, query } = require('express-validator');
+const Notification = require('../models/Notification');
+const { NotificationConfig } = require('../config/notificationConfig');
+const { auth } = require('../middleware/auth');
+const { PaginationError, getPagination, paginate } = require('../utils/pagination');
+
+const router = express.Router();
+
+const { TYPES, STATUS, DEFAULTS } = NotificationConfig;
+
+// @route   GET /api/notifications
+// @desc    Listar notificações do usuário logado
+// @access  Private
+router.get('/', auth, [
+  query('status').optional().isIn(['all', 'unread', 'read']).withMessage('Status deve ser: all, unread ou read'),
+  query('type').optional().isIn(Object.values(TYPES)).withMessage('Tipo de notificação inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const pagination = getPagination(req.query, { maxLimit: DEFAULTS.maxNotifications });
+    const { status = 'all', type } = req.query;
+
+    // Notificações dispensadas não aparecem na listagem
+    const filter = {
+      recipient: req.user.userId,
+      status: { $ne: STATUS.DISMISSED }
+    };
+
+    if (status === 'unread') {
+      filter.status = { $in: Notification.UNREAD_STATUSES };
+    } else if (status === 'read') {
+      filter.status = STATUS.READ;
+    }
+
+    if (type) {
+      filter.type = type;
+    }
+
+    const [{ items: notifications, pagination: pageInfo }, unreadCount] = await Promise.all([
+      paginate(
+        Notification.find(filter).populate('sender', 'name handle artistName avatar userType isVerified'),
+        { sort: { createdAt: -1 }, pagination }
+      ),
+      Notification.countUnread(req.user.userId)
+    ]);
+
+    res.json({
+      notifications: notifications.map(notification => notification.toObject()),
+      unreadCount,
+      pagination: pageInfo
+    });
+
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro ao listar notificações:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Contar notificações não lidas
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countUnread(req.user.userId);
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error('❌ Erro ao contar notificações:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Marcar todas as notificações como lidas
+// @access  Private
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.markAllAsRead(req.user.userId);
+
+    console.log(`📭 ${result.modifiedCount} notificações marcadas como lidas: ${req.user.userId}`);
+
+    res.json({
+      message: 'Todas as notificações foram marcadas como lidas',
+      updated: result.modifiedCount,
+      unreadCount: 0
+    });
+  } catch (error) {
+    console.error('❌ Erro ao marcar notificações como lidas:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Marcar notificação como lida
+// @access  Private
+router.put('/:id/read', auth, [
+  param('id').isMongoId().withMessage('ID da notificação inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'ID da notificação inválido' });
+    }
+
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user.userId
+    });
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notificação não encontrada' });
+    }
+
+    await notification.markAsRead();
+    const unreadCount = await Notification.countUnread(req.user.userId);
+
+    res.json({
+      message: 'Notificação marcada como lida',
+      notification: notification.toObject(),
+      unreadCount
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao marcar notificação como lida:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   PUT /api/notifications/:id/dismiss
+// @desc    Dispensar notificação (remove da listagem)
+// @access  Private
+router.put('/:id/dismiss', auth, [
+  param('id').isMongoId().withMessage('ID da notificação inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'ID da notificação inválido' });
+    }
+
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user.userId
+    });
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notificação não encontrada' });
+    }
+
+    await notification.dismiss();
+    const unreadCount = await Notification.countUnread(req.user.userId);
+
+    res.json({
+      message: 'Notificação dispensada',
+      unreadCount
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao dispensar notificação:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
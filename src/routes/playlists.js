@@ -0,0 +1,809 @@
+const express = require('express');
+const { body, validationResult, param, query } = require('express-validator');
+const Playlist = require('../models/Playlist');
+const Post = require('../models/Post');
+const Like = require('../models/Like');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { notifySystem } = require('../utils/notificationService');
+const { MediaError, resolveMediaUrl, isUrlOrMediaId } = require('../utils/mediaService');
+const { PaginationError, getPagination, paginate, paginateArray } = require('../utils/pagination');
+const { getBlockedIds, getPrivateAuthorIds, getViewer, isBlockedBetween } = require('../utils/visibilityService');
+const { maskOriginals } = require('../utils/repostService');
+
+const router = express.Router();
+
+const OWNER_FIELDS = 'name handle artistName avatar userType isVerified';
+
+// Carregar posts/eventos dos itens. Removidos, ocultos, de contas privadas que
+// o visualizador não segue ou com bloqueio entre os dois ficam de fora.
+const hydrateItems = async (items, { blockedIds = [], privateIds = [] } = {}) => {
+  const idsOf = (type) => items.filter(item => item.itemType === type).map(item => item[type]);
+
+  const [posts, events] = await Promise.all([
+    Post.find({
+      _id: { $in: idsOf('post') },
+      isActive: true,
+      authorSuspended: { $ne: true },
+      author: { $nin: [...blockedIds, ...privateIds] }
+    })
+      .populate('author', OWNER_FIELDS)
+      .populate('eventRef', 'title date location')
+      .populate(Post.TRACK_POPULATE)
+      .populate(Post.REPOST_POPULATE),
+    Event.find({
+      _id: { $in: idsOf('event') },
+      isActive: true,
+      isPublic: true,
+      authorSuspended: { $ne: true },
+      artist: { $nin: blockedIds }
+    })
+      .populate('artist', OWNER_FIELDS)
+  ]);
+
+  return {
+    post: new Map(posts.map(post => [post._id.toString(), post])),
+    event: new Map(events.map(event => [event._id.toString(), event]))
+  };
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Resumo da coleção (sem itens nem lista de assinantes)
+const summarize = (playlist, userId) => {
+  const playlistObj = playlist.toObject();
+  delete playlistObj.items;
+  delete playlistObj.subscribers;
+  delete playlistObj.__v;
+
+  playlistObj.isSubscribed = playlist.isSubscribed(userId);
+  playlistObj.isOwner = playlist.isOwner(userId);
+  playlistObj.canEdit = playlist.canEditItems(userId);
+  return playlistObj;
+};
+
+// Carregar coleção visível para o usuário (ou responder 404)
+const loadVisiblePlaylist = async (req, res) => {
+  const playlist = await Playlist.findById(req.params.id);
+  const userId = req.user?.userId;
+
+  if (!playlist || !playlist.isVisibleTo(userId)) {
+    res.status(404).json({ error: 'Coleção não encontrada' });
+    return null;
+  }
+  return playlist;
+};
+
+const playlistFieldValidators = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Título deve ter entre 1 e 100 caracteres'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Descrição deve ter no máximo 500 caracteres'),
+
+  body('visibility')
+    .optional()
+    .isIn(['public', 'private', 'collaborative'])
+    .withMessage('Visibilidade deve ser public, private ou collaborative'),
+
+  // URL da capa ou ID de imagem enviada por POST /api/media
+  body('cover')
+    .optional({ values: 'falsy' })
+    .custom(isUrlOrMediaId)
+    .withMessage('Capa deve ser uma URL ou ID de mídia')
+];
+
+// @route   GET /api/playlists
+// @desc    Descobrir coleções públicas e colaborativas
+// @access  Public
+router.get('/', optionalAuth, [
+  query('owner').optional().isMongoId().withMessage('ID do dono inválido'),
+  query('q').optional().trim().isLength({ max: 100 }).withMessage('Busca muito longa')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const pagination = getPagination(req.query, { maxLimit: 50 });
+    const filter = Playlist.publicFilter();
+
+    if (req.query.owner) {
+      filter.owner = req.query.owner;
+    }
+    if (req.query.q) {
+      filter.title = new RegExp(escapeRegex(req.query.q), 'i');
+    }
+
+    const { items: playlists, pagination: pageInfo } = await paginate(
+      Playlist.find(filter).populate('owner', OWNER_FIELDS),
+      { sort: { updatedAt: -1 }, pagination }
+    );
+
+    res.json({
+      playlists: playlists.map(playlist => summarize(playlist, req.user?.userId)),
+      pagination: pageInfo
+    });
+
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro ao listar coleções:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   GET /api/playlists/mine
+// @desc    Coleções criadas por mim ou em que colaboro
+// @access  Private
+router.get('/mine', auth, [
+  query('role').optional().isIn(['owner', 'collaborator']).withMessage('Papel deve ser owner ou collaborator')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const pagination = getPagination(req.query, { maxLimit: 50 });
+    const userId = req.user.userId;
+
+    let filter;
+    if (req.query.role === 'owner') {
+      filter = { owner: userId, isActive: true };
+    } else if (req.query.role === 'collaborator') {
+      filter = { collaborators: userId, visibility: 'collaborative', isActive: true, authorSuspended: { $ne: true } };
+    } else {
+      filter = {
+        $or: [
+          { owner: userId },
+          { collaborators: userId, visibility: 'collaborative', authorSuspended: { $ne: true } }
+        ],
+        isActive: true
+      };
+    }
+
+    const { items: playlists, pagination: pageInfo } = await paginate(
+      Playlist.find(filter).populate('owner', OWNER_FIELDS),
+      { sort: { updatedAt: -1 }, pagination }
+    );
+
+    res.json({
+      playlists: playlists.map(playlist => summarize(playlist, userId)),
+      pagination: pageInfo
+    });
+
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro ao listar minhas coleções:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   GET /api/playlists/subscribed
+// @desc    Coleções que eu assino
+// @access  Private
+router.get('/subscribed', auth, async (req, res) => {
+  try {
+    const pagination = getPagination(req.query, { maxLimit: 50 });
+
+    const { items: playlists, pagination: pageInfo } = await paginate(
+      Playlist.find({
+        ...Playlist.publicFilter(),
+        subscribers: req.user.userId
+      }).populate('owner', OWNER_FIELDS),
+      { sort: { updatedAt: -1 }, pagination }
+    );
+
+    res.json({
+      playlists: playlists.map(playlist => summarize(playlist, req.user.userId)),
+      pagination: pageInfo
+    });
+
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro ao listar coleções assinadas:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   POST /api/playlists
+// @desc    Criar coleção
+// @access  Private
+router.post('/', auth, [
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Título deve ter entre 1 e 100 caracteres'),
+  ...playlistFieldValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const playlist = new Playlist({
+      owner: req.user.userId,
+      title: req.body.title,
+      description: req.body.description || '',
+      visibility: req.body.visibility || 'public',
+      cover: await resolveMediaUrl(req.body.cover || null, req.user.userId)
+    });
+
+    await playlist.save();
+    await playlist.populate('owner', OWNER_FIELDS);
+
+    console.log(`📚 Coleção criada: "${playlist.title}" (${playlist._id}) por ${req.user.userId}`);
+
+    res.status(201).json({
+      message: 'Coleção criada com sucesso',
+      playlist: summarize(playlist, req.user.userId)
+    });
+
+  } catch (error) {
+    if (error instanceof MediaError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro ao criar coleção:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   GET /api/playlists/:id
+// @desc    Obter coleção (sem os itens - ver /:id/items)
+// @access  Public (privadas apenas para o dono)
+router.get('/:id', optionalAuth, [
+  param('id').isMongoId().withMessage('ID da coleção inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const playlist = await loadVisiblePlaylist(req, res);
+    if (!playlist) return;
+
+    await playlist.populate([
+      { path: 'owner', select: OWNER_FIELDS },
+      { path: 'collaborators', select: 'name handle artistName avatar' }
+    ]);
+
+    res.json({ playlist: summarize(playlist, req.user?.userId) });
+
+  } catch (error) {
+    console.error('❌ Erro ao buscar coleção:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   GET /api/playlists/:id/items
+// @desc    Itens da coleção, na ordem definida
+// @access  Public (privadas apenas para o dono)
+router.get('/:id/items', optionalAuth, [
+  param('id').isMongoId().withMessage('ID da coleção inválido'),
+  query('type').optional().isIn(['post', 'event']).withMessage('Tipo deve ser post ou event')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const playlist = await loadVisiblePlaylist(req, res);
+    if (!playlist) return;
+
+    const pagination = getPagination(req.query);
+    const userId = req.user?.userId;
+
+    // A posição é o índice na coleção completa (usada ao reordenar)
+    let entries = playlist.items.map((item, position) => ({ item, position }));
+    if (req.query.type) {
+      entries = entries.filter(({ item }) => item.itemType === req.query.type);
+    }
+
+    const viewer = await getViewer(req);
+    const [blockedIds, privateIds] = await Promise.all([
+      getBlockedIds(viewer),
+      getPrivateAuthorIds(viewer)
+    ]);
+
+    const { items: pageEntries, pagination: pageInfo } = paginateArray(entries, pagination);
+    const content = await hydrateItems(pageEntries.map(({ item }) => item), { blockedIds, privateIds });
+
+    const likedIds = await Like.findLikedPostIds(userId, [...content.post.keys()]);
+
+    const items = pageEntries
+      .map(({ item, position }) => {
+        const doc = content[item.itemType].get(item[item.itemType].toString());
+        if (!doc) return null;
+
+        const itemObj = item.toObject();
+        itemObj.position = position;
+        itemObj[item.itemType] = item.itemType === 'post'
+          ? maskOriginals([doc.toObject()], viewer, blockedIds)[0]
+          : doc.toObject();
+
+        if (item.itemType === 'post' && userId) {
+          itemObj.post.isLikedByUser = likedIds.has(doc._id.toString());
+        }
+        if (item.itemType === 'event' && userId) {
+          itemObj.event.userAttendance = doc.getUserAttendance(userId);
+        }
+        return itemObj;
+      })
+      .filter(item => item !== null);
+
+    res.json({
+      items,
+      pagination: pageInfo
+    });
+
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro ao buscar itens da coleção:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   PUT /api/playlists/:id
+// @desc    Editar coleção
+// @access  Private (apenas o dono)
+router.put('/:id', auth, [
+  param('id').isMongoId().withMessage('ID da coleção inválido'),
+  ...playlistFieldValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const playlist = await Playlist.findById(req.params.id);
+    if (!playlist || !playlist.isActive) {
+      return res.status(404).json({ error: 'Coleção não encontrada' });
+    }
+
+    if (!playlist.isOwner(req.user.userId)) {
+      return res.status(403).json({ error: 'Apenas o dono pode editar a coleção' });
+    }
+
+    ['title', 'description', 'visibility'].forEach(key => {
+      if (req.body[key] !== undefined) {
+        playlist[key] = req.body[key];
+      }
+    });
+
+    if (req.body.cover !== undefined) {
+      playlist.cover = await resolveMediaUrl(req.body.cover || null, req.user.userId);
+    }
+
+    // Coleção privada não pode ter assinantes
+    if (playlist.visibility === 'private') {
+      playlist.subscribers = [];
+    }
+
+    await playlist.save();
+    await playlist.populate('owner', OWNER_FIELDS);
+
+    res.json({
+      message: 'Coleção atualizada com sucesso',
+      playlist: summarize(playlist, req.user.userId)
+    });
+
+  } catch (error) {
+    if (error instanceof MediaError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro ao editar coleção:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   DELETE /api/playlists/:id
+// @desc    Remover coleção
+// @access  Private (apenas o dono)
+router.delete('/:id', auth, [
+  param('id').isMongoId().withMessage('ID da coleção inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const playlist = await Playlist.findById(req.params.id);
+    if (!playlist || !playlist.isActive) {
+      return res.status(404).json({ error: 'Coleção não encontrada' });
+    }
+
+    if (!playlist.isOwner(req.user.userId)) {
+      return res.status(403).json({ error: 'Apenas o dono pode remover a coleção' });
+    }
+
+    playlist.isActive = false;
+    await playlist.save();
+
+    res.json({ message: 'Coleção removida com sucesso' });
+
+  } catch (error) {
+    console.error('❌ Erro ao remover coleção:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   POST /api/playlists/:id/items
+// @desc    Adicionar post ou evento à coleção (no fim ou na posição informada)
+// @access  Private (dono ou colaboradores)
+router.post('/:id/items', auth, [
+  param('id').isMongoId().withMessage('ID da coleção inválido'),
+  body('post').optional().isMongoId().withMessage('ID do post inválido'),
+  body('event').optional().isMongoId().withMessage('ID do evento inválido'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 280 })
+    .withMessage('Nota deve ter no máximo 280 caracteres'),
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Posição inválida')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    if (Boolean(req.body.post) === Boolean(req.body.event)) {
+      return res.status(400).json({ error: 'Informe um post ou um evento' });
+    }
+
+    const playlist = await Playlist.findById(req.params.id);
+    if (!playlist || !playlist.isVisibleTo(req.user.userId)) {
+      return res.status(404).json({ error: 'Coleção não encontrada' });
+    }
+
+    if (!playlist.canEditItems(req.user.userId)) {
+      return res.status(403).json({ error: 'Sem permissão para editar esta coleção' });
+    }
+
+    const itemType = req.body.post ? 'post' : 'event';
+    const refId = req.body[itemType];
+
+    const target = itemType === 'post'
+      ? await Post.findOne({ _id: refId, isActive: true, authorSuspended: { $ne: true } })
+        .populate('author', 'isPrivate blockedUsers')
+      : await Event.findOne({ _id: refId, isActive: true, isPublic: true, authorSuspended: { $ne: true } })
+        .populate('artist', 'blockedUsers');
+    const owner = target && (itemType === 'post' ? target.author : target.artist);
+
+    // Conteúdo que quem adiciona não pode ver (bloqueio em qualquer sentido)
+    if (!owner || isBlockedBetween(req.currentUser, owner)) {
+      return res.status(404).json({ error: itemType === 'post' ? 'Post não encontrado' : 'Evento não encontrado' });
+    }
+
+    // Coleções podem ser públicas: posts de contas privadas não entram
+    if (itemType === 'post' && owner.isPrivate) {
+      return res.status(403).json({
+        error: 'Posts de contas privadas não podem ser adicionados a coleções',
+        code: 'PRIVATE_POST'
+      });
+    }
+
+    if (playlist.findItem(itemType, refId)) {
+      return res.status(409).json({ error: 'Item já está na coleção', code: 'ITEM_EXISTS' });
+    }
+
+    if (playlist.items.length >= Playlist.MAX_ITEMS) {
+      return res.status(400).json({ error: `Máximo ${Playlist.MAX_ITEMS} itens por coleção` });
+    }
+
+    const position = req.body.position !== undefined
+      ? Math.min(parseInt(req.body.position), playlist.items.length)
+      : playlist.items.length;
+
+    playlist.items.splice(position, 0, {
+      itemType,
+      [itemType]: refId,
+      note: req.body.note || '',
+      addedBy: req.user.userId
+    });
+    await playlist.save();
+
+    res.status(201).json({
+      message: 'Item adicionado à coleção',
+      item: { ...playlist.items[position].toObject(), position },
+      itemsCount: playlist.items.length
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao adicionar item à coleção:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   PUT /api/playlists/:id/items/:itemId/position
+// @desc    Mover item para outra posição
+// @access  Private (dono ou colaboradores)
+router.put('/:id/items/:itemId/position', auth, [
+  param('id').isMongoId().withMessage('ID da coleção inválido'),
+  param('itemId').isMongoId().withMessage('ID do item inválido'),
+  body('position')
+    .isInt({ min: 0 })
+    .withMessage('Posição inválida')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const playlist = await Playlist.findById(req.params.id);
+    if (!playlist || !playlist.isVisibleTo(req.user.userId)) {
+      return res.status(404).json({ error: 'Coleção não encontrada' });
+    }
+
+    if (!playlist.canEditItems(req.user.userId)) {
+      return res.status(403).json({ error: 'Sem permissão para editar esta coleção' });
+    }
+
+    const from = playlist.items.findIndex(item => item._id.toString() === req.params.itemId);
+    if (from === -1) {
+      return res.status(404).json({ error: 'Item não encontrado' });
+    }
+
+    const to = Math.min(parseInt(req.body.position), playlist.items.length - 1);
+    const [item] = playlist.items.splice(from, 1);
+    playlist.items.splice(to, 0, item);
+    await playlist.save();
+
+    res.json({
+      message: 'Item movido',
+      order: playlist.items.map(entry => entry._id)
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao mover item da coleção:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   DELETE /api/playlists/:id/items/:itemId
+// @desc    Remover item da coleção
+// @access  Private (dono ou colaboradores)
+router.delete('/:id/items/:itemId', auth, [
+  param('id').isMongoId().withMessage('ID da coleção inválido'),
+  param('itemId').isMongoId().withMessage('ID do item inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const playlist = await Playlist.findById(req.params.id);
+    if (!playlist || !playlist.isVisibleTo(req.user.userId)) {
+      return res.status(404).json({ error: 'Coleção não encontrada' });
+    }
+
+    if (!playlist.canEditItems(req.user.userId)) {
+      return res.status(403).json({ error: 'Sem permissão para editar esta coleção' });
+    }
+
+    const item = playlist.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ error: 'Item não encontrado' });
+    }
+
+    item.deleteOne();
+    await playlist.save();
+
+    res.json({
+      message: 'Item removido da coleção',
+      itemsCount: playlist.items.length
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao remover item da coleção:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   POST /api/playlists/:id/collaborators
+// @desc    Convidar colaborador (a coleção passa a aceitar edições dele quando colaborativa)
+// @access  Private (apenas o dono)
+router.post('/:id/collaborators', auth, [
+  param('id').isMongoId().withMessage('ID da coleção inválido'),
+  body('userId').isMongoId().withMessage('ID do usuário inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const playlist = await Playlist.findById(req.params.id);
+    if (!playlist || !playlist.isActive) {
+      return res.status(404).json({ error: 'Coleção não encontrada' });
+    }
+
+    if (!playlist.isOwner(req.user.userId)) {
+      return res.status(403).json({ error: 'Apenas o dono pode gerenciar colaboradores' });
+    }
+
+    if (playlist.isOwner(req.body.userId)) {
+      return res.status(400).json({ error: 'O dono já pode editar a coleção' });
+    }
+
+    const collaborator = await User.findById(req.body.userId);
+    if (!collaborator || !collaborator.isActive || collaborator.isRestricted()) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+
+    if (playlist.collaborators.some(id => id.equals(collaborator._id))) {
+      return res.status(409).json({ error: 'Usuário já é colaborador' });
+    }
+
+    playlist.collaborators.push(collaborator._id);
+    await playlist.save();
+
+    const owner = await User.findById(req.user.userId).select('name artistName');
+    notifySystem(
+      collaborator._id,
+      'Convite para colaborar',
+      `${owner.artistName || owner.name} adicionou você à coleção "${playlist.title}"`,
+      { extra: { playlist: playlist._id } }
+    ).catch(error => console.error('❌ Erro ao notificar colaborador:', error.message));
+
+    res.status(201).json({
+      message: 'Colaborador adicionado',
+      collaborators: playlist.collaborators
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao adicionar colaborador:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   DELETE /api/playlists/:id/collaborators/:userId
+// @desc    Remover colaborador (o próprio colaborador também pode sair)
+// @access  Private
+router.delete('/:id/collaborators/:userId', auth, [
+  param('id').isMongoId().withMessage('ID da coleção inválido'),
+  param('userId').isMongoId().withMessage('ID do usuário inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const playlist = await Playlist.findById(req.params.id);
+    if (!playlist || !playlist.isActive) {
+      return res.status(404).json({ error: 'Coleção não encontrada' });
+    }
+
+    const isSelf = req.params.userId === req.user.userId;
+    if (!playlist.isOwner(req.user.userId) && !isSelf) {
+      return res.status(403).json({ error: 'Apenas o dono pode gerenciar colaboradores' });
+    }
+
+    const before = playlist.collaborators.length;
+    playlist.collaborators = playlist.collaborators.filter(id => id.toString() !== req.params.userId);
+    if (playlist.collaborators.length === before) {
+      return res.status(404).json({ error: 'Colaborador não encontrado' });
+    }
+
+    await playlist.save();
+
+    res.json({
+      message: isSelf ? 'Você saiu da coleção' : 'Colaborador removido',
+      collaborators: playlist.collaborators
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao remover colaborador:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   POST /api/playlists/:id/subscribe
+// @desc    Assinar/deixar de assinar coleção
+// @access  Private
+router.post('/:id/subscribe', auth, [
+  param('id').isMongoId().withMessage('ID da coleção inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const playlist = await loadVisiblePlaylist(req, res);
+    if (!playlist) return;
+
+    if (playlist.isOwner(req.user.userId)) {
+      return res.status(400).json({ error: 'Você não pode assinar sua própria coleção' });
+    }
+
+    const isSubscribed = playlist.isSubscribed(req.user.userId);
+    const update = isSubscribed
+      ? { $pull: { subscribers: req.user.userId } }
+      : { $addToSet: { subscribers: req.user.userId } };
+
+    // Atualização atômica para não sobrescrever edições simultâneas dos itens
+    const updated = await Playlist.findByIdAndUpdate(playlist._id, update, {
+      new: true,
+      timestamps: false
+    });
+
+    res.json({
+      message: isSubscribed ? 'Assinatura cancelada' : 'Coleção assinada',
+      isSubscribed: !isSubscribed,
+      subscribersCount: updated.subscribers.length
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao assinar coleção:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
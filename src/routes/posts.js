@@ -1,18 +1,51 @@
 const express = require('express');
-const { body, validationResult, param } = require('express-validator');
+const { body, validationResult, param, query } = require('express-validator');
 const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Track = require('../models/Track');
 const User = require('../models/User');
-const { auth, optionalAuth } = require('../middleware/auth');
+const { auth, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+const { RESTRICTED_ACTIONS } = require('../config/emailVerification');
+const { notifyLike, notifyComment } = require('../utils/notificationService');
+const { emitToPost, emitToUsers } = require('../utils/socketService');
+const { MediaError, resolveMediaUrls, isUrlOrMediaId } = require('../utils/mediaService');
+const {
+  isBlockedBetween,
+  getBlockedIds,
+  getFeedHiddenIds,
+  getPrivateAuthorIds,
+  getViewer
+} = require('../utils/visibilityService');
+const {
+  COMMENT_USER_FIELDS,
+  likePost,
+  unlikePost,
+  toggleLike,
+  addComment,
+  removePostInteractions,
+  withLikedFlag
+} = require('../utils/interactionService');
+const { PaginationError, getPagination, paginate } = require('../utils/pagination');
+const { resolveMentions, notifyMentions } = require('../utils/mentionService');
+const { getForYouPage } = require('../utils/feedRanking');
+const { fanOutPost, removePost, getTimelinePage } = require('../utils/timelineService');
+const {
+  RepostError,
+  createRepost,
+  undoRepost,
+  onRepostDeleted,
+  maskOriginals,
+  collapseReposts
+} = require('../utils/repostService');
 
 const router = express.Router();
 
 // @route   GET /api/posts/feed/following
-// @desc    Feed "Following" - posts próprios e de quem você segue
+// @desc    Feed "Following" - posts próprios e de quem você segue (timeline pré-calculada)
 // @access  Private
 router.get('/feed/following', auth, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const pagination = getPagination(req.query, { defaultLimit: 10 });
 
     const user = await User.findById(req.user.userId);
     if (!user) {
@@ -23,44 +56,12 @@ router.get('/feed/following', auth, async (req, res) => {
 
     // Garantir que following é uma array válida
     const followingIds = user.following && user.following.length > 0 ? user.following : [];
-    
-    let posts;
-    
-    if (followingIds.length === 0) {
-      console.log('📝 Usuário não segue ninguém, mostrando apenas posts próprios');
-      // Se não segue ninguém, mostrar apenas posts próprios
-      posts = await Post.find({
-        author: user._id,
-        isActive: true
-      })
-      .populate('author', 'name artistName avatar userType isVerified')
-      .populate('eventRef', 'title date location')
-      .populate('comments.user', 'name artistName avatar')
-      .sort({ isPinned: -1, createdAt: -1 })
-      .skip((page - 1) * limit)
-      .limit(limit);
-    } else {
-      console.log(`👥 Usuário segue ${followingIds.length} pessoas`);
-      // Posts próprios + posts de quem segue
-      posts = await Post.find({
-        $or: [
-          { author: user._id }, // Posts próprios
-          { author: { $in: followingIds } } // Posts de quem segue
-        ],
-        isActive: true
-      })
-      .populate('author', 'name artistName avatar userType isVerified')
-      .populate('eventRef', 'title date location')
-      .populate('comments.user', 'name artistName avatar')
-      .sort({ isPinned: -1, createdAt: -1 })
-      .skip((page - 1) * limit)
-      .limit(limit);
-    }
 
-    // Verificar se posts é uma array válida e processar apenas documentos Mongoose
-    if (!Array.isArray(posts)) {
-      posts = [];
-    }
+    // Bloqueados e silenciados não aparecem no feed
+    const hiddenIds = await getFeedHiddenIds(user);
+
+    // Timeline pré-calculada + posts de contas grandes que o usuário segue
+    const { items: posts, pagination: pageInfo, meta } = await getTimelinePage(user, { hiddenIds, pagination });
 
     // Adicionar informação se o usuário curtiu cada post
     const postsWithUserData = posts.map(post => {
@@ -70,32 +71,34 @@ router.get('/feed/following', auth, async (req, res) => {
       }
 
       try {
-        const postObj = post.toObject();
-        postObj.isLikedByUser = post.isLikedBy(user._id);
-        return postObj;
+        return post.toObject();
       } catch (error) {
         console.error('Erro ao processar post:', error);
         return null;
       }
     }).filter(post => post !== null);
 
-    console.log(`✅ Feed Following carregado: ${postsWithUserData.length} posts`);
+    // Original indisponível para o usuário fica oculto; reposts do mesmo original viram um item
+    const collapsed = collapseReposts(maskOriginals(postsWithUserData, user, hiddenIds));
+    await withLikedFlag(collapsed, user._id);
+
+    console.log(`✅ Feed Following carregado: ${collapsed.length} posts`);
 
     res.json({
-      posts: postsWithUserData,
-      pagination: {
-        page,
-        limit,
-        hasNext: posts.length === limit
-      },
+      posts: collapsed,
+      pagination: pageInfo,
       meta: {
-        totalPosts: postsWithUserData.length,
+        totalPosts: collapsed.length,
         followingCount: followingIds.length,
+        readTimeAccounts: meta.megaAccounts,
         feedType: 'following'
       }
     });
 
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     console.error('❌ Erro ao buscar feed following:', error);
     res.status(500).json({ 
       error: 'Erro interno do servidor',
@@ -105,12 +108,21 @@ router.get('/feed/following', auth, async (req, res) => {
 });
 
 // @route   GET /api/posts/feed/for-you
-// @desc    Feed "For You" - algoritmo de descoberta MELHORADO
+// @desc    Feed "For You" - ranking personalizado (gêneros, afinidade, engajamento,
+//          recência e diversidade). Use nextCursor para páginas estáveis; ?seed=
+//          fixa a variação do ranking entre recarregamentos.
 // @access  Private
-router.get('/feed/for-you', auth, async (req, res) => {
+router.get('/feed/for-you', auth, [
+  query('seed').optional().isLength({ min: 1, max: 32 }).withMessage('Semente inválida')
+], async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
 
     const user = await User.findById(req.user.userId);
     if (!user) {
@@ -119,126 +131,39 @@ router.get('/feed/for-you', auth, async (req, res) => {
 
     console.log(`✨ Feed For You requisitado por: ${user.name} (${user.userType})`);
 
-    // IDs para excluir (posts próprios e de quem já segue)
-    const excludeIds = [user._id, ...(user.following || [])];
+    // IDs para excluir (posts próprios, de quem já segue, bloqueados, silenciados
+    // e contas privadas)
+    const [hiddenIds, privateIds] = await Promise.all([
+      getFeedHiddenIds(user),
+      getPrivateAuthorIds(user)
+    ]);
+    const excludeIds = [user._id, ...(user.following || []), ...hiddenIds, ...privateIds];
 
-    // 🤖 ALGORITMO "FOR YOU" MELHORADO
-    let algorithmPosts = [];
+    const { items, pagination, meta } = await getForYouPage(user, { excludeIds, query: req.query });
 
-    console.log('🤖 Executando algoritmo For You melhorado...');
-
-    // 1. Posts populares recentes (últimos 14 dias) - 40% do feed
-    const recentPopular = await Post.find({
-      author: { $nin: excludeIds },
-      isActive: true,
-      createdAt: { $gte: new Date(Date.now() - 14 * 24 * 60 * 60 * 1000) },
-      // ✅ CORRIGIDO: Apenas 1+ interação (era 3 antes)
-      $expr: {
-        $gte: [
-          { $add: [{ $size: '$likes' }, { $size: '$comments' }] },
-          1
-        ]
-      }
-    })
-    .populate('author', 'name artistName avatar userType isVerified genres')
-    .populate('eventRef', 'title date location')
-    .populate('comments.user', 'name artistName avatar')
-    .sort({ createdAt: -1 })
-    .limit(Math.floor(limit * 0.4));
-
-    algorithmPosts.push(...recentPopular);
-    console.log(`📈 Posts populares: ${recentPopular.length}`);
-
-    // 2. Posts de artistas verificados (últimos 21 dias) - 30% do feed
-    if (algorithmPosts.length < limit) {
-      const verifiedArtistsPosts = await Post.find({
-        author: { 
-          $nin: excludeIds,
-          $in: await User.find({
-            userType: 'artist',
-            isVerified: true,
-            _id: { $nin: excludeIds }
-          }).distinct('_id')
-        },
-        isActive: true,
-        createdAt: { $gte: new Date(Date.now() - 21 * 24 * 60 * 60 * 1000) }
-      })
-      .populate('author', 'name artistName avatar userType isVerified genres')
-      .populate('eventRef', 'title date location')
-      .populate('comments.user', 'name artistName avatar')
-      .sort({ createdAt: -1 })
-      .limit(Math.floor(limit * 0.3));
-
-      algorithmPosts.push(...verifiedArtistsPosts);
-      console.log(`✅ Posts de verificados: ${verifiedArtistsPosts.length}`);
-    }
-
-    // 3. Posts recentes diversos (últimos 7 dias) - 30% do feed
-    if (algorithmPosts.length < limit) {
-      const recentDiverse = await Post.find({
-        author: { $nin: excludeIds },
-        isActive: true,
-        createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
-      })
-      .populate('author', 'name artistName avatar userType isVerified')
-      .populate('eventRef', 'title date location')
-      .populate('comments.user', 'name artistName avatar')
-      .sort({ createdAt: -1 })
-      .limit(limit - algorithmPosts.length);
-
-      algorithmPosts.push(...recentDiverse);
-      console.log(`📝 Posts diversos: ${recentDiverse.length}`);
-    }
-
-    // Remover duplicatas
-    const uniquePosts = algorithmPosts.filter((post, index, self) => 
-      index === self.findIndex(p => p._id.toString() === post._id.toString())
+    const postsWithUserData = await withLikedFlag(
+      maskOriginals(items.map(({ post, reason }) => ({ ...post.toObject(), reason })), user, hiddenIds),
+      user._id
     );
 
-    // Embaralhar um pouco para não ficar sempre na mesma ordem
-    const shuffledPosts = uniquePosts
-      .sort(() => Math.random() - 0.5)
-      .slice((page - 1) * limit, page * limit);
-
-    // Adicionar informação se o usuário curtiu cada post
-    const postsWithUserData = shuffledPosts.map(post => {
-      if (!post || typeof post.toObject !== 'function') {
-        console.error('Post inválido encontrado:', post);
-        return null;
-      }
-
-      try {
-        const postObj = post.toObject();
-        postObj.isLikedByUser = post.isLikedBy(user._id);
-        return postObj;
-      } catch (error) {
-        console.error('Erro ao processar post for you:', error);
-        return null;
-      }
-    }).filter(post => post !== null);
-
-    console.log(`✅ Feed For You carregado: ${postsWithUserData.length} posts`);
+    console.log(`✅ Feed For You carregado: ${postsWithUserData.length} posts de ${meta.candidates} candidatos`);
 
     res.json({
       posts: postsWithUserData,
-      pagination: {
-        page,
-        limit,
-        hasNext: shuffledPosts.length === limit
-      },
+      pagination,
       meta: {
         totalPosts: postsWithUserData.length,
-        algorithm: {
-          popularPosts: recentPopular.length,
-          verifiedPosts: algorithmPosts.filter(p => p.author?.isVerified).length,
-          totalCandidates: uniquePosts.length
-        },
+        totalCandidates: meta.candidates,
+        generatedAt: meta.asOf,
         feedType: 'for-you',
-        improved: true
+        algorithm: 'ranked'
       }
     });
 
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     console.error('❌ Erro ao buscar feed for you:', error);
     res.status(500).json({ 
       error: 'Erro interno do servidor',
@@ -262,26 +187,28 @@ router.get('/feed', auth, async (req, res) => {
 // @access  Public
 router.get('/discover', optionalAuth, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const pagination = getPagination(req.query, { defaultLimit: 10 });
 
-    console.log(`🔍 Discover posts solicitado - Página: ${page}`);
+    console.log(`🔍 Discover posts solicitado - ${pagination.cursor ? 'cursor' : `Página: ${pagination.page}`}`);
+
+    const viewer = await getViewer(req);
+    const [hiddenIds, privateIds] = await Promise.all([
+      getFeedHiddenIds(viewer),
+      getPrivateAuthorIds(viewer)
+    ]);
 
     // ✅ FILTRO CORRIGIDO: MUITO MENOS RESTRITIVO
-    const posts = await Post.find({
+    const postsQuery = Post.find({
       isActive: true,
+      authorSuspended: { $ne: true },
+      author: { $nin: [...hiddenIds, ...privateIds] },
+      // Reposts simples não entram: o original já concorre por conta própria
+      type: { $ne: 'repost' },
       // Posts com 1+ interação OU posts dos últimos 7 dias
       $or: [
-        {
-          // Posts com pelo menos 1 curtida ou comentário
-          $expr: {
-            $gte: [
-              { $add: [{ $size: '$likes' }, { $size: '$comments' }] },
-              1 // ✅ Era 5, agora é 1
-            ]
-          }
-        },
+        // Posts com pelo menos 1 curtida ou comentário (✅ Era 5, agora é 1)
+        { likesCount: { $gte: 1 } },
+        { commentsCount: { $gte: 1 } },
         {
           // Posts recentes (últimos 7 dias) mesmo sem interações
           createdAt: { 
@@ -290,12 +217,15 @@ router.get('/discover', optionalAuth, async (req, res) => {
         }
       ]
     })
-    .populate('author', 'name artistName avatar userType isVerified')
+    .populate('author', 'name handle artistName avatar userType isVerified')
     .populate('eventRef', 'title date location')
-    .populate('comments.user', 'name artistName avatar')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit);
+    .populate(Post.TRACK_POPULATE)
+    .populate(Post.REPOST_POPULATE);
+
+    const { items: posts, pagination: pageInfo } = await paginate(postsQuery, {
+      sort: { createdAt: -1 },
+      pagination
+    });
 
     // Adicionar informação se o usuário curtiu (se logado)
     const postsWithUserData = posts.map(post => {
@@ -304,26 +234,21 @@ router.get('/discover', optionalAuth, async (req, res) => {
       }
 
       try {
-        const postObj = post.toObject();
-        if (req.user) {
-          postObj.isLikedByUser = post.isLikedBy(req.user.userId);
-        }
-        return postObj;
+        return post.toObject();
       } catch (error) {
         console.error('Erro ao processar post do discover:', error);
         return null;
       }
     }).filter(post => post !== null);
 
+    maskOriginals(postsWithUserData, viewer, hiddenIds);
+    await withLikedFlag(postsWithUserData, req.user?.userId);
+
     console.log(`✅ Discover carregado: ${postsWithUserData.length} posts`);
 
     res.json({
       posts: postsWithUserData,
-      pagination: {
-        page,
-        limit,
-        hasNext: posts.length === limit
-      },
+      pagination: pageInfo,
       meta: {
         feedType: 'discover',
         algorithm: 'mixed_improved', // 1+ interação OU recente
@@ -332,15 +257,96 @@ router.get('/discover', optionalAuth, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     console.error('❌ Erro ao buscar posts discover:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
 
+// @route   GET /api/posts/search
+// @desc    Buscar posts por termo ou hashtag
+// @access  Public
+router.get('/search', optionalAuth, [
+  query('q').optional().isString().trim().isLength({ min: 1 }).withMessage('Termo de busca muito curto'),
+  query('hashtag').optional().isString().trim().isLength({ min: 1 }).withMessage('Hashtag inválida')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { q, hashtag } = req.query;
+
+    if (!q && !hashtag) {
+      return res.status(400).json({
+        error: 'Parâmetro de busca obrigatório',
+        message: 'Forneça "q" para busca geral ou "hashtag" para busca por hashtag'
+      });
+    }
+
+    const pagination = getPagination(req.query, { defaultLimit: 10 });
+    const viewer = await getViewer(req);
+    const [blockedIds, privateIds] = await Promise.all([
+      getBlockedIds(viewer),
+      getPrivateAuthorIds(viewer)
+    ]);
+    let searchQuery = {
+      isActive: true,
+      authorSuspended: { $ne: true },
+      author: { $nin: [...blockedIds, ...privateIds] }
+    };
+
+    if (hashtag) {
+      searchQuery.hashtags = { $in: [hashtag.toLowerCase().replace('#', '')] };
+    } else if (q) {
+      searchQuery.$or = [
+        { content: { $regex: q, $options: 'i' } },
+        { hashtags: { $in: [q.toLowerCase().replace('#', '')] } }
+      ];
+    }
+
+    const postsQuery = Post.find(searchQuery)
+      .populate('author', 'name handle artistName avatar userType isVerified')
+      .populate('eventRef', 'title date location')
+      .populate(Post.TRACK_POPULATE)
+      .populate(Post.REPOST_POPULATE);
+
+    const { items: posts, pagination: pageInfo } = await paginate(postsQuery, {
+      sort: { createdAt: -1 },
+      pagination
+    });
+
+    console.log(`🔍 Busca realizada: "${q || hashtag}" - ${posts.length} resultados`);
+
+    res.json({
+      posts: await withLikedFlag(
+        maskOriginals(posts.map(post => post.toObject()), viewer, blockedIds),
+        req.user?.userId
+      ),
+      pagination: pageInfo,
+      searchTerm: q || hashtag,
+      searchType: hashtag ? 'hashtag' : 'general'
+    });
+
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro na busca:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
 // @route   POST /api/posts
 // @desc    Criar novo post
 // @access  Private
-router.post('/', auth, [
+router.post('/', auth, requireVerifiedEmail(RESTRICTED_ACTIONS.POSTS_CREATE), [
   body('content')
     .trim()
     .isLength({ min: 1, max: 2000 })
@@ -348,7 +354,7 @@ router.post('/', auth, [
   
   body('type')
     .optional()
-    .isIn(['text', 'event', 'media'])
+    .isIn(['text', 'event', 'media', 'audio'])
     .withMessage('Tipo de post inválido'),
   
   body('images')
@@ -356,10 +362,20 @@ router.post('/', auth, [
     .isArray({ max: 4 })
     .withMessage('Máximo 4 imagens por post'),
   
+  // URL da imagem ou ID retornado por POST /api/media
+  body('images.*')
+    .custom(isUrlOrMediaId)
+    .withMessage('Imagem deve ser uma URL ou ID de mídia'),
+  
   body('eventRef')
     .optional()
     .isMongoId()
-    .withMessage('ID do evento inválido')
+    .withMessage('ID do evento inválido'),
+  
+  body('track')
+    .optional()
+    .isMongoId()
+    .withMessage('ID da faixa inválido')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -370,7 +386,7 @@ router.post('/', auth, [
       });
     }
 
-    const { content, type, images, eventRef } = req.body;
+    const { content, type, images, eventRef, track } = req.body;
 
     console.log(`📝 Criando post para usuário: ${req.user.userId}`);
 
@@ -378,7 +394,7 @@ router.post('/', auth, [
       author: req.user.userId,
       content,
       type: type || 'text',
-      images: images || []
+      images: await resolveMediaUrls(images || [], req.user.userId)
     };
 
     if (eventRef) {
@@ -386,6 +402,24 @@ router.post('/', auth, [
       postData.type = 'event';
     }
 
+    // Post de áudio: embute uma faixa publicada (de qualquer artista)
+    if (track || postData.type === 'audio') {
+      if (!track) {
+        return res.status(400).json({ error: 'Posts de áudio precisam de uma faixa' });
+      }
+
+      const trackDoc = await Track.findById(track);
+      if (!trackDoc || !trackDoc.isAvailable()) {
+        return res.status(404).json({ error: 'Faixa não encontrada' });
+      }
+
+      postData.track = trackDoc._id;
+      postData.type = 'audio';
+    }
+
+    // @menções viram links para os usuários (handles inexistentes ficam como texto)
+    postData.mentions = await resolveMentions(content, req.currentUser);
+
     const post = new Post(postData);
     await post.save();
 
@@ -394,27 +428,84 @@ router.post('/', auth, [
       $inc: { totalPosts: 1 }
     });
 
+    // Copiar para a timeline do autor e dos seguidores
+    await fanOutPost(post);
+    await notifyMentions(post.mentions, req.currentUser, { post });
+
     // Popular dados para retorno
-    await post.populate('author', 'name artistName avatar userType isVerified');
+    await post.populate('author', 'name handle artistName avatar userType isVerified');
     if (post.eventRef) {
       await post.populate('eventRef', 'title date location');
     }
+    if (post.track) {
+      await post.populate(Post.TRACK_POPULATE);
+    }
 
     console.log(`✅ Post criado: ${post._id}`);
 
+    // Push em tempo real para os seguidores do autor
+    emitToUsers(req.currentUser.followers || [], 'feed:new_post', {
+      post: post.toObject()
+    });
+
     res.status(201).json({
       message: 'Post criado com sucesso',
       post: post.toObject()
     });
 
   } catch (error) {
+    if (error instanceof MediaError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     console.error('❌ Erro ao criar post:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
 
+// Carregar post para curtir/comentar (404 nos mesmos casos de GET /:id: inativo,
+// autor suspenso, bloqueio entre os dois ou conta privada que o usuário não segue)
+const loadInteractablePost = async (req, res) => {
+  const post = await Post.findById(req.params.id);
+
+  if (!post || !post.isActive || post.authorSuspended) {
+    res.status(404).json({ error: 'Post não encontrado' });
+    return null;
+  }
+
+  const author = await User.findById(post.author).select('blockedUsers isPrivate');
+  if (!author || isBlockedBetween(req.currentUser, author) || !author.canBeSeenBy(req.currentUser)) {
+    res.status(404).json({ error: 'Post não encontrado' });
+    return null;
+  }
+  return post;
+};
+
+// Responder e avisar a sala do post após curtir/descurtir
+const sendLikeResult = async (req, res, post, result) => {
+  if (result.changed) {
+    if (result.isLiked) {
+      await notifyLike(post, req.currentUser);
+    }
+
+    console.log(`❤️ Post ${result.isLiked ? 'curtido' : 'descurtido'}: ${post._id}`);
+
+    emitToPost(post._id, 'post:like_updated', {
+      postId: post._id,
+      userId: req.user.userId,
+      isLiked: result.isLiked,
+      likesCount: result.likesCount
+    });
+  }
+
+  res.json({
+    message: result.isLiked ? 'Post curtido' : 'Post descurtido',
+    isLiked: result.isLiked,
+    likesCount: result.likesCount
+  });
+};
+
 // @route   POST /api/posts/:id/like
-// @desc    Curtir/descurtir post
+// @desc    Curtir/descurtir post (alternar)
 // @access  Private
 router.post('/:id/like', auth, [
   param('id').isMongoId().withMessage('ID do post inválido')
@@ -425,30 +516,155 @@ router.post('/:id/like', auth, [
       return res.status(400).json({ error: 'ID do post inválido' });
     }
 
-    const post = await Post.findById(req.params.id);
-    
-    if (!post || !post.isActive) {
-      return res.status(404).json({ error: 'Post não encontrado' });
+    const post = await loadInteractablePost(req, res);
+    if (!post) return;
+
+    const result = await toggleLike(post._id, req.user.userId);
+    await sendLikeResult(req, res, post, result);
+
+  } catch (error) {
+    console.error('❌ Erro ao curtir post:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   PUT /api/posts/:id/like
+// @desc    Curtir post (idempotente)
+// @access  Private
+router.put('/:id/like', auth, [
+  param('id').isMongoId().withMessage('ID do post inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'ID do post inválido' });
     }
 
-    const isLiked = post.isLikedBy(req.user.userId);
-    
-    if (isLiked) {
-      await post.unlike(req.user.userId);
-    } else {
-      await post.like(req.user.userId);
+    const post = await loadInteractablePost(req, res);
+    if (!post) return;
+
+    const result = await likePost(post._id, req.user.userId);
+    await sendLikeResult(req, res, post, result);
+
+  } catch (error) {
+    console.error('❌ Erro ao curtir post:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   DELETE /api/posts/:id/like
+// @desc    Descurtir post (idempotente)
+// @access  Private
+router.delete('/:id/like', auth, [
+  param('id').isMongoId().withMessage('ID do post inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'ID do post inválido' });
+    }
+
+    const post = await loadInteractablePost(req, res);
+    if (!post) return;
+
+    const result = await unlikePost(post._id, req.user.userId);
+    await sendLikeResult(req, res, post, result);
+
+  } catch (error) {
+    console.error('❌ Erro ao descurtir post:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   POST /api/posts/:id/repost
+// @desc    Repostar post (sem content) ou citar com comentário próprio (quote)
+// @access  Private
+router.post('/:id/repost', auth, requireVerifiedEmail(RESTRICTED_ACTIONS.POSTS_CREATE), [
+  param('id').isMongoId().withMessage('ID do post inválido'),
+  body('content')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Conteúdo deve ter no máximo 2000 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { post, original, repostsCount, quotesCount } = await createRepost(
+      req.currentUser,
+      req.params.id,
+      req.body.content || ''
+    );
+
+    await post.populate('author', 'name handle artistName avatar userType isVerified');
+    await post.populate(Post.REPOST_POPULATE);
+
+    console.log(`🔁 ${post.type === 'quote' ? 'Quote' : 'Repost'} criado: ${post._id} (original ${original._id})`);
+
+    emitToPost(original._id, 'post:repost_updated', {
+      postId: original._id,
+      repostsCount,
+      quotesCount
+    });
+    emitToUsers(req.currentUser.followers || [], 'feed:new_post', {
+      post: post.toObject()
+    });
+
+    res.status(201).json({
+      message: post.type === 'quote' ? 'Post citado com sucesso' : 'Post repostado com sucesso',
+      post: post.toObject(),
+      repostsCount,
+      quotesCount
+    });
+
+  } catch (error) {
+    if (error instanceof RepostError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro ao repostar post:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   DELETE /api/posts/:id/repost
+// @desc    Desfazer repost (aceita o ID do original ou do próprio repost)
+// @access  Private
+router.delete('/:id/repost', auth, [
+  param('id').isMongoId().withMessage('ID do post inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'ID do post inválido' });
     }
 
-    console.log(`❤️ Post ${!isLiked ? 'curtido' : 'descurtido'}: ${post._id}`);
+    const { originalId, repostsCount, quotesCount } = await undoRepost(req.user.userId, req.params.id);
+
+    console.log(`🔁 Repost desfeito por ${req.user.userId}: ${originalId}`);
+
+    emitToPost(originalId, 'post:repost_updated', {
+      postId: originalId,
+      repostsCount,
+      quotesCount
+    });
 
     res.json({
-      message: isLiked ? 'Post descurtido' : 'Post curtido',
-      isLiked: !isLiked,
-      likesCount: post.likesCount
+      message: 'Repost desfeito',
+      repostsCount,
+      quotesCount
     });
 
   } catch (error) {
-    console.error('❌ Erro ao curtir post:', error);
+    if (error instanceof RepostError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro ao desfazer repost:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
@@ -456,7 +672,7 @@ router.post('/:id/like', auth, [
 // @route   POST /api/posts/:id/comment
 // @desc    Comentar em post
 // @access  Private
-router.post('/:id/comment', auth, [
+router.post('/:id/comment', auth, requireVerifiedEmail(RESTRICTED_ACTIONS.COMMENTS_CREATE), [
   param('id').isMongoId().withMessage('ID do post inválido'),
   body('text')
     .trim()
@@ -472,23 +688,27 @@ router.post('/:id/comment', auth, [
       });
     }
 
-    const post = await Post.findById(req.params.id);
-    
-    if (!post || !post.isActive) {
-      return res.status(404).json({ error: 'Post não encontrado' });
-    }
+    const post = await loadInteractablePost(req, res);
+    if (!post) return;
 
-    await post.addComment(req.user.userId, req.body.text);
-    await post.populate('comments.user', 'name artistName avatar');
+    const mentions = await resolveMentions(req.body.text, req.currentUser);
+    const { comment: newComment, commentsCount } = await addComment(post._id, req.user.userId, req.body.text, mentions);
 
-    const newComment = post.comments[post.comments.length - 1];
+    await notifyComment(post, req.currentUser, newComment);
+    await notifyMentions(newComment.mentions, req.currentUser, { post, comment: newComment });
 
     console.log(`💬 Comentário adicionado ao post: ${post._id}`);
 
+    emitToPost(post._id, 'post:comment_added', {
+      postId: post._id,
+      comment: newComment,
+      commentsCount
+    });
+
     res.status(201).json({
       message: 'Comentário adicionado com sucesso',
       comment: newComment,
-      commentsCount: post.commentsCount
+      commentsCount
     });
 
   } catch (error) {
@@ -497,6 +717,55 @@ router.post('/:id/comment', auth, [
   }
 });
 
+// @route   GET /api/posts/:id/comments
+// @desc    Comentários do post (mais antigos primeiro, paginados)
+// @access  Public
+router.get('/:id/comments', optionalAuth, [
+  param('id').isMongoId().withMessage('ID do post inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'ID do post inválido' });
+    }
+
+    const pagination = getPagination(req.query);
+
+    const post = await Post.findById(req.params.id)
+      .populate('author', 'isPrivate');
+
+    if (!post || !post.isActive || post.authorSuspended) {
+      return res.status(404).json({ error: 'Post não encontrado' });
+    }
+
+    // Mesmas regras de visibilidade do post; comentários de bloqueados não aparecem
+    const viewer = await getViewer(req);
+    const blockedIds = await getBlockedIds(viewer);
+    if (blockedIds.some(id => id.equals(post.author._id)) || !post.author.canBeSeenBy(viewer)) {
+      return res.status(404).json({ error: 'Post não encontrado' });
+    }
+
+    const { items: comments, pagination: pageInfo } = await paginate(
+      Comment.find({ post: post._id, user: { $nin: blockedIds } })
+        .populate('user', COMMENT_USER_FIELDS),
+      { sort: { createdAt: 1 }, pagination }
+    );
+
+    res.json({
+      comments,
+      commentsCount: post.commentsCount,
+      pagination: pageInfo
+    });
+
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro ao buscar comentários:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
 // @route   GET /api/posts/:id
 // @desc    Obter post específico
 // @access  Public
@@ -510,17 +779,26 @@ router.get('/:id', optionalAuth, [
     }
 
     const post = await Post.findById(req.params.id)
-      .populate('author', 'name artistName avatar userType isVerified')
+      .populate('author', 'name handle artistName avatar userType isVerified isPrivate')
       .populate('eventRef', 'title date location')
-      .populate('comments.user', 'name artistName avatar');
+      .populate(Post.TRACK_POPULATE)
+      .populate(Post.REPOST_POPULATE);
 
-    if (!post || !post.isActive) {
+    if (!post || !post.isActive || post.authorSuspended) {
       return res.status(404).json({ error: 'Post não encontrado' });
     }
 
-    const postObj = post.toObject();
+    // Bloqueio esconde o post e os comentários nos dois sentidos;
+    // posts de contas privadas só para seguidores aprovados
+    const viewer = await getViewer(req);
+    const blockedIds = await getBlockedIds(viewer);
+    if (blockedIds.some(id => id.equals(post.author._id)) || !post.author.canBeSeenBy(viewer)) {
+      return res.status(404).json({ error: 'Post não encontrado' });
+    }
+
+    const [postObj] = maskOriginals([post.toObject()], viewer, blockedIds);
     if (req.user) {
-      postObj.isLikedByUser = post.isLikedBy(req.user.userId);
+      await withLikedFlag([postObj], req.user.userId);
       postObj.canEdit = post.author._id.equals(req.user.userId);
     }
 
@@ -564,10 +842,23 @@ router.put('/:id', auth, [
       });
     }
 
+    // Repost simples não tem texto próprio (para comentar, use um quote)
+    if (post.type === 'repost') {
+      return res.status(400).json({
+        error: 'Reposts não podem ser editados',
+        code: 'REPOST_NOT_EDITABLE'
+      });
+    }
+
+    // Só quem passou a ser mencionado na edição é notificado
+    const previousMentions = [...post.mentions];
     post.content = req.body.content;
+    post.mentions = await resolveMentions(post.content, req.currentUser);
     await post.save();
 
-    await post.populate('author', 'name artistName avatar userType isVerified');
+    await notifyMentions(post.mentions, req.currentUser, { post, previous: previousMentions });
+
+    await post.populate('author', 'name handle artistName avatar userType isVerified');
 
     console.log(`📝 Post atualizado: ${post._id}`);
 
@@ -608,6 +899,11 @@ router.delete('/:id', auth, [
     }
 
     await Post.findByIdAndDelete(req.params.id);
+    await Promise.all([
+      removePostInteractions(post._id),
+      removePost(post._id),
+      onRepostDeleted(post)
+    ]);
 
     // Decrementar contador de posts do usuário
     await User.findByIdAndUpdate(req.user.userId, {
@@ -624,60 +920,4 @@ router.delete('/:id', auth, [
   }
 });
 
-// @route   GET /api/posts/search
-// @desc    Buscar posts por termo ou hashtag
-// @access  Public
-router.get('/search', [
-  body('q').optional().trim().isLength({ min: 1 }).withMessage('Termo de busca muito curto'),
-  body('hashtag').optional().trim().isLength({ min: 1 }).withMessage('Hashtag inválida')
-], async (req, res) => {
-  try {
-    const { q, hashtag, page = 1, limit = 10 } = req.query;
-    const skip = (page - 1) * limit;
-
-    if (!q && !hashtag) {
-      return res.status(400).json({
-        error: 'Parâmetro de busca obrigatório',
-        message: 'Forneça "q" para busca geral ou "hashtag" para busca por hashtag'
-      });
-    }
-
-    let searchQuery = { isActive: true };
-
-    if (hashtag) {
-      searchQuery.hashtags = { $in: [hashtag.toLowerCase().replace('#', '')] };
-    } else if (q) {
-      searchQuery.$or = [
-        { content: { $regex: q, $options: 'i' } },
-        { hashtags: { $in: [q.toLowerCase().replace('#', '')] } }
-      ];
-    }
-
-    const posts = await Post.find(searchQuery)
-      .populate('author', 'name artistName avatar userType isVerified')
-      .populate('eventRef', 'title date location')
-      .populate('comments.user', 'name artistName avatar')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    console.log(`🔍 Busca realizada: "${q || hashtag}" - ${posts.length} resultados`);
-
-    res.json({
-      posts: posts.map(post => post.toObject()),
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        hasNext: posts.length === parseInt(limit)
-      },
-      searchTerm: q || hashtag,
-      searchType: hashtag ? 'hashtag' : 'general'
-    });
-
-  } catch (error) {
-    console.error('❌ Erro na busca:', error);
-    res.status(500).json({ error: 'Erro interno do servidor' });
-  }
-});
-
 module.exports = router;
\ No newline at end of file
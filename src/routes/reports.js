@@ -0,0 +1,130 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Report = require('../models/Report');
+const { auth } = require('../middleware/auth');
+const { loadTarget } = require('../utils/moderationService');
+const { PaginationError, getPagination, paginate } = require('../utils/pagination');
+
+const router = express.Router();
+
+// @route   POST /api/reports
+// @desc    Denunciar post, comentário, evento ou perfil
+// @access  Private
+router.post('/', auth, [
+  body('targetType')
+    .isIn(Report.TARGET_TYPES)
+    .withMessage(`Tipo deve ser: ${Report.TARGET_TYPES.join(', ')}`),
+  body('targetId')
+    .isMongoId()
+    .withMessage('ID do conteúdo inválido'),
+  body('postId')
+    .optional()
+    .isMongoId()
+    .withMessage('ID do post inválido'),
+  body('reason')
+    .isIn(Report.REASONS)
+    .withMessage(`Motivo deve ser: ${Report.REASONS.join(', ')}`),
+  body('details')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Detalhes devem ter no máximo 1000 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { targetType, targetId, postId, reason, details = '' } = req.body;
+
+    const loaded = await loadTarget(targetType, targetId, postId);
+    if (!loaded) {
+      return res.status(404).json({ error: 'Conteúdo não encontrado' });
+    }
+
+    if (loaded.owner && loaded.owner.toString() === req.user.userId) {
+      return res.status(400).json({ error: 'Você não pode denunciar seu próprio conteúdo' });
+    }
+
+    const existing = await Report.findOne({
+      reporter: req.user.userId,
+      targetType,
+      targetId,
+      status: 'pending'
+    });
+    if (existing) {
+      return res.status(409).json({
+        error: 'Você já denunciou este conteúdo',
+        code: 'ALREADY_REPORTED',
+        reportId: existing._id
+      });
+    }
+
+    const report = await Report.create({
+      reporter: req.user.userId,
+      targetType,
+      targetId,
+      post: targetType === 'comment' ? loaded.post._id : null,
+      targetOwner: loaded.owner,
+      reason,
+      details
+    });
+
+    console.log(`🚩 Denúncia criada: ${targetType}:${targetId} (${reason}) por ${req.user.userId}`);
+
+    res.status(201).json({
+      message: 'Denúncia enviada. Nossa equipe de moderação irá analisá-la.',
+      report: {
+        id: report._id,
+        targetType: report.targetType,
+        targetId: report.targetId,
+        reason: report.reason,
+        status: report.status,
+        createdAt: report.createdAt
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Você já denunciou este conteúdo',
+        code: 'ALREADY_REPORTED'
+      });
+    }
+    console.error('❌ Erro ao criar denúncia:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   GET /api/reports/mine
+// @desc    Listar denúncias feitas pelo usuário
+// @access  Private
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const pagination = getPagination(req.query);
+
+    const { items: reports, pagination: pageInfo } = await paginate(
+      Report.find({ reporter: req.user.userId })
+        .select('targetType targetId reason status resolution.action resolution.resolvedAt createdAt'),
+      { sort: { createdAt: -1 }, pagination }
+    );
+
+    res.json({
+      reports,
+      pagination: pageInfo
+    });
+
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro ao listar denúncias:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
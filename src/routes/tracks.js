@@ -0,0 +1,437 @@
+const express = require('express');
+const path = require('path');
+const { body, validationResult, param } = require('express-validator');
+const Track = require('../models/Track');
+const Media = require('../models/Media');
+const Play = require('../models/Play');
+const User = require('../models/User');
+const { auth, requireArtist, optionalAuth } = require('../middleware/auth');
+const { MEDIA_KINDS, Streaming } = require('../config/media');
+const { MediaError, resolveMediaUrl, isUrlOrMediaId } = require('../utils/mediaService');
+const { getStorageDriver } = require('../utils/storage');
+const {
+  parseRange,
+  previewByteLength,
+  canStreamFullTrack,
+  recordPlay
+} = require('../utils/streamingService');
+
+const router = express.Router();
+
+const GENRES = Track.schema.path('genre').enumValues;
+
+// Gênero das tags do arquivo só é usado se for um dos gêneros do app
+const matchGenre = (value) => {
+  if (!value) return undefined;
+  return GENRES.find(genre => genre.toLowerCase() === value.trim().toLowerCase());
+};
+
+// Validações compartilhadas entre criação e edição
+const trackFieldValidators = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Título deve ter entre 1 e 200 caracteres'),
+
+  body('genre')
+    .optional({ values: 'falsy' })
+    .isIn(GENRES)
+    .withMessage('Gênero inválido'),
+
+  body('album')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Álbum deve ter no máximo 200 caracteres'),
+
+  body('releaseDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Data de lançamento inválida'),
+
+  // URL da capa ou ID de imagem enviada por POST /api/media
+  body('cover')
+    .optional({ values: 'falsy' })
+    .custom(isUrlOrMediaId)
+    .withMessage('Capa deve ser uma URL ou ID de mídia'),
+
+  body('previewForNonFollowers')
+    .optional()
+    .isBoolean()
+    .withMessage('previewForNonFollowers deve ser booleano')
+];
+
+// @route   POST /api/tracks
+// @desc    Publicar faixa a partir de um áudio enviado por POST /api/media
+// @access  Private (apenas artistas)
+router.post('/', auth, requireArtist, [
+  body('audio')
+    .isMongoId()
+    .withMessage('ID do áudio inválido'),
+  ...trackFieldValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const media = await Media.findOne({
+      _id: req.body.audio,
+      owner: req.user.userId,
+      kind: MEDIA_KINDS.AUDIO
+    });
+
+    if (!media) {
+      return res.status(400).json({ error: 'Áudio não encontrado', code: 'MEDIA_NOT_FOUND' });
+    }
+
+    if (await Track.exists({ 'audio.media': media._id })) {
+      return res.status(409).json({ error: 'Este áudio já foi publicado em outra faixa', code: 'TRACK_EXISTS' });
+    }
+
+    // Campos não informados vêm das tags do arquivo
+    const tags = media.audio || {};
+    const fallbackTitle = media.originalName
+      ? path.basename(media.originalName, path.extname(media.originalName))
+      : 'Sem título';
+
+    const track = new Track({
+      artist: req.user.userId,
+      title: req.body.title || tags.title || fallbackTitle,
+      duration: media.duration,
+      genre: req.body.genre || matchGenre(tags.genre),
+      album: req.body.album || tags.album,
+      releaseDate: req.body.releaseDate || null,
+      previewForNonFollowers: req.body.previewForNonFollowers === true || req.body.previewForNonFollowers === 'true',
+      cover: await resolveMediaUrl(req.body.cover || null, req.user.userId),
+      audio: {
+        media: media._id,
+        url: media.url,
+        mimeType: media.mimeType,
+        size: media.size,
+        bitrate: tags.bitrate || null
+      }
+    });
+
+    await track.save();
+    await track.populate('artist', 'name handle artistName avatar isVerified');
+
+    console.log(`🎵 Faixa publicada: "${track.title}" (${track._id}) por ${req.user.userId}`);
+
+    res.status(201).json({
+      message: 'Faixa publicada com sucesso',
+      track: track.toObject()
+    });
+
+  } catch (error) {
+    if (error instanceof MediaError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro ao publicar faixa:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   PUT /api/tracks/featured
+// @desc    Definir as faixas em destaque no perfil do artista (máx. 5, em ordem)
+// @access  Private (apenas artistas)
+router.put('/featured', auth, requireArtist, [
+  body('tracks')
+    .isArray({ max: 5 })
+    .withMessage('Máximo 5 faixas em destaque'),
+  body('tracks.*')
+    .isMongoId()
+    .withMessage('ID da faixa inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const trackIds = [...new Set(req.body.tracks)];
+    const ownTracks = await Track.countDocuments({
+      _id: { $in: trackIds },
+      artist: req.user.userId,
+      isActive: true
+    });
+
+    if (ownTracks !== trackIds.length) {
+      return res.status(400).json({ error: 'Apenas suas próprias faixas podem ficar em destaque' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { featuredTracks: trackIds },
+      { new: true }
+    ).populate(User.FEATURED_TRACKS_POPULATE);
+
+    res.json({
+      message: 'Faixas em destaque atualizadas',
+      featuredTracks: user.featuredTracks
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao definir faixas em destaque:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   GET /api/tracks/:id
+// @desc    Obter faixa
+// @access  Public
+router.get('/:id', optionalAuth, [
+  param('id').isMongoId().withMessage('ID da faixa inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'ID da faixa inválido' });
+    }
+
+    const track = await Track.findById(req.params.id)
+      .populate('artist', 'name handle artistName avatar isVerified');
+
+    // Faixa removida/oculta só aparece para o próprio artista
+    const isOwner = req.user && track && track.artist._id.equals(req.user.userId);
+    if (!track || (!track.isAvailable() && !isOwner)) {
+      return res.status(404).json({ error: 'Faixa não encontrada' });
+    }
+
+    res.json({ track: track.toObject() });
+
+  } catch (error) {
+    console.error('❌ Erro ao buscar faixa:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   GET /api/tracks/:id/stream
+// @desc    Tocar faixa (suporta Range para avançar/retroceder). Não seguidores
+//          recebem apenas a prévia quando o artista ativou previewForNonFollowers.
+// @access  Public
+router.get('/:id/stream', optionalAuth, [
+  param('id').isMongoId().withMessage('ID da faixa inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'ID da faixa inválido' });
+    }
+
+    const track = await Track.findById(req.params.id);
+    const isOwner = req.user && track && track.artist.equals(req.user.userId);
+    if (!track || (!track.isAvailable() && !isOwner)) {
+      return res.status(404).json({ error: 'Faixa não encontrada' });
+    }
+
+    const media = await Media.findById(track.audio.media);
+    if (!media) {
+      return res.status(404).json({ error: 'Arquivo de áudio não encontrado' });
+    }
+
+    // Na prévia o arquivo "termina" após os primeiros segundos
+    const fullAccess = canStreamFullTrack(track, req.currentUser);
+    const size = fullAccess ? track.audio.size : previewByteLength(track);
+
+    const range = parseRange(req.headers.range, size);
+    if (range === 'unsatisfiable') {
+      res.set('Content-Range', `bytes */${size}`);
+      return res.status(416).json({ error: 'Intervalo solicitado inválido' });
+    }
+
+    const { start, end } = range || { start: 0, end: size - 1 };
+
+    res.set({
+      'Content-Type': track.audio.mimeType,
+      'Content-Length': end - start + 1,
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, no-transform',
+      'X-Stream-Mode': fullAccess ? 'full' : 'preview'
+    });
+    if (!fullAccess) {
+      res.set('X-Preview-Seconds', String(Math.min(Streaming.PREVIEW_SECONDS, Math.ceil(track.duration))));
+    }
+    if (range) {
+      res.status(206).set('Content-Range', `bytes ${start}-${end}/${size}`);
+    }
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    // Início da reprodução: contar a play (sem atrasar o áudio)
+    if (start === 0 && track.isAvailable()) {
+      recordPlay(req, track, { preview: !fullAccess }).catch(error => {
+        console.error('❌ Erro ao registrar reprodução:', error.message);
+      });
+    }
+
+    const stream = await getStorageDriver(media.storage.driver).read(media.storage.key, {
+      start,
+      end,
+      url: media.url
+    });
+
+    stream.on('error', (error) => {
+      console.error(`❌ Erro ao transmitir faixa ${track._id}:`, error.message);
+      res.destroy(error);
+    });
+    res.on('close', () => stream.destroy());
+
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('❌ Erro no streaming da faixa:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   GET /api/tracks/:id/stats
+// @desc    Reproduções e ouvintes da faixa (total e por dia)
+// @access  Private (apenas o artista da faixa)
+router.get('/:id/stats', auth, [
+  param('id').isMongoId().withMessage('ID da faixa inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'ID da faixa inválido' });
+    }
+
+    const track = await Track.findById(req.params.id);
+    if (!track) {
+      return res.status(404).json({ error: 'Faixa não encontrada' });
+    }
+
+    if (!track.artist.equals(req.user.userId)) {
+      return res.status(403).json({ error: 'Apenas o artista pode ver as estatísticas da faixa' });
+    }
+
+    const days = Math.min(parseInt(req.query.days) || 30, 365);
+    const [daily, previewPlays] = await Promise.all([
+      Play.getDailyStats(track._id, days),
+      Play.countDocuments({ track: track._id, preview: true })
+    ]);
+
+    res.json({
+      track: {
+        _id: track._id,
+        title: track.title
+      },
+      totals: {
+        plays: track.stats.plays,
+        listeners: track.stats.listeners,
+        previewPlays
+      },
+      daily,
+      days
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao buscar estatísticas da faixa:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   PUT /api/tracks/:id
+// @desc    Atualizar informações da faixa
+// @access  Private (apenas o artista da faixa)
+router.put('/:id', auth, [
+  param('id').isMongoId().withMessage('ID da faixa inválido'),
+  ...trackFieldValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        details: errors.array()
+      });
+    }
+
+    const track = await Track.findById(req.params.id);
+    if (!track || !track.isActive) {
+      return res.status(404).json({ error: 'Faixa não encontrada' });
+    }
+
+    if (!track.artist.equals(req.user.userId)) {
+      return res.status(403).json({ error: 'Você só pode editar suas próprias faixas' });
+    }
+
+    const allowedUpdates = ['title', 'genre', 'album', 'releaseDate', 'cover'];
+    allowedUpdates.forEach(key => {
+      if (req.body[key] !== undefined) {
+        track[key] = req.body[key] || null;
+      }
+    });
+
+    if (req.body.previewForNonFollowers !== undefined) {
+      track.previewForNonFollowers = req.body.previewForNonFollowers === true || req.body.previewForNonFollowers === 'true';
+    }
+
+    if (track.cover) {
+      track.cover = await resolveMediaUrl(track.cover, req.user.userId);
+    }
+
+    await track.save();
+    await track.populate('artist', 'name handle artistName avatar isVerified');
+
+    res.json({
+      message: 'Faixa atualizada com sucesso',
+      track: track.toObject()
+    });
+
+  } catch (error) {
+    if (error instanceof MediaError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Erro ao atualizar faixa:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   DELETE /api/tracks/:id
+// @desc    Remover faixa (posts que a embutem deixam de exibi-la)
+// @access  Private (apenas o artista da faixa)
+router.delete('/:id', auth, [
+  param('id').isMongoId().withMessage('ID da faixa inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'ID da faixa inválido' });
+    }
+
+    const track = await Track.findById(req.params.id);
+    if (!track || !track.isActive) {
+      return res.status(404).json({ error: 'Faixa não encontrada' });
+    }
+
+    if (!track.artist.equals(req.user.userId)) {
+      return res.status(403).json({ error: 'Você só pode remover suas próprias faixas' });
+    }
+
+    track.isActive = false;
+    await track.save();
+
+    console.log(`🗑️ Faixa removida: ${track._id}`);
+
+    res.json({ message: 'Faixa removida com sucesso' });
+
+  } catch (error) {
+    console.error('❌ Erro ao remover faixa:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
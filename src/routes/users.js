@@ -2,14 +2,38 @@ const express = require('express');
 const { body, validationResult, param, query } = require('express-validator');
 const User = require('../models/User');
 const Post = require('../models/Post');
-const { auth, optionalAuth } = require('../middleware/auth');
+const Track = require('../models/Track');
+const FollowRequest = require('../models/FollowRequest');
+const { auth, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+const { RESTRICTED_ACTIONS } = require('../config/emailVerification');
+const { notifyFollow } = require('../utils/notificationService');
+const { withLikedFlag } = require('../utils/interactionService');
+const { backfillFollow, purgeFollow } = require('../utils/timelineService');
+const { maskOriginals, collapseReposts } = require('../utils/repostService');
+const {
+  isBlockedBetween,
+  getBlockedIds,
+  getViewer,
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser
+} = require('../utils/visibilityService');
+const {
+  requestFollow,
+  cancelFollowRequest,
+  approveFollowRequest,
+  denyFollowRequest
+} = require('../utils/followService');
+const { PaginationError, getPagination, paginate, paginateArray } = require('../utils/pagination');
+const { normalizeHandle, resolveHandle } = require('../utils/handleService');
 
 const router = express.Router();
 
 // @route   GET /api/users/search
 // @desc    Buscar usuários
 // @access  Public
-router.get('/search', [
+router.get('/search', optionalAuth, [
   query('q').trim().isLength({ min: 1 }).withMessage('Termo de busca é obrigatório')
 ], async (req, res) => {
   try {
@@ -18,11 +42,12 @@ router.get('/search', [
       return res.status(400).json({ error: 'Dados inválidos', details: errors.array() });
     }
 
-    const { q, type, page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
+    const { q, type } = req.query;
+    const pagination = getPagination(req.query);
 
     const searchFilter = {
       isActive: true,
+      accountStatus: { $nin: ['suspended', 'banned'] },
       $or: [
         { name: { $regex: q, $options: 'i' } },
         { artistName: { $regex: q, $options: 'i' } },
@@ -30,26 +55,37 @@ router.get('/search', [
       ]
     };
 
+    // "@fulano" ou "fulano": handles que começam com o termo
+    const handlePrefix = normalizeHandle(q);
+    if (/^\w+$/.test(handlePrefix)) {
+      searchFilter.$or.push({ handle: { $regex: `^${handlePrefix}` } });
+    }
+
     if (type && ['artist', 'fan'].includes(type)) {
       searchFilter.userType = type;
     }
 
-    const users = await User.find(searchFilter)
-      .select('-password')
-      .sort({ isVerified: -1, followersCount: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    // Usuários bloqueados (nos dois sentidos) não aparecem na busca
+    const blockedIds = await getBlockedIds(await getViewer(req));
+    if (blockedIds.length > 0) {
+      searchFilter._id = { $nin: blockedIds };
+    }
+
+    // followersCount é virtual (não ordena no banco): verificados primeiro, depois mais recentes
+    const { items: users, pagination: pageInfo } = await paginate(
+      User.find(searchFilter).select('-password'),
+      { sort: { isVerified: -1, createdAt: -1 }, pagination }
+    );
 
     res.json({
       users: users.map(user => user.toPublicJSON()),
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        hasNext: users.length === parseInt(limit)
-      }
+      pagination: pageInfo
     });
 
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     console.error('Erro ao buscar usuários:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
@@ -64,7 +100,8 @@ router.get('/discover', optionalAuth, async (req, res) => {
 
     const filter = {
       userType: 'artist',
-      isActive: true
+      isActive: true,
+      accountStatus: { $nin: ['suspended', 'banned'] }
     };
 
     if (genre) {
@@ -73,7 +110,8 @@ router.get('/discover', optionalAuth, async (req, res) => {
 
     if (req.user) {
       const user = await User.findById(req.user.userId);
-      filter._id = { $nin: [...user.following, user._id] };
+      const blockedIds = await getBlockedIds(user);
+      filter._id = { $nin: [...user.following, user._id, ...blockedIds] };
     }
 
     const artists = await User.find(filter)
@@ -91,6 +129,215 @@ router.get('/discover', optionalAuth, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/blocked
+// @desc    Usuários que bloqueei
+// @access  Private
+router.get('/blocked', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId)
+      .populate('blockedUsers', 'name handle artistName avatar userType');
+
+    res.json({ users: user.blockedUsers });
+
+  } catch (error) {
+    console.error('Erro ao listar usuários bloqueados:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   GET /api/users/muted
+// @desc    Usuários que silenciei
+// @access  Private
+router.get('/muted', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId)
+      .populate('mutedUsers', 'name handle artistName avatar userType');
+
+    res.json({ users: user.mutedUsers });
+
+  } catch (error) {
+    console.error('Erro ao listar usuários silenciados:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   GET /api/users/follow-requests
+// @desc    Pedidos para seguir recebidos (contas privadas)
+// @access  Private
+router.get('/follow-requests', auth, async (req, res) => {
+  try {
+    const pagination = getPagination(req.query, { maxLimit: 50 });
+
+    const { items: requests, pagination: pageInfo } = await paginate(
+      FollowRequest.find({ target: req.user.userId })
+        .populate('requester', 'name handle artistName avatar userType isVerified'),
+      { sort: { createdAt: -1 }, pagination }
+    );
+
+    res.json({
+      requests,
+      pagination: pageInfo
+    });
+
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Erro ao listar pedidos para seguir:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   GET /api/users/follow-requests/sent
+// @desc    Pedidos para seguir enviados e ainda pendentes
+// @access  Private
+router.get('/follow-requests/sent', auth, async (req, res) => {
+  try {
+    const pagination = getPagination(req.query, { maxLimit: 50 });
+
+    const { items: requests, pagination: pageInfo } = await paginate(
+      FollowRequest.find({ requester: req.user.userId })
+        .populate('target', 'name handle artistName avatar userType isVerified'),
+      { sort: { createdAt: -1 }, pagination }
+    );
+
+    res.json({
+      requests,
+      pagination: pageInfo
+    });
+
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Erro ao listar pedidos enviados:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   POST /api/users/follow-requests/:requestId/approve
+// @desc    Aprovar pedido para seguir
+// @access  Private (destinatário do pedido)
+router.post('/follow-requests/:requestId/approve', auth, [
+  param('requestId').isMongoId().withMessage('ID do pedido inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'ID do pedido inválido' });
+    }
+
+    const request = await FollowRequest.findOne({ _id: req.params.requestId, target: req.user.userId });
+    if (!request) {
+      return res.status(404).json({ error: 'Pedido não encontrado' });
+    }
+
+    const requester = await approveFollowRequest(request, req.currentUser);
+
+    res.json({
+      message: requester
+        ? `${requester.artistName || requester.name} agora segue você`
+        : 'Pedido removido (usuário não está mais ativo)',
+      approved: Boolean(requester)
+    });
+
+  } catch (error) {
+    console.error('Erro ao aprovar pedido para seguir:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   POST /api/users/follow-requests/:requestId/deny
+// @desc    Recusar pedido para seguir
+// @access  Private (destinatário do pedido)
+router.post('/follow-requests/:requestId/deny', auth, [
+  param('requestId').isMongoId().withMessage('ID do pedido inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'ID do pedido inválido' });
+    }
+
+    const request = await FollowRequest.findOne({ _id: req.params.requestId, target: req.user.userId });
+    if (!request) {
+      return res.status(404).json({ error: 'Pedido não encontrado' });
+    }
+
+    await denyFollowRequest(request);
+
+    res.json({ message: 'Pedido recusado' });
+
+  } catch (error) {
+    console.error('Erro ao recusar pedido para seguir:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Perfil completo para o visualizador (null se inexistente, inativo ou com bloqueio)
+const buildProfile = async (req, userId) => {
+  const user = await User.findById(userId)
+    .populate('followers', 'name handle artistName avatar userType')
+    .populate('following', 'name handle artistName avatar userType')
+    .populate(User.FEATURED_TRACKS_POPULATE);
+
+  const viewer = await getViewer(req);
+  if (!user || !user.isActive || (viewer && isBlockedBetween(viewer, user))) {
+    return null;
+  }
+
+  const userProfile = user.toPublicJSON();
+
+  // Garantir contadores no JSON
+  userProfile.followersCount = user.followersCount ?? user.followers?.length ?? 0;
+  userProfile.followingCount = user.followingCount ?? user.following?.length ?? 0;
+  userProfile.totalPosts = user.totalPosts ?? 0;
+
+  // Conta privada: listas de seguidores/seguindo só para seguidores aprovados
+  userProfile.canViewContent = user.canBeSeenBy(viewer);
+  if (!userProfile.canViewContent) {
+    delete userProfile.followers;
+    delete userProfile.following;
+  }
+
+  if (viewer) {
+    userProfile.isFollowing = viewer.isFollowing(user._id);
+    userProfile.isOwnProfile = req.user.userId === user._id.toString();
+    userProfile.isMuted = viewer.hasMuted(user._id);
+    userProfile.isRequested = !userProfile.isFollowing && user.isPrivate
+      ? Boolean(await FollowRequest.isPending(viewer._id, user._id))
+      : false;
+  }
+
+  return userProfile;
+};
+
+// @route   GET /api/users/by-handle/:handle
+// @desc    Obter perfil pelo @handle (handles antigos redirecionam para o atual)
+// @access  Public
+router.get('/by-handle/:handle', optionalAuth, async (req, res) => {
+  try {
+    const resolved = await resolveHandle(req.params.handle);
+    const userProfile = resolved && await buildProfile(req, resolved.userId);
+
+    if (!userProfile) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+
+    res.json({
+      user: userProfile,
+      // Handle antigo: o cliente deve atualizar o link para o handle atual
+      redirect: resolved.redirectedFrom
+        ? { from: resolved.redirectedFrom, to: resolved.handle }
+        : null
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar usuário pelo handle:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
 // @route   GET /api/users/:id
 // @desc    Obter perfil de usuário
 // @access  Public
@@ -103,27 +350,11 @@ router.get('/:id', optionalAuth, [
       return res.status(400).json({ error: 'ID do usuário inválido' });
     }
 
-    const user = await User.findById(req.params.id)
-      .populate('followers', 'name artistName avatar userType')
-      .populate('following', 'name artistName avatar userType');
-
-    if (!user || !user.isActive) {
+    const userProfile = await buildProfile(req, req.params.id);
+    if (!userProfile) {
       return res.status(404).json({ error: 'Usuário não encontrado' });
     }
 
-    const userProfile = user.toPublicJSON();
-
-    // Garantir contadores no JSON
-    userProfile.followersCount = user.followersCount ?? user.followers?.length ?? 0;
-    userProfile.followingCount = user.followingCount ?? user.following?.length ?? 0;
-    userProfile.totalPosts = user.totalPosts ?? 0;
-
-    if (req.user) {
-      const currentUser = await User.findById(req.user.userId);
-      userProfile.isFollowing = currentUser.isFollowing(user._id);
-      userProfile.isOwnProfile = req.user.userId === user._id.toString();
-    }
-
     res.json({ user: userProfile });
 
   } catch (error) {
@@ -144,49 +375,106 @@ router.get('/:id/posts', optionalAuth, [
       return res.status(400).json({ error: 'ID do usuário inválido' });
     }
 
-    const { page = 1, limit = 10 } = req.query;
-    const skip = (page - 1) * limit;
+    const pagination = getPagination(req.query, { defaultLimit: 10 });
 
     const user = await User.findById(req.params.id);
-    if (!user || !user.isActive) {
+    const viewer = await getViewer(req);
+    if (!user || !user.isActive || user.isRestricted() || (viewer && isBlockedBetween(viewer, user))) {
       return res.status(404).json({ error: 'Usuário não encontrado' });
     }
 
-    const posts = await Post.find({ author: req.params.id, isActive: true })
-      .populate('author', 'name artistName avatar userType isVerified')
+    if (!user.canBeSeenBy(viewer)) {
+      return res.status(403).json({
+        error: 'Esta conta é privada',
+        message: 'Siga este usuário para ver os posts',
+        code: 'PRIVATE_ACCOUNT'
+      });
+    }
+
+    const postsQuery = Post.find({ author: req.params.id, isActive: true, authorSuspended: { $ne: true } })
+      .populate('author', 'name handle artistName avatar userType isVerified')
       .populate('eventRef', 'title date location')
-      .populate('comments.user', 'name artistName avatar')
-      .sort({ isPinned: -1, createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+      .populate(Post.TRACK_POPULATE)
+      .populate(Post.REPOST_POPULATE);
 
-    const postsWithUserData = posts.map(post => {
-      const postObj = post.toObject();
-      if (req.user) {
-        postObj.isLikedByUser = post.isLikedBy(req.user.userId);
-      }
-      return postObj;
+    const { items: posts, pagination: pageInfo } = await paginate(postsQuery, {
+      sort: { isPinned: -1, createdAt: -1 },
+      pagination
     });
 
+    // Reposts cujo original sumiu (ou o visualizador não pode ver) saem da lista
+    const blockedIds = await getBlockedIds(viewer);
+    const visiblePosts = collapseReposts(maskOriginals(posts.map(post => post.toObject()), viewer, blockedIds));
+    const postsWithUserData = await withLikedFlag(visiblePosts, req.user?.userId);
+
     res.json({
       posts: postsWithUserData,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        hasNext: posts.length === parseInt(limit)
-      }
+      pagination: pageInfo
     });
 
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     console.error('Erro ao buscar posts do usuário:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
 
+// @route   GET /api/users/:id/tracks
+// @desc    Discografia do artista
+// @access  Public
+router.get('/:id/tracks', optionalAuth, [
+  param('id').isMongoId().withMessage('ID do usuário inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'ID do usuário inválido' });
+    }
+
+    const pagination = getPagination(req.query, { maxLimit: 50 });
+
+    const user = await User.findById(req.params.id);
+    const viewer = await getViewer(req);
+    if (!user || !user.isActive || user.isRestricted() || (viewer && isBlockedBetween(viewer, user))) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+
+    if (user.userType !== 'artist') {
+      return res.status(400).json({ error: 'Apenas artistas possuem discografia' });
+    }
+
+    const { items: tracks, pagination: pageInfo } = await paginate(Track.findDiscography(user._id), {
+      sort: Track.DISCOGRAPHY_SORT,
+      pagination
+    });
+
+    res.json({
+      artist: {
+        _id: user._id,
+        name: user.name,
+        artistName: user.artistName,
+        avatar: user.avatar,
+        isVerified: user.isVerified
+      },
+      tracks,
+      pagination: pageInfo
+    });
+
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Erro ao buscar discografia:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
 // @route   POST /api/users/:id/follow
 // @desc    Seguir/deixar de seguir usuário
 // @access  Private
-router.post('/:id/follow', auth, [
+router.post('/:id/follow', auth, requireVerifiedEmail(RESTRICTED_ACTIONS.USERS_FOLLOW), [
   param('id').isMongoId().withMessage('ID do usuário inválido')
 ], async (req, res) => {
   try {
@@ -211,10 +499,36 @@ router.post('/:id/follow', auth, [
       return res.status(404).json({ error: 'Usuário não encontrado' });
     }
 
+    if (isBlockedBetween(currentUser, targetUser)) {
+      return res.status(403).json({ error: 'Não é possível seguir este usuário', code: 'USER_BLOCKED' });
+    }
+
     const isFollowing = currentUser.isFollowing(targetUserId);
 
+    // Conta privada: seguir vira pedido (um segundo POST cancela o pedido)
+    if (!isFollowing && targetUser.isPrivate) {
+      if (await FollowRequest.isPending(currentUser._id, targetUser._id)) {
+        await cancelFollowRequest(currentUser._id, targetUser._id);
+        return res.json({
+          message: 'Pedido para seguir cancelado',
+          isFollowing: false,
+          isRequested: false,
+          followersCount: targetUser.followersCount
+        });
+      }
+
+      await requestFollow(currentUser, targetUser);
+      return res.json({
+        message: `Pedido enviado para ${targetUser.artistName || targetUser.name}`,
+        isFollowing: false,
+        isRequested: true,
+        followersCount: targetUser.followersCount
+      });
+    }
+
     if (isFollowing) {
       await currentUser.unfollow(targetUserId);
+      await purgeFollow(currentUser._id, targetUser._id);
       res.json({
         message: `Você deixou de seguir ${targetUser.artistName || targetUser.name}`,
         isFollowing: false,
@@ -222,6 +536,8 @@ router.post('/:id/follow', auth, [
       });
     } else {
       await currentUser.follow(targetUserId);
+      await backfillFollow(currentUser._id, targetUser._id);
+      await notifyFollow(targetUser._id, currentUser);
       res.json({
         message: `Você agora segue ${targetUser.artistName || targetUser.name}`,
         isFollowing: true,
@@ -235,10 +551,142 @@ router.post('/:id/follow', auth, [
   }
 });
 
+// @route   POST /api/users/:id/block
+// @desc    Bloquear usuário (desfaz follows e esconde o conteúdo nos dois sentidos)
+// @access  Private
+router.post('/:id/block', auth, [
+  param('id').isMongoId().withMessage('ID do usuário inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'ID do usuário inválido' });
+    }
+
+    if (req.params.id === req.user.userId) {
+      return res.status(400).json({ error: 'Você não pode bloquear a si mesmo' });
+    }
+
+    const [currentUser, targetUser] = await Promise.all([
+      User.findById(req.user.userId),
+      User.findById(req.params.id)
+    ]);
+
+    if (!currentUser || !targetUser) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+
+    await blockUser(currentUser, targetUser);
+
+    console.log(`🚫 ${currentUser.name} bloqueou ${targetUser.name}`);
+
+    res.json({
+      message: `${targetUser.artistName || targetUser.name} foi bloqueado`,
+      isBlocked: true
+    });
+
+  } catch (error) {
+    console.error('Erro ao bloquear usuário:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   DELETE /api/users/:id/block
+// @desc    Desbloquear usuário (os follows desfeitos não são restaurados)
+// @access  Private
+router.delete('/:id/block', auth, [
+  param('id').isMongoId().withMessage('ID do usuário inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'ID do usuário inválido' });
+    }
+
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser.hasBlocked(req.params.id)) {
+      return res.status(404).json({ error: 'Usuário não está bloqueado' });
+    }
+
+    await unblockUser(currentUser, req.params.id);
+
+    res.json({ message: 'Usuário desbloqueado', isBlocked: false });
+
+  } catch (error) {
+    console.error('Erro ao desbloquear usuário:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   POST /api/users/:id/mute
+// @desc    Silenciar usuário (posts escondidos apenas dos meus feeds)
+// @access  Private
+router.post('/:id/mute', auth, [
+  param('id').isMongoId().withMessage('ID do usuário inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'ID do usuário inválido' });
+    }
+
+    if (req.params.id === req.user.userId) {
+      return res.status(400).json({ error: 'Você não pode silenciar a si mesmo' });
+    }
+
+    const [currentUser, targetUser] = await Promise.all([
+      User.findById(req.user.userId),
+      User.findById(req.params.id)
+    ]);
+
+    if (!currentUser || !targetUser || !targetUser.isActive) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+
+    await muteUser(currentUser, targetUser._id);
+
+    res.json({
+      message: `${targetUser.artistName || targetUser.name} foi silenciado`,
+      isMuted: true
+    });
+
+  } catch (error) {
+    console.error('Erro ao silenciar usuário:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// @route   DELETE /api/users/:id/mute
+// @desc    Reativar usuário silenciado
+// @access  Private
+router.delete('/:id/mute', auth, [
+  param('id').isMongoId().withMessage('ID do usuário inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'ID do usuário inválido' });
+    }
+
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser.hasMuted(req.params.id)) {
+      return res.status(404).json({ error: 'Usuário não está silenciado' });
+    }
+
+    await unmuteUser(currentUser, req.params.id);
+
+    res.json({ message: 'Usuário não está mais silenciado', isMuted: false });
+
+  } catch (error) {
+    console.error('Erro ao reativar usuário silenciado:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
 // @route   GET /api/users/:id/followers
 // @desc    Obter seguidores
 // @access  Public
-router.get('/:id/followers', [
+router.get('/:id/followers', optionalAuth, [
   param('id').isMongoId().withMessage('ID do usuário inválido')
 ], async (req, res) => {
   try {
@@ -247,31 +695,39 @@ router.get('/:id/followers', [
       return res.status(400).json({ error: 'ID do usuário inválido' });
     }
 
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
+    const pagination = getPagination(req.query);
 
-    const user = await User.findById(req.params.id)
-      .populate({
-        path: 'followers',
-        select: 'name artistName avatar userType isVerified',
-        options: { skip, limit: parseInt(limit) }
-      });
+    const user = await User.findById(req.params.id);
+    const viewer = await getViewer(req);
 
-    if (!user || !user.isActive) {
+    if (!user || !user.isActive || (viewer && isBlockedBetween(viewer, user))) {
       return res.status(404).json({ error: 'Usuário não encontrado' });
     }
 
+    if (!user.canBeSeenBy(viewer)) {
+      return res.status(403).json({ error: 'Esta conta é privada', code: 'PRIVATE_ACCOUNT' });
+    }
+
+    // Paginar os IDs do array e buscar só os usuários da página, na mesma ordem
+    // (contas com bloqueio com o visualizador ficam de fora)
+    const { items: ids, pagination: pageInfo } = paginateArray(user.followers, pagination);
+    const blockedIds = await getBlockedIds(viewer);
+    const users = await User.find({ _id: { $in: ids, $nin: blockedIds } })
+      .select('name handle artistName avatar userType isVerified');
+    const byId = new Map(users.map(u => [u._id.toString(), u]));
+
     res.json({
-      followers: user.followers,
+      followers: ids.map(id => byId.get(id.toString())).filter(Boolean),
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: user.followersCount,
-        hasNext: skip + user.followers.length < user.followersCount
+        ...pageInfo,
+        total: user.followersCount
       }
     });
 
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     console.error('Erro ao buscar seguidores:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
@@ -280,7 +736,7 @@ router.get('/:id/followers', [
 // @route   GET /api/users/:id/following
 // @desc    Obter seguindo
 // @access  Public
-router.get('/:id/following', [
+router.get('/:id/following', optionalAuth, [
   param('id').isMongoId().withMessage('ID do usuário inválido')
 ], async (req, res) => {
   try {
@@ -289,31 +745,39 @@ router.get('/:id/following', [
       return res.status(400).json({ error: 'ID do usuário inválido' });
     }
 
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
+    const pagination = getPagination(req.query);
 
-    const user = await User.findById(req.params.id)
-      .populate({
-        path: 'following',
-        select: 'name artistName avatar userType isVerified',
-        options: { skip, limit: parseInt(limit) }
-      });
+    const user = await User.findById(req.params.id);
+    const viewer = await getViewer(req);
 
-    if (!user || !user.isActive) {
+    if (!user || !user.isActive || (viewer && isBlockedBetween(viewer, user))) {
       return res.status(404).json({ error: 'Usuário não encontrado' });
     }
 
+    if (!user.canBeSeenBy(viewer)) {
+      return res.status(403).json({ error: 'Esta conta é privada', code: 'PRIVATE_ACCOUNT' });
+    }
+
+    // Paginar os IDs do array e buscar só os usuários da página, na mesma ordem
+    // (contas com bloqueio com o visualizador ficam de fora)
+    const { items: ids, pagination: pageInfo } = paginateArray(user.following, pagination);
+    const blockedIds = await getBlockedIds(viewer);
+    const users = await User.find({ _id: { $in: ids, $nin: blockedIds } })
+      .select('name handle artistName avatar userType isVerified');
+    const byId = new Map(users.map(u => [u._id.toString(), u]));
+
     res.json({
-      following: user.following,
+      following: ids.map(id => byId.get(id.toString())).filter(Boolean),
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: user.followingCount,
-        hasNext: skip + user.following.length < user.followingCount
+        ...pageInfo,
+        total: user.followingCount
       }
     });
 
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     console.error('Erro ao buscar seguindo:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
@@ -0,0 +1,159 @@
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Event = require('../models/Event');
+const Track = require('../models/Track');
+const Playlist = require('../models/Playlist');
+const TokenBlacklist = require('../models/TokenBlackList');
+const AuditLog = require('../models/AuditLog');
+const { ROLES } = require('../config/permissions');
+const { notifySystem } = require('./notificationService');
+const { disconnectSessions } = require('./socketService');
+
+// Intervalo da varredura que reativa suspensões vencidas
+const SUSPENSION_SWEEP_INTERVAL = 5 * 60 * 1000; // 5 minutos
+
+let sweepTimer = null;
+
+// Ocultar ou reexibir posts, eventos, faixas e coleções do usuário
+const setContentHidden = async (userId, hidden) => {
+  const [posts, events, tracks, playlists] = await Promise.all([
+    Post.updateMany({ author: userId }, { $set: { authorSuspended: hidden } }),
+    Event.updateMany({ artist: userId }, { $set: { authorSuspended: hidden } }),
+    Track.updateMany({ artist: userId }, { $set: { authorSuspended: hidden } }),
+    Playlist.updateMany({ owner: userId }, { $set: { authorSuspended: hidden } }, { timestamps: false })
+  ]);
+  return {
+    posts: posts.modifiedCount,
+    events: events.modifiedCount,
+    tracks: tracks.modifiedCount,
+    playlists: playlists.modifiedCount
+  };
+};
+
+// Admins não podem ser suspensos pela API; moderadores só por admins
+const canRestrict = (actor, target) => {
+  if (actor._id.toString() === target._id.toString()) return false;
+  if (target.role === ROLES.ADMIN) return false;
+  if (target.role === ROLES.MODERATOR) return actor.role === ROLES.ADMIN;
+  return true;
+};
+
+const restrictionSnapshot = (user) => ({
+  accountStatus: user.accountStatus,
+  reason: user.suspension?.reason || null,
+  expiresAt: user.suspension?.expiresAt || null
+});
+
+// Suspender (com data de término) ou banir (sem término) um usuário.
+// Encerra todas as sessões e oculta o conteúdo até a reativação.
+const restrictAccount = async (req, userId, { status, reason, expiresAt = null }) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  const before = restrictionSnapshot(user);
+
+  user.accountStatus = status;
+  user.suspension = {
+    reason,
+    startedAt: new Date(),
+    expiresAt: status === 'banned' ? null : expiresAt,
+    by: req?.user?.userId || null
+  };
+  user.appeal = { status: 'none', message: null, submittedAt: null, reviewedBy: null, reviewedAt: null, response: null };
+  await user.save({ validateBeforeSave: false });
+
+  await TokenBlacklist.invalidateAllUserTokens(user._id, 'account_suspended');
+  await disconnectSessions(user._id);
+  const hidden = await setContentHidden(user._id, true);
+
+  await AuditLog.record(req, {
+    action: status === 'banned' ? 'user.ban' : 'user.suspend',
+    targetType: 'user',
+    targetId: user._id,
+    before,
+    after: { ...restrictionSnapshot(user), hiddenPosts: hidden.posts, hiddenEvents: hidden.events },
+    reason
+  });
+
+  console.log(`⛔ Conta ${status === 'banned' ? 'banida' : 'suspensa'}: ${user.email} até ${user.suspension.expiresAt?.toISOString() || 'indeterminado'} - ${reason}`);
+  return user;
+};
+
+// Reativar conta suspensa/banida e reexibir o conteúdo
+const reinstateAccount = async (req, userId, { reason = '' } = {}) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+  if (user.accountStatus === 'active') return user;
+
+  const before = restrictionSnapshot(user);
+
+  user.accountStatus = 'active';
+  user.suspension = { reason: null, startedAt: null, expiresAt: null, by: null };
+  await user.save({ validateBeforeSave: false });
+
+  await setContentHidden(user._id, false);
+
+  await AuditLog.record(req, {
+    action: 'user.reinstate',
+    targetType: 'user',
+    targetId: user._id,
+    before,
+    after: restrictionSnapshot(user),
+    reason: reason || (req ? '' : 'Suspensão expirada')
+  });
+
+  await notifySystem(
+    user._id,
+    'Conta reativada',
+    'Sua conta foi reativada. Seus posts e eventos voltaram a ficar visíveis.'
+  );
+
+  console.log(`✅ Conta reativada: ${user.email}`);
+  return user;
+};
+
+// Reativar todas as suspensões cujo prazo já terminou
+const sweepExpiredSuspensions = async () => {
+  try {
+    const expired = await User.find({
+      accountStatus: 'suspended',
+      'suspension.expiresAt': { $ne: null, $lte: new Date() }
+    }).distinct('_id');
+
+    for (const userId of expired) {
+      await reinstateAccount(null, userId);
+    }
+
+    if (expired.length > 0) {
+      console.log(`🧹 ${expired.length} suspensões expiradas reativadas`);
+    }
+    return expired.length;
+
+  } catch (error) {
+    console.error('❌ Erro na varredura de suspensões:', error.message);
+    return 0;
+  }
+};
+
+const startSuspensionSweep = () => {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(sweepExpiredSuspensions, SUSPENSION_SWEEP_INTERVAL);
+  sweepTimer.unref();
+  sweepExpiredSuspensions();
+};
+
+const stopSuspensionSweep = () => {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+};
+
+module.exports = {
+  canRestrict,
+  restrictAccount,
+  reinstateAccount,
+  sweepExpiredSuspensions,
+  startSuspensionSweep,
+  stopSuspensionSweep
+};
@@ -0,0 +1,446 @@
+// ========================================
+// 🎵 RockRider - Metadados de áudio
+// ========================================
+//
+// Identificação do formato pelos bytes iniciais e leitura de duração e
+// tags (título, artista, álbum, gênero) sem dependências externas.
+// Formatos: MP3 (ID3v2/ID3v1, Xing/VBRI ou CBR), M4A/AAC, WAV e FLAC.
+
+class AudioFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AudioFormatError';
+  }
+}
+
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+// ========================================
+// DETECÇÃO
+// ========================================
+
+// Cabeçalho de quadro MPEG Layer III (não confundir com AAC ADTS, layer 00)
+const isMpegFrame = (buffer, offset) =>
+  buffer[offset] === 0xff &&
+  (buffer[offset + 1] & 0xe0) === 0xe0 &&
+  ((buffer[offset + 1] >> 1) & 0x03) === 0x01 &&
+  (buffer[offset + 2] >> 4) !== 0x0f &&
+  (buffer[offset + 2] >> 4) !== 0x00 &&
+  ((buffer[offset + 2] >> 2) & 0x03) !== 0x03;
+
+const detectAudioType = (buffer) => {
+  if (buffer.length < 12) return null;
+
+  if (ascii(buffer, 0, 3) === 'ID3' || isMpegFrame(buffer, 0)) return 'audio/mpeg';
+  if (ascii(buffer, 0, 4) === 'fLaC') return 'audio/flac';
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WAVE') return 'audio/wav';
+  if (ascii(buffer, 4, 8) === 'ftyp') return 'audio/mp4';
+  return null;
+};
+
+// ========================================
+// MP3
+// ========================================
+
+const MPEG_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+const MPEG_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000]
+};
+
+// Tamanho "syncsafe" do ID3v2 (7 bits por byte)
+const syncsafe = (buffer, offset) =>
+  (buffer[offset] << 21) | (buffer[offset + 1] << 14) | (buffer[offset + 2] << 7) | buffer[offset + 3];
+
+const decodeId3Text = (data) => {
+  if (data.length === 0) return '';
+  const encoding = data[0];
+  const content = data.subarray(1);
+
+  let text;
+  if (encoding === 1 || encoding === 2) {
+    let bytes = content;
+    let bigEndian = encoding === 2;
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) { bigEndian = true; bytes = bytes.subarray(2); }
+    else if (bytes[0] === 0xff && bytes[1] === 0xfe) { bigEndian = false; bytes = bytes.subarray(2); }
+
+    const even = Buffer.from(bytes.subarray(0, bytes.length - (bytes.length % 2)));
+    if (bigEndian) even.swap16();
+    text = even.toString('utf16le');
+  } else {
+    text = content.toString(encoding === 3 ? 'utf8' : 'latin1');
+  }
+
+  return text.replace(/\0.*$/s, '').trim();
+};
+
+// Gênero ID3 pode vir como "(17)Rock", "(17)" ou "Rock"
+const cleanId3Genre = (genre) => {
+  const cleaned = genre.replace(/^\(\d+\)/, '').trim();
+  return /^\d*$/.test(cleaned) ? null : cleaned;
+};
+
+const ID3_FRAMES = {
+  TIT2: 'title', TPE1: 'artist', TALB: 'album', TCON: 'genre',
+  TT2: 'title', TP1: 'artist', TAL: 'album', TCO: 'genre'
+};
+
+// Ler tags ID3v2; retorna { tags, end } (end = início do áudio)
+const readId3v2 = (buffer) => {
+  if (ascii(buffer, 0, 3) !== 'ID3' || buffer.length < 10) return { tags: {}, end: 0 };
+
+  const version = buffer[3];
+  const flags = buffer[5];
+  const size = syncsafe(buffer, 6);
+  const end = Math.min(10 + size + ((flags & 0x10) ? 10 : 0), buffer.length);
+  const tags = {};
+
+  let offset = 10;
+  if ((flags & 0x40) && version >= 3) {
+    // Cabeçalho estendido
+    offset += version === 4 ? syncsafe(buffer, offset) : buffer.readUInt32BE(offset) + 4;
+  }
+
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+
+  while (offset + headerLength <= 10 + size && offset + headerLength <= buffer.length) {
+    const id = ascii(buffer, offset, offset + idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // preenchimento
+
+    let frameSize;
+    if (version === 2) frameSize = buffer.readUIntBE(offset + 3, 3);
+    else if (version === 4) frameSize = syncsafe(buffer, offset + 4);
+    else frameSize = buffer.readUInt32BE(offset + 4);
+
+    const dataStart = offset + headerLength;
+    const dataEnd = dataStart + frameSize;
+    if (frameSize <= 0 || dataEnd > buffer.length) break;
+
+    const field = ID3_FRAMES[id];
+    if (field && !tags[field]) {
+      const value = decodeId3Text(buffer.subarray(dataStart, dataEnd));
+      if (value) tags[field] = field === 'genre' ? cleanId3Genre(value) : value;
+    }
+
+    offset = dataEnd;
+  }
+
+  return { tags, end };
+};
+
+// ID3v1: últimos 128 bytes
+const readId3v1 = (buffer) => {
+  if (buffer.length < 128 || ascii(buffer, buffer.length - 128, buffer.length - 125) !== 'TAG') return null;
+
+  const field = (start, length) => {
+    const offset = buffer.length - 128 + start;
+    return buffer.toString('latin1', offset, offset + length).replace(/\0.*$/s, '').trim() || undefined;
+  };
+
+  return { title: field(3, 30), artist: field(33, 30), album: field(63, 30) };
+};
+
+const readMp3 = (buffer) => {
+  const { tags, end: id3End } = readId3v2(buffer);
+  const id3v1 = readId3v1(buffer);
+
+  // Primeiro quadro de áudio após as tags
+  let offset = id3End;
+  const searchLimit = Math.min(buffer.length - 4, id3End + 64 * 1024);
+  while (offset < searchLimit && !isMpegFrame(buffer, offset)) offset++;
+  if (offset >= searchLimit) {
+    throw new AudioFormatError('MP3 sem quadros de áudio');
+  }
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+  const bitrate = MPEG_BITRATES[version === 1 ? 1 : 2][buffer[offset + 2] >> 4];
+  const sampleRate = MPEG_SAMPLE_RATES[version][(buffer[offset + 2] >> 2) & 0x03];
+  const mono = (buffer[offset + 3] >> 6) === 0x03;
+  const samplesPerFrame = version === 1 ? 1152 : 576;
+
+  // Cabeçalho Xing/Info (VBR) após as informações laterais do quadro
+  const sideInfo = version === 1 ? (mono ? 17 : 32) : (mono ? 9 : 17);
+  const xingOffset = offset + 4 + sideInfo;
+  let frames = null;
+
+  const xingTag = ascii(buffer, xingOffset, xingOffset + 4);
+  if ((xingTag === 'Xing' || xingTag === 'Info') && (buffer.readUInt32BE(xingOffset + 4) & 0x01)) {
+    frames = buffer.readUInt32BE(xingOffset + 8);
+  } else if (ascii(buffer, offset + 36, offset + 40) === 'VBRI') {
+    frames = buffer.readUInt32BE(offset + 36 + 14);
+  }
+
+  const audioBytes = buffer.length - offset - (id3v1 ? 128 : 0);
+  const duration = frames
+    ? (frames * samplesPerFrame) / sampleRate
+    : (audioBytes * 8) / (bitrate * 1000);
+
+  return {
+    ...(id3v1 || {}),
+    ...tags,
+    duration,
+    sampleRate,
+    channels: mono ? 1 : 2,
+    bitrate: frames ? Math.round((audioBytes * 8) / duration / 1000) : bitrate
+  };
+};
+
+// ========================================
+// WAV
+// ========================================
+
+const WAV_INFO_TAGS = { INAM: 'title', IART: 'artist', IPRD: 'album', IGNR: 'genre' };
+
+const readWav = (buffer) => {
+  const result = {};
+  let byteRate = null;
+  let dataSize = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const id = ascii(buffer, offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const dataStart = offset + 8;
+
+    if (id === 'fmt ' && dataStart + 16 <= buffer.length) {
+      result.channels = buffer.readUInt16LE(dataStart + 2);
+      result.sampleRate = buffer.readUInt32LE(dataStart + 4);
+      byteRate = buffer.readUInt32LE(dataStart + 8);
+    } else if (id === 'data') {
+      // Arquivos gerados em streaming podem declarar tamanho maior que o real
+      dataSize = Math.min(size, buffer.length - dataStart);
+    } else if (id === 'LIST' && ascii(buffer, dataStart, dataStart + 4) === 'INFO') {
+      let infoOffset = dataStart + 4;
+      const infoEnd = Math.min(dataStart + size, buffer.length);
+      while (infoOffset + 8 <= infoEnd) {
+        const infoId = ascii(buffer, infoOffset, infoOffset + 4);
+        const infoSize = buffer.readUInt32LE(infoOffset + 4);
+        const field = WAV_INFO_TAGS[infoId];
+        if (field) {
+          const value = buffer.toString('utf8', infoOffset + 8, Math.min(infoOffset + 8 + infoSize, infoEnd)).replace(/\0.*$/s, '').trim();
+          if (value) result[field] = value;
+        }
+        infoOffset += 8 + infoSize + (infoSize % 2);
+      }
+    }
+
+    offset = dataStart + size + (size % 2);
+  }
+
+  if (!byteRate || dataSize === null) {
+    throw new AudioFormatError('WAV sem cabeçalho de formato ou dados');
+  }
+
+  return {
+    ...result,
+    duration: dataSize / byteRate,
+    bitrate: Math.round((byteRate * 8) / 1000)
+  };
+};
+
+// ========================================
+// FLAC
+// ========================================
+
+const VORBIS_FIELDS = { TITLE: 'title', ARTIST: 'artist', ALBUM: 'album', GENRE: 'genre' };
+
+const readVorbisComments = (data) => {
+  const tags = {};
+  let offset = 4 + data.readUInt32LE(0); // fornecedor
+  const count = data.readUInt32LE(offset);
+  offset += 4;
+
+  for (let i = 0; i < count && offset + 4 <= data.length; i++) {
+    const length = data.readUInt32LE(offset);
+    const comment = data.toString('utf8', offset + 4, offset + 4 + length);
+    offset += 4 + length;
+
+    const separator = comment.indexOf('=');
+    const field = VORBIS_FIELDS[comment.slice(0, separator).toUpperCase()];
+    if (field && !tags[field]) {
+      tags[field] = comment.slice(separator + 1).trim();
+    }
+  }
+
+  return tags;
+};
+
+const readFlac = (buffer) => {
+  const result = {};
+  let offset = 4;
+  let isLast = false;
+
+  while (!isLast && offset + 4 <= buffer.length) {
+    isLast = (buffer[offset] & 0x80) !== 0;
+    const type = buffer[offset] & 0x7f;
+    const length = buffer.readUIntBE(offset + 1, 3);
+    const data = buffer.subarray(offset + 4, offset + 4 + length);
+
+    if (type === 0 && data.length >= 18) {
+      // STREAMINFO: 20 bits de taxa, 3 de canais, 5 de bits/amostra, 36 de amostras
+      result.sampleRate = (data[10] << 12) | (data[11] << 4) | (data[12] >> 4);
+      result.channels = ((data[12] >> 1) & 0x07) + 1;
+      const totalSamples = (data[13] & 0x0f) * 0x100000000 + data.readUInt32BE(14);
+      result.duration = result.sampleRate ? totalSamples / result.sampleRate : 0;
+    } else if (type === 4) {
+      Object.assign(result, readVorbisComments(data));
+    }
+
+    offset += 4 + length;
+  }
+
+  if (!result.sampleRate) {
+    throw new AudioFormatError('FLAC sem STREAMINFO');
+  }
+
+  result.bitrate = result.duration ? Math.round((buffer.length * 8) / result.duration / 1000) : null;
+  return result;
+};
+
+// ========================================
+// M4A (MP4/AAC)
+// ========================================
+
+// Percorrer as caixas (boxes) de um trecho do arquivo
+const readBoxes = (buffer, start, end) => {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = ascii(buffer, offset + 4, offset + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize) break;
+
+    boxes.push({ type, start: offset + headerSize, end: Math.min(offset + size, end) });
+    offset += size;
+  }
+
+  return boxes;
+};
+
+const findBox = (buffer, boxes, path) => {
+  let current = boxes;
+  let found = null;
+
+  for (const type of path) {
+    found = current.find(box => box.type === type);
+    if (!found) return null;
+    // "meta" é uma full box: 4 bytes de versão/flags antes das filhas
+    const childStart = type === 'meta' ? found.start + 4 : found.start;
+    current = readBoxes(buffer, childStart, found.end);
+  }
+
+  return found;
+};
+
+const M4A_TAGS = { '©nam': 'title', '©ART': 'artist', '©alb': 'album', '©gen': 'genre' };
+
+const readM4a = (buffer) => {
+  const topLevel = readBoxes(buffer, 0, buffer.length);
+  const moov = topLevel.find(box => box.type === 'moov');
+  if (!moov) {
+    throw new AudioFormatError('Arquivo MP4 sem informações de mídia (moov)');
+  }
+
+  const moovChildren = readBoxes(buffer, moov.start, moov.end);
+
+  // Arquivos com trilha de vídeo não são aceitos como áudio
+  const handlers = moovChildren
+    .filter(box => box.type === 'trak')
+    .map(trak => findBox(buffer, readBoxes(buffer, trak.start, trak.end), ['mdia', 'hdlr']))
+    .filter(Boolean)
+    .map(hdlr => ascii(buffer, hdlr.start + 8, hdlr.start + 12));
+
+  if (!handlers.includes('soun') || handlers.includes('vide')) {
+    throw new AudioFormatError('Arquivo MP4 não contém apenas áudio');
+  }
+
+  const mvhd = moovChildren.find(box => box.type === 'mvhd');
+  if (!mvhd) {
+    throw new AudioFormatError('Arquivo MP4 sem duração (mvhd)');
+  }
+
+  const version = buffer[mvhd.start];
+  const timescale = buffer.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+  const rawDuration = version === 1
+    ? Number(buffer.readBigUInt64BE(mvhd.start + 24))
+    : buffer.readUInt32BE(mvhd.start + 16);
+
+  const result = { duration: timescale ? rawDuration / timescale : 0 };
+
+  const ilst = findBox(buffer, moovChildren, ['udta', 'meta', 'ilst']);
+  if (ilst) {
+    readBoxes(buffer, ilst.start, ilst.end).forEach(item => {
+      const field = M4A_TAGS[item.type];
+      const data = readBoxes(buffer, item.start, item.end).find(box => box.type === 'data');
+      if (field && data) {
+        // data: 4 bytes de tipo + 4 de idioma antes do valor
+        const value = buffer.toString('utf8', data.start + 8, data.end).trim();
+        if (value) result[field] = value;
+      }
+    });
+  }
+
+  result.bitrate = result.duration ? Math.round((buffer.length * 8) / result.duration / 1000) : null;
+  return result;
+};
+
+// ========================================
+// API
+// ========================================
+
+const readers = {
+  'audio/mpeg': readMp3,
+  'audio/wav': readWav,
+  'audio/flac': readFlac,
+  'audio/mp4': readM4a
+};
+
+// Ler duração e tags de um arquivo de áudio
+// Retorna { mimeType, duration, title?, artist?, album?, genre?, sampleRate?, channels?, bitrate? }
+const readAudioMetadata = (buffer) => {
+  const mimeType = detectAudioType(buffer);
+  if (!mimeType) {
+    throw new AudioFormatError('Formato de áudio não suportado');
+  }
+
+  let metadata;
+  try {
+    metadata = readers[mimeType](buffer);
+  } catch (error) {
+    if (error instanceof AudioFormatError) throw error;
+    // Leituras fora do buffer indicam arquivo truncado
+    throw new AudioFormatError('Áudio corrompido ou truncado');
+  }
+
+  if (!Number.isFinite(metadata.duration) || metadata.duration <= 0) {
+    throw new AudioFormatError('Não foi possível determinar a duração do áudio');
+  }
+
+  return {
+    ...metadata,
+    mimeType,
+    duration: Math.round(metadata.duration * 1000) / 1000
+  };
+};
+
+module.exports = {
+  AudioFormatError,
+  detectAudioType,
+  readAudioMetadata
+};
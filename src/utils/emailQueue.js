@@ -0,0 +1,163 @@
+const EmailOutbox = require('../models/EmailOutbox');
+const { NotificationDelivery } = require('../config/notificationConfig');
+const { renderEmail } = require('./emailTemplates');
+const { getEmailTransport } = require('./emailTransports');
+
+// ========================================
+// 📬 RockRider - Fila de emails (outbox)
+// ========================================
+//
+// Os emails são renderizados e gravados em EmailOutbox na hora do pedido e
+// enviados por um worker em segundo plano. Falhas são reenviadas com backoff
+// exponencial (NotificationDelivery.RETRY) até maxAttempts.
+
+const { RETRY } = NotificationDelivery;
+
+// Varredura periódica - novos emails e reenvios também disparam o worker na hora
+const QUEUE_POLL_INTERVAL = 15 * 1000;
+
+// Emails em "sending" há mais tempo que isso voltam para a fila
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+// Máximo de emails enviados por rodada
+const BATCH_SIZE = 20;
+
+let pollTimer = null;
+let processing = false;
+let pendingRun = false;
+
+const retryDelay = (attempts) => {
+  const delay = RETRY.initialDelay * Math.pow(RETRY.backoffMultiplier, Math.max(attempts - 1, 0));
+  return Math.min(delay, RETRY.maxDelay);
+};
+
+const buildMailOptions = (email) => ({
+  from: {
+    name: 'RockRider - Sistema 🎸',
+    address: process.env.EMAIL_USER || 'noreply@rockrider.com',
+  },
+  to: email.to,
+  subject: email.subject,
+  html: email.html || undefined,
+  text: email.text || undefined,
+  replyTo: 'noreply@rockrider.com', // Email fictício para não resposta
+  headers: {
+    'X-RockRider-Template': email.template,
+    'X-RockRider-Outbox-Id': email._id.toString()
+  }
+});
+
+// Enviar um email já reservado pelo worker
+const deliver = async (email) => {
+  const transport = getEmailTransport();
+
+  try {
+    const info = await transport.send(buildMailOptions(email));
+    await email.markSent({ messageId: info.messageId, transport: transport.name });
+
+    console.log(`📧 Email "${email.template}" enviado para ${email.to} (${transport.name})`);
+    return true;
+
+  } catch (error) {
+    const delay = retryDelay(email.attempts);
+    await email.markFailed(error, delay);
+
+    if (email.status === 'failed') {
+      console.error(`❌ Email "${email.template}" para ${email.to} falhou após ${email.attempts} tentativas:`, error.message);
+    } else {
+      console.warn(`⚠️ Falha ao enviar "${email.template}" para ${email.to} (tentativa ${email.attempts}/${email.maxAttempts}). Nova tentativa em ${delay}ms`);
+      scheduleRun(delay);
+    }
+    return false;
+  }
+};
+
+// Processar os emails prontos para envio
+const processQueue = async () => {
+  if (processing) {
+    pendingRun = true;
+    return 0;
+  }
+
+  processing = true;
+  let processed = 0;
+
+  try {
+    await EmailOutbox.releaseStale(STALE_LOCK_MS);
+
+    while (processed < BATCH_SIZE) {
+      const email = await EmailOutbox.claimNext();
+      if (!email) break;
+
+      await deliver(email);
+      processed++;
+    }
+
+    // Ainda há emails prontos - continuar na próxima volta do event loop
+    if (processed === BATCH_SIZE) {
+      pendingRun = true;
+    }
+
+  } catch (error) {
+    console.error('❌ Erro ao processar fila de emails:', error.message);
+  } finally {
+    processing = false;
+  }
+
+  if (pendingRun) {
+    pendingRun = false;
+    scheduleRun(0);
+  }
+
+  return processed;
+};
+
+const scheduleRun = (delay) => {
+  const timer = setTimeout(processQueue, delay);
+  timer.unref();
+};
+
+// Renderizar e enfileirar um email
+const enqueueEmail = async (to, templateName, locale, data = {}) => {
+  const content = renderEmail(templateName, locale, data);
+
+  const email = await EmailOutbox.create({
+    to,
+    template: templateName,
+    locale: content.locale,
+    subject: content.subject,
+    html: content.html,
+    text: content.text,
+    maxAttempts: RETRY.maxAttempts
+  });
+
+  // Worker ativo: enviar sem esperar a próxima varredura
+  if (pollTimer) {
+    scheduleRun(0);
+  }
+
+  return email;
+};
+
+const startEmailWorker = () => {
+  if (pollTimer) return;
+  pollTimer = setInterval(processQueue, QUEUE_POLL_INTERVAL);
+  pollTimer.unref();
+  processQueue();
+  console.log(`📬 Fila de emails ativa (transporte: ${getEmailTransport().name})`);
+};
+
+const stopEmailWorker = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
+
+module.exports = {
+  enqueueEmail,
+  processQueue,
+  retryDelay,
+  startEmailWorker,
+  stopEmailWorker
+};
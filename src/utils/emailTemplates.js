@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const { NotificationI18n } = require('../config/notificationConfig');
+const { render, TemplateError } = require('./templateEngine');
+
+// Estrutura de src/templates/emails:
+//   layouts/base.html|txt        layout com {{{body}}}
+//   partials/<nome>.html|txt     partials disponíveis em todos os templates
+//   <locale>/<template>.html|txt corpo do email por idioma
+//   <locale>/messages.json       textos do layout, assunto e rótulos por template
+//   samples.json                 dados de exemplo usados no preview
+const TEMPLATES_DIR = path.join(__dirname, '../templates/emails');
+const FORMATS = { html: 'html', text: 'txt' };
+
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = NotificationI18n;
+
+// Em desenvolvimento os arquivos são relidos a cada envio para facilitar a edição
+const cacheEnabled = () => process.env.NODE_ENV === 'production';
+const fileCache = new Map();
+
+const readFile = (relativePath) => {
+  if (cacheEnabled() && fileCache.has(relativePath)) {
+    return fileCache.get(relativePath);
+  }
+
+  const fullPath = path.join(TEMPLATES_DIR, relativePath);
+  const content = fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : null;
+
+  if (cacheEnabled()) {
+    fileCache.set(relativePath, content);
+  }
+  return content;
+};
+
+const readJSON = (relativePath) => {
+  const content = readFile(relativePath);
+  return content ? JSON.parse(content) : {};
+};
+
+// Escolher o idioma suportado mais próximo (ex: 'en' ou 'en-GB' -> 'en-US')
+const resolveLocale = (locale) => {
+  if (!locale) return DEFAULT_LOCALE;
+  if (SUPPORTED_LOCALES.includes(locale)) return locale;
+
+  const language = locale.split(/[-_]/)[0].toLowerCase();
+  return SUPPORTED_LOCALES.find(supported => supported.toLowerCase().startsWith(`${language}-`)) || DEFAULT_LOCALE;
+};
+
+// Partials de um formato (button.html, ...)
+const loadPartials = (extension) => {
+  const partialsDir = path.join(TEMPLATES_DIR, 'partials');
+  if (!fs.existsSync(partialsDir)) return {};
+
+  return fs.readdirSync(partialsDir)
+    .filter(file => file.endsWith(`.${extension}`))
+    .reduce((partials, file) => {
+      partials[path.basename(file, `.${extension}`)] = readFile(`partials/${file}`);
+      return partials;
+    }, {});
+};
+
+// Datas são exibidas no formato do idioma do destinatário
+const localizeValues = (data, locale) => {
+  return Object.entries(data).reduce((result, [key, value]) => {
+    result[key] = value instanceof Date ? value.toLocaleString(locale) : value;
+    return result;
+  }, {});
+};
+
+// Listar templates disponíveis (baseado no idioma padrão)
+const listTemplates = () => {
+  const localeDir = path.join(TEMPLATES_DIR, DEFAULT_LOCALE);
+  return fs.readdirSync(localeDir)
+    .filter(file => file.endsWith('.html'))
+    .map(file => path.basename(file, '.html'))
+    .sort();
+};
+
+// Dados de exemplo para o preview (campos *At viram datas)
+const getSampleData = (templateName) => {
+  const samples = readJSON('samples.json');
+  const sample = samples[templateName] || {};
+
+  return Object.entries(sample).reduce((data, [key, value]) => {
+    data[key] = key.endsWith('At') && typeof value === 'string' ? new Date(value) : value;
+    return data;
+  }, {});
+};
+
+// Renderizar assunto, HTML e texto de um template no idioma informado
+const renderEmail = (templateName, locale, data = {}) => {
+  const resolvedLocale = resolveLocale(locale);
+
+  // Template ausente no idioma cai para o idioma padrão
+  let contentLocale = resolvedLocale;
+  if (readFile(`${contentLocale}/${templateName}.html`) === null) {
+    contentLocale = DEFAULT_LOCALE;
+  }
+  if (readFile(`${contentLocale}/${templateName}.html`) === null) {
+    throw new TemplateError(`Template de email não encontrado: ${templateName}`);
+  }
+
+  const messages = readJSON(`${contentLocale}/messages.json`);
+  const templateMessages = messages.templates?.[templateName] || {};
+
+  const context = {
+    ...templateMessages,
+    ...localizeValues(data, resolvedLocale),
+    layout: messages.layout || {},
+    locale: contentLocale,
+    year: new Date().getFullYear()
+  };
+
+  context.subject = render(templateMessages.subject || templateName, context, { escape: 'none' });
+
+  const output = { subject: context.subject, locale: contentLocale };
+
+  Object.entries(FORMATS).forEach(([format, extension]) => {
+    const source = readFile(`${contentLocale}/${templateName}.${extension}`);
+    if (source === null) {
+      output[format] = null;
+      return;
+    }
+
+    const options = {
+      escape: format === 'html' ? 'html' : 'none',
+      partials: loadPartials(extension)
+    };
+
+    const body = render(source, context, options);
+    const layout = readFile(`layouts/base.${extension}`);
+
+    output[format] = layout
+      ? render(layout, { ...context, body }, options)
+      : body;
+  });
+
+  return output;
+};
+
+const clearTemplateCache = () => fileCache.clear();
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  resolveLocale,
+  listTemplates,
+  getSampleData,
+  renderEmail,
+  clearTemplateCache
+};
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+// ========================================
+// 📮 RockRider - Transportes de email
+// ========================================
+//
+// EMAIL_TRANSPORT escolhe como os emails saem da fila:
+//   smtp    Gmail com EMAIL_USER/EMAIL_PASS (padrão em produção)
+//   memory  guarda as mensagens na memória do processo (padrão em testes)
+//   file    grava cada mensagem como JSON em EMAIL_FILE_DIR (padrão: tmp/mailbox)
+//
+// Em desenvolvimento, sem EMAIL_USER configurado, o padrão é "file".
+
+const TRANSPORTS = ['smtp', 'memory', 'file'];
+
+// Limite de mensagens guardadas pelo transporte em memória
+const MEMORY_MAILBOX_LIMIT = 200;
+
+const resolveTransportName = () => {
+  const configured = (process.env.EMAIL_TRANSPORT || '').trim().toLowerCase();
+
+  if (configured) {
+    if (TRANSPORTS.includes(configured)) return configured;
+    console.warn(`⚠️ EMAIL_TRANSPORT desconhecido: ${configured}. Usando smtp.`);
+    return 'smtp';
+  }
+
+  if (process.env.NODE_ENV === 'test') return 'memory';
+  if (process.env.NODE_ENV !== 'production' && !process.env.EMAIL_USER) return 'file';
+  return 'smtp';
+};
+
+const mailboxDir = () => path.resolve(process.env.EMAIL_FILE_DIR || path.join(process.cwd(), 'tmp/mailbox'));
+
+// Mensagem capturada no formato exibido pela caixa de desenvolvimento
+const toCapturedMessage = (mailOptions) => ({
+  id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+  messageId: `<${crypto.randomUUID()}@rockrider.local>`,
+  from: mailOptions.from,
+  to: mailOptions.to,
+  subject: mailOptions.subject,
+  html: mailOptions.html,
+  text: mailOptions.text,
+  headers: mailOptions.headers || {},
+  capturedAt: new Date().toISOString()
+});
+
+// ========================================
+// SMTP (Gmail)
+// ========================================
+
+let smtpTransporter = null;
+
+const smtpTransport = {
+  name: 'smtp',
+  async send(mailOptions) {
+    if (!smtpTransporter) {
+      smtpTransporter = nodemailer.createTransport({
+        service: 'gmail',
+        auth: {
+          user: process.env.EMAIL_USER, // Email genérico do sistema
+          pass: process.env.EMAIL_PASS, // App password do email genérico
+        },
+      });
+    }
+
+    const info = await smtpTransporter.sendMail(mailOptions);
+    return { messageId: info.messageId };
+  }
+};
+
+// ========================================
+// MEMÓRIA
+// ========================================
+
+const memoryMailbox = [];
+
+const memoryTransport = {
+  name: 'memory',
+  async send(mailOptions) {
+    const message = toCapturedMessage(mailOptions);
+    memoryMailbox.unshift(message);
+    memoryMailbox.length = Math.min(memoryMailbox.length, MEMORY_MAILBOX_LIMIT);
+    return { messageId: message.messageId };
+  },
+  async list() {
+    return memoryMailbox.slice();
+  },
+  async get(id) {
+    return memoryMailbox.find(message => message.id === id) || null;
+  },
+  async clear() {
+    const count = memoryMailbox.length;
+    memoryMailbox.length = 0;
+    return count;
+  }
+};
+
+// ========================================
+// ARQUIVO
+// ========================================
+
+const isMessageFile = (file) => /^[\w-]+\.json$/.test(file);
+
+const fileTransport = {
+  name: 'file',
+  async send(mailOptions) {
+    const dir = mailboxDir();
+    const message = toCapturedMessage(mailOptions);
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, `${message.id}.json`), JSON.stringify(message, null, 2));
+
+    return { messageId: message.messageId };
+  },
+  async list() {
+    const dir = mailboxDir();
+    if (!fs.existsSync(dir)) return [];
+
+    const files = (await fs.promises.readdir(dir)).filter(isMessageFile).sort().reverse();
+    const messages = await Promise.all(
+      files.map(async file => JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8')))
+    );
+    return messages;
+  },
+  async get(id) {
+    if (!isMessageFile(`${id}.json`)) return null;
+
+    const filePath = path.join(mailboxDir(), `${id}.json`);
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  },
+  async clear() {
+    const dir = mailboxDir();
+    if (!fs.existsSync(dir)) return 0;
+
+    const files = (await fs.promises.readdir(dir)).filter(isMessageFile);
+    await Promise.all(files.map(file => fs.promises.unlink(path.join(dir, file))));
+    return files.length;
+  }
+};
+
+const transports = {
+  smtp: smtpTransport,
+  memory: memoryTransport,
+  file: fileTransport
+};
+
+// Transporte ativo (resolvido a cada chamada para respeitar mudanças no ambiente)
+const getEmailTransport = () => transports[resolveTransportName()];
+
+// Transportes "memory" e "file" capturam as mensagens em vez de enviá-las
+const isCapturingTransport = () => getEmailTransport().name !== 'smtp';
+
+module.exports = {
+  TRANSPORTS,
+  getEmailTransport,
+  isCapturingTransport
+};
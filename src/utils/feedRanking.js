@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+const Post = require('../models/Post');
+const Like = require('../models/Like');
+const Comment = require('../models/Comment');
+const { FeedRanking } = require('../config/feedRanking');
+const { PaginationError, getPagination, encodeCursor } = require('./pagination');
+
+// ========================================
+// ✨ RockRider - Ranking do feed "For You"
+// ========================================
+//
+// 1. Candidatos: posts recentes de quem o usuário ainda não segue
+// 2. Sinais (0 a 1): gênero em comum, afinidade com o autor (curtidas e
+//    comentários do usuário), velocidade de engajamento, recência e selo
+// 3. Diversidade: espaça posts do mesmo autor e sequências do mesmo gênero
+//
+// O ranking é uma função de (usuário, semente, asOf): as interações contadas
+// são as anteriores a asOf, então as páginas seguintes do mesmo cursor vêm
+// da mesma ordenação - sem repetir nem pular posts.
+
+const HOUR = 60 * 60 * 1000;
+
+const AUTHOR_FIELDS = 'name handle artistName avatar userType isVerified genres';
+
+// Número determinístico entre 0 e 1 para a semente + post
+const seededRandom = (seed, postId) => {
+  const hash = crypto.createHash('md5').update(`${seed}:${postId}`).digest();
+  return hash.readUInt32BE(0) / 0x100000000;
+};
+
+const countByPost = async (Model, postIds, asOf) => {
+  const rows = await Model.aggregate([
+    { $match: { post: { $in: postIds }, createdAt: { $lte: asOf } } },
+    { $group: { _id: '$post', count: { $sum: 1 } } }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row.count]));
+};
+
+// Afinidade: quantas vezes o usuário curtiu (1) ou comentou (2) cada autor
+const getAuthorAffinity = async (userId, asOf) => {
+  const [likes, comments] = await Promise.all([
+    Like.find({ user: userId, createdAt: { $lte: asOf } })
+      .sort({ createdAt: -1 })
+      .limit(FeedRanking.AFFINITY_HISTORY)
+      .select('post')
+      .lean(),
+    Comment.find({ user: userId, createdAt: { $lte: asOf } })
+      .sort({ createdAt: -1 })
+      .limit(FeedRanking.AFFINITY_HISTORY)
+      .select('post')
+      .lean()
+  ]);
+
+  const weightByPost = new Map();
+  likes.forEach(like => {
+    const key = like.post.toString();
+    weightByPost.set(key, (weightByPost.get(key) || 0) + 1);
+  });
+  comments.forEach(comment => {
+    const key = comment.post.toString();
+    weightByPost.set(key, (weightByPost.get(key) || 0) + 2);
+  });
+
+  if (weightByPost.size === 0) return new Map();
+
+  const posts = await Post.find({ _id: { $in: [...weightByPost.keys()] } }).select('author').lean();
+  const affinity = new Map();
+  posts.forEach(post => {
+    const key = post.author.toString();
+    affinity.set(key, (affinity.get(key) || 0) + weightByPost.get(post._id.toString()));
+  });
+  return affinity;
+};
+
+// Gêneros do post: o da faixa (posts de áudio) ou os do autor
+const postGenres = (post) => {
+  if (post.track?.genre) return [post.track.genre];
+  return post.author?.genres || [];
+};
+
+const displayName = (author) => author?.artistName || author?.name || 'este artista';
+
+// Explicação do principal motivo da recomendação
+const buildReason = (signals, matchedGenre, author) => {
+  const { WEIGHTS } = FeedRanking;
+  const candidates = [
+    { type: 'genre', value: signals.genre * WEIGHTS.genre },
+    { type: 'affinity', value: signals.affinity * WEIGHTS.affinity },
+    { type: 'trending', value: signals.velocity * WEIGHTS.velocity },
+    { type: 'verified', value: signals.verified * WEIGHTS.verified }
+  ].filter(candidate => candidate.value > 0);
+
+  const best = candidates.sort((a, b) => b.value - a.value)[0];
+
+  switch (best?.type) {
+    case 'genre':
+      return { type: 'genre', genre: matchedGenre, text: `Porque você curte ${matchedGenre}` };
+    case 'affinity':
+      return { type: 'affinity', text: `Porque você interage com ${displayName(author)}` };
+    case 'trending':
+      return { type: 'trending', text: 'Em alta agora' };
+    case 'verified':
+      return { type: 'verified', text: 'Artista verificado' };
+    default:
+      return { type: 'recent', text: 'Publicado recentemente' };
+  }
+};
+
+// Pontuar candidatos
+const scoreCandidates = (candidates, { viewerGenres, affinity, likes, comments, seed, asOf }) => {
+  const { WEIGHTS } = FeedRanking;
+  const maxAffinity = Math.max(0, ...affinity.values());
+
+  return candidates.map(post => {
+    const postId = post._id.toString();
+    const authorId = post.author._id.toString();
+    const genres = postGenres(post);
+    const matchedGenre = genres.find(genre => viewerGenres.includes(genre)) || null;
+
+    const ageHours = Math.max((asOf - post.createdAt) / HOUR, 0);
+    const interactions = (likes.get(postId) || 0) + 2 * (comments.get(postId) || 0);
+
+    const signals = {
+      genre: matchedGenre ? 1 : 0,
+      affinity: maxAffinity > 0 ? (affinity.get(authorId) || 0) / maxAffinity : 0,
+      velocity: Math.min(interactions / (ageHours + 2) / FeedRanking.TRENDING_VELOCITY, 1),
+      recency: Math.pow(0.5, ageHours / FeedRanking.RECENCY_HALF_LIFE_HOURS),
+      verified: post.author.isVerified ? 1 : 0
+    };
+
+    const score = Object.keys(WEIGHTS).reduce((sum, key) => sum + WEIGHTS[key] * signals[key], 0)
+      + seededRandom(seed, postId) * FeedRanking.SEED_JITTER;
+
+    return {
+      postId,
+      authorId,
+      genre: matchedGenre || genres[0] || null,
+      score,
+      reason: buildReason(signals, matchedGenre, post.author)
+    };
+  }).sort((a, b) => b.score - a.score || (a.postId < b.postId ? -1 : 1));
+};
+
+// O candidato respeita as regras de diversidade em relação ao que já entrou?
+const fitsDiversity = (item, ranked) => {
+  const recent = ranked.slice(-FeedRanking.AUTHOR_SPACING);
+  if (recent.some(previous => previous.authorId === item.authorId)) return false;
+
+  if (!item.genre) return true;
+  const streak = ranked.slice(-FeedRanking.MAX_SAME_GENRE_STREAK);
+  return streak.length < FeedRanking.MAX_SAME_GENRE_STREAK || streak.some(previous => previous.genre !== item.genre);
+};
+
+// Reordenar gulosamente: o melhor que respeita as regras; se nenhum respeitar, o melhor
+const diversify = (scored) => {
+  const remaining = [...scored];
+  const ranked = [];
+
+  while (remaining.length > 0) {
+    const index = remaining.findIndex(item => fitsDiversity(item, ranked));
+    ranked.push(remaining.splice(Math.max(index, 0), 1)[0]);
+  }
+  return ranked;
+};
+
+// Ranking completo para o usuário
+const rankForYou = async (user, { excludeIds, seed, asOf }) => {
+  const candidates = await Post.find({
+    author: { $nin: excludeIds },
+    isActive: true,
+    authorSuspended: { $ne: true },
+    // Reposts simples não concorrem: o original entra por conta própria
+    type: { $ne: 'repost' },
+    createdAt: {
+      $gte: new Date(asOf.getTime() - FeedRanking.CANDIDATE_DAYS * 24 * HOUR),
+      $lte: asOf
+    }
+  })
+    .select('author track createdAt')
+    .populate('author', 'name artistName isVerified genres')
+    .populate('track', 'genre')
+    .sort({ createdAt: -1 })
+    .limit(FeedRanking.MAX_CANDIDATES)
+    .lean();
+
+  const valid = candidates.filter(post => post.author);
+  if (valid.length === 0) return [];
+
+  const postIds = valid.map(post => post._id);
+  const [likes, comments, affinity] = await Promise.all([
+    countByPost(Like, postIds, asOf),
+    countByPost(Comment, postIds, asOf),
+    getAuthorAffinity(user._id, asOf)
+  ]);
+
+  const scored = scoreCandidates(valid, {
+    viewerGenres: user.genres || [],
+    affinity,
+    likes,
+    comments,
+    seed,
+    asOf
+  });
+
+  return diversify(scored);
+};
+
+// Ler semente/asOf/posição do cursor (ou começar um ranking novo)
+const readFeedState = (query, pagination) => {
+  if (!pagination.cursor) {
+    return {
+      seed: query.seed ? String(query.seed).slice(0, 32) : crypto.randomBytes(4).toString('hex'),
+      asOf: new Date(),
+      offset: pagination.skip,
+      last: null
+    };
+  }
+
+  const { seed, asOf, o: offset, last } = pagination.cursor;
+  if (typeof seed !== 'string' || !Number.isInteger(asOf) || !Number.isInteger(offset) || offset < 0) {
+    throw new PaginationError();
+  }
+  if (Date.now() - asOf > FeedRanking.CURSOR_TTL_HOURS * HOUR) {
+    throw new PaginationError('Cursor expirado, recarregue o feed', 'CURSOR_EXPIRED');
+  }
+  return { seed, asOf: new Date(asOf), offset, last: typeof last === 'string' ? last : null };
+};
+
+// Página do feed "For You": posts completos, cada um com o motivo da recomendação
+const getForYouPage = async (user, { excludeIds, query }) => {
+  const pagination = getPagination(query, { defaultLimit: 10, maxLimit: 50 });
+  const { seed, asOf, offset, last } = readFeedState(query, pagination);
+
+  const ranked = await rankForYou(user, { excludeIds, seed, asOf });
+
+  // Continuar depois do último post entregue (se ele saiu do ranking, usar a posição)
+  let start = offset;
+  if (last) {
+    const index = ranked.findIndex(item => item.postId === last);
+    if (index !== -1) start = index + 1;
+  }
+
+  const pageItems = ranked.slice(start, start + pagination.limit);
+  const hasNext = start + pageItems.length < ranked.length;
+
+  const posts = await Post.find({ _id: { $in: pageItems.map(item => item.postId) } })
+    .populate('author', AUTHOR_FIELDS)
+    .populate('eventRef', 'title date location')
+    .populate(Post.TRACK_POPULATE)
+    .populate(Post.REPOST_POPULATE);
+  const byId = new Map(posts.map(post => [post._id.toString(), post]));
+
+  const items = pageItems
+    .filter(item => byId.has(item.postId))
+    .map(item => ({ post: byId.get(item.postId), reason: item.reason, score: item.score }));
+
+  return {
+    items,
+    pagination: {
+      page: pagination.page,
+      limit: pagination.limit,
+      hasNext,
+      nextCursor: hasNext
+        ? encodeCursor({
+          seed,
+          asOf: asOf.getTime(),
+          o: start + pageItems.length,
+          last: pageItems[pageItems.length - 1].postId
+        })
+        : null,
+      seed
+    },
+    meta: {
+      candidates: ranked.length,
+      asOf
+    }
+  };
+};
+
+module.exports = {
+  rankForYou,
+  getForYouPage
+};
@@ -0,0 +1,67 @@
+const User = require('../models/User');
+const FollowRequest = require('../models/FollowRequest');
+const { notifyFollowRequest, notifyFollowAccepted } = require('./notificationService');
+const { backfillFollow } = require('./timelineService');
+
+// ========================================
+// 🔐 RockRider - Pedidos para seguir contas privadas
+// ========================================
+
+// Criar pedido (idempotente). Retorna o pedido existente se já havia um.
+const requestFollow = async (requester, target) => {
+  const existing = await FollowRequest.findOne({ requester: requester._id, target: target._id });
+  if (existing) return existing;
+
+  try {
+    const request = await FollowRequest.create({ requester: requester._id, target: target._id });
+    await notifyFollowRequest(target._id, requester);
+    return request;
+  } catch (error) {
+    // Pedido criado por outra requisição ao mesmo tempo
+    if (error.code === 11000) {
+      return FollowRequest.findOne({ requester: requester._id, target: target._id });
+    }
+    throw error;
+  }
+};
+
+const cancelFollowRequest = (requesterId, targetId) => {
+  return FollowRequest.deleteOne({ requester: requesterId, target: targetId });
+};
+
+// Aprovar pedido: vira follow e avisa quem pediu
+const approveFollowRequest = async (request, targetUser) => {
+  const requester = await User.findById(request.requester);
+  await request.deleteOne();
+
+  if (!requester || !requester.isActive) return null;
+
+  await requester.follow(targetUser._id);
+  await backfillFollow(requester._id, targetUser._id);
+  await notifyFollowAccepted(requester._id, targetUser);
+  return requester;
+};
+
+const denyFollowRequest = (request) => request.deleteOne();
+
+// Conta deixou de ser privada: aprovar todos os pedidos pendentes
+const approveAllPending = async (targetUser) => {
+  const requests = await FollowRequest.find({ target: targetUser._id });
+
+  for (const request of requests) {
+    await approveFollowRequest(request, targetUser);
+  }
+
+  if (requests.length > 0) {
+    console.log(`🔓 ${requests.length} pedidos para seguir aprovados: ${targetUser.name} tornou a conta pública`);
+  }
+  return requests.length;
+};
+
+module.exports = {
+  requestFollow,
+  cancelFollowRequest,
+  approveFollowRequest,
+  denyFollowRequest,
+  approveAllPending
+};
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const HandleRedirect = require('../models/HandleRedirect');
+const { Handles } = require('../config/handles');
+
+// ========================================
+// 🏷️ RockRider - @handles
+// ========================================
+//
+// Um handle está ocupado se for o handle atual de alguém ou um handle
+// antigo ainda redirecionando (HandleRedirect) para outra pessoa. O dono
+// pode voltar a usar o próprio handle antigo enquanto o redirecionamento
+// existir.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class HandleError extends Error {
+  constructor(message, status = 400, code = 'INVALID_HANDLE', { suggestions, availableAt } = {}) {
+    super(message);
+    this.name = 'HandleError';
+    this.status = status;
+    this.code = code;
+    this.suggestions = suggestions;
+    this.availableAt = availableAt;
+  }
+}
+
+// "@Fulano " -> "fulano"
+const normalizeHandle = (value) => String(value || '').trim().replace(/^@/, '').toLowerCase();
+
+const isValidHandle = (handle) => Handles.PATTERN.test(handle) && !Handles.RESERVED.includes(handle);
+
+// Formato e palavras reservadas
+const checkHandleFormat = (handle) => {
+  if (!Handles.PATTERN.test(handle)) {
+    throw new HandleError('Handle deve ter de 3 a 30 letras, números ou _');
+  }
+  if (Handles.RESERVED.includes(handle)) {
+    throw new HandleError('Este handle é reservado', 400, 'HANDLE_RESERVED');
+  }
+};
+
+// Quais dos handles estão ocupados por outros usuários
+const findTakenHandles = async (handles, userId = null) => {
+  const [users, redirects] = await Promise.all([
+    User.find({ handle: { $in: handles }, ...(userId && { _id: { $ne: userId } }) }).distinct('handle'),
+    HandleRedirect.find({
+      handle: { $in: handles },
+      expiresAt: { $gt: new Date() },
+      ...(userId && { user: { $ne: userId } })
+    }).distinct('handle')
+  ]);
+  return new Set([...users, ...redirects]);
+};
+
+const isHandleAvailable = async (handle, userId = null) => {
+  if (!isValidHandle(handle)) return false;
+  const taken = await findTakenHandles([handle], userId);
+  return !taken.has(handle);
+};
+
+// "João Ñandú!" -> "joao_nandu" (base para sugestões)
+const slugify = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9_]+/g, '_')
+  .replace(/_+/g, '_')
+  .replace(/^_|_$/g, '');
+
+// Sugestões livres a partir do handle desejado e/ou dos nomes do usuário
+const suggestHandles = async (seeds, userId = null) => {
+  const maxBase = Handles.MAX_LENGTH - 5;
+  const bases = [...new Set(seeds.map(seed => slugify(seed).slice(0, maxBase)).filter(Boolean))]
+    .map(base => (base.length < Handles.MIN_LENGTH ? `${base}_rock` : base));
+
+  const candidates = [];
+  bases.forEach(base => {
+    candidates.push(base, `${base}_rock`, `${base}_music`);
+    for (let i = 0; i < 3; i++) {
+      candidates.push(`${base}${crypto.randomInt(10, 10000)}`);
+    }
+  });
+
+  const valid = [...new Set(candidates)].filter(isValidHandle);
+  if (valid.length === 0) return [];
+
+  const taken = await findTakenHandles(valid, userId);
+  return valid.filter(handle => !taken.has(handle)).slice(0, Handles.SUGGESTIONS);
+};
+
+const takenError = (suggestions) => new HandleError('Este handle já está em uso', 409, 'HANDLE_TAKEN', { suggestions });
+
+// Handle para o cadastro: o escolhido (se livre) ou o primeiro sugerido pelo nome
+const pickRegistrationHandle = async (requested, names) => {
+  if (requested) {
+    const handle = normalizeHandle(requested);
+    checkHandleFormat(handle);
+
+    if (!(await isHandleAvailable(handle))) {
+      throw takenError(await suggestHandles([handle, ...names]));
+    }
+    return handle;
+  }
+
+  const [suggested] = await suggestHandles(names);
+  return suggested || `user_${crypto.randomBytes(4).toString('hex')}`;
+};
+
+// Trocar o handle (respeitando o intervalo mínimo). O antigo passa a redirecionar.
+const changeHandle = async (user, requested) => {
+  const handle = normalizeHandle(requested);
+  checkHandleFormat(handle);
+
+  if (handle === user.handle) {
+    return { changed: false, handle };
+  }
+
+  // O intervalo vale para trocas; definir o primeiro handle é livre
+  if (user.handle && user.handleChangedAt) {
+    const availableAt = new Date(user.handleChangedAt.getTime() + Handles.CHANGE_COOLDOWN_DAYS * DAY);
+    if (availableAt > new Date()) {
+      throw new HandleError(
+        `Você só pode trocar de handle a cada ${Handles.CHANGE_COOLDOWN_DAYS} dias`,
+        429,
+        'HANDLE_COOLDOWN',
+        { availableAt }
+      );
+    }
+  }
+
+  if (!(await isHandleAvailable(handle, user._id))) {
+    throw takenError(await suggestHandles([handle, user.artistName, user.name], user._id));
+  }
+
+  const previousHandle = user.handle || null;
+  user.handle = handle;
+  user.handleChangedAt = new Date();
+
+  try {
+    await user.save();
+  } catch (error) {
+    // Outro usuário pegou o handle ao mesmo tempo
+    if (error.code === 11000) {
+      throw takenError(await suggestHandles([handle, user.artistName, user.name], user._id));
+    }
+    throw error;
+  }
+
+  // Voltou para um handle antigo próprio: o redirecionamento deixa de existir
+  await HandleRedirect.deleteOne({ handle, user: user._id });
+
+  let redirectExpiresAt = null;
+  if (previousHandle) {
+    redirectExpiresAt = new Date(Date.now() + Handles.REDIRECT_DAYS * DAY);
+    await HandleRedirect.findOneAndUpdate(
+      { handle: previousHandle },
+      { user: user._id, expiresAt: redirectExpiresAt },
+      { upsert: true }
+    );
+  }
+
+  return { changed: true, handle, previousHandle, redirectExpiresAt };
+};
+
+// Usuários ativos pelos handles (atuais ou antigos ainda redirecionando)
+const findUsersByHandles = async (handles, select) => {
+  const users = await User.find({ handle: { $in: handles }, isActive: true }).select(select);
+  const byHandle = new Map(users.map(user => [user.handle, user]));
+
+  const missing = handles.filter(handle => !byHandle.has(handle));
+  if (missing.length === 0) return byHandle;
+
+  const redirects = await HandleRedirect.find({ handle: { $in: missing }, expiresAt: { $gt: new Date() } });
+  if (redirects.length === 0) return byHandle;
+
+  const redirected = await User.find({ _id: { $in: redirects.map(redirect => redirect.user) }, isActive: true })
+    .select(select);
+  const byId = new Map(redirected.map(user => [user._id.toString(), user]));
+
+  redirects.forEach(redirect => {
+    const user = byId.get(redirect.user.toString());
+    if (user) byHandle.set(redirect.handle, user);
+  });
+  return byHandle;
+};
+
+// Resolver um handle para o ID do usuário. redirectedFrom = handle antigo usado.
+const resolveHandle = async (value) => {
+  const handle = normalizeHandle(value);
+  if (!Handles.PATTERN.test(handle)) return null;
+
+  const user = (await findUsersByHandles([handle], 'handle')).get(handle);
+  if (!user) return null;
+
+  return {
+    userId: user._id,
+    handle: user.handle,
+    redirectedFrom: user.handle === handle ? null : handle
+  };
+};
+
+module.exports = {
+  HandleError,
+  normalizeHandle,
+  checkHandleFormat,
+  isHandleAvailable,
+  suggestHandles,
+  pickRegistrationHandle,
+  changeHandle,
+  findUsersByHandles,
+  resolveHandle
+};
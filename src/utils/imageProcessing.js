@@ -0,0 +1,402 @@
+// ========================================
+// 🖼️ RockRider - Processamento de imagens
+// ========================================
+//
+// Identificação do formato pelos bytes iniciais, leitura de dimensões e
+// remoção de metadados (EXIF/XMP/IPTC/comentários) sem recodificar a imagem.
+// Fotos de celular trazem localização GPS e dados do aparelho no EXIF.
+
+class ImageFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageFormatError';
+  }
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Identificar o formato real do arquivo
+const detectImageType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return 'image/png';
+  }
+  if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))) {
+    return 'image/gif';
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+};
+
+// ========================================
+// JPEG
+// ========================================
+
+// Segmentos sem campo de tamanho
+const isStandaloneMarker = (marker) => marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8);
+
+// APP1 (EXIF/XMP), APP13 (IPTC/Photoshop) e COM (comentário)
+const JPEG_METADATA_MARKERS = [0xe1, 0xed, 0xfe];
+
+// Percorrer os segmentos até o início dos dados da imagem (SOS)
+const readJpegSegments = (buffer) => {
+  const segments = [];
+  let offset = 2;
+
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      throw new ImageFormatError('JPEG corrompido');
+    }
+
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++; // bytes de preenchimento
+      continue;
+    }
+
+    if (isStandaloneMarker(marker)) {
+      segments.push({ marker, start: offset, end: offset + 2 });
+      offset += 2;
+      continue;
+    }
+
+    if (offset + 4 > buffer.length) {
+      throw new ImageFormatError('JPEG corrompido');
+    }
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const end = offset + 2 + length;
+    if (length < 2 || end > buffer.length) {
+      throw new ImageFormatError('JPEG corrompido');
+    }
+
+    // SOS: o restante do arquivo são os dados comprimidos
+    if (marker === 0xda) {
+      segments.push({ marker, start: offset, end: buffer.length });
+      break;
+    }
+
+    segments.push({ marker, start: offset, end });
+    offset = end;
+  }
+
+  return segments;
+};
+
+// Ler a orientação (tag 0x0112) de um segmento EXIF
+const readExifOrientation = (segment) => {
+  // "Exif\0\0" + cabeçalho TIFF
+  if (segment.length < 14 + 8 || segment.toString('latin1', 4, 10) !== 'Exif\0\0') return null;
+
+  const tiff = segment.subarray(10);
+  const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+  const read16 = (at) => (littleEndian ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+  const read32 = (at) => (littleEndian ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+
+  try {
+    const ifdOffset = read32(4);
+    const entries = read16(ifdOffset);
+    for (let i = 0; i < entries; i++) {
+      const entry = ifdOffset + 2 + i * 12;
+      if (read16(entry) === 0x0112) {
+        const orientation = read16(entry + 8);
+        return orientation >= 1 && orientation <= 8 ? orientation : null;
+      }
+    }
+  } catch (error) {
+    // EXIF malformado - ignorar a orientação
+  }
+  return null;
+};
+
+// EXIF mínimo contendo apenas a orientação (a imagem não é rotacionada aqui)
+const buildOrientationSegment = (orientation) => {
+  const segment = Buffer.alloc(34);
+  segment.writeUInt16BE(0xffe1, 0);
+  segment.writeUInt16BE(32, 2);
+  segment.write('Exif\0\0', 4, 'latin1');
+  segment.write('MM', 10, 'latin1');
+  segment.writeUInt16BE(42, 12);
+  segment.writeUInt32BE(8, 14); // IFD0 logo após o cabeçalho
+  segment.writeUInt16BE(1, 18); // 1 entrada
+  segment.writeUInt16BE(0x0112, 20); // Orientation
+  segment.writeUInt16BE(3, 22); // SHORT
+  segment.writeUInt32BE(1, 24);
+  segment.writeUInt16BE(orientation, 28);
+  segment.writeUInt32BE(0, 30); // sem próximo IFD
+  return segment;
+};
+
+const stripJpeg = (buffer) => {
+  const segments = readJpegSegments(buffer);
+  const parts = [buffer.subarray(0, 2)];
+  let orientation = null;
+  let orientationWritten = false;
+
+  segments.forEach(({ marker, start, end }) => {
+    const segment = buffer.subarray(start, end);
+
+    if (JPEG_METADATA_MARKERS.includes(marker)) {
+      if (marker === 0xe1 && orientation === null) {
+        orientation = readExifOrientation(segment);
+      }
+      return;
+    }
+
+    // Reinserir a orientação antes das tabelas/quadros (após APP0/JFIF)
+    if (!orientationWritten && orientation && orientation !== 1 && marker !== 0xe0) {
+      parts.push(buildOrientationSegment(orientation));
+      orientationWritten = true;
+    }
+
+    parts.push(segment);
+  });
+
+  return Buffer.concat(parts);
+};
+
+const jpegDimensions = (buffer) => {
+  const sof = readJpegSegments(buffer).find(({ marker }) =>
+    marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)
+  );
+  if (!sof) return null;
+
+  return {
+    height: buffer.readUInt16BE(sof.start + 5),
+    width: buffer.readUInt16BE(sof.start + 7)
+  };
+};
+
+// ========================================
+// PNG
+// ========================================
+
+// Chunks de texto, EXIF e data de modificação
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+
+const stripPng = (buffer) => {
+  const parts = [PNG_SIGNATURE];
+  let offset = 8;
+
+  while (offset < buffer.length) {
+    if (offset + 12 > buffer.length) {
+      throw new ImageFormatError('PNG corrompido');
+    }
+
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) {
+      throw new ImageFormatError('PNG corrompido');
+    }
+
+    if (!PNG_METADATA_CHUNKS.includes(type)) {
+      parts.push(buffer.subarray(offset, end));
+    }
+
+    offset = end;
+    if (type === 'IEND') break;
+  }
+
+  return Buffer.concat(parts);
+};
+
+const pngDimensions = (buffer) => {
+  if (buffer.length < 24 || buffer.toString('latin1', 12, 16) !== 'IHDR') return null;
+  return {
+    width: buffer.readUInt32BE(16),
+    height: buffer.readUInt32BE(20)
+  };
+};
+
+// ========================================
+// GIF
+// ========================================
+
+// Pular uma sequência de sub-blocos (terminada por um bloco de tamanho 0)
+const skipSubBlocks = (buffer, offset) => {
+  while (offset < buffer.length) {
+    const size = buffer[offset];
+    offset += 1;
+    if (size === 0) return offset;
+    offset += size;
+  }
+  throw new ImageFormatError('GIF corrompido');
+};
+
+const colorTableSize = (packed) => ((packed & 0x80) ? 3 * (1 << ((packed & 0x07) + 1)) : 0);
+
+const stripGif = (buffer) => {
+  // Cabeçalho + descritor da tela + tabela de cores global
+  let offset = 13 + colorTableSize(buffer[10]);
+  const parts = [buffer.subarray(0, offset)];
+
+  while (offset < buffer.length) {
+    const blockType = buffer[offset];
+
+    // Trailer
+    if (blockType === 0x3b) {
+      parts.push(buffer.subarray(offset, offset + 1));
+      break;
+    }
+
+    // Extensão
+    if (blockType === 0x21) {
+      const label = buffer[offset + 1];
+      const end = skipSubBlocks(buffer, offset + 2);
+
+      // Comentários e extensões de aplicação (ex: XMP) são descartadas,
+      // exceto NETSCAPE2.0, que controla a repetição de animações
+      const isComment = label === 0xfe;
+      const isApplication = label === 0xff;
+      const isLoopExtension = isApplication && buffer.toString('latin1', offset + 3, offset + 14) === 'NETSCAPE2.0';
+
+      if (!isComment && (!isApplication || isLoopExtension)) {
+        parts.push(buffer.subarray(offset, end));
+      }
+      offset = end;
+      continue;
+    }
+
+    // Quadro da imagem
+    if (blockType === 0x2c) {
+      const packed = buffer[offset + 9];
+      let end = offset + 10 + colorTableSize(packed);
+      end = skipSubBlocks(buffer, end + 1); // +1: tamanho mínimo do código LZW
+      parts.push(buffer.subarray(offset, end));
+      offset = end;
+      continue;
+    }
+
+    throw new ImageFormatError('GIF corrompido');
+  }
+
+  return Buffer.concat(parts);
+};
+
+const gifDimensions = (buffer) => ({
+  width: buffer.readUInt16LE(6),
+  height: buffer.readUInt16LE(8)
+});
+
+// ========================================
+// WEBP
+// ========================================
+
+const readWebpChunks = (buffer) => {
+  const chunks = [];
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const end = offset + 8 + size + (size % 2); // chunks alinhados em 2 bytes
+    if (offset + 8 + size > buffer.length) {
+      throw new ImageFormatError('WebP corrompido');
+    }
+
+    chunks.push({ type, start: offset, dataStart: offset + 8, end: Math.min(end, buffer.length) });
+    offset = end;
+  }
+
+  return chunks;
+};
+
+const stripWebp = (buffer) => {
+  const parts = [];
+
+  readWebpChunks(buffer).forEach(({ type, start, end }) => {
+    if (type === 'EXIF' || type === 'XMP ') return;
+
+    const chunk = Buffer.from(buffer.subarray(start, end));
+    if (type === 'VP8X') {
+      // Desligar as flags de EXIF (0x08) e XMP (0x04)
+      chunk[8] &= ~0x0c;
+    }
+    parts.push(chunk);
+  });
+
+  const body = Buffer.concat(parts);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write('WEBP', 8, 'latin1');
+
+  return Buffer.concat([header, body]);
+};
+
+const webpDimensions = (buffer) => {
+  const chunk = readWebpChunks(buffer).find(({ type }) => ['VP8X', 'VP8 ', 'VP8L'].includes(type));
+  if (!chunk) return null;
+
+  const data = buffer.subarray(chunk.dataStart);
+
+  if (chunk.type === 'VP8X') {
+    return {
+      width: data.readUIntLE(4, 3) + 1,
+      height: data.readUIntLE(7, 3) + 1
+    };
+  }
+
+  if (chunk.type === 'VP8 ') {
+    return {
+      width: data.readUInt16LE(6) & 0x3fff,
+      height: data.readUInt16LE(8) & 0x3fff
+    };
+  }
+
+  // VP8L: 14 bits de largura e 14 de altura após a assinatura 0x2f
+  const bits = data.readUInt32LE(1);
+  return {
+    width: (bits & 0x3fff) + 1,
+    height: ((bits >> 14) & 0x3fff) + 1
+  };
+};
+
+// ========================================
+// API
+// ========================================
+
+const handlers = {
+  'image/jpeg': { strip: stripJpeg, dimensions: jpegDimensions },
+  'image/png': { strip: stripPng, dimensions: pngDimensions },
+  'image/gif': { strip: stripGif, dimensions: gifDimensions },
+  'image/webp': { strip: stripWebp, dimensions: webpDimensions }
+};
+
+// Remover metadados e ler dimensões de uma imagem
+// Retorna { mimeType, buffer, width, height }
+const processImage = (buffer) => {
+  const mimeType = detectImageType(buffer);
+  if (!mimeType) {
+    throw new ImageFormatError('Formato de imagem não suportado');
+  }
+
+  const handler = handlers[mimeType];
+
+  try {
+    const stripped = handler.strip(buffer);
+    const dimensions = handler.dimensions(stripped) || {};
+
+    return {
+      mimeType,
+      buffer: stripped,
+      width: dimensions.width || null,
+      height: dimensions.height || null
+    };
+  } catch (error) {
+    if (error instanceof ImageFormatError) throw error;
+    // Leituras fora do buffer indicam arquivo truncado
+    throw new ImageFormatError('Imagem corrompida ou truncada');
+  }
+};
+
+module.exports = {
+  ImageFormatError,
+  detectImageType,
+  processImage
+};
@@ -0,0 +1,108 @@
+const Post = require('../models/Post');
+const Like = require('../models/Like');
+const Comment = require('../models/Comment');
+
+// ========================================
+// ❤️ RockRider - Curtidas e comentários
+// ========================================
+//
+// Curtidas e comentários vivem em coleções próprias; o post guarda apenas os
+// totais. Cada operação grava o registro e ajusta o contador com $inc, sem
+// reescrever o documento do post - curtidas simultâneas não se sobrescrevem.
+
+const COMMENT_USER_FIELDS = 'name handle artistName avatar';
+
+// Total atual de curtidas (resposta de operações que não mudaram nada)
+const currentLikesCount = async (postId) => {
+  const post = await Post.findById(postId).select('likesCount');
+  return post ? post.likesCount : 0;
+};
+
+// Curtir (idempotente): o índice único garante uma curtida por usuário
+const likePost = async (postId, userId) => {
+  try {
+    await Like.create({ post: postId, user: userId });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { isLiked: true, changed: false, likesCount: await currentLikesCount(postId) };
+    }
+    throw error;
+  }
+
+  const post = await Post.findByIdAndUpdate(postId, { $inc: { likesCount: 1 } }, { new: true })
+    .select('likesCount');
+  return { isLiked: true, changed: true, likesCount: post ? post.likesCount : 0 };
+};
+
+// Descurtir (idempotente): só decrementa se a curtida existia
+const unlikePost = async (postId, userId) => {
+  const { deletedCount } = await Like.deleteOne({ post: postId, user: userId });
+  if (deletedCount === 0) {
+    return { isLiked: false, changed: false, likesCount: await currentLikesCount(postId) };
+  }
+
+  const post = await Post.findOneAndUpdate(
+    { _id: postId, likesCount: { $gt: 0 } },
+    { $inc: { likesCount: -1 } },
+    { new: true }
+  ).select('likesCount');
+  return { isLiked: false, changed: true, likesCount: post ? post.likesCount : 0 };
+};
+
+// Alternar curtida (compatibilidade com POST /:id/like)
+const toggleLike = async (postId, userId) => {
+  const liked = await Like.exists({ post: postId, user: userId });
+  return liked ? unlikePost(postId, userId) : likePost(postId, userId);
+};
+
+// Adicionar comentário (mentions já resolvidas pelo mentionService).
+// Retorna o comentário (com autor) e o novo total.
+const addComment = async (postId, userId, text, mentions = []) => {
+  const comment = await Comment.create({ post: postId, user: userId, text, mentions });
+  const post = await Post.findByIdAndUpdate(postId, { $inc: { commentsCount: 1 } }, { new: true })
+    .select('commentsCount');
+
+  await comment.populate('user', COMMENT_USER_FIELDS);
+  return { comment, commentsCount: post ? post.commentsCount : 0 };
+};
+
+// Remover comentário e decrementar o total do post
+const removeComment = async (comment) => {
+  const { deletedCount } = await Comment.deleteOne({ _id: comment._id });
+  if (deletedCount === 0) return;
+
+  await Post.updateOne(
+    { _id: comment.post, commentsCount: { $gt: 0 } },
+    { $inc: { commentsCount: -1 } }
+  );
+};
+
+// Post apagado: remover curtidas e comentários
+const removePostInteractions = (postId) => {
+  return Promise.all([
+    Like.deleteMany({ post: postId }),
+    Comment.deleteMany({ post: postId })
+  ]);
+};
+
+// Marcar isLikedByUser em posts já convertidos em objeto
+const withLikedFlag = async (postObjs, userId) => {
+  if (!userId) return postObjs;
+
+  const likedIds = await Like.findLikedPostIds(userId, postObjs);
+  postObjs.forEach(postObj => {
+    postObj.isLikedByUser = likedIds.has(postObj._id.toString());
+  });
+  return postObjs;
+};
+
+module.exports = {
+  COMMENT_USER_FIELDS,
+  likePost,
+  unlikePost,
+  toggleLike,
+  addComment,
+  removeComment,
+  removePostInteractions,
+  withLikedFlag
+};
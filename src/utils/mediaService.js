@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const Media = require('../models/Media');
+const { MEDIA_KINDS, MediaLimits } = require('../config/media');
+const { getStorageDriver } = require('./storage');
+const { ImageFormatError, detectImageType, processImage } = require('./imageProcessing');
+const { AudioFormatError, detectAudioType, readAudioMetadata } = require('./audioMetadata');
+
+// ========================================
+// 🖼️ RockRider - Serviço de mídia
+// ========================================
+
+class MediaError extends Error {
+  constructor(message, status = 400, code = 'INVALID_MEDIA') {
+    super(message);
+    this.name = 'MediaError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// IDs de mídia são ObjectIds em hexadecimal (24 caracteres)
+const isMediaId = (value) => typeof value === 'string' && /^[a-f\d]{24}$/i.test(value);
+
+const formatMegabytes = (bytes) => `${Math.round(bytes / 1024 / 1024)}MB`;
+
+// Chave única no armazenamento: images/2025/01/<aleatório>.jpg
+const buildStorageKey = (kind, extension) => {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  return `${kind}s/${now.getFullYear()}/${month}/${crypto.randomBytes(16).toString('hex')}.${extension}`;
+};
+
+// Imagens: metadados removidos e dimensões lidas
+const prepareImage = (buffer) => {
+  const processed = processImage(buffer);
+  return { kind: MEDIA_KINDS.IMAGE, ...processed };
+};
+
+// Áudio: arquivo mantido como enviado, duração e tags lidas
+const prepareAudio = (buffer) => {
+  const { mimeType, duration, ...audio } = readAudioMetadata(buffer);
+  return { kind: MEDIA_KINDS.AUDIO, mimeType, buffer, duration, audio };
+};
+
+const KIND_LABELS = {
+  [MEDIA_KINDS.IMAGE]: 'Imagem',
+  [MEDIA_KINDS.AUDIO]: 'Áudio'
+};
+
+// Validar e preparar o arquivo conforme o tipo
+const prepareFile = (buffer) => {
+  let prepared;
+  try {
+    if (detectImageType(buffer)) {
+      prepared = prepareImage(buffer);
+    } else if (detectAudioType(buffer)) {
+      prepared = prepareAudio(buffer);
+    } else {
+      throw new MediaError('Formato de arquivo não suportado', 415, 'UNSUPPORTED_MEDIA_TYPE');
+    }
+  } catch (error) {
+    if (error instanceof ImageFormatError || error instanceof AudioFormatError) {
+      throw new MediaError(error.message, 415, 'UNSUPPORTED_MEDIA_TYPE');
+    }
+    throw error;
+  }
+
+  const limits = MediaLimits[prepared.kind];
+
+  if (!limits.formats[prepared.mimeType]) {
+    throw new MediaError('Formato de arquivo não suportado', 415, 'UNSUPPORTED_MEDIA_TYPE');
+  }
+  if (buffer.length > limits.maxSize) {
+    throw new MediaError(`${KIND_LABELS[prepared.kind]} deve ter no máximo ${formatMegabytes(limits.maxSize)}`, 413, 'FILE_TOO_LARGE');
+  }
+
+  return { ...prepared, extension: limits.formats[prepared.mimeType] };
+};
+
+// Processar upload (arquivo do multer em memória) e salvar no armazenamento
+const storeUpload = async (file, ownerId) => {
+  if (!file || !file.buffer || file.buffer.length === 0) {
+    throw new MediaError('Nenhum arquivo enviado', 400, 'FILE_REQUIRED');
+  }
+
+  const prepared = prepareFile(file.buffer);
+  const driver = getStorageDriver();
+  const stored = await driver.save({
+    key: buildStorageKey(prepared.kind, prepared.extension),
+    buffer: prepared.buffer,
+    mimeType: prepared.mimeType,
+    kind: prepared.kind
+  });
+
+  try {
+    return await Media.create({
+      owner: ownerId,
+      kind: prepared.kind,
+      mimeType: prepared.mimeType,
+      size: prepared.buffer.length,
+      width: prepared.width || null,
+      height: prepared.height || null,
+      duration: prepared.duration || null,
+      audio: prepared.audio,
+      originalName: file.originalname ? file.originalname.slice(0, 255) : null,
+      storage: { driver: driver.name, key: stored.key },
+      url: stored.url
+    });
+  } catch (error) {
+    // Não deixar arquivo órfão no armazenamento
+    await driver.remove(stored.key, prepared.kind).catch(() => {});
+    throw error;
+  }
+};
+
+// Remover mídia do armazenamento e do banco
+const deleteMedia = async (media) => {
+  await getStorageDriver(media.storage.driver).remove(media.storage.key, media.kind);
+  await media.deleteOne();
+};
+
+// Campos de imagem aceitam uma URL externa ou o ID de uma mídia enviada
+// pelo próprio usuário. IDs são trocados pela URL da mídia.
+const resolveMediaUrls = async (values, ownerId, kind = MEDIA_KINDS.IMAGE) => {
+  const ids = values.filter(isMediaId);
+  if (ids.length === 0) return values;
+
+  const media = await Media.findOwned(ids, ownerId, kind);
+  const urlsById = new Map(media.map(item => [item._id.toString(), item.url]));
+
+  return values.map(value => {
+    if (!ids.includes(value)) return value;
+
+    const url = urlsById.get(value.toLowerCase());
+    if (!url) {
+      throw new MediaError(`Mídia não encontrada: ${value}`, 400, 'MEDIA_NOT_FOUND');
+    }
+    return url;
+  });
+};
+
+const resolveMediaUrl = async (value, ownerId, kind = MEDIA_KINDS.IMAGE) => {
+  if (!value) return value;
+  const [url] = await resolveMediaUrls([value], ownerId, kind);
+  return url;
+};
+
+// Aceita URL http(s) ou ID de mídia (validação de entrada nas rotas)
+const isUrlOrMediaId = (value) => {
+  if (isMediaId(value)) return true;
+  return typeof value === 'string' && /^https?:\/\/.+/i.test(value);
+};
+
+module.exports = {
+  MediaError,
+  storeUpload,
+  deleteMedia,
+  resolveMediaUrls,
+  resolveMediaUrl,
+  isUrlOrMediaId
+};
@@ -0,0 +1,83 @@
+const User = require('../models/User');
+const { Handles } = require('../config/handles');
+const { notifyMention } = require('./notificationService');
+const { findUsersByHandles } = require('./handleService');
+
+// ========================================
+// 📣 RockRider - Menções (@handle)
+// ========================================
+//
+// Posts e comentários guardam as menções resolvidas em `mentions`:
+// { user, handle, start, end } - start/end são índices do texto (end
+// exclusivo), para o cliente transformar o trecho em link.
+//
+// Handles antigos ainda redirecionando levam ao dono atual; handles
+// inexistentes ficam como texto comum. Menções entre usuários com
+// bloqueio (em qualquer sentido) são descartadas: nem link, nem notificação.
+
+// Encontrar @handles no texto (sem consultar o banco)
+const parseMentions = (text) => {
+  if (!text) return [];
+
+  const handles = new Set();
+  const found = [];
+
+  for (const match of text.matchAll(Handles.MENTION_REGEX)) {
+    const handle = match[1].toLowerCase();
+
+    if (!handles.has(handle)) {
+      if (handles.size >= Handles.MAX_MENTIONS_PER_TEXT) continue;
+      handles.add(handle);
+    }
+
+    found.push({ handle, start: match.index, end: match.index + match[0].length });
+  }
+  return found;
+};
+
+// Resolver as menções do texto escrito por `author` (documento User completo)
+const resolveMentions = async (text, author) => {
+  const found = parseMentions(text);
+  if (found.length === 0) return [];
+
+  const byHandle = await findUsersByHandles(
+    [...new Set(found.map(mention => mention.handle))],
+    'handle blockedUsers'
+  );
+
+  return found
+    .filter(mention => {
+      const user = byHandle.get(mention.handle);
+      return user && !author.hasBlocked(user._id) && !user.hasBlocked(author._id);
+    })
+    .map(mention => ({ ...mention, user: byHandle.get(mention.handle)._id }));
+};
+
+// Notificar os mencionados (uma vez por usuário). `previous` são as menções
+// antes de uma edição - quem já estava mencionado não é notificado de novo.
+// Em posts de conta privada só são notificados os seguidores do dono do post.
+const notifyMentions = async (mentions, fromUser, { post, comment = null, previous = [] }) => {
+  const already = new Set(previous.map(mention => mention.user.toString()));
+  already.add(fromUser._id.toString());
+
+  const recipients = [...new Set(mentions.map(mention => mention.user.toString()))]
+    .filter(userId => !already.has(userId));
+  if (recipients.length === 0) return [];
+
+  const owner = post.author.equals(fromUser._id)
+    ? fromUser
+    : await User.findById(post.author).select('isPrivate followers');
+  if (!owner) return [];
+
+  const visible = owner.isPrivate
+    ? recipients.filter(userId => owner._id.equals(userId) || owner.followers.some(id => id.equals(userId)))
+    : recipients;
+
+  return Promise.all(visible.map(userId => notifyMention(userId, fromUser, { post, comment })));
+};
+
+module.exports = {
+  parseMentions,
+  resolveMentions,
+  notifyMentions
+};
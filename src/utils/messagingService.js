@@ -0,0 +1,313 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { emitToUser, emitToUsers, onConnection } = require('./socketService');
+const { isBlockedBetween } = require('./visibilityService');
+
+// ========================================
+// 💬 RockRider - Mensagens diretas
+// ========================================
+//
+// Eventos emitidos na sala user:<id>:
+//   dm:message  - nova mensagem em conversa ativa
+//   dm:request  - nova mensagem em pedido de mensagem (caixa de pedidos)
+//   dm:read     - participante leu a conversa (confirmação de leitura)
+//   dm:typing   - participante está digitando
+//   dm:deleted  - mensagem apagada pelo remetente
+//
+// Eventos recebidos do cliente:
+//   dm:typing { conversationId }
+
+const PREVIEW_LENGTH = 100;
+
+class MessagingError extends Error {
+  constructor(message, status = 400, code = 'MESSAGE_NOT_ALLOWED') {
+    super(message);
+    this.name = 'MessagingError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const displayUser = (user) => ({
+  _id: user._id,
+  name: user.name,
+  handle: user.handle,
+  artistName: user.artistName,
+  avatar: user.avatar
+});
+
+// Verificar se o remetente pode escrever para o destinatário.
+// Retorna o status inicial do destinatário na conversa: 'active' ou 'request'.
+const resolveRecipientStatus = (sender, recipient) => {
+  if (!recipient || !recipient.isActive || recipient.isRestricted()) {
+    throw new MessagingError('Usuário não encontrado', 404, 'USER_NOT_FOUND');
+  }
+
+  if (isBlockedBetween(sender, recipient)) {
+    throw new MessagingError('Não é possível enviar mensagens para este usuário', 403, 'USER_BLOCKED');
+  }
+
+  const followsSender = recipient.isFollowing(sender._id);
+
+  if (recipient.dmPolicy === 'following' && !followsSender) {
+    throw new MessagingError(
+      `${recipient.artistName || recipient.name} só recebe mensagens de quem segue`,
+      403,
+      'DM_NOT_ALLOWED'
+    );
+  }
+
+  // Fãs que o artista não segue de volta caem na caixa de pedidos
+  return recipient.userType === 'artist' && !followsSender ? 'request' : 'active';
+};
+
+// Criar conversa (ou reaproveitar a conversa 1:1 existente) e enviar a primeira mensagem
+const startConversation = async (senderId, participantIds, { text, title = null }) => {
+  const recipientIds = [...new Set(participantIds.map(id => id.toString()))]
+    .filter(id => id !== senderId.toString());
+
+  if (recipientIds.length === 0) {
+    throw new MessagingError('Informe ao menos um destinatário', 400, 'INVALID_PARTICIPANTS');
+  }
+  if (recipientIds.length + 1 > Conversation.MAX_PARTICIPANTS) {
+    throw new MessagingError(`Conversa deve ter no máximo ${Conversation.MAX_PARTICIPANTS} participantes`, 400, 'INVALID_PARTICIPANTS');
+  }
+
+  const [sender, recipients] = await Promise.all([
+    User.findById(senderId),
+    User.find({ _id: { $in: recipientIds } })
+  ]);
+
+  if (recipients.length !== recipientIds.length) {
+    throw new MessagingError('Usuário não encontrado', 404, 'USER_NOT_FOUND');
+  }
+
+  const statuses = new Map(recipients.map(recipient => [
+    recipient._id.toString(),
+    resolveRecipientStatus(sender, recipient)
+  ]));
+
+  const isGroup = recipientIds.length > 1;
+  let conversation = null;
+
+  if (!isGroup) {
+    conversation = await Conversation.findOne({
+      directKey: Conversation.directKeyFor(senderId, recipientIds[0])
+    });
+  }
+
+  if (!conversation) {
+    conversation = new Conversation({
+      isGroup,
+      title: isGroup ? title : null,
+      createdBy: senderId,
+      directKey: isGroup ? null : Conversation.directKeyFor(senderId, recipientIds[0]),
+      members: [
+        { user: senderId, status: 'active', lastReadAt: new Date() },
+        ...recipientIds.map(id => ({ user: id, status: statuses.get(id) }))
+      ]
+    });
+
+    try {
+      await conversation.save();
+    } catch (error) {
+      // Outra requisição criou a mesma conversa 1:1 ao mesmo tempo
+      if (error.code !== 11000) throw error;
+      conversation = await Conversation.findOne({
+        directKey: Conversation.directKeyFor(senderId, recipientIds[0])
+      });
+    }
+  }
+
+  const message = await sendMessage(conversation, sender, text);
+  return { conversation, message };
+};
+
+// Enviar mensagem em uma conversa existente
+const sendMessage = async (conversation, sender, text) => {
+  const member = conversation.getMember(sender._id);
+  if (!member || member.status === 'left') {
+    throw new MessagingError('Conversa não encontrada', 404, 'CONVERSATION_NOT_FOUND');
+  }
+
+  const otherIds = conversation.otherMemberIds(sender._id);
+
+  if (!conversation.isGroup) {
+    const other = conversation.getMember(otherIds[0]);
+    if (other.status === 'declined') {
+      throw new MessagingError('Este usuário recusou seu pedido de mensagem', 403, 'REQUEST_DECLINED');
+    }
+
+    // Bloqueios e dmPolicy valem também para conversas já existentes
+    resolveRecipientStatus(sender, await User.findById(otherIds[0]));
+  }
+
+  // Responder a um pedido de mensagem equivale a aceitá-lo
+  if (member.status !== 'active') {
+    member.status = 'active';
+    await Conversation.updateOne(
+      { _id: conversation._id, 'members.user': sender._id },
+      { $set: { 'members.$.status': 'active' } }
+    );
+  }
+
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: sender._id,
+    text
+  });
+
+  const preview = text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH - 1)}…` : text;
+
+  // Atualização atômica: várias mensagens podem chegar ao mesmo tempo
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    {
+      $set: {
+        lastMessage: { text: preview, sender: sender._id, createdAt: message.createdAt },
+        lastMessageAt: message.createdAt,
+        'members.$[self].lastReadAt': message.createdAt,
+        'members.$[self].unreadCount': 0
+      },
+      $inc: { 'members.$[other].unreadCount': 1 }
+    },
+    {
+      arrayFilters: [
+        { 'self.user': sender._id },
+        {
+          'other.user': { $in: otherIds.map(id => new mongoose.Types.ObjectId(id)) },
+          'other.status': { $in: ['active', 'request'] }
+        }
+      ]
+    }
+  );
+
+  const payload = {
+    conversationId: conversation._id,
+    message: message.toPublicJSON(),
+    sender: displayUser(sender)
+  };
+
+  const activeIds = otherIds.filter(id => conversation.getMember(id).status === 'active');
+  const requestIds = otherIds.filter(id => conversation.getMember(id).status === 'request');
+
+  emitToUsers(activeIds, 'dm:message', payload);
+  emitToUsers(requestIds, 'dm:request', payload);
+  // Outros dispositivos do remetente
+  emitToUser(sender._id.toString(), 'dm:message', payload);
+
+  return message;
+};
+
+// Marcar conversa como lida e avisar os demais participantes
+const markRead = async (conversation, userId) => {
+  const readAt = new Date();
+
+  await Conversation.updateOne(
+    { _id: conversation._id, 'members.user': userId },
+    { $set: { 'members.$.lastReadAt': readAt, 'members.$.unreadCount': 0 } }
+  );
+
+  emitToUsers(conversation.otherMemberIds(userId), 'dm:read', {
+    conversationId: conversation._id,
+    userId,
+    readAt
+  });
+
+  return readAt;
+};
+
+// Responder a um pedido de mensagem
+const respondToRequest = async (conversation, userId, accept) => {
+  const member = conversation.getMember(userId);
+  if (!member || member.status !== 'request') {
+    throw new MessagingError('Pedido de mensagem não encontrado', 404, 'REQUEST_NOT_FOUND');
+  }
+
+  member.status = accept ? 'active' : 'declined';
+  if (!accept) member.unreadCount = 0;
+  await conversation.save();
+
+  return conversation;
+};
+
+// Total de mensagens não lidas e pedidos pendentes do usuário
+const getUnreadSummary = async (userId) => {
+  const [summary] = await Conversation.aggregate([
+    { $match: { 'members.user': new mongoose.Types.ObjectId(userId) } },
+    { $unwind: '$members' },
+    { $match: { 'members.user': new mongoose.Types.ObjectId(userId) } },
+    {
+      $group: {
+        _id: null,
+        unreadMessages: {
+          $sum: { $cond: [{ $eq: ['$members.status', 'active'] }, '$members.unreadCount', 0] }
+        },
+        unreadConversations: {
+          $sum: {
+            $cond: [
+              { $and: [{ $eq: ['$members.status', 'active'] }, { $gt: ['$members.unreadCount', 0] }] },
+              1,
+              0
+            ]
+          }
+        },
+        pendingRequests: {
+          $sum: { $cond: [{ $eq: ['$members.status', 'request'] }, 1, 0] }
+        }
+      }
+    }
+  ]);
+
+  return {
+    unreadMessages: summary?.unreadMessages || 0,
+    unreadConversations: summary?.unreadConversations || 0,
+    pendingRequests: summary?.pendingRequests || 0
+  };
+};
+
+// Indicador de "digitando" em tempo real
+onConnection((socket) => {
+  socket.on('dm:typing', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const conversationId = data?.conversationId;
+
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+      return reply({ ok: false, error: 'ID inválido' });
+    }
+
+    try {
+      const { userId } = socket.data;
+      const conversation = await Conversation.findOne({
+        _id: conversationId,
+        members: { $elemMatch: { user: userId, status: 'active' } }
+      }).select('members');
+
+      if (!conversation) {
+        return reply({ ok: false, error: 'Conversa não encontrada' });
+      }
+
+      // Pedidos pendentes não veem o indicador
+      const recipientIds = conversation.members
+        .filter(member => member.status === 'active' && member.user.toString() !== userId)
+        .map(member => member.user.toString());
+
+      emitToUsers(recipientIds, 'dm:typing', { conversationId, userId });
+      reply({ ok: true });
+    } catch (error) {
+      console.error('❌ Erro no evento dm:typing:', error.message);
+      reply({ ok: false, error: 'Erro interno do servidor' });
+    }
+  });
+});
+
+module.exports = {
+  MessagingError,
+  startConversation,
+  sendMessage,
+  markRead,
+  respondToRequest,
+  getUnreadSummary
+};
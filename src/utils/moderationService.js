@@ -0,0 +1,170 @@
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Report = require('../models/Report');
+const AuditLog = require('../models/AuditLog');
+const { PERMISSIONS } = require('../config/permissions');
+const { notifyEvent, notifySystem } = require('./notificationService');
+const { restrictAccount } = require('./accountStatusService');
+const { removeComment } = require('./interactionService');
+
+const { ACTIONS } = Report;
+
+// Permissão necessária para cada ação de moderação
+const ACTION_PERMISSIONS = {
+  [ACTIONS.NONE]: PERMISSIONS.REPORTS_REVIEW,
+  [ACTIONS.HIDE_POST]: PERMISSIONS.POSTS_MODERATE,
+  [ACTIONS.REMOVE_COMMENT]: PERMISSIONS.COMMENTS_MODERATE,
+  [ACTIONS.CANCEL_EVENT]: PERMISSIONS.EVENTS_MODERATE,
+  [ACTIONS.SUSPEND_USER]: PERMISSIONS.USERS_SUSPEND
+};
+
+// Tipo de conteúdo ao qual cada ação se aplica (suspensão vale para qualquer um)
+const ACTION_TARGETS = {
+  [ACTIONS.HIDE_POST]: 'post',
+  [ACTIONS.REMOVE_COMMENT]: 'comment',
+  [ACTIONS.CANCEL_EVENT]: 'event'
+};
+
+// Mensagens enviadas ao denunciante com o resultado
+const OUTCOME_MESSAGES = {
+  [ACTIONS.NONE]: 'Analisamos sua denúncia e não encontramos violação das regras da comunidade.',
+  [ACTIONS.HIDE_POST]: 'Analisamos sua denúncia e o post foi removido.',
+  [ACTIONS.REMOVE_COMMENT]: 'Analisamos sua denúncia e o comentário foi removido.',
+  [ACTIONS.CANCEL_EVENT]: 'Analisamos sua denúncia e o evento foi cancelado.',
+  [ACTIONS.SUSPEND_USER]: 'Analisamos sua denúncia e a conta responsável foi suspensa.'
+};
+
+// Carregar o conteúdo denunciado e o respectivo autor
+const loadTarget = async (targetType, targetId, postId = null) => {
+  switch (targetType) {
+    case 'post': {
+      const post = await Post.findById(targetId);
+      return post ? { target: post, owner: post.author } : null;
+    }
+    case 'comment': {
+      const comment = await Comment.findById(targetId);
+      if (!comment || (postId && !comment.post.equals(postId))) return null;
+
+      const post = await Post.findById(comment.post);
+      return post ? { target: comment, post, owner: comment.user } : null;
+    }
+    case 'event': {
+      const event = await Event.findById(targetId);
+      return event ? { target: event, owner: event.artist } : null;
+    }
+    case 'user': {
+      const user = await User.findById(targetId);
+      return user ? { target: user, owner: user._id } : null;
+    }
+    default:
+      return null;
+  }
+};
+
+// Verificar se a ação pode ser aplicada ao tipo de conteúdo denunciado
+const isActionApplicable = (action, targetType) => {
+  const expected = ACTION_TARGETS[action];
+  return !expected || expected === targetType;
+};
+
+// Duração padrão da suspensão aplicada a partir de uma denúncia
+const DEFAULT_SUSPENSION_HOURS = 7 * 24;
+
+// Executar a ação de moderação sobre o conteúdo
+const applyAction = async (req, action, report, loaded, options) => {
+  switch (action) {
+    case ACTIONS.HIDE_POST: {
+      const post = loaded.target;
+      const before = { isActive: post.isActive };
+      post.isActive = false;
+      await post.save();
+      return { targetType: 'post', targetId: post._id, before, after: { isActive: false } };
+    }
+    case ACTIONS.REMOVE_COMMENT: {
+      const comment = loaded.target;
+      const before = { text: comment.text, user: comment.user, post: loaded.post._id };
+      await removeComment(comment);
+      return { targetType: 'comment', targetId: comment._id, before, after: null };
+    }
+    case ACTIONS.CANCEL_EVENT: {
+      const event = loaded.target;
+      const before = { status: event.status };
+      event.status = 'cancelled';
+      await event.save();
+      await notifyEvent(event, 'cancelled', event.attendees.map(a => a.user));
+      return { targetType: 'event', targetId: event._id, before, after: { status: 'cancelled' } };
+    }
+    case ACTIONS.SUSPEND_USER: {
+      const hours = options.durationHours || DEFAULT_SUSPENSION_HOURS;
+      const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+      await restrictAccount(req, loaded.owner, {
+        status: 'suspended',
+        reason: options.note || `Denúncia: ${report.reason}`,
+        expiresAt
+      });
+      return { targetType: 'user', targetId: loaded.owner, before: null, after: { accountStatus: 'suspended', expiresAt } };
+    }
+    default:
+      return { targetType: report.targetType, targetId: report.targetId, before: null, after: null };
+  }
+};
+
+// Resolver denúncia: aplica a ação, fecha todas as denúncias pendentes do
+// mesmo conteúdo, registra na auditoria e avisa os denunciantes
+const resolveReport = async (req, report, { action, note = '', durationHours = null }) => {
+  const loaded = await loadTarget(report.targetType, report.targetId, report.post);
+  if (!loaded && action !== ACTIONS.NONE) {
+    return { failure: { status: 404, error: 'Conteúdo denunciado não encontrado', code: 'TARGET_NOT_FOUND' } };
+  }
+
+  const changes = await applyAction(req, action, report, loaded, { note, durationHours });
+
+  const reports = await Report.findPendingForTarget(report.targetType, report.targetId);
+  if (!reports.some(r => r._id.equals(report._id))) {
+    reports.push(report);
+  }
+
+  const resolution = {
+    action,
+    moderator: req.user.userId,
+    note,
+    resolvedAt: new Date()
+  };
+  const status = action === ACTIONS.NONE ? 'dismissed' : 'resolved';
+
+  await Report.updateMany(
+    { _id: { $in: reports.map(r => r._id) }, status: 'pending' },
+    { $set: { status, resolution } }
+  );
+
+  await AuditLog.record(req, {
+    action: `moderation.${action}`,
+    targetType: changes.targetType,
+    targetId: changes.targetId,
+    before: changes.before,
+    after: { ...(changes.after || {}), reports: reports.map(r => r._id) },
+    reason: note
+  });
+
+  // Avisar cada denunciante (uma vez) sobre o resultado
+  const reporterIds = [...new Set(reports.map(r => r.reporter.toString()))];
+  await Promise.all(reporterIds.map(reporterId => notifySystem(
+    reporterId,
+    'Denúncia analisada',
+    OUTCOME_MESSAGES[action],
+    { extra: { reportId: report._id, targetType: report.targetType, action } }
+  )));
+
+  console.log(`🛡️ Denúncia ${report._id} ${status}: ${action} por ${req.user.userId} (${reports.length} denúncias fechadas)`);
+
+  return { status, resolution, resolvedCount: reports.length };
+};
+
+module.exports = {
+  ACTION_PERMISSIONS,
+  loadTarget,
+  isActionApplicable,
+  resolveReport
+};
@@ -0,0 +1,255 @@
+const Notification = require('../models/Notification');
+const { NotificationConfig } = require('../config/notificationConfig');
+const { emitToUser } = require('./socketService');
+
+const { TYPES, PRIORITIES, STATUS, TEMPLATES } = NotificationConfig;
+
+// Limites de tamanho definidos no schema
+const MAX_TITLE_LENGTH = 100;
+const MAX_MESSAGE_LENGTH = 500;
+
+const truncate = (text, max) => {
+  if (!text) return '';
+  return text.length > max ? `${text.substring(0, max - 3)}...` : text;
+};
+
+// Nome exibido nas notificações (artistas aparecem pelo nome artístico)
+const displayUser = (user) => ({
+  ...(user.toObject ? user.toObject() : user),
+  name: user.artistName || user.name
+});
+
+const sameId = (a, b) => a && b && a.toString() === b.toString();
+
+// Criar notificação aplicando ícone, cor e som do template do tipo
+const createNotification = async ({ recipient, sender = null, type, priority, title, message, data = {} }) => {
+  try {
+    const template = TEMPLATES[type] || TEMPLATES[TYPES.SYSTEM];
+
+    const notification = await Notification.create({
+      recipient,
+      sender,
+      type,
+      priority: priority || PRIORITIES.NORMAL,
+      status: STATUS.SENT,
+      title: truncate(title, MAX_TITLE_LENGTH),
+      message: truncate(message, MAX_MESSAGE_LENGTH),
+      icon: template.icon,
+      color: template.color,
+      sound: template.sound,
+      data
+    });
+
+    console.log(`🔔 Notificação criada: ${type} -> ${recipient}`);
+    emitToUser(recipient, 'notification:new', { notification: notification.toObject() });
+    return notification;
+
+  } catch (error) {
+    // Notificações não são críticas - não interromper a ação principal
+    console.error('❌ Erro ao criar notificação:', error.message);
+    return null;
+  }
+};
+
+// Curtida em post
+const notifyLike = async (post, fromUser) => {
+  if (sameId(post.author?._id || post.author, fromUser._id)) return null;
+
+  const recipient = post.author?._id || post.author;
+  const user = displayUser(fromUser);
+
+  // Evitar notificações repetidas ao curtir/descurtir o mesmo post
+  try {
+    const existing = await Notification.findOne({
+      recipient,
+      sender: fromUser._id,
+      type: TYPES.LIKE,
+      'data.post': post._id
+    });
+    if (existing) return existing;
+  } catch (error) {
+    console.error('❌ Erro ao verificar notificação de curtida:', error.message);
+    return null;
+  }
+
+  return createNotification({
+    recipient,
+    sender: fromUser._id,
+    type: TYPES.LIKE,
+    title: TEMPLATES[TYPES.LIKE].title(user),
+    message: TEMPLATES[TYPES.LIKE].message(user, post),
+    data: { post: post._id }
+  });
+};
+
+// Comentário em post
+const notifyComment = async (post, fromUser, comment) => {
+  if (sameId(post.author?._id || post.author, fromUser._id)) return null;
+
+  const user = displayUser(fromUser);
+
+  return createNotification({
+    recipient: post.author?._id || post.author,
+    sender: fromUser._id,
+    type: TYPES.COMMENT,
+    title: TEMPLATES[TYPES.COMMENT].title(user),
+    message: TEMPLATES[TYPES.COMMENT].message(user, post, comment.text),
+    data: { post: post._id, comment: comment._id }
+  });
+};
+
+// Menção (@handle) em post ou comentário
+const notifyMention = async (recipientId, fromUser, { post, comment = null }) => {
+  if (sameId(recipientId, fromUser._id)) return null;
+
+  const user = displayUser(fromUser);
+
+  return createNotification({
+    recipient: recipientId,
+    sender: fromUser._id,
+    type: TYPES.MENTION,
+    title: TEMPLATES[TYPES.MENTION].title(user),
+    message: TEMPLATES[TYPES.MENTION].message(user, post, comment ? comment.text : null),
+    data: { post: post._id, comment: comment ? comment._id : null }
+  });
+};
+
+// Repost ou quote de um post (data.extra.repost = post que compartilhou)
+const notifyShare = async (original, fromUser, repost) => {
+  if (sameId(original.author?._id || original.author, fromUser._id)) return null;
+
+  const recipient = original.author?._id || original.author;
+  const user = displayUser(fromUser);
+  const quote = repost.type === 'quote' ? repost.content : null;
+
+  // Evitar notificações repetidas ao desfazer/refazer o mesmo repost
+  if (!quote) {
+    try {
+      const existing = await Notification.findOne({
+        recipient,
+        sender: fromUser._id,
+        type: TYPES.SHARE,
+        'data.post': original._id,
+        'data.extra.quote': false
+      });
+      if (existing) return existing;
+    } catch (error) {
+      console.error('❌ Erro ao verificar notificação de repost:', error.message);
+      return null;
+    }
+  }
+
+  return createNotification({
+    recipient,
+    sender: fromUser._id,
+    type: TYPES.SHARE,
+    title: TEMPLATES[TYPES.SHARE].title(user),
+    message: TEMPLATES[TYPES.SHARE].message(user, original, quote),
+    data: { post: original._id, extra: { repost: repost._id, quote: Boolean(quote) } }
+  });
+};
+
+// Novo seguidor
+const notifyFollow = async (targetUserId, fromUser) => {
+  const user = displayUser(fromUser);
+
+  return createNotification({
+    recipient: targetUserId,
+    sender: fromUser._id,
+    type: TYPES.FOLLOW,
+    title: TEMPLATES[TYPES.FOLLOW].title(user),
+    message: TEMPLATES[TYPES.FOLLOW].message(user),
+    data: {}
+  });
+};
+
+// Pedido para seguir conta privada
+const notifyFollowRequest = async (targetUserId, fromUser) => {
+  const user = displayUser(fromUser);
+
+  return createNotification({
+    recipient: targetUserId,
+    sender: fromUser._id,
+    type: TYPES.FOLLOW_REQUEST,
+    title: TEMPLATES[TYPES.FOLLOW_REQUEST].title(user),
+    message: TEMPLATES[TYPES.FOLLOW_REQUEST].message(user),
+    data: {}
+  });
+};
+
+// Pedido para seguir aceito (avisa quem pediu)
+const notifyFollowAccepted = async (requesterId, targetUser) => {
+  const user = displayUser(targetUser);
+
+  return createNotification({
+    recipient: requesterId,
+    sender: targetUser._id,
+    type: TYPES.FOLLOW_ACCEPTED,
+    title: TEMPLATES[TYPES.FOLLOW_ACCEPTED].title(user),
+    message: TEMPLATES[TYPES.FOLLOW_ACCEPTED].message(user),
+    data: {}
+  });
+};
+
+// Novidades de evento (new, reminder, update, cancelled)
+const notifyEvent = async (event, kind, recipientIds = []) => {
+  const artistId = event.artist?._id || event.artist;
+  const recipients = [...new Set(recipientIds.map(id => id.toString()))]
+    .filter(id => !sameId(id, artistId));
+
+  if (recipients.length === 0) return [];
+
+  const template = TEMPLATES[TYPES.EVENT];
+  const priority = kind === 'cancelled' ? PRIORITIES.HIGH : PRIORITIES.NORMAL;
+
+  try {
+    const notifications = await Notification.insertMany(recipients.map(recipient => ({
+      recipient,
+      sender: artistId,
+      type: TYPES.EVENT,
+      priority,
+      status: STATUS.SENT,
+      title: truncate(template.title(event), MAX_TITLE_LENGTH),
+      message: truncate(template.message(event, kind), MAX_MESSAGE_LENGTH),
+      icon: template.icon,
+      color: template.color,
+      sound: template.sound,
+      data: { event: event._id, extra: { kind } }
+    })));
+
+    console.log(`🔔 ${notifications.length} notificações de evento (${kind}): ${event._id}`);
+    notifications.forEach(notification => {
+      emitToUser(notification.recipient, 'notification:new', { notification: notification.toObject() });
+    });
+    return notifications;
+
+  } catch (error) {
+    console.error('❌ Erro ao criar notificações de evento:', error.message);
+    return [];
+  }
+};
+
+// Notificação do sistema (moderação, avisos, etc.)
+const notifySystem = async (recipientId, title, message, data = {}, priority = PRIORITIES.NORMAL) => {
+  return createNotification({
+    recipient: recipientId,
+    type: TYPES.SYSTEM,
+    priority,
+    title: TEMPLATES[TYPES.SYSTEM].title(title),
+    message: TEMPLATES[TYPES.SYSTEM].message(message),
+    data
+  });
+};
+
+module.exports = {
+  createNotification,
+  notifyLike,
+  notifyComment,
+  notifyMention,
+  notifyShare,
+  notifyFollow,
+  notifyFollowRequest,
+  notifyFollowAccepted,
+  notifyEvent,
+  notifySystem
+};
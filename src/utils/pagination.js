@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// 📄 RockRider - Paginação por cursor
+// ========================================
+//
+// Todas as listas aceitam ?cursor= (recomendado) ou ?page= (compatibilidade).
+// O cursor é opaco para o cliente: guarda os valores da ordenação do último
+// item (ex: createdAt + _id), então novos itens no topo não duplicam nem
+// pulam resultados e páginas profundas não usam skip.
+//
+// Resposta: pagination { page, limit, hasNext, nextCursor }
+// (page é null quando a requisição usou cursor)
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class PaginationError extends Error {
+  constructor(message = 'Cursor de paginação inválido', code = 'INVALID_CURSOR') {
+    super(message);
+    this.name = 'PaginationError';
+    this.status = 400;
+    this.code = code;
+  }
+}
+
+// Datas e ObjectIds precisam voltar com o tipo original para a comparação
+const encodeValue = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+  return value === undefined ? null : value;
+};
+
+const decodeValue = (value) => {
+  if (value === null || typeof value !== 'object') return value;
+  if (typeof value.d === 'string' && !Number.isNaN(Date.parse(value.d))) return new Date(value.d);
+  if (typeof value.o === 'string' && mongoose.Types.ObjectId.isValid(value.o)) {
+    return new mongoose.Types.ObjectId(value.o);
+  }
+  throw new PaginationError();
+};
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || typeof payload !== 'object') throw new PaginationError();
+    return payload;
+  } catch (error) {
+    throw new PaginationError();
+  }
+};
+
+// Ler cursor/page/limit da query string
+const getPagination = (query = {}, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) => {
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+
+  if (query.cursor) {
+    return { cursor: decodeCursor(query.cursor), page: null, limit, skip: 0 };
+  }
+
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  return { cursor: null, page, limit, skip: (page - 1) * limit };
+};
+
+// Ordenação com _id como desempate (mesma direção do último campo)
+const withTiebreaker = (sort) => {
+  const entries = Object.entries(sort).filter(([field]) => field !== '_id');
+  const lastDirection = entries.length ? entries[entries.length - 1][1] : -1;
+  return Object.fromEntries([...entries, ['_id', sort._id || lastDirection]]);
+};
+
+const getField = (doc, path) => {
+  const value = typeof doc.get === 'function'
+    ? doc.get(path)
+    : path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), doc);
+  // Campo populado: comparar pelo _id
+  return value && value._id && !(value instanceof mongoose.Types.ObjectId) ? value._id : value;
+};
+
+// Condição "depois do valor" na direção da ordenação. null ordena antes de
+// qualquer valor no MongoDB, então entra no fim das listas decrescentes.
+const beyond = (field, direction, value) => {
+  if (direction === -1) {
+    if (value === null) return null;
+    if (field === '_id') return { _id: { $lt: value } };
+    return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+  }
+  if (value === null) return { [field]: { $ne: null } };
+  return { [field]: { $gt: value } };
+};
+
+// Filtro keyset: (a < x) OU (a = x E b < y) OU ...
+const cursorFilter = (sort, cursor) => {
+  const fields = Object.keys(sort);
+
+  if (!Array.isArray(cursor.k) || cursor.s !== fields.join(',') || cursor.k.length !== fields.length) {
+    throw new PaginationError();
+  }
+
+  const values = cursor.k.map(decodeValue);
+
+  const branches = fields
+    .map((field, i) => {
+      const after = beyond(field, sort[field], values[i]);
+      if (!after) return null;
+
+      const equals = fields.slice(0, i).map((previous, j) => ({ [previous]: values[j] }));
+      return equals.length ? { $and: [...equals, after] } : after;
+    })
+    .filter(Boolean);
+
+  // Cursor no último item possível: nada depois dele
+  return branches.length ? { $or: branches } : { _id: { $exists: false } };
+};
+
+const makeCursor = (doc, sort) => {
+  const fields = Object.keys(sort);
+  return encodeCursor({
+    s: fields.join(','),
+    k: fields.map(field => encodeValue(getField(doc, field)))
+  });
+};
+
+// Executar consulta paginada (query do Mongoose com filtros/populates já aplicados)
+const paginate = async (query, { sort, pagination }) => {
+  const fullSort = withTiebreaker(sort);
+
+  if (pagination.cursor) {
+    query.and([cursorFilter(fullSort, pagination.cursor)]);
+  }
+
+  const docs = await query
+    .sort(fullSort)
+    .skip(pagination.skip)
+    .limit(pagination.limit + 1);
+
+  const hasNext = docs.length > pagination.limit;
+  const items = hasNext ? docs.slice(0, pagination.limit) : docs;
+
+  return {
+    items,
+    pagination: {
+      page: pagination.page,
+      limit: pagination.limit,
+      hasNext,
+      nextCursor: hasNext ? makeCursor(items[items.length - 1], fullSort) : null
+    }
+  };
+};
+
+// Paginar lista já carregada em memória (arrays embutidos: seguidores,
+// participantes, itens de coleção). O cursor guarda a posição.
+const paginateArray = (list, pagination) => {
+  let offset = pagination.skip;
+
+  if (pagination.cursor) {
+    offset = pagination.cursor.o;
+    if (!Number.isInteger(offset) || offset < 0) throw new PaginationError();
+  }
+
+  const items = list.slice(offset, offset + pagination.limit);
+  const hasNext = offset + items.length < list.length;
+
+  return {
+    items,
+    offset,
+    pagination: {
+      page: pagination.page,
+      limit: pagination.limit,
+      hasNext,
+      nextCursor: hasNext ? encodeCursor({ o: offset + items.length }) : null
+    }
+  };
+};
+
+module.exports = {
+  PaginationError,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  getPagination,
+  paginate,
+  paginateArray,
+  encodeCursor,
+  decodeCursor
+};
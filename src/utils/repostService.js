@@ -0,0 +1,185 @@
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { notifyShare } = require('./notificationService');
+const { fanOutPost, removePost } = require('./timelineService');
+const { resolveMentions, notifyMentions } = require('./mentionService');
+
+// ========================================
+// 🔁 RockRider - Reposts e quotes
+// ========================================
+//
+// Repost: post do tipo 'repost' sem texto, apontando para o original
+// (repostOf). Quote: post do tipo 'quote' com texto próprio + original.
+// O original guarda os totais (repostsCount/quotesCount) via $inc.
+//
+// Repostar um repost compartilha o original. Original apagado ou oculto
+// volta como null no populate: quotes continuam visíveis com
+// originalUnavailable = true; reposts simples somem dos feeds.
+
+class RepostError extends Error {
+  constructor(message, status = 400, code = 'REPOST_NOT_ALLOWED') {
+    super(message);
+    this.name = 'RepostError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const counterFor = (type) => (type === 'quote' ? 'quotesCount' : 'repostsCount');
+
+// Carregar o post a ser compartilhado (repost de repost -> original)
+const loadOriginal = async (postId) => {
+  let post = await Post.findOne({ _id: postId, isActive: true, authorSuspended: { $ne: true } });
+  if (post && post.type === 'repost') {
+    post = post.repostOf
+      ? await Post.findOne({ _id: post.repostOf, isActive: true, authorSuspended: { $ne: true } })
+      : null;
+  }
+  if (!post) {
+    throw new RepostError('Post não encontrado', 404, 'POST_NOT_FOUND');
+  }
+  return post;
+};
+
+// Repostar (sem content) ou citar (com content) um post
+const createRepost = async (user, postId, content = '') => {
+  const original = await loadOriginal(postId);
+  const author = await User.findById(original.author).select('isPrivate blockedUsers');
+
+  // Quem não pode ver o post (bloqueio ou conta privada que não segue) recebe 404
+  if (!author || user.hasBlocked(author._id) || author.hasBlocked(user._id) || !author.canBeSeenBy(user)) {
+    throw new RepostError('Post não encontrado', 404, 'POST_NOT_FOUND');
+  }
+  // Posts de conta privada não podem ser espalhados (exceto pelo próprio autor)
+  if (author.isPrivate && !author._id.equals(user._id)) {
+    throw new RepostError('Posts de contas privadas não podem ser compartilhados', 403, 'PRIVATE_POST');
+  }
+
+  const type = content ? 'quote' : 'repost';
+  let post;
+  try {
+    post = await Post.create({
+      author: user._id,
+      type,
+      content,
+      repostOf: original._id,
+      mentions: await resolveMentions(content, user)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new RepostError('Você já repostou este post', 409, 'ALREADY_REPOSTED');
+    }
+    throw error;
+  }
+
+  const [updated] = await Promise.all([
+    Post.findByIdAndUpdate(original._id, { $inc: { [counterFor(type)]: 1 } }, { new: true })
+      .select('repostsCount quotesCount'),
+    User.findByIdAndUpdate(user._id, { $inc: { totalPosts: 1 } }),
+    fanOutPost(post)
+  ]);
+
+  Promise.all([
+    notifyShare(original, user, post),
+    notifyMentions(post.mentions, user, { post })
+  ]).catch(error => {
+    console.error('❌ Erro ao notificar repost:', error.message);
+  });
+
+  return {
+    post,
+    original,
+    repostsCount: updated ? updated.repostsCount : 0,
+    quotesCount: updated ? updated.quotesCount : 0
+  };
+};
+
+// Original perdeu um repost/quote (post apagado): decrementar o total
+const onRepostDeleted = (post) => {
+  if (!post.repostOf || (post.type !== 'repost' && post.type !== 'quote')) return null;
+
+  const counter = counterFor(post.type);
+  return Post.updateOne(
+    { _id: post.repostOf, [counter]: { $gt: 0 } },
+    { $inc: { [counter]: -1 } }
+  );
+};
+
+// Desfazer o repost simples do usuário (quotes são apagados como posts comuns)
+const undoRepost = async (userId, postId) => {
+  const target = await Post.findById(postId).select('type repostOf');
+  const originalId = target && target.type === 'repost' ? target.repostOf : postId;
+
+  const repost = await Post.findOneAndDelete({ author: userId, repostOf: originalId, type: 'repost' });
+  if (!repost) {
+    throw new RepostError('Você não repostou este post', 404, 'NOT_REPOSTED');
+  }
+
+  await Promise.all([
+    onRepostDeleted(repost),
+    removePost(repost._id),
+    User.findByIdAndUpdate(userId, { $inc: { totalPosts: -1 } })
+  ]);
+
+  const original = await Post.findById(originalId).select('repostsCount quotesCount');
+  return {
+    originalId,
+    repostsCount: original ? original.repostsCount : 0,
+    quotesCount: original ? original.quotesCount : 0
+  };
+};
+
+// Esconder o original de quem não pode vê-lo (bloqueio, silêncio ou conta
+// privada que o visualizador não segue). Recebe posts já em objeto simples.
+const maskOriginals = (postObjs, viewer, hiddenIds = []) => {
+  const hidden = new Set(hiddenIds.map(id => id.toString()));
+
+  postObjs.forEach(post => {
+    const author = post.repostOf?.author;
+    if (!author) return;
+
+    const authorId = author._id || author;
+    const canSee = !author.isPrivate
+      || (viewer && (authorId.equals(viewer._id) || viewer.isFollowing(authorId)));
+
+    if (hidden.has(authorId.toString()) || !canSee) {
+      post.repostOf = null;
+      post.originalUnavailable = true;
+    }
+  });
+  return postObjs;
+};
+
+// Juntar reposts do mesmo original: o primeiro da página fica, com a lista de
+// quem repostou em repostedBy. Reposts sem original disponível são removidos.
+const collapseReposts = (postObjs) => {
+  const byOriginal = new Map();
+  const result = [];
+
+  postObjs.forEach(post => {
+    const isRepost = post.type === 'repost';
+    if (isRepost && !post.repostOf) return;
+
+    const key = (isRepost ? post.repostOf._id : post._id).toString();
+    const existing = byOriginal.get(key);
+
+    if (existing) {
+      if (isRepost && existing.repostedBy) existing.repostedBy.push(post.author);
+      return;
+    }
+
+    if (isRepost) post.repostedBy = [post.author];
+    byOriginal.set(key, post);
+    result.push(post);
+  });
+  return result;
+};
+
+module.exports = {
+  RepostError,
+  createRepost,
+  undoRepost,
+  onRepostDeleted,
+  maskOriginals,
+  collapseReposts
+};
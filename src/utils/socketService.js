@@ -0,0 +1,239 @@
+const { Server } = require('socket.io');
+const mongoose = require('mongoose');
+const { verifyAuthToken, describeAuthError } = require('../middleware/auth');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Event = require('../models/Event');
+const { getBlockedIds } = require('./visibilityService');
+
+// ========================================
+// ⚡ SOCKET.IO - PUSH EM TEMPO REAL
+// ========================================
+//
+// Salas utilizadas:
+//   user:<id>   - cada usuário entra automaticamente na sua (notificações, feed)
+//   post:<id>   - clientes visualizando um post (curtidas e comentários)
+//   event:<id>  - clientes visualizando um evento (contadores de presença)
+
+// Limite de salas de post/evento por conexão
+const MAX_SUBSCRIPTIONS = 50;
+
+let io = null;
+
+// Handlers extras registrados por outros módulos (ex: mensagens diretas)
+const connectionHandlers = [];
+
+const userRoom = (userId) => `user:${userId}`;
+const postRoom = (postId) => `post:${postId}`;
+const eventRoom = (eventId) => `event:${eventId}`;
+
+// Extrair token do handshake (auth.token no client ou header Authorization)
+const getHandshakeToken = (handshake) => {
+  const raw = handshake.auth?.token || handshake.headers?.authorization;
+  if (!raw) return null;
+  return raw.startsWith('Bearer ') ? raw.slice(7) : raw;
+};
+
+// Erro de conexão com o mesmo corpo usado pela API HTTP
+const connectionError = (body) => {
+  const error = new Error(body.message || body.error);
+  error.data = body;
+  return error;
+};
+
+// Autenticação do handshake reutilizando as verificações do middleware HTTP
+const socketAuth = async (socket, next) => {
+  const ip = socket.handshake.address;
+  const token = getHandshakeToken(socket.handshake);
+
+  if (!token) {
+    return next(connectionError({
+      error: 'Acesso negado',
+      message: 'Token de autorização não fornecido',
+      code: 'NO_TOKEN'
+    }));
+  }
+
+  try {
+    const { decoded, user, failure } = await verifyAuthToken(token, { ip });
+    if (failure) {
+      return next(connectionError(failure));
+    }
+
+    socket.data.user = decoded;
+    socket.data.userId = user._id.toString();
+    socket.data.userName = user.name;
+    socket.data.authToken = token;
+    next();
+  } catch (error) {
+    next(connectionError(describeAuthError(error, { ip, token })));
+  }
+};
+
+// O usuário pode ver o post? (mesmas regras de GET /api/posts/:id)
+const canViewPost = async (userId, postId) => {
+  const [viewer, post] = await Promise.all([
+    User.findById(userId),
+    Post.findById(postId).select('author isActive authorSuspended').populate('author', 'isPrivate')
+  ]);
+  if (!viewer || !post || !post.isActive || post.authorSuspended || !post.author) return false;
+
+  const blockedIds = await getBlockedIds(viewer);
+  return !blockedIds.some(id => id.equals(post.author._id)) && post.author.canBeSeenBy(viewer);
+};
+
+// O usuário pode ver o evento? (mesmas regras de GET /api/events/:id)
+const canViewEvent = async (userId, eventId) => {
+  const [viewer, event] = await Promise.all([
+    User.findById(userId),
+    Event.findById(eventId).select('artist isActive authorSuspended')
+  ]);
+  if (!viewer || !event || !event.isActive || event.authorSuspended) return false;
+
+  const blockedIds = await getBlockedIds(viewer);
+  return !blockedIds.some(id => id.equals(event.artist));
+};
+
+// Registrar handlers de inscrição em salas de post/evento
+const registerSubscriptionHandlers = (socket, prefix, roomFor, canView) => {
+  socket.on(`${prefix}:subscribe`, async (id, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return reply({ ok: false, error: 'ID inválido' });
+    }
+
+    // socket.rooms inclui o id do socket e a sala do usuário
+    if (socket.rooms.size - 2 >= MAX_SUBSCRIPTIONS) {
+      return reply({ ok: false, error: 'Limite de inscrições atingido' });
+    }
+
+    try {
+      // Bloqueio, conta privada ou conteúdo removido: não entra na sala
+      if (!(await canView(socket.data.userId, id))) {
+        return reply({ ok: false, error: 'Não encontrado' });
+      }
+    } catch (error) {
+      console.error(`❌ Erro ao verificar inscrição ${prefix}:${id}:`, error.message);
+      return reply({ ok: false, error: 'Erro interno do servidor' });
+    }
+
+    socket.join(roomFor(id));
+    reply({ ok: true });
+  });
+
+  socket.on(`${prefix}:unsubscribe`, (id, ack) => {
+    socket.leave(roomFor(id));
+    if (typeof ack === 'function') ack({ ok: true });
+  });
+};
+
+// Inicializar servidor Socket.IO sobre o servidor HTTP do Express
+const initSocket = (httpServer, allowedOrigins = []) => {
+  io = new Server(httpServer, {
+    cors: {
+      origin: (origin, callback) => {
+        if (!origin || allowedOrigins.includes(origin)) {
+          callback(null, true);
+        } else {
+          callback(new Error(`⛔ Origem não permitida pelo CORS: ${origin}`));
+        }
+      },
+      credentials: true
+    }
+  });
+
+  io.use(socketAuth);
+
+  io.on('connection', (socket) => {
+    const { userId, userName } = socket.data;
+
+    socket.join(userRoom(userId));
+    console.log(`⚡ Socket conectado: ${userName} (${userId}) - ${socket.id}`);
+
+    registerSubscriptionHandlers(socket, 'post', postRoom, canViewPost);
+    registerSubscriptionHandlers(socket, 'event', eventRoom, canViewEvent);
+    connectionHandlers.forEach(handler => handler(socket));
+
+    socket.on('disconnect', (reason) => {
+      console.log(`🔌 Socket desconectado: ${userName} (${userId}) - ${reason}`);
+    });
+  });
+
+  console.log('✅ Socket.IO configurado');
+  return io;
+};
+
+const getIO = () => io;
+
+// Registrar handler chamado a cada nova conexão autenticada
+const onConnection = (handler) => {
+  connectionHandlers.push(handler);
+};
+
+// Desconectar todos os clientes (usado no shutdown gracioso)
+const closeSocket = () => {
+  if (io) {
+    io.disconnectSockets(true);
+  }
+};
+
+// Derrubar conexões abertas de um usuário que atendem ao filtro
+const disconnectUserSockets = async (userId, predicate = () => true) => {
+  if (!io || !userId) return;
+
+  const sockets = await io.in(userRoom(userId)).fetchSockets();
+  sockets
+    .filter(predicate)
+    .forEach(socket => socket.disconnect(true));
+};
+
+// Derrubar conexões abertas com um token que acabou de ser revogado
+const disconnectToken = (userId, token) => {
+  if (!token) return;
+  return disconnectUserSockets(userId, socket => socket.data.authToken === token);
+};
+
+// Derrubar conexões de sessões encerradas (uma sessão ou todas exceto a atual)
+const disconnectSessions = (userId, { sessionId, exceptSessionId } = {}) => {
+  return disconnectUserSockets(userId, socket => {
+    const sid = socket.data.user?.sid;
+    if (sessionId) return sid === sessionId.toString();
+    if (exceptSessionId) return sid !== exceptSessionId.toString();
+    return true;
+  });
+};
+
+// Os emissores abaixo são no-op se o Socket.IO não foi inicializado
+const emitToUser = (userId, event, payload) => {
+  if (!io || !userId) return;
+  io.to(userRoom(userId)).emit(event, payload);
+};
+
+const emitToUsers = (userIds, event, payload) => {
+  if (!io || !userIds || userIds.length === 0) return;
+  io.to(userIds.map(id => userRoom(id))).emit(event, payload);
+};
+
+const emitToPost = (postId, event, payload) => {
+  if (!io) return;
+  io.to(postRoom(postId)).emit(event, payload);
+};
+
+const emitToEvent = (eventId, event, payload) => {
+  if (!io) return;
+  io.to(eventRoom(eventId)).emit(event, payload);
+};
+
+module.exports = {
+  initSocket,
+  getIO,
+  onConnection,
+  closeSocket,
+  disconnectToken,
+  disconnectSessions,
+  emitToUser,
+  emitToUsers,
+  emitToPost,
+  emitToEvent
+};
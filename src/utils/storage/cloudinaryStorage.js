@@ -0,0 +1,78 @@
+const https = require('https');
+const cloudinary = require('cloudinary').v2;
+const { MediaStorage } = require('../../config/media');
+
+// ========================================
+// ☁️ Driver de armazenamento Cloudinary
+// ========================================
+//
+// Credenciais via CLOUDINARY_URL ou CLOUDINARY_CLOUD_NAME /
+// CLOUDINARY_API_KEY / CLOUDINARY_API_SECRET.
+
+let configured = false;
+
+const ensureConfigured = () => {
+  if (configured) return;
+
+  if (!process.env.CLOUDINARY_URL) {
+    if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
+      throw new Error('Cloudinary não configurado. Verifique CLOUDINARY_URL ou CLOUDINARY_CLOUD_NAME/API_KEY/API_SECRET no .env');
+    }
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET
+    });
+  }
+
+  cloudinary.config({ secure: true });
+  configured = true;
+};
+
+// O Cloudinary separa imagens de outros arquivos (vídeo/áudio = "video")
+const resourceTypeFor = (kind) => (kind === 'image' ? 'image' : 'video');
+
+// A chave (sem extensão) vira o public_id dentro da pasta configurada
+const publicIdFor = (key) => `${MediaStorage.CLOUDINARY_FOLDER}/${key.replace(/\.[^./]+$/, '')}`;
+
+const cloudinaryStorage = {
+  name: 'cloudinary',
+
+  save({ key, buffer, kind }) {
+    ensureConfigured();
+
+    return new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream({
+        public_id: publicIdFor(key),
+        resource_type: resourceTypeFor(kind),
+        overwrite: false
+      }, (error, result) => {
+        if (error) return reject(new Error(error.message || 'Falha no upload para o Cloudinary'));
+        resolve({ key: result.public_id, url: result.secure_url });
+      });
+
+      stream.end(buffer);
+    });
+  },
+
+  // Ler um trecho do arquivo repassando o Range para a CDN
+  read(key, { start, end, url }) {
+    return new Promise((resolve, reject) => {
+      const request = https.get(url, { headers: { Range: `bytes=${start}-${end}` } }, (response) => {
+        if (response.statusCode !== 206 && response.statusCode !== 200) {
+          response.resume();
+          return reject(new Error(`Cloudinary respondeu ${response.statusCode} ao ler ${key}`));
+        }
+        resolve(response);
+      });
+      request.on('error', reject);
+    });
+  },
+
+  async remove(key, kind) {
+    ensureConfigured();
+    await cloudinary.uploader.destroy(key, { resource_type: resourceTypeFor(kind) });
+  }
+};
+
+module.exports = cloudinaryStorage;
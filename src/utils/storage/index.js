@@ -0,0 +1,34 @@
+const { MediaStorage } = require('../../config/media');
+const localStorage = require('./localStorage');
+const cloudinaryStorage = require('./cloudinaryStorage');
+
+// ========================================
+// 🗄️ RockRider - Armazenamento de mídia
+// ========================================
+//
+// Todo driver implementa:
+//   name                                   identificador salvo em Media.storage.driver
+//   save({ key, buffer, mimeType, kind })  -> { key, url }
+//   read(key, { start, end, url })         -> stream do trecho (bytes inclusivos)
+//   remove(key, kind)                      remove o arquivo (idempotente)
+//
+// MEDIA_STORAGE_DRIVER escolhe o driver usado em novos uploads. Arquivos
+// antigos continuam sendo removidos pelo driver em que foram salvos.
+
+const drivers = {
+  [localStorage.name]: localStorage,
+  [cloudinaryStorage.name]: cloudinaryStorage
+};
+
+const getStorageDriver = (name = MediaStorage.DRIVER) => {
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Driver de armazenamento desconhecido: ${name}`);
+  }
+  return driver;
+};
+
+module.exports = {
+  STORAGE_DRIVERS: Object.keys(drivers),
+  getStorageDriver
+};
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+const { MediaStorage } = require('../../config/media');
+
+// ========================================
+// 💾 Driver de armazenamento em disco local
+// ========================================
+//
+// Os arquivos ficam em MEDIA_LOCAL_DIR. As imagens são servidas pelo próprio
+// servidor em /uploads/images; áudio só pelo streaming (ver server.js).
+
+const rootDir = () => path.resolve(MediaStorage.LOCAL_DIR);
+
+// Impedir que uma chave escape da pasta raiz (ex: "../../etc/passwd")
+const resolveKey = (key) => {
+  const root = rootDir();
+  const fullPath = path.resolve(root, key);
+  if (!fullPath.startsWith(root + path.sep)) {
+    throw new Error(`Chave de armazenamento inválida: ${key}`);
+  }
+  return fullPath;
+};
+
+const urlFor = (key) => `${MediaStorage.PUBLIC_URL.replace(/\/$/, '')}/${key}`;
+
+const localStorage = {
+  name: 'local',
+
+  async save({ key, buffer }) {
+    const fullPath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.promises.writeFile(fullPath, buffer, { flag: 'wx' });
+
+    return { key, url: urlFor(key) };
+  },
+
+  // Ler um trecho do arquivo (start/end inclusivos, como no header Range)
+  async read(key, { start, end }) {
+    return fs.createReadStream(resolveKey(key), { start, end });
+  },
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(resolveKey(key));
+    } catch (error) {
+      // Arquivo já removido não é erro
+      if (error.code !== 'ENOENT') throw error;
+    }
+  },
+
+  rootDir
+};
+
+module.exports = localStorage;
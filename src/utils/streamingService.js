@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const Play = require('../models/Play');
+const Track = require('../models/Track');
+const { Streaming } = require('../config/media');
+
+// ========================================
+// 🎧 RockRider - Streaming de áudio
+// ========================================
+
+// Interpretar o header Range (apenas um intervalo; múltiplos intervalos
+// recebem somente o primeiro). Retorna { start, end } com bytes inclusivos,
+// null sem Range válido ou 'unsatisfiable' quando fora do arquivo.
+const parseRange = (header, size) => {
+  if (!header) return null;
+
+  const match = /^bytes=(\d*)-(\d*)/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+
+  if (match[1] === '') {
+    // Sufixo: últimos N bytes
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0) return 'unsatisfiable';
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) return 'unsatisfiable';
+  return { start, end };
+};
+
+// Tamanho aproximado dos primeiros segundos do arquivo (proporcional à
+// duração; exato para MP3/WAV de taxa constante)
+const previewByteLength = (track) => {
+  const ratio = Math.min(Streaming.PREVIEW_SECONDS / track.duration, 1);
+  return Math.max(Math.ceil(track.audio.size * ratio), 1);
+};
+
+// Ouvinte pode escutar a faixa inteira?
+const canStreamFullTrack = (track, currentUser) => {
+  if (!track.previewForNonFollowers) return true;
+  if (!currentUser) return false;
+
+  const artistId = track.artist._id || track.artist;
+  if (currentUser._id.equals(artistId)) return true;
+  return (currentUser.following || []).some(id => id.equals(artistId));
+};
+
+// Identificar ouvinte e sessão de escuta
+const getListenerIdentity = (req) => {
+  if (req.user) {
+    const listenerKey = `user:${req.user.userId}`;
+    return {
+      listener: req.user.userId,
+      listenerKey,
+      sessionKey: req.user.sid ? `session:${req.user.sid}` : listenerKey
+    };
+  }
+
+  const fingerprint = crypto
+    .createHash('sha256')
+    .update(`${req.ip}|${req.get('User-Agent') || ''}`)
+    .digest('hex')
+    .slice(0, 32);
+
+  const listenerKey = `anon:${fingerprint}`;
+  return { listener: null, listenerKey, sessionKey: listenerKey };
+};
+
+// Registrar reprodução (uma por sessão dentro da janela de deduplicação)
+// Retorna true quando a reprodução foi contada
+const recordPlay = async (req, track, { preview }) => {
+  const identity = getListenerIdentity(req);
+  const windowStart = new Date(Date.now() - Streaming.PLAY_DEDUPE_MINUTES * 60 * 1000);
+
+  const recentPlay = await Play.exists({
+    track: track._id,
+    sessionKey: identity.sessionKey,
+    createdAt: { $gte: windowStart }
+  });
+  if (recentPlay) return false;
+
+  const isNewListener = !(await Play.exists({ track: track._id, listenerKey: identity.listenerKey }));
+
+  await Play.create({
+    track: track._id,
+    artist: track.artist._id || track.artist,
+    ...identity,
+    preview
+  });
+
+  await Track.updateOne({ _id: track._id }, {
+    $inc: {
+      'stats.plays': 1,
+      'stats.listeners': isNewListener ? 1 : 0
+    }
+  });
+
+  return true;
+};
+
+module.exports = {
+  parseRange,
+  previewByteLength,
+  canStreamFullTrack,
+  recordPlay
+};
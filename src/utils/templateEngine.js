@@ -0,0 +1,215 @@
+// ========================================
+// 🧩 RockRider - Motor de templates
+// ========================================
+//
+// Sintaxe suportada (subconjunto de Mustache/Handlebars):
+//   {{ caminho.da.variavel }}   valor escapado
+//   {{{ caminho }}}             valor sem escape (apenas conteúdo confiável)
+//   {{> nome-do-partial }}      inclui um partial com o mesmo contexto
+//   {{#if caminho}} ... {{else}} ... {{/if}}
+//   {{#unless caminho}} ... {{/unless}}
+
+class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;'
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+
+// Texto puro e assuntos não são HTML - nada a escapar
+const escapeNone = (value) => String(value);
+
+const TAG_REGEX = /\{\{\{\s*([\w.-]+)\s*\}\}\}|\{\{\s*(#if|#unless|\/if|\/unless|else|>)?\s*([\w./-]*)\s*\}\}/g;
+
+// Buscar valor por caminho com pontos (ex: user.name)
+const lookup = (context, path) => {
+  if (path === '.' || path === 'this') return context;
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+};
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : !!value);
+
+// Tags de bloco sozinhas na linha não deixam linhas em branco no resultado
+const STANDALONE_BLOCK_REGEX = /^[ \t]*(\{\{\s*(?:#if|#unless|\/if|\/unless|else)[^}]*\}\})[ \t]*\r?\n/gm;
+
+// Transformar o texto do template em uma árvore de nós
+const parse = (template) => {
+  const source = template.replace(STANDALONE_BLOCK_REGEX, '$1');
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+
+  const current = () => {
+    const node = stack[stack.length - 1];
+    return node.inElse ? node.elseChildren : node.children;
+  };
+
+  TAG_REGEX.lastIndex = 0;
+  while ((match = TAG_REGEX.exec(source)) !== null) {
+    if (match.index > lastIndex) {
+      current().push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = TAG_REGEX.lastIndex;
+
+    const [, rawPath, keyword, path] = match;
+
+    if (rawPath) {
+      current().push({ type: 'var', path: rawPath, raw: true });
+      continue;
+    }
+
+    switch (keyword) {
+      case undefined:
+        if (!path) throw new TemplateError('Tag vazia no template');
+        current().push({ type: 'var', path, raw: false });
+        break;
+
+      case '>':
+        if (!path) throw new TemplateError('Partial sem nome no template');
+        current().push({ type: 'partial', name: path });
+        break;
+
+      case '#if':
+      case '#unless': {
+        if (!path) throw new TemplateError(`${keyword} sem condição no template`);
+        const block = {
+          type: 'if',
+          keyword: keyword.slice(1),
+          path,
+          negate: keyword === '#unless',
+          children: [],
+          elseChildren: [],
+          inElse: false
+        };
+        current().push(block);
+        stack.push(block);
+        break;
+      }
+
+      case 'else': {
+        const block = stack[stack.length - 1];
+        if (block === root || block.inElse) {
+          throw new TemplateError('{{else}} fora de um bloco #if/#unless');
+        }
+        block.inElse = true;
+        break;
+      }
+
+      case '/if':
+      case '/unless': {
+        const block = stack.pop();
+        if (block === root || block.keyword !== keyword.slice(1)) {
+          throw new TemplateError(`Fechamento ${keyword} sem bloco correspondente`);
+        }
+        break;
+      }
+
+      default:
+        throw new TemplateError(`Tag desconhecida: ${keyword}`);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new TemplateError(`Bloco #${stack[stack.length - 1].keyword} não foi fechado`);
+  }
+
+  if (lastIndex < source.length) {
+    root.children.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+
+  return root.children;
+};
+
+const renderNodes = (nodes, context, options, depth) => {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+
+      case 'var': {
+        const value = lookup(context, node.path);
+        if (value !== undefined && value !== null) {
+          output += node.raw ? String(value) : options.escape(value);
+        }
+        break;
+      }
+
+      case 'partial': {
+        if (depth >= options.maxDepth) {
+          throw new TemplateError(`Partials aninhados demais (${node.name})`);
+        }
+        const partial = options.partials[node.name];
+        if (partial === undefined) {
+          throw new TemplateError(`Partial não encontrado: ${node.name}`);
+        }
+        output += renderNodes(compileCached(partial), context, options, depth + 1);
+        break;
+      }
+
+      case 'if': {
+        const condition = isTruthy(lookup(context, node.path));
+        const branch = condition !== node.negate ? node.children : node.elseChildren;
+        output += renderNodes(branch, context, options, depth);
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  return output;
+};
+
+// Cache das árvores já processadas (por texto do template)
+const MAX_COMPILED_TEMPLATES = 500;
+const compiledCache = new Map();
+
+const compileCached = (source) => {
+  let nodes = compiledCache.get(source);
+  if (!nodes) {
+    nodes = parse(source);
+    // Em desenvolvimento cada edição gera uma nova entrada
+    if (compiledCache.size >= MAX_COMPILED_TEMPLATES) {
+      compiledCache.clear();
+    }
+    compiledCache.set(source, nodes);
+  }
+  return nodes;
+};
+
+// Renderizar um template
+// options.escape: 'html' (padrão) ou 'none'
+// options.partials: { nome: textoDoPartial }
+const render = (source, context = {}, options = {}) => {
+  return renderNodes(compileCached(source), context, {
+    escape: options.escape === 'none' ? escapeNone : escapeHtml,
+    partials: options.partials || {},
+    maxDepth: options.maxDepth || 10
+  }, 0);
+};
+
+const clearCache = () => compiledCache.clear();
+
+module.exports = {
+  TemplateError,
+  escapeHtml,
+  parse,
+  render,
+  clearCache
+};
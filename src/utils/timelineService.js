@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const TimelineEntry = require('../models/TimelineEntry');
+const { Timeline } = require('../config/timeline');
+const { PaginationError, encodeCursor } = require('./pagination');
+
+// ========================================
+// 📰 RockRider - Timelines do feed "Following"
+// ========================================
+//
+// Escrita: post novo -> uma entrada na timeline do autor e de cada seguidor
+// (exceto contas com mais de FANOUT_MAX_FOLLOWERS seguidores).
+// Leitura: timeline do usuário + posts das contas grandes que ele segue,
+// mesclados por data. Seguir copia os posts recentes do autor; deixar de
+// seguir, bloquear ou apagar o post remove as entradas.
+
+const POST_AUTHOR_FIELDS = 'name handle artistName avatar userType isVerified';
+
+const retentionStart = () => new Date(Date.now() - Timeline.RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// Conta grande o suficiente para ficar fora do fan-out?
+const isMegaAccount = (user) => (user.followers || []).length >= Timeline.FANOUT_MAX_FOLLOWERS;
+
+// Contas grandes entre as que o usuário segue (array followers com N+ itens)
+const getMegaAccountIds = (user) => {
+  if (!user.following || user.following.length === 0) return [];
+
+  return User.find({
+    _id: { $in: user.following },
+    [`followers.${Timeline.FANOUT_MAX_FOLLOWERS - 1}`]: { $exists: true }
+  }).distinct('_id');
+};
+
+// Gravar entradas (idempotente) em lotes
+const writeEntries = async (entries) => {
+  for (let i = 0; i < entries.length; i += Timeline.WRITE_BATCH) {
+    const batch = entries.slice(i, i + Timeline.WRITE_BATCH);
+    await TimelineEntry.bulkWrite(batch.map(entry => ({
+      updateOne: {
+        filter: { owner: entry.owner, post: entry.post },
+        update: { $setOnInsert: { author: entry.author, original: entry.original, postedAt: entry.postedAt } },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+};
+
+// Reposts simples apontam para o original; quotes e posts normais são o próprio original
+const originalOf = (post) => (post.type === 'repost' && post.repostOf ? post.repostOf : post._id);
+
+const entriesFor = (owner, posts) => posts.map(post => ({
+  owner,
+  post: post._id,
+  author: post.author,
+  original: originalOf(post),
+  postedAt: post.createdAt
+}));
+
+// Post novo: copiar para o autor e seus seguidores. Repost de algo que o
+// seguidor já tem na timeline (o original ou outro repost) não é copiado.
+const fanOutPost = async (post) => {
+  const author = await User.findById(post.author).select('followers');
+  if (!author) return 0;
+
+  let owners = isMegaAccount(author) ? [author._id] : [author._id, ...author.followers];
+
+  if (post.type === 'repost') {
+    const alreadyHave = await TimelineEntry.find({ original: post.repostOf, owner: { $in: owners } }).distinct('owner');
+    const skip = new Set(alreadyHave.map(id => id.toString()));
+    owners = owners.filter(owner => !skip.has(owner.toString()));
+  }
+
+  const [entry] = entriesFor(null, [post]);
+  await writeEntries(owners.map(owner => ({ ...entry, owner })));
+  return owners.length;
+};
+
+// Passou a seguir: trazer os posts recentes do autor
+const backfillFollow = async (followerId, authorId) => {
+  const author = await User.findById(authorId).select('followers');
+  if (!author || isMegaAccount(author)) return 0;
+
+  const posts = await Post.find({ author: authorId, isActive: true, createdAt: { $gte: retentionStart() } })
+    .select('author type repostOf createdAt')
+    .sort({ createdAt: -1 })
+    .limit(Timeline.BACKFILL_POSTS)
+    .lean();
+
+  await writeEntries(entriesFor(followerId, posts));
+  return posts.length;
+};
+
+// Deixou de seguir (ou bloqueou): remover os posts do autor da timeline
+const purgeFollow = (followerId, authorId) => {
+  return TimelineEntry.deleteMany({ owner: followerId, author: authorId });
+};
+
+// Post apagado: remover de todas as timelines
+const removePost = (postId) => TimelineEntry.deleteMany({ post: postId });
+
+// Reconstruir a timeline do zero (posts próprios + de quem segue, exceto contas grandes)
+const rebuildTimeline = async (user) => {
+  const megaIds = await getMegaAccountIds(user);
+  const mega = new Set(megaIds.map(id => id.toString()));
+  const authors = [user._id, ...(user.following || []).filter(id => !mega.has(id.toString()))];
+
+  const posts = await Post.find({ author: { $in: authors }, isActive: true, createdAt: { $gte: retentionStart() } })
+    .select('author type repostOf createdAt')
+    .sort({ createdAt: -1 })
+    .limit(Timeline.REBUILD_MAX_ENTRIES)
+    .lean();
+
+  await TimelineEntry.deleteMany({ owner: user._id });
+  await writeEntries(entriesFor(user._id, posts));
+  return posts.length;
+};
+
+// Cursor da timeline: data + ID do último post (comum às duas fontes)
+const readCursor = (cursor) => {
+  if (!Number.isInteger(cursor.t) || typeof cursor.p !== 'string' || !mongoose.Types.ObjectId.isValid(cursor.p)) {
+    throw new PaginationError();
+  }
+  return { time: new Date(cursor.t), postId: new mongoose.Types.ObjectId(cursor.p) };
+};
+
+const olderThan = (timeField, idField, position) => ({
+  $or: [
+    { [timeField]: { $lt: position.time } },
+    { [timeField]: position.time, [idField]: { $lt: position.postId } }
+  ]
+});
+
+const newestFirst = (a, b) => (b.time - a.time) || (b.postId.toString() > a.postId.toString() ? 1 : -1);
+
+// Página do feed "Following": timeline + contas grandes, ordenado por data do post
+const getTimelinePage = async (user, { hiddenIds = [], pagination }) => {
+  // Usuário sem timeline (conta antiga ou reconstrução pendente): montar agora
+  if (!pagination.cursor && pagination.page === 1 && !(await TimelineEntry.exists({ owner: user._id }))) {
+    await rebuildTimeline(user);
+  }
+
+  const position = pagination.cursor ? readCursor(pagination.cursor) : null;
+  const fetchSize = pagination.skip + pagination.limit + 1;
+  const megaIds = (await getMegaAccountIds(user)).filter(id => !hiddenIds.some(hidden => hidden.equals(id)));
+
+  // Contas grandes vêm só da leitura direta: entradas antigas delas (de antes de
+  // passarem do limite de fan-out) duplicariam os posts
+  const entryFilter = { owner: user._id, author: { $nin: [...hiddenIds, ...megaIds] } };
+  const megaFilter = { author: { $in: megaIds }, isActive: true, authorSuspended: { $ne: true } };
+
+  const [entries, megaPosts] = await Promise.all([
+    TimelineEntry.find(position ? { ...entryFilter, ...olderThan('postedAt', 'post', position) } : entryFilter)
+      .sort({ postedAt: -1, post: -1 })
+      .limit(fetchSize)
+      .select('post postedAt')
+      .lean(),
+    megaIds.length === 0 ? [] : Post.find(position ? { ...megaFilter, ...olderThan('createdAt', '_id', position) } : megaFilter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(fetchSize)
+      .select('createdAt')
+      .lean()
+  ]);
+
+  const merged = [
+    ...entries.map(entry => ({ postId: entry.post, time: entry.postedAt })),
+    ...megaPosts.map(post => ({ postId: post._id, time: post.createdAt }))
+  ].sort(newestFirst);
+
+  const window = merged.slice(pagination.skip, pagination.skip + pagination.limit);
+  const hasNext = merged.length > pagination.skip + pagination.limit;
+
+  // Posts removidos, ocultos ou de autores suspensos ficam de fora da página
+  const posts = await Post.find({
+    _id: { $in: window.map(item => item.postId) },
+    isActive: true,
+    authorSuspended: { $ne: true }
+  })
+    .populate('author', POST_AUTHOR_FIELDS)
+    .populate('eventRef', 'title date location')
+    .populate(Post.TRACK_POPULATE)
+    .populate(Post.REPOST_POPULATE);
+  const byId = new Map(posts.map(post => [post._id.toString(), post]));
+
+  const last = window[window.length - 1];
+
+  return {
+    items: window.map(item => byId.get(item.postId.toString())).filter(Boolean),
+    pagination: {
+      page: pagination.page,
+      limit: pagination.limit,
+      hasNext,
+      nextCursor: hasNext ? encodeCursor({ t: last.time.getTime(), p: last.postId.toString() }) : null
+    },
+    meta: {
+      megaAccounts: megaIds.length
+    }
+  };
+};
+
+module.exports = {
+  isMegaAccount,
+  fanOutPost,
+  backfillFollow,
+  purgeFollow,
+  removePost,
+  rebuildTimeline,
+  getTimelinePage
+};
@@ -0,0 +1,241 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+// ========================================
+// 🔑 ACCESS TOKENS + REFRESH TOKENS ROTATIVOS
+// ========================================
+//
+// Access token: JWT de curta duração enviado em cada requisição.
+// Refresh token: valor opaco de longa duração, armazenado como hash por
+// dispositivo. Cada login cria uma Session, e o id dela é a "família" dos
+// refresh tokens: cada uso gera um novo token da mesma família e
+// reapresentar um token já rotacionado revoga a sessão inteira.
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+const getJwtSecret = () => process.env.JWT_SECRET || 'rockrider_secret_key';
+
+// Gerar access token (sid = sessão/família do refresh token que originou o login)
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sid: sessionId },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+// Identificação do dispositivo: body.deviceId/deviceName ou headers X-Device-Id/X-Device-Name
+const getDeviceInfo = (req) => {
+  const deviceId = (req.body?.deviceId || req.header('X-Device-Id') || '').toString().trim();
+  const deviceName = (req.body?.deviceName || req.header('X-Device-Name') || '').toString().trim();
+
+  return {
+    deviceId: deviceId.substring(0, 100) || crypto.randomUUID(),
+    deviceName: deviceName.substring(0, 100) || null,
+    ip: req.sessionData?.ip || req.ip,
+    userAgent: req.sessionData?.userAgent || req.headers['user-agent']
+  };
+};
+
+// Criar e persistir um refresh token (retorna o valor em texto puro uma única vez)
+const createRefreshToken = async (userId, family, device) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  const record = await RefreshToken.create({
+    tokenHash: RefreshToken.hashToken(token),
+    user: userId,
+    family,
+    deviceId: device.deviceId,
+    ip: device.ip,
+    userAgent: device.userAgent,
+    expiresAt: refreshTokenExpiry()
+  });
+
+  return { token, record };
+};
+
+// Montar resposta com o par de tokens
+const buildTokenResponse = (userId, sessionId, refreshToken, record) => {
+  const token = generateAccessToken(userId, sessionId);
+  const { exp, iat } = jwt.decode(token);
+
+  return {
+    token,
+    refreshToken,
+    expiresIn: exp - iat, // segundos
+    refreshTokenExpiresAt: record.expiresAt,
+    sessionId,
+    deviceId: record.deviceId
+  };
+};
+
+// Emitir tokens para um novo login (cria uma nova sessão)
+const issueTokens = async (user, req) => {
+  const device = getDeviceInfo(req);
+
+  // Um login ativo por dispositivo: encerrar a sessão anterior do mesmo aparelho
+  const previousSessions = await Session.find({
+    user: user._id,
+    deviceId: device.deviceId,
+    revokedAt: null
+  }).distinct('_id');
+  await Promise.all(previousSessions.map(sessionId => Session.revokeSession(sessionId, 'replaced')));
+
+  const session = await Session.create({
+    user: user._id,
+    deviceId: device.deviceId,
+    deviceName: device.deviceName,
+    ip: device.ip,
+    userAgent: device.userAgent,
+    lastSeenAt: new Date(),
+    lastSeenIp: device.ip,
+    expiresAt: refreshTokenExpiry()
+  });
+
+  const sessionId = session._id.toString();
+  const { token: refreshToken, record } = await createRefreshToken(user._id, sessionId, device);
+
+  return buildTokenResponse(user._id, sessionId, refreshToken, record);
+};
+
+// Trocar um refresh token válido por um novo par de tokens.
+// Retorna { user, tokens } ou { failure } com o corpo de erro a ser enviado.
+const rotateRefreshToken = async (rawToken, req) => {
+  const current = await RefreshToken.findByToken(rawToken);
+
+  if (!current) {
+    return {
+      failure: {
+        error: 'Refresh token inválido',
+        message: 'Faça login novamente',
+        code: 'INVALID_REFRESH_TOKEN'
+      }
+    };
+  }
+
+  if (current.revokedAt) {
+    // Token já rotacionado sendo usado de novo: provável roubo
+    if (current.revokedReason === 'rotated') {
+      console.warn(`🚨 Reuso de refresh token detectado: usuário ${current.user} - sessão ${current.family} - IP: ${req.ip}`);
+      await Session.revokeSession(current.family, 'reuse_detected');
+
+      return {
+        failure: {
+          error: 'Refresh token reutilizado',
+          message: 'Por segurança, todas as sessões deste dispositivo foram encerradas. Faça login novamente.',
+          code: 'REFRESH_TOKEN_REUSED'
+        }
+      };
+    }
+
+    return {
+      failure: {
+        error: 'Refresh token revogado',
+        message: 'Faça login novamente',
+        code: 'REFRESH_TOKEN_REVOKED'
+      }
+    };
+  }
+
+  if (current.expiresAt <= new Date()) {
+    return {
+      failure: {
+        error: 'Refresh token expirado',
+        message: 'Faça login novamente',
+        code: 'REFRESH_TOKEN_EXPIRED'
+      }
+    };
+  }
+
+  const user = await User.findById(current.user);
+  if (!user || !user.isActive) {
+    await Session.revokeSession(current.family, 'manual_revoke');
+
+    return {
+      failure: {
+        error: 'Conta desativada',
+        message: 'Sua conta foi desativada',
+        code: 'ACCOUNT_DISABLED'
+      }
+    };
+  }
+
+  if (user.isRestricted()) {
+    await Session.revokeSession(current.family, 'account_suspended');
+
+    return {
+      failure: {
+        error: user.accountStatus === 'banned' ? 'Conta banida' : 'Conta suspensa',
+        message: user.suspension?.reason || 'Sua conta está temporariamente restrita',
+        code: user.accountStatus === 'banned' ? 'ACCOUNT_BANNED' : 'ACCOUNT_SUSPENDED',
+        restriction: user.getRestrictionInfo()
+      }
+    };
+  }
+
+  // Marcar como rotacionado de forma atômica (duas requisições simultâneas
+  // com o mesmo token contam como reuso)
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: current._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated', lastUsedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    console.warn(`🚨 Rotação concorrente de refresh token: usuário ${current.user} - sessão ${current.family}`);
+    await Session.revokeSession(current.family, 'reuse_detected');
+
+    return {
+      failure: {
+        error: 'Refresh token reutilizado',
+        message: 'Por segurança, todas as sessões deste dispositivo foram encerradas. Faça login novamente.',
+        code: 'REFRESH_TOKEN_REUSED'
+      }
+    };
+  }
+
+  const { token: refreshToken, record } = await createRefreshToken(user._id, current.family, {
+    deviceId: current.deviceId,
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  await RefreshToken.updateOne({ _id: claimed._id }, { $set: { replacedBy: record._id } });
+
+  // Sessão acompanha a validade do refresh token mais recente
+  if (mongoose.Types.ObjectId.isValid(current.family)) {
+    await Session.updateOne(
+      { _id: current.family, revokedAt: null },
+      { $set: { expiresAt: record.expiresAt, lastSeenAt: new Date(), lastSeenIp: req.ip } }
+    );
+  }
+
+  return {
+    user,
+    tokens: buildTokenResponse(user._id, current.family, refreshToken, record)
+  };
+};
+
+// Revogar a sessão de um refresh token apresentado pelo cliente (logout)
+const revokeRefreshToken = async (rawToken, reason = 'logout') => {
+  const record = await RefreshToken.findByToken(rawToken);
+  if (!record) return null;
+
+  return Session.revokeSession(record.family, reason);
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_EXPIRES_DAYS,
+  generateAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken
+};
@@ -0,0 +1,106 @@
+const User = require('../models/User');
+const FollowRequest = require('../models/FollowRequest');
+const { purgeFollow } = require('./timelineService');
+
+// ========================================
+// 🙈 RockRider - Bloqueios e silenciamentos
+// ========================================
+//
+// Bloquear: invisibilidade mútua. Desfaz os follows nos dois sentidos e
+// esconde perfis, posts, comentários e presença em eventos entre os dois;
+// impede novos follows e mensagens diretas.
+// Silenciar: esconde os posts do usuário apenas dos meus feeds.
+
+// Algum dos dois bloqueou o outro? (documentos User completos)
+const isBlockedBetween = (userA, userB) => userA.hasBlocked(userB._id) || userB.hasBlocked(userA._id);
+
+// IDs bloqueados nos dois sentidos (quem eu bloqueei + quem me bloqueou)
+const getBlockedIds = async (user) => {
+  if (!user) return [];
+
+  const blockedMe = await User.find({ blockedUsers: user._id }).distinct('_id');
+  return [...(user.blockedUsers || []), ...blockedMe];
+};
+
+// IDs escondidos dos feeds do usuário (bloqueios + silenciados)
+const getFeedHiddenIds = async (user) => {
+  if (!user) return [];
+
+  const blockedIds = await getBlockedIds(user);
+  return [...blockedIds, ...(user.mutedUsers || [])];
+};
+
+// Contas privadas cujos posts o visualizador não pode ver (não segue)
+const getPrivateAuthorIds = (viewer) => {
+  const visible = viewer ? [viewer._id, ...(viewer.following || [])] : [];
+  return User.find({ isPrivate: true, _id: { $nin: visible } }).distinct('_id');
+};
+
+// Visualizador logado (req.currentUser do optionalAuth/auth ou busca pelo ID)
+const getViewer = async (req) => {
+  if (req.currentUser) return req.currentUser;
+  if (!req.user) return null;
+  return User.findById(req.user.userId);
+};
+
+// Remover de uma lista os itens de usuários escondidos
+const excludeUsers = (items, hiddenIds, getUser) => {
+  if (!hiddenIds.length) return items;
+
+  const hidden = new Set(hiddenIds.map(id => id.toString()));
+  return items.filter(item => {
+    const user = getUser(item);
+    const userId = user?._id || user;
+    return !userId || !hidden.has(userId.toString());
+  });
+};
+
+// Bloquear usuário: desfaz follows, pedidos para seguir e timelines nos dois sentidos
+const blockUser = async (user, target) => {
+  await Promise.all([
+    User.updateOne(
+      { _id: user._id },
+      {
+        $addToSet: { blockedUsers: target._id },
+        $pull: { following: target._id, followers: target._id, mutedUsers: target._id }
+      }
+    ),
+    User.updateOne(
+      { _id: target._id },
+      { $pull: { following: user._id, followers: user._id } }
+    ),
+    FollowRequest.deleteMany({
+      $or: [
+        { requester: user._id, target: target._id },
+        { requester: target._id, target: user._id }
+      ]
+    }),
+    purgeFollow(user._id, target._id),
+    purgeFollow(target._id, user._id)
+  ]);
+};
+
+const unblockUser = (user, targetId) => {
+  return User.updateOne({ _id: user._id }, { $pull: { blockedUsers: targetId } });
+};
+
+const muteUser = (user, targetId) => {
+  return User.updateOne({ _id: user._id }, { $addToSet: { mutedUsers: targetId } });
+};
+
+const unmuteUser = (user, targetId) => {
+  return User.updateOne({ _id: user._id }, { $pull: { mutedUsers: targetId } });
+};
+
+module.exports = {
+  isBlockedBetween,
+  getBlockedIds,
+  getFeedHiddenIds,
+  getPrivateAuthorIds,
+  getViewer,
+  excludeUsers,
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser
+};